@@ -1,11 +1,82 @@
 // XRControls.js
+import { mat4, vec3 } from 'https://cdn.skypack.dev/gl-matrix';
+
+// Locomotion. Speeds and distances are in meters of the reference space,
+// so they follow the world scale.
+const MOVE_SPEED = 2.0; // Per second at full stick
+const STICK_DEADZONE = 0.15;
+const STICK_PRESS = 0.7; // Deflection that snaps a turn or starts aiming
+const STICK_RELEASE = 0.3; // Back under this, the stick is centered again
+const SNAP_TURN = Math.PI / 6;
+const ARC_SPEED = 7.0; // Teleport arcs are thrown at this speed...
+const GRAVITY = 9.8; // ...and fall under this
+const ARC_STEP = 1 / 30; // Seconds of flight per arc segment
+const ARC_STEPS = 90;
+const TARGET_RADIUS = 0.25;
+const MIN_WORLD_SCALE = 0.01; // World units per meter
+const MAX_WORLD_SCALE = 100;
+const ARC_COLOR = [0.2, 0.8, 1.0];
+const MISS_COLOR = [1.0, 0.3, 0.2];
+const POINTER_COLOR = [1.0, 1.0, 1.0];
+
+// Passthrough AR
+const AR_SCENE_SIZE = 0.5; // Meters the scene spans when first placed
+const RETICLE_RADIUS = 0.1;
+const RETICLE_COLOR = [0.3, 1.0, 0.4];
+const PLANE_COLOR = [0.5, 0.5, 0.6];
+
+// Runs immersive sessions and keeps the camera on the headset. The
+// reference space is placed in the world by origin, set on the first frame
+// so the session starts from the camera's pose, upright. A renderer with
+// renderXRFrame(pose, layer) draws each frame itself.
+//
+// The left stick moves, the right stick snap-turns left and right and
+// aims a teleport arc when pushed forward, landing where it is let go.
+// Squeezing both grips grabs the world: moving the hands apart, together
+// or around each other scales and turns it. Tracked hands do the same with
+// pinches: one pinch aims a teleport, two grab. With a panel (see
+// setPanel), pointing at it takes over the trigger or pinch, and the left
+// controller's X button shows and hides it.
+//
+// In passthrough AR the scene is a small model to put on a real surface:
+// a reticle follows where the gaze meets one, found by hit tests or on
+// detected planes, and a select (trigger or pinch) stands the scene there,
+// anchored so it stays put. Grabbing with both hands resizes and turns
+// it. Options:
+//   flipped: the camera looks down -front with +up at the bottom of the
+//            screen, as the splat projection does (see Controls)
+//   groundPlane(): resolves to the ground teleports land on, { normal,
+//            height } with normal along the world's up and the plane at
+//            dot(point, normal) = height; or null for the room's floor
+//   sceneBase(): resolves to { point, size } for AR placement: the world
+//            point the scene stands on and its largest extent in world
+//            units; or null with nothing loaded
 export class XRControls {
-    constructor(renderer, camera) {
+    constructor(renderer, camera, { flipped = false, groundPlane = null, sceneBase = null } = {}) {
         this.renderer = renderer;
         this.camera = camera;
+        this.flipped = flipped;
+        this.groundPlane = groundPlane;
+        this.sceneBase = sceneBase;
         this.xrSession = null;
+        this.mode = null; // 'immersive-vr' or 'immersive-ar' while in a session
         this.referenceSpace = null;
-        this.controllers = [];
+        this.glLayer = null;
+        this.origin = null; // mat4 from the reference space into the world
+        this.ground = null; // Scene ground for this session, if known
+        this.controllers = new Map(); // Controller input sources by handedness
+        this.turnReady = true; // Snap turns wait for the stick to center
+        this.teleport = null; // { hand, fromStick, points, target, released } while aiming
+        this.grab = null; // Origin and hand positions when a two-handed grab began
+        this.lastFrameTime = null;
+        this.panel = null; // XRPanel floating in the room, if set
+        this.panelButtonDown = false;
+        this.hitTestSource = null;
+        this.hit = null; // XRRigidTransform of the surface under the gaze, in AR
+        this.planes = new Map(); // Detected planes' orientation, pose and outline
+        this.anchor = null; // XRAnchor holding the placed scene
+        this.anchorPose = null; // Its pose in the reference space last frame
+        this.placed = false; // Whether the AR scene stands on a surface yet
         this.device = null; // 'quest' or 'visionpro'
         this.handTracking = {
             enabled: false,
@@ -55,11 +126,17 @@ export class XRControls {
         }
     }
 
-    async startXRSession() {
+    // mode: 'immersive-vr', or 'immersive-ar' for passthrough
+    async startXRSession(mode = 'immersive-vr') {
         if (!this.xrSession) {
+            let session = null;
             try {
+                const ar = mode === 'immersive-ar';
                 // Request session with enhanced features for Vision Pro
-                const sessionInit = {
+                const sessionInit = ar ? {
+                    requiredFeatures: ['local-floor'],
+                    optionalFeatures: ['hit-test', 'anchors', 'plane-detection', 'hand-tracking']
+                } : {
                     requiredFeatures: ['local-floor'],
                     optionalFeatures: [
                         'hand-tracking',
@@ -70,31 +147,39 @@ export class XRControls {
                     ]
                 };
 
-                const session = await navigator.xr.requestSession('immersive-vr', sessionInit);
+                session = await navigator.xr.requestSession(mode, sessionInit);
                 this.xrSession = session;
-                this.xrButton.textContent = 'Exit VR';
+                this.mode = mode;
+                this.xrButton.textContent = ar ? 'Exit AR' : 'Exit VR';
+                // Before any setup, so a session that ends or fails part way
+                // still hands the view back to the page
+                session.addEventListener('end', () => {
+                    if (this.xrSession === session) this.resetSession();
+                });
 
                 // Setup session
                 await this.setupXRSession(session);
-
-                // Detect device type
-                this.detectDevice(session);
-
-                // Setup device-specific controls
-                if (this.device === 'quest') {
-                    this.setupQuestControls(session);
-                } else if (this.device === 'visionpro') {
-                    await this.setupVisionProControls(session);
+                if (ar) {
+                    await this.setupARSession(session);
+                } else {
+                    const ground = await this.findGround();
+                    if (this.xrSession !== session) return;
+                    this.ground = ground;
                 }
+                if (this.xrSession !== session) return;
 
-                session.addEventListener('end', () => {
-                    this.xrSession = null;
-                    this.xrButton.textContent = 'Enter VR';
-                    this.cleanupVisionProTracking();
+                // Detect device type. Controllers often connect after the
+                // session starts, so look again when they do.
+                await this.setupDeviceControls(session);
+                session.addEventListener('inputsourceschange', () => {
+                    if (!this.device) this.setupDeviceControls(session);
                 });
-
             } catch (error) {
                 console.error('Error starting XR session:', error);
+                if (session && this.xrSession === session) {
+                    this.resetSession();
+                    session.end().catch(() => {}); // Already over if it ended itself
+                }
             }
         } else {
             try {
@@ -105,6 +190,77 @@ export class XRControls {
         }
     }
 
+    // Drops everything tied to the session that just ended
+    resetSession() {
+        this.xrSession = null;
+        this.mode = null;
+        this.glLayer = null;
+        this.origin = null;
+        this.ground = null;
+        this.device = null;
+        this.controllers.clear();
+        this.teleport = null;
+        this.grab = null;
+        this.lastFrameTime = null;
+        this.hitTestSource?.cancel();
+        this.hitTestSource = null;
+        this.hit = null;
+        this.planes.clear();
+        this.anchor?.delete();
+        this.anchor = null;
+        this.anchorPose = null;
+        this.placed = false;
+        this.xrButton.textContent = 'Enter VR';
+        this.cleanupVisionProTracking();
+        window.dispatchEvent(new CustomEvent('xrsessionend'));
+    }
+
+    async setupDeviceControls(session) {
+        this.detectDevice(session);
+        this.setupPinchGestureRecognition();
+        if (this.device === 'visionpro') {
+            await this.setupVisionProControls(session);
+        }
+    }
+
+    async findGround() {
+        if (!this.groundPlane) return null;
+        try {
+            return await this.groundPlane();
+        } catch (error) {
+            console.warn('Could not find the scene ground; teleports land on the floor:', error);
+            return null;
+        }
+    }
+
+    // Hit tests run along the gaze; without them the gaze is tested against
+    // detected planes instead. A select places the scene.
+    async setupARSession(session) {
+        this.placed = false;
+        try {
+            const viewerSpace = await session.requestReferenceSpace('viewer');
+            const source = await session.requestHitTestSource({ space: viewerSpace });
+            if (this.xrSession !== session) {
+                source.cancel(); // The session ended while it was being set up
+                return;
+            }
+            this.hitTestSource = source;
+        } catch (error) {
+            console.warn('Hit testing not available; placing on detected planes:', error);
+        }
+        session.addEventListener('select', (event) => this.handleSelect(event));
+    }
+
+    async findSceneBase() {
+        if (!this.sceneBase) return null;
+        try {
+            return await this.sceneBase();
+        } catch (error) {
+            console.warn('Could not find where the scene stands:', error);
+            return null;
+        }
+    }
+
     detectDevice(session) {
         // Enhanced device detection for Vision Pro
         if (session.inputSources?.[0]?.profiles?.includes('oculus-touch')) {
@@ -122,8 +278,10 @@ export class XRControls {
     async setupXRSession(session) {
         try {
             const gl = this.renderer.gl;
+            await gl.makeXRCompatible?.();
             const xrGLLayer = new XRWebGLLayer(session, gl);
             session.updateRenderState({ baseLayer: xrGLLayer });
+            this.glLayer = xrGLLayer;
 
             // Get reference space with enhanced stability
             this.referenceSpace = await session.requestReferenceSpace('local-floor');
@@ -148,9 +306,6 @@ export class XRControls {
             // Setup pinch gesture recognition
             this.setupPinchGestureRecognition();
 
-            // Setup spatial event handlers
-            this.setupSpatialEventHandlers(session);
-
             // Setup eye tracking if available
             if (session.supportedFeatures?.has('eye-tracking')) {
                 await this.setupEyeTracking(session);
@@ -179,22 +334,11 @@ export class XRControls {
 
     setupPinchGestureRecognition() {
         this.handTracking.gestures.set('pinch', {
-            active: false,
-            startPosition: null,
+            hands: new Map(), // Pinch point by handedness while pinching
             threshold: 0.02 // meters
         });
     }
 
-    setupSpatialEventHandlers(session) {
-        if (session.supportedFeatures?.has('spatial-anchors')) {
-            session.addEventListener('spatial-anchor-create', this.handleSpatialAnchor.bind(this));
-        }
-
-        if (session.supportedFeatures?.has('plane-detection')) {
-            session.addEventListener('plane-detected', this.handlePlaneDetection.bind(this));
-        }
-    }
-
     async setupEyeTracking(session) {
         try {
             const eyeTracker = await session.requestEyeTracker();
@@ -204,16 +348,146 @@ export class XRControls {
         }
     }
 
-    handleSpatialAnchor(event) {
-        const anchor = event.anchor;
-        // Handle spatial anchor creation
-        console.log('Spatial anchor created:', anchor);
+    // Places the scene on the surface under the gaze. The anchor is asked
+    // for while the select's frame is current, as the API requires.
+    handleSelect(event) {
+        if (this.mode !== 'immersive-ar' || !this.hit) return;
+        if (this.panel?.isPointing(event.inputSource.handedness)) return;
+
+        const surface = this.hit;
+        this.anchor?.delete();
+        this.anchor = null;
+        this.anchorPose = null;
+        if (event.frame.createAnchor) {
+            event.frame.createAnchor(surface, this.referenceSpace)
+                .then(anchor => this.handleSpatialAnchor(anchor))
+                .catch(error => console.warn('Could not anchor the scene; it may drift:', error));
+        }
+        this.placeScene(surface.matrix);
+    }
+
+    // Stands the bottom middle of the scene on the surface point, keeping
+    // the way it faces. The first placement shrinks it to AR_SCENE_SIZE;
+    // after that it keeps the size it was pinched to.
+    async placeScene(surface) {
+        const base = await this.findSceneBase();
+        if (!base || !this.origin) {
+            console.warn('Load a scene to place it');
+            return;
+        }
+        const scale = this.placed ? this.worldScale : base.size / AR_SCENE_SIZE;
+
+        const origin = mat4.fromTranslation(mat4.create(), base.point);
+        const rotation = mat4.clone(this.origin);
+        for (let column = 0; column < 4; column++) {
+            const axis = rotation.subarray(column * 4, column * 4 + 3);
+            if (column < 3) {
+                vec3.normalize(axis, axis);
+            } else {
+                vec3.zero(axis);
+            }
+        }
+        mat4.multiply(origin, origin, rotation);
+        mat4.scale(origin, origin, [scale, scale, scale]);
+        mat4.translate(origin, origin, [-surface[12], -surface[13], -surface[14]]);
+        this.origin = origin;
+        this.placed = true;
+    }
+
+    handleSpatialAnchor(anchor) {
+        if (!this.xrSession) {
+            anchor.delete();
+            return;
+        }
+        this.anchor = anchor;
+        this.anchorPose = null;
+    }
+
+    // As tracking improves the anchor shifts in the reference space; the
+    // scene shifts with it. While the anchor is lost the scene stays put.
+    updateAnchor(frame) {
+        if (!this.anchor) return;
+        if (frame.trackedAnchors && !frame.trackedAnchors.has(this.anchor)) return;
+        const pose = frame.getPose(this.anchor.anchorSpace, this.referenceSpace);
+        if (!pose) return;
+
+        const matrix = mat4.clone(pose.transform.matrix);
+        if (this.anchorPose) {
+            const shift = mat4.multiply(mat4.create(), this.anchorPose, mat4.invert(mat4.create(), matrix));
+            mat4.multiply(this.origin, this.origin, shift);
+        }
+        this.anchorPose = matrix;
+    }
+
+    // Keeps the planes detected this frame: orientation, pose in the
+    // reference space and outline in the plane's x-z
+    handlePlaneDetection(frame) {
+        this.planes.clear();
+        if (!frame.detectedPlanes) return;
+        for (const plane of frame.detectedPlanes) {
+            const pose = frame.getPose(plane.planeSpace, this.referenceSpace);
+            if (pose) {
+                this.planes.set(plane, {
+                    orientation: plane.orientation,
+                    matrix: pose.transform.matrix,
+                    polygon: plane.polygon,
+                });
+            }
+        }
+    }
+
+    updateHitTest(frame, headTransform) {
+        this.hit = null;
+        if (this.hitTestSource) {
+            const [result] = frame.getHitTestResults(this.hitTestSource);
+            this.hit = result?.getPose(this.referenceSpace)?.transform ?? null;
+        } else {
+            this.hit = this.hitPlanes(headTransform);
+        }
+    }
+
+    // Nearest point where the gaze meets a horizontal detected plane
+    hitPlanes(headTransform) {
+        const head = headTransform.matrix;
+        const origin = vec3.fromValues(head[12], head[13], head[14]);
+        const direction = vec3.fromValues(-head[8], -head[9], -head[10]);
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const { orientation, matrix, polygon } of this.planes.values()) {
+            if (orientation !== 'horizontal') continue;
+            // The plane is y = 0 in its own space
+            const inverse = mat4.invert(mat4.create(), matrix);
+            const start = vec3.transformMat4(vec3.create(), origin, inverse);
+            const end = vec3.transformMat4(vec3.create(), vec3.add(vec3.create(), origin, direction), inverse);
+            const along = vec3.subtract(end, end, start);
+            if (Math.abs(along[1]) < 1e-6) continue;
+            const t = -start[1] / along[1];
+            if (t <= 0 || t >= nearestDistance) continue;
+            const x = start[0] + along[0] * t;
+            const z = start[2] + along[2] * t;
+            if (!this.insidePolygon(x, z, polygon)) continue;
+            nearestDistance = t;
+            nearest = vec3.scaleAndAdd(vec3.create(), origin, direction, t);
+        }
+        return nearest && new XRRigidTransform({ x: nearest[0], y: nearest[1], z: nearest[2] });
     }
 
-    handlePlaneDetection(event) {
-        const plane = event.plane;
-        // Handle detected plane
-        console.log('Plane detected:', plane);
+    // Even-odd test of x, z against a plane outline
+    insidePolygon(x, z, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.z > z) !== (b.z > z) && x < ((b.x - a.x) * (z - a.z)) / (b.z - a.z) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Whether the renderer should draw the scene: in AR, once it is placed
+    get showScene() {
+        return this.mode !== 'immersive-ar' || this.placed;
     }
 
     handleEyeTracking(event) {
@@ -233,27 +507,118 @@ export class XRControls {
 
         const pose = frame.getViewerPose(this.referenceSpace);
         if (!pose) return;
+        if (!this.origin) {
+            this.origin = this.createOrigin(pose.transform);
+            this.panel?.placeInFront(pose.transform);
+        }
+        const deltaTime = this.lastFrameTime === null
+            ? 0
+            : Math.min((time - this.lastFrameTime) / 1000, 0.1);
+        this.lastFrameTime = time;
+
+        // Controllers and tracked hands can come and go on either device
+        this.handleQuestFrame(frame);
+        this.handleVisionProFrame(frame);
+        if (this.mode === 'immersive-ar') {
+            this.handlePlaneDetection(frame);
+            this.updateAnchor(frame);
+            this.updateHitTest(frame, pose.transform);
+        }
+
+        this.updatePanel(pose.transform);
+        this.updateLocomotion(pose.transform, deltaTime);
+        this.updateCameraFromXRPose(pose.transform);
+        this.renderer.renderXRFrame?.(pose, this.glLayer);
+    }
 
-        // Handle device-specific input
-        if (this.device === 'quest') {
-            this.handleQuestFrame(frame);
-        } else if (this.device === 'visionpro') {
-            this.handleVisionProFrame(frame);
+    // Places the reference space so the head, as it is now, sits where the
+    // camera is and faces the way it faces, with the reference space's up
+    // along the world's
+    createOrigin(headTransform) {
+        const camera = this.camera;
+        const up = vec3.clone(camera.worldUp);
+        const view = vec3.normalize(vec3.create(), camera.front);
+        if (this.flipped) {
+            vec3.negate(up, up);
+            vec3.negate(view, view);
         }
+        const heading = this.flatten(view, up);
+        const world = this.frameFromHeading(heading, up);
+
+        const head = headTransform.matrix;
+        const headUp = vec3.fromValues(0, 1, 0);
+        const headHeading = this.flatten(vec3.fromValues(-head[8], -head[9], -head[10]), headUp);
+        const local = this.frameFromHeading(headHeading, headUp);
+
+        // Turn the head's heading frame onto the camera's, then move the
+        // head onto the camera
+        const origin = mat4.multiply(mat4.create(), world, mat4.transpose(local, local));
+        const headPosition = vec3.transformMat4(vec3.create(), [head[12], head[13], head[14]], origin);
+        const offset = vec3.subtract(vec3.create(), camera.position, headPosition);
+        return mat4.multiply(origin, mat4.fromTranslation(mat4.create(), offset), origin);
+    }
 
-        // Update camera from pose
-        const view = pose.views[0];
-        if (view) {
-            this.updateCameraFromXRPose(view);
+    // Unit direction along the ground, falling back to any when vector
+    // points straight up or down
+    flatten(vector, up) {
+        const flat = vec3.scaleAndAdd(vec3.create(), vector, up, -vec3.dot(vector, up));
+        if (vec3.length(flat) < 1e-6) {
+            vec3.set(flat, up[1], up[2], up[0]);
+            vec3.scaleAndAdd(flat, flat, up, -vec3.dot(flat, up));
         }
+        return vec3.normalize(flat, flat);
     }
 
-    handleVisionProFrame(frame) {
-        if (!this.handTracking.enabled) return;
+    // Rotation whose x, y and z axes are right, up and backwards for a
+    // viewer facing heading
+    frameFromHeading(heading, up) {
+        const right = vec3.cross(vec3.create(), heading, up);
+        return mat4.fromValues(
+            right[0], right[1], right[2], 0,
+            up[0], up[1], up[2], 0,
+            -heading[0], -heading[1], -heading[2], 0,
+            0, 0, 0, 1,
+        );
+    }
 
+    // World pose of a pose in the reference space, as a rigid transform.
+    // A scaled origin moves the pose's position but leaves its axes unit
+    // length; scaling the eyes' view that way looks the same as scaling
+    // the world.
+    worldPose(transform) {
+        const pose = mat4.multiply(mat4.create(), this.origin, transform.matrix);
+        for (let column = 0; column < 3; column++) {
+            const axis = pose.subarray(column * 4, column * 4 + 3);
+            vec3.normalize(axis, axis);
+        }
+        return pose;
+    }
+
+    // Tracks each controller's gamepad and poses for the frame
+    handleQuestFrame(frame) {
+        this.controllers.clear();
+        for (const inputSource of frame.session.inputSources) {
+            if (!inputSource.gamepad || inputSource.hand) continue;
+            const gripPose = inputSource.gripSpace
+                ? frame.getPose(inputSource.gripSpace, this.referenceSpace)
+                : null;
+            const rayPose = frame.getPose(inputSource.targetRaySpace, this.referenceSpace);
+            this.controllers.set(inputSource.handedness, {
+                gamepad: inputSource.gamepad,
+                gripPose,
+                rayPose,
+            });
+        }
+    }
+
+    // Tracks each hand's joints, pointing ray and pinch for the frame
+    handleVisionProFrame(frame) {
+        const rays = this.handTracking.rays ??= new Map();
+        rays.clear();
         for (const inputSource of frame.session.inputSources) {
             if (inputSource.hand) {
                 this.updateHandJoints(frame, inputSource);
+                rays.set(inputSource.handedness, frame.getPose(inputSource.targetRaySpace, this.referenceSpace));
                 this.detectPinchGesture(inputSource.handedness);
             }
         }
@@ -261,7 +626,11 @@ export class XRControls {
 
     updateHandJoints(frame, inputSource) {
         const hand = inputSource.hand;
-        const handJoints = this.handTracking.joints.get(inputSource.handedness);
+        const joints = this.handTracking.joints;
+        if (!joints.has(inputSource.handedness)) {
+            joints.set(inputSource.handedness, new Map());
+        }
+        const handJoints = joints.get(inputSource.handedness);
 
         for (const joint of hand.values()) {
             const pose = frame.getJointPose(joint, this.referenceSpace);
@@ -273,19 +642,25 @@ export class XRControls {
 
     detectPinchGesture(handedness) {
         const joints = this.handTracking.joints.get(handedness);
-        if (!joints) return;
+        const pinchData = this.handTracking.gestures.get('pinch');
+        if (!joints || !pinchData) return;
 
         const thumb = joints.get('thumb-tip');
         const index = joints.get('index-finger-tip');
 
         if (thumb && index) {
             const distance = this.calculateJointDistance(thumb, index);
-            const pinchData = this.handTracking.gestures.get('pinch');
-
-            if (distance < pinchData.threshold && !pinchData.active) {
-                this.startPinchGesture(thumb.transform.position);
-            } else if (distance >= pinchData.threshold && pinchData.active) {
-                this.endPinchGesture();
+            const pinching = pinchData.hands.has(handedness);
+            const a = thumb.transform.position;
+            const b = index.transform.position;
+            const midpoint = vec3.fromValues((a.x + b.x) / 2, (a.y + b.y) / 2, (a.z + b.z) / 2);
+
+            if (distance < pinchData.threshold && !pinching) {
+                this.startPinchGesture(handedness, midpoint);
+            } else if (distance >= pinchData.threshold && pinching) {
+                this.endPinchGesture(handedness);
+            } else if (pinching) {
+                pinchData.hands.set(handedness, midpoint);
             }
         }
     }
@@ -300,28 +675,33 @@ export class XRControls {
         );
     }
 
-    startPinchGesture(position) {
-        const pinchData = this.handTracking.gestures.get('pinch');
-        pinchData.active = true;
-        pinchData.startPosition = position;
-        this.handlePinchStart(position);
+    startPinchGesture(handedness, position) {
+        this.handTracking.gestures.get('pinch').hands.set(handedness, position);
+        this.handlePinchStart(handedness, position);
     }
 
-    endPinchGesture() {
-        const pinchData = this.handTracking.gestures.get('pinch');
-        pinchData.active = false;
-        pinchData.startPosition = null;
-        this.handlePinchEnd();
+    endPinchGesture(handedness) {
+        this.handTracking.gestures.get('pinch').hands.delete(handedness);
+        this.handlePinchEnd(handedness);
     }
 
-    handlePinchStart(position) {
-        // Handle pinch gesture start
-        console.log('Pinch gesture started at:', position);
+    // One pinch aims a teleport from that hand; a second pinch grabs the
+    // world instead
+    handlePinchStart(handedness) {
+        // In AR a pinch is a select, which places the scene
+        if (this.mode === 'immersive-ar' || this.panel?.isPointing(handedness)) return;
+        const pinching = this.handTracking.gestures.get('pinch').hands.size;
+        if (pinching === 1 && !this.teleport) {
+            this.teleport = { hand: handedness, fromStick: false, points: [], target: null };
+        } else if (pinching > 1) {
+            this.teleport = null;
+        }
     }
 
-    handlePinchEnd() {
-        // Handle pinch gesture end
-        console.log('Pinch gesture ended');
+    handlePinchEnd(handedness) {
+        if (this.teleport?.hand === handedness && !this.teleport.fromStick) {
+            this.teleport.released = true;
+        }
     }
 
     cleanupVisionProTracking() {
@@ -330,26 +710,295 @@ export class XRControls {
         this.handTracking.enabled = false;
     }
 
-    // Existing methods remain unchanged...
-    updateCameraFromXRPose(view) {
-        const matrix = view.transform.matrix;
-        
-        // Update camera position
-        this.camera.position = [
-            matrix[12],
-            matrix[13],
-            matrix[14]
-        ];
-
-        // Update camera rotation based on view matrix
-        this.camera.rotation = {
-            y: Math.atan2(matrix[8], matrix[10]),
-            x: Math.atan2(-matrix[9], Math.sqrt(matrix[8] * matrix[8] + matrix[10] * matrix[10]))
+    setPanel(panel) {
+        this.panel = panel;
+    }
+
+    // Hands the panel a pointer per controller ray, pressed by the trigger,
+    // and per tracked hand, pressed by a pinch
+    updatePanel(headTransform) {
+        const panel = this.panel;
+        if (!panel) return;
+
+        const toggle = !!this.controllers.get('left')?.gamepad.buttons[4]?.pressed;
+        if (toggle && !this.panelButtonDown) panel.toggle();
+        this.panelButtonDown = toggle;
+
+        const pointer = (id, rayPose, pressed) => {
+            const ray = rayPose.transform.matrix;
+            return {
+                id,
+                origin: vec3.fromValues(ray[12], ray[13], ray[14]),
+                direction: vec3.fromValues(-ray[8], -ray[9], -ray[10]),
+                pressed,
+            };
         };
+        const pointers = [];
+        for (const [handedness, { gamepad, rayPose }] of this.controllers) {
+            if (rayPose) pointers.push(pointer(handedness, rayPose, !!gamepad.buttons[0]?.pressed));
+        }
+        const pinches = this.handTracking.gestures.get('pinch')?.hands;
+        for (const [handedness, rayPose] of this.handTracking.rays ?? []) {
+            if (rayPose) pointers.push(pointer(handedness, rayPose, !!pinches?.has(handedness)));
+        }
+        panel.update(pointers, headTransform);
+    }
+
+    // Moves the reference space through the world from the controllers and
+    // hands: a two-handed grab, else the sticks and the teleport arc
+    updateLocomotion(headTransform, deltaTime) {
+        if (this.updateGrab()) return;
+        // A model on the table is grabbed, not walked around in
+        if (this.mode === 'immersive-ar') return;
+
+        const move = this.controllers.get('left')?.gamepad;
+        if (move) {
+            this.moveAlongHeading(headTransform, this.stickAxes(move), deltaTime);
+        }
+
+        const turn = this.controllers.get('right')?.gamepad;
+        if (turn) {
+            const [x, y] = this.stickAxes(turn);
+            if (y < -STICK_PRESS && !this.teleport) {
+                this.teleport = { hand: 'right', fromStick: true, points: [], target: null };
+            } else if (this.teleport?.fromStick && Math.hypot(x, y) < STICK_RELEASE) {
+                this.teleport.released = true;
+            }
+
+            if (Math.abs(x) < STICK_RELEASE) {
+                this.turnReady = true;
+            } else if (Math.abs(x) > STICK_PRESS && this.turnReady && !this.teleport) {
+                this.turnReady = false;
+                this.turnAroundHead(headTransform, -Math.sign(x) * SNAP_TURN);
+            }
+        }
+
+        if (this.teleport) {
+            this.aimTeleport();
+            if (this.teleport.released) {
+                this.teleportTo(headTransform, this.teleport.target);
+                this.teleport = null;
+            }
+        }
+    }
+
+    // Thumbstick x and y, with the deadzone cut out. xr-standard gamepads
+    // put the stick on axes 2 and 3, touchpad-only ones on 0 and 1.
+    stickAxes(gamepad) {
+        const axes = gamepad.axes;
+        const offset = axes.length >= 4 ? 2 : 0;
+        return [axes[offset] ?? 0, axes[offset + 1] ?? 0].map(value =>
+            Math.abs(value) < STICK_DEADZONE ? 0 : value);
+    }
+
+    // World units per meter of the reference space
+    get worldScale() {
+        return vec3.length(this.origin.subarray(0, 3));
+    }
+
+    // The world's up as the reference space has it
+    get worldUp() {
+        return vec3.normalize(vec3.create(), this.origin.subarray(4, 7));
+    }
+
+    // Stick forward walks where the head faces, sideways strafes
+    moveAlongHeading(headTransform, [x, y], deltaTime) {
+        if (x === 0 && y === 0) return;
+        const up = this.worldUp;
+        const head = this.worldPose(headTransform);
+        const heading = this.flatten(vec3.fromValues(-head[8], -head[9], -head[10]), up);
+        const right = vec3.cross(vec3.create(), heading, up);
+
+        const step = vec3.create();
+        vec3.scaleAndAdd(step, step, heading, -y);
+        vec3.scaleAndAdd(step, step, right, x);
+        vec3.scale(step, step, MOVE_SPEED * deltaTime * this.worldScale);
+        mat4.multiply(this.origin, mat4.fromTranslation(mat4.create(), step), this.origin);
+    }
+
+    // Turns the reference space about the world's up through the head
+    turnAroundHead(headTransform, angle) {
+        const head = this.worldPose(headTransform);
+        const pivot = vec3.fromValues(head[12], head[13], head[14]);
+        const turn = mat4.fromTranslation(mat4.create(), pivot);
+        mat4.rotate(turn, turn, angle, this.worldUp);
+        mat4.translate(turn, turn, vec3.negate(pivot, pivot));
+        mat4.multiply(this.origin, turn, this.origin);
+    }
+
+    // Throws the arc from the aiming hand's pointing ray and finds where it
+    // first comes down through the ground
+    aimTeleport() {
+        const teleport = this.teleport;
+        teleport.points = [];
+        teleport.target = null;
+        const rayPose = this.controllers.get(teleport.hand)?.rayPose ??
+            this.handTracking.rays?.get(teleport.hand);
+        if (!rayPose) return;
+
+        const scale = this.worldScale;
+        const up = this.worldUp;
+        const ray = this.worldPose(rayPose.transform);
+        const position = vec3.fromValues(ray[12], ray[13], ray[14]);
+        const velocity = vec3.fromValues(-ray[8], -ray[9], -ray[10]);
+        vec3.scale(velocity, velocity, ARC_SPEED * scale);
+        const gravity = vec3.scale(vec3.create(), up, -GRAVITY * scale);
+
+        const ground = this.ground ?? {
+            normal: up,
+            height: vec3.dot(this.origin.subarray(12, 15), up),
+        };
+        const above = (point) => vec3.dot(point, ground.normal) - ground.height;
+
+        teleport.points.push(vec3.clone(position));
+        for (let i = 0; i < ARC_STEPS; i++) {
+            const next = vec3.scaleAndAdd(vec3.create(), position, velocity, ARC_STEP);
+            vec3.scaleAndAdd(next, next, gravity, 0.5 * ARC_STEP * ARC_STEP);
+            vec3.scaleAndAdd(velocity, velocity, gravity, ARC_STEP);
+
+            const before = above(position);
+            const after = above(next);
+            if (before >= 0 && after < 0) {
+                const hit = vec3.lerp(vec3.create(), position, next, before / (before - after));
+                teleport.points.push(hit);
+                teleport.target = hit;
+                return;
+            }
+            teleport.points.push(next);
+            vec3.copy(position, next);
+        }
+    }
+
+    // Moves the reference space so the feet, under the head on the room's
+    // floor, stand on target
+    teleportTo(headTransform, target) {
+        if (!target) return;
+        const head = headTransform.matrix;
+        const feet = vec3.transformMat4(vec3.create(), [head[12], 0, head[14]], this.origin);
+        const offset = vec3.subtract(feet, target, feet);
+        mat4.multiply(this.origin, mat4.fromTranslation(mat4.create(), offset), this.origin);
+    }
+
+    // Where each hand holds on to the world in the reference space: a
+    // squeezed controller grip or a pinch
+    grabPoint(handedness) {
+        const controller = this.controllers.get(handedness);
+        if (controller?.gamepad.buttons[1]?.pressed && controller.gripPose) {
+            const { x, y, z } = controller.gripPose.transform.position;
+            return vec3.fromValues(x, y, z);
+        }
+        if (this.panel?.isPointing(handedness)) return null;
+        return this.handTracking.gestures.get('pinch')?.hands.get(handedness) ?? null;
+    }
+
+    // With both hands holding on, the world follows them: it turns about
+    // the room's up as they swing around each other and scales as they
+    // move apart or together. Returns whether a grab is on.
+    updateGrab() {
+        const left = this.grabPoint('left');
+        const right = this.grabPoint('right');
+        if (!left || !right) {
+            this.grab = null;
+            return false;
+        }
+        if (!this.grab) {
+            this.grab = { origin: mat4.clone(this.origin), left, right };
+            this.teleport = null;
+            return true;
+        }
+
+        const start = this.grab;
+        const span = (a, b) => vec3.subtract(vec3.create(), b, a);
+        const midpoint = (a, b) => vec3.lerp(vec3.create(), a, b, 0.5);
+        const span0 = span(start.left, start.right);
+        const span1 = span(left, right);
+        const startScale = vec3.length(start.origin.subarray(0, 3));
+        const ratio = vec3.length(span1) / Math.max(vec3.length(span0), 1e-3);
+        // The world scale ends up startScale / ratio
+        const k = Math.min(Math.max(ratio, startScale / MAX_WORLD_SCALE), startScale / MIN_WORLD_SCALE);
+        const angle = Math.atan2(span0[2], span0[0]) - Math.atan2(span1[2], span1[0]);
+
+        // Takes the hands' starting points onto where they are now
+        const hands = mat4.fromTranslation(mat4.create(), midpoint(left, right));
+        mat4.rotateY(hands, hands, angle);
+        mat4.scale(hands, hands, [k, k, k]);
+        mat4.translate(hands, hands, vec3.negate(vec3.create(), midpoint(start.left, start.right)));
+        // so what was held stays in hand
+        mat4.multiply(this.origin, start.origin, mat4.invert(hands, hands));
+        return true;
+    }
+
+    // Line segments of the teleport arc and a ring where it lands, of the
+    // rays pointing at the panel and, in AR, of the placement reticle and
+    // the detected floors and tables, as x, y, z, r, g, b per vertex in the
+    // world, for LineRenderer
+    buildLines() {
+        const vertices = [];
+        const line = (a, b, color) => vertices.push(...a, ...color, ...b, ...color);
+        const toWorld = (point) => vec3.transformMat4(vec3.create(), point, this.origin);
+        const ring = (center, normal, radius, color) => {
+            const u = this.flatten(vec3.fromValues(1, 0, 0), normal);
+            const v = vec3.cross(vec3.create(), normal, u);
+            const segments = 24;
+            const ringPoint = (i) => {
+                const angle = (i / segments) * Math.PI * 2;
+                const point = vec3.scaleAndAdd(vec3.create(), center, u, Math.cos(angle) * radius);
+                return vec3.scaleAndAdd(point, point, v, Math.sin(angle) * radius);
+            };
+            for (let i = 0; i < segments; i++) {
+                line(ringPoint(i), ringPoint(i + 1), color);
+            }
+        };
+
+        for (const { from, point } of this.panel?.hits.values() ?? []) {
+            line(toWorld(from), toWorld(point), POINTER_COLOR);
+        }
+
+        if (this.mode === 'immersive-ar') {
+            if (this.hit) {
+                const { x, y, z } = this.hit.position;
+                ring(toWorld([x, y, z]), this.worldUp, RETICLE_RADIUS * this.worldScale, RETICLE_COLOR);
+            }
+            if (!this.placed) {
+                for (const { orientation, matrix, polygon } of this.planes.values()) {
+                    if (orientation !== 'horizontal') continue;
+                    const outline = polygon.map(({ x, y, z }) =>
+                        toWorld(vec3.transformMat4(vec3.create(), [x, y, z], matrix)));
+                    outline.forEach((point, i) => line(point, outline[(i + 1) % outline.length], PLANE_COLOR));
+                }
+            }
+        }
+
+        const points = this.teleport?.points ?? [];
+        if (points.length >= 2) {
+            const target = this.teleport.target;
+            const color = target ? ARC_COLOR : MISS_COLOR;
+            for (let i = 1; i < points.length; i++) {
+                line(points[i - 1], points[i], color);
+            }
+            if (target) {
+                ring(target, this.ground?.normal ?? this.worldUp, TARGET_RADIUS * this.worldScale, color);
+            }
+        }
+        return new Float32Array(vertices);
+    }
+
+    // Puts the camera where the head is in the world. Its axes come from
+    // the pose's: x right, y up, and z pointing back from the view.
+    updateCameraFromXRPose(transform) {
+        const pose = this.worldPose(transform);
+        const right = vec3.fromValues(pose[0], pose[1], pose[2]);
+        const up = vec3.fromValues(pose[4], pose[5], pose[6]);
+        const back = vec3.fromValues(pose[8], pose[9], pose[10]);
+
+        this.camera.position = vec3.fromValues(pose[12], pose[13], pose[14]);
+        this.camera.right = right;
+        this.camera.up = this.flipped ? vec3.negate(up, up) : up;
+        this.camera.front = this.flipped ? back : vec3.negate(back, back);
     }
 
+    // Starts the world over from the camera's pose on the next frame
     resetView() {
-        this.camera.position = [0, 1.6, 3];
-        this.camera.rotation = { x: 0, y: 0, z: 0 };
+        this.origin = null;
     }
 }
\ No newline at end of file
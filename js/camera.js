@@ -18,8 +18,33 @@ export class Camera {
         this.mouseSensitivity = 0.1;
 
         this.updateCameraVectors();
+        // Focal lengths in window pixels, until a training camera's
+        // intrinsics replace them
         this.fy = 1164.6601287484507;
         this.fx = 1159.5880733038064;
+        // { width, height, fx, fy, cx, cy } of an imported camera's image,
+        // fitted into whatever is being rendered; null for a centered lens
+        this.intrinsics = null;
+        // Clip planes, in the units the camera moves in
+        this.znear = 0.2;
+        this.zfar = 200;
+        // Orthographic views show orthoHeight units from the bottom of the
+        // view to the top, however far away the scene is
+        this.orthographic = false;
+        this.orthoHeight = 10;
+    }
+
+    // Vertical field of view in degrees of the focal lengths seen through a
+    // viewport height pixels tall
+    getFieldOfView(height) {
+        return 2 * Math.atan(height / (2 * this.fy)) * 180 / Math.PI;
+    }
+
+    // Sets the focal lengths for that field of view, keeping their ratio
+    setFieldOfView(degrees, height) {
+        const fy = height / (2 * Math.tan(degrees * Math.PI / 360));
+        this.fx *= fy / this.fy;
+        this.fy = fy;
     }
 
     updateCameraVectors() {
@@ -107,6 +132,28 @@ export class Camera {
         this.updateCameraVectors();
     }
 
+    // Turns the camera about an axis through pivot. Position and
+    // orientation turn together, so the pivot stays put on screen.
+    rotateAround(pivot, axis, angle) {
+        const rotation = mat4.fromRotation(mat4.create(), angle, axis);
+        if (!rotation) return;
+
+        const offset = vec3.subtract(vec3.create(), this.position, pivot);
+        vec3.transformMat4(offset, offset, rotation);
+        this.position = vec3.add(vec3.create(), pivot, offset);
+        this.front = vec3.normalize(vec3.create(), vec3.transformMat4(vec3.create(), this.front, rotation));
+        this.up = vec3.normalize(vec3.create(), vec3.transformMat4(vec3.create(), this.up, rotation));
+        this.right = vec3.normalize(vec3.create(), vec3.transformMat4(vec3.create(), this.right, rotation));
+    }
+
+    // Recovers yaw and pitch from the front vector after it was set
+    // directly, so mouse-style rotation continues from the current view
+    syncAnglesFromFront() {
+        const front = vec3.normalize(vec3.create(), this.front);
+        this.pitch = Math.asin(Math.max(-1, Math.min(1, front[1]))) * 180 / Math.PI;
+        this.yaw = Math.atan2(front[2], front[0]) * 180 / Math.PI;
+    }
+
     getViewMatrix() {
         const viewMatrix = mat4.create();
         const target = vec3.create();
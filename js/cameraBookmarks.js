@@ -0,0 +1,188 @@
+// cameraBookmarks.js
+import { vec3, quat, mat3 } from 'https://cdn.skypack.dev/gl-matrix';
+
+const STORAGE_PREFIX = 'webgl_base.bookmarks:';
+const FILE_FORMAT = 'webgl_base-camera-bookmarks';
+const FLIGHT_MS = 1200;
+
+const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+const isVector = (value) =>
+    Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+// Rotation taking camera axes to world axes: right, up and -front as
+// columns, re-orthogonalized since stored vectors drift
+export function poseOrientation(pose) {
+    const front = vec3.normalize(vec3.create(), pose.front);
+    const right = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), front, pose.up));
+    const up = vec3.cross(vec3.create(), right, front);
+    const basis = mat3.fromValues(
+        right[0], right[1], right[2],
+        up[0], up[1], up[2],
+        -front[0], -front[1], -front[2],
+    );
+    return quat.normalize(quat.create(), quat.fromMat3(quat.create(), basis));
+}
+
+// Named camera poses. Each set of loaded scenes keeps its own list in
+// localStorage, and lists can be saved to or merged from a JSON file.
+// Flights between poses ease the position and slerp the orientation; call
+// update() once a frame to advance them. onPoseApplied(done) runs after
+// every step so the app can follow focal length changes.
+export class CameraBookmarks {
+    constructor(camera, { onPoseApplied = () => {} } = {}) {
+        this.camera = camera;
+        this.onPoseApplied = onPoseApplied;
+        this.bookmarks = [];
+        this.nextId = 1;
+        this.sceneKey = null;
+        this.flight = null;
+    }
+
+    // Position, orientation and focal lengths of the camera right now
+    capture() {
+        const camera = this.camera;
+        return {
+            position: Array.from(camera.position),
+            front: Array.from(camera.front),
+            up: Array.from(camera.up),
+            fx: camera.fx,
+            fy: camera.fy,
+        };
+    }
+
+    add(name) {
+        const bookmark = {
+            id: this.nextId++,
+            name: name || `View ${this.bookmarks.length + 1}`,
+            pose: this.capture(),
+        };
+        this.bookmarks.push(bookmark);
+        this.changed();
+        return bookmark;
+    }
+
+    remove(id) {
+        this.bookmarks = this.bookmarks.filter(bookmark => bookmark.id !== id);
+        this.changed();
+    }
+
+    rename(id, name) {
+        const bookmark = this.bookmarks.find(bookmark => bookmark.id === id);
+        if (!bookmark || !name) return;
+        bookmark.name = name;
+        this.changed();
+    }
+
+    // Switches to the list saved for another set of scenes
+    setSceneKey(key) {
+        if (key === this.sceneKey) return;
+        this.sceneKey = key;
+        this.bookmarks = [];
+        try {
+            const stored = localStorage.getItem(STORAGE_PREFIX + key);
+            if (stored) this.addAll(JSON.parse(stored));
+        } catch (error) {
+            console.warn('Could not read saved camera bookmarks:', error);
+        }
+        this.changed(false);
+    }
+
+    flyTo(id, duration = FLIGHT_MS) {
+        const bookmark = this.bookmarks.find(bookmark => bookmark.id === id);
+        if (!bookmark) {
+            throw new Error(`No camera bookmark with id ${id}`);
+        }
+        const from = this.capture();
+        this.flight = {
+            from,
+            to: bookmark.pose,
+            fromRotation: poseOrientation(from),
+            toRotation: poseOrientation(bookmark.pose),
+            start: null,
+            duration,
+        };
+    }
+
+    get flying() {
+        return this.flight !== null;
+    }
+
+    // Advances a flight to time now (ms); returns whether one is running
+    update(now) {
+        const flight = this.flight;
+        if (!flight) return false;
+        if (flight.start === null) flight.start = now;
+
+        const t = flight.duration > 0 ? Math.min(1, (now - flight.start) / flight.duration) : 1;
+        const s = easeInOutCubic(t);
+        const rotation = quat.slerp(quat.create(), flight.fromRotation, flight.toRotation, s);
+
+        const camera = this.camera;
+        camera.position = vec3.lerp(vec3.create(), flight.from.position, flight.to.position, s);
+        camera.right = vec3.transformQuat(vec3.create(), [1, 0, 0], rotation);
+        camera.up = vec3.transformQuat(vec3.create(), [0, 1, 0], rotation);
+        camera.front = vec3.transformQuat(vec3.create(), [0, 0, -1], rotation);
+        camera.fx = flight.from.fx + (flight.to.fx - flight.from.fx) * s;
+        camera.fy = flight.from.fy + (flight.to.fy - flight.from.fy) * s;
+
+        const done = t >= 1;
+        if (done) this.flight = null;
+        this.onPoseApplied(done);
+        return !done;
+    }
+
+    toJSON() {
+        return {
+            format: FILE_FORMAT,
+            version: 1,
+            bookmarks: this.bookmarks.map(({ name, pose }) => ({ name, ...pose })),
+        };
+    }
+
+    // Merges the bookmarks of a file written by toJSON()
+    importJSON(text) {
+        const data = typeof text === 'string' ? JSON.parse(text) : text;
+        if (data?.format !== FILE_FORMAT || !Array.isArray(data.bookmarks)) {
+            throw new Error('Not a camera bookmarks file');
+        }
+        const count = this.addAll(data.bookmarks);
+        this.changed();
+        return count;
+    }
+
+    addAll(entries) {
+        let count = 0;
+        for (const { name, position, front, up, fx, fy } of entries) {
+            if (!isVector(position) || !isVector(front) || !isVector(up)) {
+                console.warn('Skipping malformed camera bookmark:', name);
+                continue;
+            }
+            this.bookmarks.push({
+                id: this.nextId++,
+                name: String(name || `View ${this.bookmarks.length + 1}`),
+                pose: {
+                    position, front, up,
+                    fx: Number.isFinite(fx) ? fx : this.camera.fx,
+                    fy: Number.isFinite(fy) ? fy : this.camera.fy,
+                },
+            });
+            count++;
+        }
+        return count;
+    }
+
+    changed(save = true) {
+        if (save && this.sceneKey !== null) {
+            try {
+                localStorage.setItem(STORAGE_PREFIX + this.sceneKey,
+                    JSON.stringify(this.toJSON().bookmarks));
+            } catch (error) {
+                console.warn('Could not save camera bookmarks:', error);
+            }
+        }
+        window.dispatchEvent(new CustomEvent('bookmarksChanged', {
+            detail: { bookmarks: this.bookmarks }
+        }));
+    }
+}
@@ -0,0 +1,276 @@
+// cameraPath.js
+import { vec3 } from 'https://cdn.skypack.dev/gl-matrix';
+import { LineRenderer } from './grid.js';
+
+const PATH_COLOR = [0.2, 0.8, 1.0];
+const KEYFRAME_COLOR = [1.0, 1.0, 1.0];
+const SELECTED_COLOR = [1.0, 1.0, 0.2];
+const SAMPLES_PER_SEGMENT = 24;
+const MARKER_SIZE = 0.05; // Fraction of the path's extent
+const PLAY_MODES = ['once', 'loop', 'pingpong'];
+
+// Uniform Catmull-Rom point between p1 and p2 at t in 0..1
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return [0, 1, 2].map(i => 0.5 * (
+        2 * p1[i] +
+        (-p0[i] + p2[i]) * t +
+        (2 * p0[i] - 5 * p1[i] + 4 * p2[i] - p3[i]) * t2 +
+        (-p0[i] + 3 * p1[i] - 3 * p2[i] + p3[i]) * t3
+    ));
+}
+
+// Keyframed flythrough. Keyframes are camera poses spaced evenly in time
+// over duration seconds; playback runs a Catmull-Rom spline through the
+// positions and through the front and up vectors, re-orthogonalized each
+// frame. In loop mode the spline closes back to the first keyframe. The
+// path is drawn as a polyline with a cross at every keyframe.
+export class CameraPath {
+    constructor(gl, camera, { onPoseApplied = () => {} } = {}) {
+        this.camera = camera;
+        this.onPoseApplied = onPoseApplied;
+        this.keyframes = [];
+        this.selected = -1;
+        this.duration = 10; // Seconds for one pass
+        this.mode = 'once';
+        this.visible = true;
+        this.time = 0; // Playback position, 0..1 of a pass
+        this.playing = false;
+        this.startTime = null;
+        this.lines = new LineRenderer(gl, 'camera path');
+        this.vertices = null; // Built lines, until the next change
+    }
+
+    capture() {
+        const camera = this.camera;
+        return {
+            position: Array.from(camera.position),
+            front: Array.from(camera.front),
+            up: Array.from(camera.up),
+        };
+    }
+
+    // Adds the current view after the selected keyframe, or at the end
+    addKeyframe() {
+        const index = this.selected >= 0 ? this.selected + 1 : this.keyframes.length;
+        this.keyframes.splice(index, 0, this.capture());
+        this.selected = index;
+        this.changed();
+    }
+
+    // Replaces the selected keyframe with the current view
+    updateKeyframe() {
+        if (this.selected < 0) return;
+        this.keyframes[this.selected] = this.capture();
+        this.changed();
+    }
+
+    removeKeyframe(index = this.selected) {
+        if (index < 0 || index >= this.keyframes.length) return;
+        this.keyframes.splice(index, 1);
+        this.selected = Math.min(this.selected, this.keyframes.length - 1);
+        this.changed();
+    }
+
+    clear() {
+        this.stop();
+        this.keyframes = [];
+        this.selected = -1;
+        this.changed();
+    }
+
+    // Selects a keyframe and moves the camera to it
+    selectKeyframe(index) {
+        if (index < 0 || index >= this.keyframes.length) return;
+        this.stop();
+        this.selected = index;
+        this.applyPose(this.keyframes[index], true);
+        this.changed();
+    }
+
+    setDuration(seconds) {
+        if (!(seconds > 0)) {
+            throw new Error(`Path duration must be positive, got ${seconds}`);
+        }
+        // Keep the playback position when the duration changes mid-play
+        if (this.playing) this.startTime = null;
+        this.duration = seconds;
+        this.changed();
+    }
+
+    setMode(mode) {
+        if (!PLAY_MODES.includes(mode)) {
+            throw new Error(`Unknown path play mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.changed();
+    }
+
+    get closed() {
+        return this.mode === 'loop';
+    }
+
+    play() {
+        if (this.keyframes.length < 2) {
+            throw new Error('A camera path needs at least two keyframes');
+        }
+        if (this.mode === 'once' && this.time >= 1) this.time = 0;
+        this.playing = true;
+        this.startTime = null;
+        this.dispatchTime();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.playing = false;
+        this.onPoseApplied(true);
+        this.dispatchTime();
+    }
+
+    stop() {
+        const wasPlaying = this.playing;
+        this.playing = false;
+        this.time = 0;
+        if (wasPlaying) this.onPoseApplied(true);
+        this.dispatchTime();
+    }
+
+    // Moves the camera to position u (0..1) along the path
+    seek(u) {
+        this.time = Math.max(0, Math.min(1, u));
+        this.startTime = null;
+        if (this.keyframes.length > 0) {
+            this.applyPose(this.sample(this.time), !this.playing);
+        }
+        this.dispatchTime();
+    }
+
+    // Advances playback to time now (ms); returns whether it is playing
+    update(now) {
+        if (!this.playing) return false;
+
+        // Elapsed time in passes along the path, resuming from the current
+        // position. Ping-pong runs a pass forward, then one backward.
+        if (this.startTime === null) this.startTime = now - this.time * this.duration * 1000;
+        const passes = (now - this.startTime) / (this.duration * 1000);
+
+        let u;
+        if (this.mode === 'once') {
+            u = Math.min(1, passes);
+        } else if (this.mode === 'loop') {
+            u = passes % 1;
+        } else {
+            const phase = passes % 2;
+            u = phase <= 1 ? phase : 2 - phase;
+        }
+        this.time = u;
+
+        const done = this.mode === 'once' && passes >= 1;
+        if (done) this.playing = false;
+        this.applyPose(this.sample(u), done);
+        this.dispatchTime();
+        return !done;
+    }
+
+    // Pose at u (0..1) along the path
+    sample(u) {
+        const keys = this.keyframes;
+        const count = keys.length;
+        if (count === 1) return keys[0];
+
+        const segments = this.closed ? count : count - 1;
+        const scaled = Math.max(0, Math.min(1, u)) * segments;
+        const segment = Math.min(segments - 1, Math.floor(scaled));
+        const t = scaled - segment;
+
+        const at = (i) => {
+            if (this.closed) return keys[((i % count) + count) % count];
+            return keys[Math.max(0, Math.min(count - 1, i))];
+        };
+        const [k0, k1, k2, k3] = [segment - 1, segment, segment + 1, segment + 2].map(at);
+        const spline = (field) => catmullRom(k0[field], k1[field], k2[field], k3[field], t);
+
+        const front = vec3.normalize(vec3.create(), spline('front'));
+        const right = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), front, spline('up')));
+        const up = vec3.cross(vec3.create(), right, front);
+        return { position: spline('position'), front, up, right };
+    }
+
+    applyPose(pose, done) {
+        const camera = this.camera;
+        camera.position = vec3.clone(pose.position);
+        camera.front = vec3.normalize(vec3.create(), pose.front);
+        camera.right = pose.right
+            ? vec3.clone(pose.right)
+            : vec3.normalize(vec3.create(), vec3.cross(vec3.create(), camera.front, pose.up));
+        camera.up = vec3.cross(vec3.create(), camera.right, camera.front);
+        this.onPoseApplied(done);
+    }
+
+    buildLines() {
+        const vertices = [];
+        const line = (a, b, color) => vertices.push(...a, ...color, ...b, ...color);
+        const keys = this.keyframes;
+        if (keys.length === 0) return new Float32Array(0);
+
+        if (keys.length > 1) {
+            const segments = this.closed ? keys.length : keys.length - 1;
+            const steps = segments * SAMPLES_PER_SEGMENT;
+            let previous = this.sample(0).position;
+            for (let step = 1; step <= steps; step++) {
+                const point = this.sample(step / steps).position;
+                line(previous, point, PATH_COLOR);
+                previous = point;
+            }
+        }
+
+        // A cross at each keyframe, sized to the path, with a tick along
+        // its view direction
+        const positions = keys.map(key => key.position);
+        const extent = [0, 1, 2].map(i =>
+            Math.max(...positions.map(p => p[i])) - Math.min(...positions.map(p => p[i])));
+        const size = Math.max(0.05, Math.max(...extent) * MARKER_SIZE);
+        keys.forEach((key, index) => {
+            const color = index === this.selected ? SELECTED_COLOR : KEYFRAME_COLOR;
+            const p = key.position;
+            for (let axis = 0; axis < 3; axis++) {
+                const a = [...p];
+                const b = [...p];
+                a[axis] -= size;
+                b[axis] += size;
+                line(a, b, color);
+            }
+            const front = vec3.normalize(vec3.create(), key.front);
+            line(p, [0, 1, 2].map(i => p[i] + front[i] * size * 3), color);
+        });
+
+        return new Float32Array(vertices);
+    }
+
+    // Hidden while playing, so the flythrough renders clean
+    draw(projectionMatrix, viewMatrix) {
+        if (!this.visible || this.playing) return;
+        if (!this.vertices) this.vertices = this.buildLines();
+        this.lines.draw(projectionMatrix, viewMatrix, this.vertices);
+    }
+
+    // Every edit of the keyframes, selection, duration or mode lands here
+    changed() {
+        this.vertices = null;
+        window.dispatchEvent(new CustomEvent('cameraPathChanged', {
+            detail: {
+                keyframes: this.keyframes.length,
+                selected: this.selected,
+                duration: this.duration,
+                mode: this.mode,
+            }
+        }));
+    }
+
+    dispatchTime() {
+        window.dispatchEvent(new CustomEvent('cameraPathTime', {
+            detail: { time: this.time, playing: this.playing }
+        }));
+    }
+}
@@ -0,0 +1,170 @@
+// commandHistory.js
+
+const DEFAULT_MAX_BYTES = 128 * 1024 * 1024;
+const DEFAULT_MAX_ENTRIES = 200;
+const MERGE_WINDOW_MS = 600; // Same-key commands closer than this collapse
+
+// Undo/redo stack. A command is recorded after it has been applied:
+//   { label, undo(), redo(), key?, bytes?, discard?() }
+// bytes is memory kept alive only for the history's sake (selection diffs,
+// removed scenes) and may be a getter; once the total passes maxBytes the
+// oldest commands are dropped and their discard() is called. Consecutive
+// commands with the same key, such as the steps of a slider drag, collapse
+// into one entry.
+export class CommandHistory {
+    constructor({ maxBytes = DEFAULT_MAX_BYTES, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.maxBytes = maxBytes;
+        this.maxEntries = maxEntries;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.replaying = false; // Set while a command undoes or redoes itself
+        this.collecting = null; // Commands recorded inside group()
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    get bytes() {
+        return [...this.undoStack, ...this.redoStack]
+            .reduce((sum, command) => sum + (command.bytes || 0), 0);
+    }
+
+    record(command) {
+        // Setters called by undo/redo must not record themselves again
+        if (this.replaying) return;
+        if (this.collecting) {
+            this.collecting.push(command);
+            return;
+        }
+
+        const now = performance.now();
+        const top = this.undoStack[this.undoStack.length - 1];
+        if (command.key && top && top.key === command.key &&
+            this.redoStack.length === 0 && now - top.time < MERGE_WINDOW_MS) {
+            // Keep the oldest undo, take the newest redo
+            top.redo = command.redo;
+            top.time = now;
+            this.changed();
+            return;
+        }
+
+        command.time = now;
+        this.undoStack.push(command);
+        this.discardAll(this.redoStack.splice(0));
+        this.trim();
+        this.changed();
+    }
+
+    // Records a change of a single setting. apply(value) sets it; a
+    // settingRestored event lets the UI follow when undo/redo sets it.
+    recordSetting(label, key, before, after, apply) {
+        if (before === after) return;
+        const restore = (value) => {
+            apply(value);
+            window.dispatchEvent(new CustomEvent('settingRestored', {
+                detail: { key, value }
+            }));
+        };
+        this.record({ label, key, undo: () => restore(before), redo: () => restore(after) });
+    }
+
+    // Records every command made inside fn as a single entry
+    group(label, fn) {
+        if (this.replaying || this.collecting) return fn();
+
+        const commands = [];
+        this.collecting = commands;
+        try {
+            return fn();
+        } finally {
+            this.collecting = null;
+            if (commands.length === 1) {
+                this.record(commands[0]);
+            } else if (commands.length > 1) {
+                this.record({
+                    label,
+                    undo: () => [...commands].reverse().forEach(command => command.undo()),
+                    redo: () => commands.forEach(command => command.redo()),
+                    get bytes() {
+                        return commands.reduce((sum, command) => sum + (command.bytes || 0), 0);
+                    },
+                    discard: () => commands.forEach(command => command.discard?.()),
+                });
+            }
+        }
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+        this.replay(() => command.undo());
+        command.time = 0; // Never merge into a command that was undone
+        this.redoStack.push(command);
+        this.trim();
+        this.changed();
+        return true;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+        this.replay(() => command.redo());
+        command.time = 0;
+        this.undoStack.push(command);
+        this.trim();
+        this.changed();
+        return true;
+    }
+
+    clear() {
+        this.discardAll(this.undoStack.splice(0));
+        this.discardAll(this.redoStack.splice(0));
+        this.changed();
+    }
+
+    replay(fn) {
+        this.replaying = true;
+        try {
+            fn();
+        } catch (error) {
+            console.error('Undo/redo failed:', error);
+        } finally {
+            this.replaying = false;
+        }
+    }
+
+    // Drops the oldest undo entries, then the last redo entries, until the
+    // history fits its entry and memory budgets
+    trim() {
+        let bytes = this.bytes;
+        while (this.undoStack.length + this.redoStack.length > 0 &&
+            (this.undoStack.length + this.redoStack.length > this.maxEntries || bytes > this.maxBytes)) {
+            const command = this.undoStack.length > 0 ? this.undoStack.shift() : this.redoStack.shift();
+            bytes -= command.bytes || 0;
+            this.discardAll([command]);
+        }
+    }
+
+    discardAll(commands) {
+        commands.forEach(command => command.discard?.());
+    }
+
+    changed() {
+        const undo = this.undoStack[this.undoStack.length - 1];
+        const redo = this.redoStack[this.redoStack.length - 1];
+        window.dispatchEvent(new CustomEvent('historyChanged', {
+            detail: {
+                canUndo: this.canUndo,
+                canRedo: this.canRedo,
+                undoLabel: undo?.label ?? null,
+                redoLabel: redo?.label ?? null,
+                bytes: this.bytes,
+            }
+        }));
+    }
+}
@@ -1,13 +1,48 @@
+import { vec3 } from 'https://cdn.skypack.dev/gl-matrix';
+import { GamepadControls } from './gamepadControls.js';
+
+const ORBIT_SPEED = 0.005; // Radians per pixel of drag
+const DOLLY_SPEED = 0.001; // Per wheel delta unit
+const MIN_ORBIT_DISTANCE = 0.01;
+const MAX_ORBIT_ELEVATION = 0.99; // Cosine limit that keeps orbits off the poles
+const LOOK_SPEED = 0.5; // Mouse-movement units per pixel of one-finger drag in fly mode
+const TAP_SLOP = 10; // Pixels a finger may move and still tap
+const TAP_MS = 250;
+const DOUBLE_TAP_MS = 300; // Between the two taps of a double tap
+const DOUBLE_TAP_SLOP = 30;
+const GAMEPAD_TURN_RATE = Math.PI / 2; // Radians per second at full stick
+
+// Keyboard fly camera, plus an orbit mode that turns around a pivot with
+// the mouse. On touch screens one finger turns (or orbits), two fingers
+// pinch to zoom and drag to pan, and a double tap focuses on the surface
+// under it. A gamepad flies the camera too. Options:
+//   flipped: the projection looks down -front with +up at the bottom of the
+//            screen, as the splat projection does
+//   pickSurface(x, y): resolves to the world point under canvas pixel (x, y)
+//            or null; used to place the orbit pivot and to focus
 export class Controls {
-    constructor(camera, canvas) {
+    constructor(camera, canvas, history = null, { flipped = false, pickSurface = null } = {}) {
         this.camera = camera;
         this.canvas = canvas;
+        this.history = history; // CommandHistory for Ctrl+Z / Ctrl+Shift+Z
+        this.flipped = flipped;
+        this.pickSurface = pickSurface;
         this.keys = {};
         this.mouseDown = false;
+        this.mode = 'fly';
+        this.pivot = null;
+        this.orbitDistance = 5.0; // Pivot distance when entering orbit mode
+        this.drag = null; // 'rotate' or 'pan' while a mouse button is held
+        this.touches = new Map(); // Last position of each finger, by pointer id
+        this.tap = null; // The touch in progress while it can still be a tap
+        this.lastTap = null;
+        this.lastTouchEnd = -Infinity;
         this.lastX = this.canvas.width / 2;
         this.lastY = this.canvas.height / 2;
         this.rotationSpeed = 10.0;
         this.rollSpeed = 2.0; // Speed for screen space rotation
+        this.gamepad = new GamepadControls();
+        this.gamepadLooking = false;
         this.initialPosition = [...camera.position];
         this.initialFront = [...camera.front];
         this.initialUp = [...camera.up];
@@ -18,6 +53,7 @@ export class Controls {
 
     setupEventListeners() {
         document.addEventListener('keydown', (e) => {
+            if (this.handleHistoryKeys(e)) return;
             this.keys[e.key.toLowerCase()] = true;
             if (e.key.toLowerCase() === 'f') {
                 this.resetCamera();
@@ -28,17 +64,346 @@ export class Controls {
             this.keys[e.key.toLowerCase()] = false;
         });
 
-        this.canvas.addEventListener('mousedown', (e) => {
+        // Mouse, pen and touch all arrive as pointer events. The crop and
+        // selection tools listen in the capture phase and keep the pointers
+        // they use from reaching these.
+        this.canvas.style.touchAction = 'none';
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e, false));
+        this.canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e, true));
+        // Older Safari zooms the page on a pinch despite touch-action
+        this.canvas.addEventListener('gesturestart', (e) => e.preventDefault());
+
+        this.canvas.addEventListener('wheel', (e) => {
+            // Orthographic views zoom with the wheel in either mode
+            if (this.mode !== 'orbit' && !this.camera.orthographic) return;
+            e.preventDefault();
+            this.dolly(Math.exp(e.deltaY * DOLLY_SPEED));
+        }, { passive: false });
+
+        this.canvas.addEventListener('dblclick', (e) => {
+            // Some browsers follow a double tap with a dblclick; the tap
+            // has already focused
+            if (this.mode !== 'orbit' || e.timeStamp - this.lastTouchEnd < 500) return;
+            const rect = this.canvas.getBoundingClientRect();
+            this.pickPivot(e.clientX - rect.left, e.clientY - rect.top, false);
+        });
+
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+
+    onPointerDown(e) {
+        this.canvas.setPointerCapture(e.pointerId);
+        if (e.pointerType === 'mouse') {
             this.mouseDown = true;
             this.canvas.style.cursor = 'pointer';
-        });
+            this.lastX = e.clientX;
+            this.lastY = e.clientY;
+            if (this.mode === 'orbit') {
+                // Left drag orbits, right or middle drag (or Shift+left) pans
+                this.drag = e.button === 0 && !e.shiftKey ? 'rotate' : 'pan';
+            }
+            return;
+        }
+
+        this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (this.touches.size === 1) {
+            this.tap = { time: e.timeStamp, x: e.clientX, y: e.clientY };
+            // Turning by yaw/pitch must start from the current view
+            if (this.mode === 'fly') this.camera.syncAnglesFromFront();
+        } else {
+            this.tap = null;
+        }
+    }
+
+    onPointerMove(e) {
+        if (e.pointerType === 'mouse') {
+            if (!this.drag) return;
+            const dx = e.clientX - this.lastX;
+            const dy = e.clientY - this.lastY;
+            this.lastX = e.clientX;
+            this.lastY = e.clientY;
+            if (this.drag === 'rotate') {
+                this.orbit(dx, dy);
+            } else {
+                this.pan(dx, dy);
+            }
+            return;
+        }
+
+        const touch = this.touches.get(e.pointerId);
+        if (!touch) return;
+
+        if (this.touches.size === 1) {
+            const dx = e.clientX - touch.x;
+            const dy = e.clientY - touch.y;
+            touch.x = e.clientX;
+            touch.y = e.clientY;
+            if (this.tap && Math.hypot(e.clientX - this.tap.x, e.clientY - this.tap.y) > TAP_SLOP) {
+                this.tap = null;
+            }
+            if (this.mode === 'orbit') {
+                this.orbit(dx, dy);
+            } else {
+                this.look(dx, dy);
+            }
+            return;
+        }
 
-        document.addEventListener('mouseup', () => {
+        // Two fingers: spreading zooms in, moving together pans. Any
+        // further fingers are ignored.
+        const [a, b] = this.touches.values();
+        if (touch !== a && touch !== b) {
+            touch.x = e.clientX;
+            touch.y = e.clientY;
+            return;
+        }
+        const distanceBefore = Math.hypot(a.x - b.x, a.y - b.y);
+        const midBefore = [(a.x + b.x) / 2, (a.y + b.y) / 2];
+        touch.x = e.clientX;
+        touch.y = e.clientY;
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        const mid = [(a.x + b.x) / 2, (a.y + b.y) / 2];
+
+        if (distanceBefore > 0 && distance > 0) {
+            this.dolly(distanceBefore / distance);
+        }
+        this.pan(mid[0] - midBefore[0], mid[1] - midBefore[1]);
+    }
+
+    onPointerUp(e, cancelled) {
+        if (this.canvas.hasPointerCapture(e.pointerId)) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
+        if (e.pointerType === 'mouse') {
             this.mouseDown = false;
+            this.drag = null;
             this.canvas.style.cursor = 'default';
-        });
+            return;
+        }
 
-        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        if (!this.touches.delete(e.pointerId)) return;
+        this.lastTouchEnd = e.timeStamp;
+        const tap = this.tap;
+        this.tap = null;
+        if (cancelled || !tap || e.timeStamp - tap.time > TAP_MS) return;
+
+        const last = this.lastTap;
+        if (last && tap.time - last.time < DOUBLE_TAP_MS &&
+            Math.hypot(tap.x - last.x, tap.y - last.y) < DOUBLE_TAP_SLOP) {
+            this.lastTap = null;
+            const rect = this.canvas.getBoundingClientRect();
+            this.focusAt(tap.x - rect.left, tap.y - rect.top);
+        } else {
+            this.lastTap = tap;
+        }
+    }
+
+    // Direction the camera looks in, and the world direction that points
+    // up on screen
+    get viewDirection() {
+        const front = vec3.normalize(vec3.create(), this.camera.front);
+        return this.flipped ? vec3.negate(front, front) : front;
+    }
+
+    get screenUp() {
+        const up = vec3.normalize(vec3.create(), this.camera.up);
+        return this.flipped ? vec3.negate(up, up) : up;
+    }
+
+    // The world direction orbits keep upright
+    get sceneUp() {
+        const up = vec3.clone(this.camera.worldUp);
+        return this.flipped ? vec3.negate(up, up) : up;
+    }
+
+    // 'fly' or 'orbit'. Entering orbit puts the pivot on the line of sight,
+    // so the view does not move; leaving it hands the orientation back to
+    // the yaw/pitch keys.
+    setMode(mode) {
+        if (mode !== 'fly' && mode !== 'orbit') {
+            throw new Error(`Unknown camera mode: ${mode}`);
+        }
+        if (mode === this.mode) return;
+
+        this.mode = mode;
+        this.drag = null;
+        if (mode === 'orbit') {
+            this.pivot = vec3.scaleAndAdd(vec3.create(), this.camera.position, this.viewDirection, this.orbitDistance);
+            // Move the pivot out to whatever is in the middle of the view
+            this.pickPivot(this.canvas.clientWidth / 2, this.canvas.clientHeight / 2, true);
+        } else {
+            this.camera.syncAnglesFromFront();
+        }
+
+        window.dispatchEvent(new CustomEvent('cameraModeChanged', {
+            detail: { mode }
+        }));
+    }
+
+    // Call after moving the camera from outside: picks yaw/pitch up from
+    // the new view, or in orbit mode puts the pivot back on the line of sight
+    syncToCamera() {
+        if (this.mode === 'orbit') {
+            this.pivot = vec3.scaleAndAdd(vec3.create(), this.camera.position, this.viewDirection, this.orbitDistance);
+        } else {
+            this.camera.syncAnglesFromFront();
+        }
+    }
+
+    // Places the pivot on the surface under canvas pixel (x, y). With
+    // alongSight the pivot only slides along the line of sight to that
+    // depth instead of jumping to the point.
+    async pickPivot(x, y, alongSight) {
+        const point = await this.pick(x, y);
+        if (!point || this.mode !== 'orbit') return;
+
+        if (alongSight) {
+            const view = this.viewDirection;
+            const depth = vec3.dot(vec3.subtract(vec3.create(), point, this.camera.position), view);
+            if (depth <= MIN_ORBIT_DISTANCE) return;
+            this.pivot = vec3.scaleAndAdd(vec3.create(), this.camera.position, view, depth);
+        } else {
+            this.pivot = vec3.clone(point);
+        }
+        this.orbitDistance = vec3.distance(this.camera.position, this.pivot);
+    }
+
+    // Turns the camera to face the surface under canvas pixel (x, y). In
+    // orbit mode that point becomes the pivot as well.
+    async focusAt(x, y) {
+        const point = await this.pick(x, y);
+        if (!point) return;
+
+        this.aimAt(point);
+        if (this.mode === 'orbit') {
+            this.pivot = vec3.clone(point);
+            this.orbitDistance = vec3.distance(this.camera.position, this.pivot);
+        } else {
+            this.camera.syncAnglesFromFront();
+        }
+    }
+
+    async pick(x, y) {
+        if (!this.pickSurface) return null;
+        try {
+            return await this.pickSurface(x, y);
+        } catch (error) {
+            console.warn('Could not pick a surface point:', error);
+            return null;
+        }
+    }
+
+    // Turns the camera to look along view with screenUp at the top of the
+    // screen, around the pivot in orbit mode or the point orbitDistance
+    // ahead in fly mode, so that point stays in the middle
+    lookAlong(view, screenUp) {
+        const camera = this.camera;
+        const center = this.mode === 'orbit'
+            ? this.pivot
+            : vec3.scaleAndAdd(vec3.create(), camera.position, this.viewDirection, this.orbitDistance);
+        const distance = vec3.distance(camera.position, center);
+        const direction = vec3.normalize(vec3.create(), view);
+        const up = vec3.normalize(vec3.create(), screenUp);
+
+        camera.position = vec3.scaleAndAdd(vec3.create(), center, direction, -distance);
+        camera.right = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), direction, up));
+        camera.front = this.flipped ? vec3.negate(direction, direction) : direction;
+        camera.up = this.flipped ? vec3.negate(up, up) : up;
+        this.syncToCamera();
+    }
+
+    // Turns the camera in place, by the shortest rotation, to look at point
+    aimAt(point) {
+        const target = vec3.subtract(vec3.create(), point, this.camera.position);
+        if (vec3.length(target) < MIN_ORBIT_DISTANCE) return;
+        vec3.normalize(target, target);
+
+        const view = this.viewDirection;
+        const axis = vec3.cross(vec3.create(), view, target);
+        if (vec3.length(axis) < 1e-6) return;
+        const angle = Math.acos(Math.max(-1, Math.min(1, vec3.dot(view, target))));
+        this.camera.rotateAround(this.camera.position, vec3.normalize(axis, axis), angle);
+    }
+
+    // Fly mode drag: turns the camera in place so the scene follows the finger
+    look(dx, dy) {
+        this.camera.processMouseMovement((this.flipped ? dx : -dx) * LOOK_SPEED, dy * LOOK_SPEED);
+    }
+
+    // Turntable orbit: horizontal drag turns about the screen's up axis,
+    // vertical drag tilts over the pivot without going past the poles
+    orbit(dx, dy) {
+        const worldUp = this.sceneUp;
+        this.camera.rotateAround(this.pivot, worldUp, -dx * ORBIT_SPEED);
+
+        const before = { position: this.camera.position, front: this.camera.front, up: this.camera.up, right: this.camera.right };
+        const elevationBefore = this.elevation(worldUp);
+        this.camera.rotateAround(this.pivot, vec3.normalize(vec3.create(), this.camera.right), -dy * ORBIT_SPEED);
+        const elevation = this.elevation(worldUp);
+        if (elevation > MAX_ORBIT_ELEVATION && elevation > elevationBefore) {
+            Object.assign(this.camera, before);
+        }
+    }
+
+    // How close the camera is to straight above or below the pivot, 0..1
+    elevation(up) {
+        const offset = vec3.subtract(vec3.create(), this.camera.position, this.pivot);
+        return Math.abs(vec3.dot(vec3.normalize(offset, offset), up));
+    }
+
+    // Slides camera and pivot together so the scene follows the pointer at
+    // the pivot's depth. Fly mode pans as if the pivot were orbitDistance
+    // ahead; orthographic views move the same at every depth.
+    pan(dx, dy) {
+        const orbiting = this.mode === 'orbit';
+        const distance = orbiting ? vec3.distance(this.camera.position, this.pivot) : this.orbitDistance;
+        const unitsPerPixel = this.camera.orthographic
+            ? this.camera.orthoHeight / this.canvas.clientHeight
+            : distance / this.camera.fy;
+        const move = vec3.create();
+        vec3.scaleAndAdd(move, move, this.camera.right, -dx * unitsPerPixel);
+        vec3.scaleAndAdd(move, move, this.screenUp, dy * unitsPerPixel);
+        this.camera.position = vec3.add(vec3.create(), this.camera.position, move);
+        if (orbiting) vec3.add(this.pivot, this.pivot, move);
+    }
+
+    // Moves toward (factor < 1) or away from the pivot; in fly mode, along
+    // the line of sight by the same amount. Moving does not change the
+    // size of an orthographic view, so those zoom instead.
+    dolly(factor) {
+        if (this.camera.orthographic) {
+            this.camera.orthoHeight = Math.max(MIN_ORBIT_DISTANCE, this.camera.orthoHeight * factor);
+            return;
+        }
+        if (this.mode !== 'orbit') {
+            this.camera.position = vec3.scaleAndAdd(vec3.create(), this.camera.position,
+                this.viewDirection, (1 - factor) * this.orbitDistance);
+            return;
+        }
+        const offset = vec3.subtract(vec3.create(), this.camera.position, this.pivot);
+        const distance = Math.max(MIN_ORBIT_DISTANCE, vec3.length(offset) * factor);
+        vec3.normalize(offset, offset);
+        this.camera.position = vec3.scaleAndAdd(vec3.create(), this.pivot, offset, distance);
+        this.orbitDistance = distance;
+    }
+
+    // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes (Cmd on macOS). Text
+    // fields keep their own undo.
+    handleHistoryKeys(e) {
+        if (!this.history || !(e.ctrlKey || e.metaKey)) return false;
+        if (e.target.closest?.('textarea, input:not([type="range"]):not([type="checkbox"])')) return false;
+
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return false;
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            this.history.redo();
+        } else {
+            this.history.undo();
+        }
+        return true;
     }
 
     resetCamera() {
@@ -51,9 +416,15 @@ export class Controls {
         this.camera.pitch = this.initialPitch;
         // Update camera vectors to apply changes
         this.camera.updateCameraVectors();
+        if (this.mode === 'orbit') {
+            this.pivot = vec3.scaleAndAdd(vec3.create(), this.camera.position, this.viewDirection, this.orbitDistance);
+        }
     }
 
     update(deltaTime) {
+        // In orbit mode the pivot travels with the camera
+        const start = this.mode === 'orbit' ? vec3.clone(this.camera.position) : null;
+
         // Movement controls (WASD + QE)
         if (this.keys['s']) this.camera.processKeyboard('FORWARD', deltaTime);
         if (this.keys['w']) this.camera.processKeyboard('BACKWARD', deltaTime);
@@ -62,14 +433,67 @@ export class Controls {
         if (this.keys['q']) this.camera.processKeyboard('DOWN', deltaTime);
         if (this.keys['e']) this.camera.processKeyboard('UP', deltaTime);
 
-        // Camera rotation controls (IJKL)
-        if (this.keys['i']) this.camera.processMouseMovement(0, this.rotationSpeed);
-        if (this.keys['k']) this.camera.processMouseMovement(0, -this.rotationSpeed);
-        if (this.keys['l']) this.camera.processMouseMovement(-this.rotationSpeed, 0);
-        if (this.keys['j']) this.camera.processMouseMovement(this.rotationSpeed, 0);
+        const pad = this.gamepad.read();
+        if (pad) this.applyGamepadMove(pad, deltaTime);
+
+        if (start) {
+            vec3.add(this.pivot, this.pivot, vec3.subtract(vec3.create(), this.camera.position, start));
+
+            // IJKL orbit the pivot instead of turning the camera in place
+            const step = this.rotationSpeed * this.camera.mouseSensitivity * Math.PI / 180 / ORBIT_SPEED;
+            if (this.keys['i']) this.orbit(0, -step);
+            if (this.keys['k']) this.orbit(0, step);
+            if (this.keys['l']) this.orbit(step, 0);
+            if (this.keys['j']) this.orbit(-step, 0);
+        } else {
+            // Camera rotation controls (IJKL)
+            if (this.keys['i']) this.camera.processMouseMovement(0, this.rotationSpeed);
+            if (this.keys['k']) this.camera.processMouseMovement(0, -this.rotationSpeed);
+            if (this.keys['l']) this.camera.processMouseMovement(-this.rotationSpeed, 0);
+            if (this.keys['j']) this.camera.processMouseMovement(this.rotationSpeed, 0);
+        }
+
+        if (pad) this.applyGamepadTurn(pad, deltaTime);
 
         // Screen space rotation controls (O/U)
         if (this.keys['u']) this.camera.processScreenSpaceRotation(this.rollSpeed * deltaTime);
         if (this.keys['o']) this.camera.processScreenSpaceRotation(-this.rollSpeed * deltaTime);
     }
+
+    // Stick and triggers move like held keys, at a speed proportional to
+    // how far they are pushed
+    applyGamepadMove(pad, deltaTime) {
+        const move = (direction, opposite, amount) => {
+            if (amount > 0) this.camera.processKeyboard(direction, amount * deltaTime);
+            if (amount < 0) this.camera.processKeyboard(opposite, -amount * deltaTime);
+        };
+        // Flipped, the view looks down -front and +up is toward the bottom
+        // of the screen
+        const [ahead, behind] = this.flipped ? ['BACKWARD', 'FORWARD'] : ['FORWARD', 'BACKWARD'];
+        const [above, below] = this.flipped ? ['DOWN', 'UP'] : ['UP', 'DOWN'];
+        move(ahead, behind, pad.move[1]);
+        move('RIGHT', 'LEFT', pad.move[0]);
+        move(above, below, pad.vertical);
+    }
+
+    // The right stick looks around, or orbits the pivot in orbit mode;
+    // the bumpers roll
+    applyGamepadTurn(pad, deltaTime) {
+        const [x, y] = pad.look;
+        const angle = GAMEPAD_TURN_RATE * deltaTime;
+        if (x === 0 && y === 0) {
+            this.gamepadLooking = false;
+        } else if (this.mode === 'orbit') {
+            this.orbit(-x * angle / ORBIT_SPEED, y * angle / ORBIT_SPEED);
+        } else {
+            if (!this.gamepadLooking) this.camera.syncAnglesFromFront();
+            this.gamepadLooking = true;
+            const degrees = angle * 180 / Math.PI / this.camera.mouseSensitivity;
+            this.camera.processMouseMovement((this.flipped ? -x : x) * degrees, y * degrees);
+        }
+
+        if (pad.roll !== 0) {
+            this.camera.processScreenSpaceRotation(pad.roll * this.rollSpeed * deltaTime);
+        }
+    }
 }
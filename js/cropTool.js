@@ -0,0 +1,296 @@
+// cropTool.js
+import { LineRenderer } from './grid.js';
+
+const BOX_COLOR = [1.0, 0.6, 0.1];
+const AXIS_COLORS = [[0.9, 0.2, 0.2], [0.2, 0.9, 0.2], [0.3, 0.4, 1.0]];
+const CENTER_COLOR = [1.0, 1.0, 1.0];
+const ACTIVE_COLOR = [1.0, 1.0, 0.2];
+const HANDLE_PIXELS = 6; // Half size of a handle on screen
+const PICK_PIXELS = 12; // How close the pointer must be to grab a handle
+const MIN_SIZE = 0.01;
+const CIRCLE_SEGMENTS = 64;
+
+// Box or sphere crop volume drawn as a wireframe over the splats. Handles on
+// the faces (box) or the axes (sphere) resize it and the center handle moves
+// it in the view plane. The volume is in scene space, before the app's
+// uniform scale, which is the space the worker and shader test splats in.
+export class CropTool {
+    constructor(gl, canvas, onChange) {
+        this.gl = gl;
+        this.canvas = canvas;
+        this.onChange = onChange;
+
+        this.mode = 'off';
+        this.center = [0, 0, 0];
+        this.size = [1, 1, 1]; // Box half extents
+        this.radius = 1;
+        this.placed = false; // Set once the volume is fitted or edited
+
+        this.viewProj = null;
+        this.projection = null;
+        this.uniformScale = 1;
+        this.hovered = -1;
+        this.drag = null;
+
+        this.lines = new LineRenderer(gl, 'crop');
+        this.setupPointerEvents();
+    }
+
+    // The volume the splats are tested against, or null when cropping is off
+    get volume() {
+        if (this.mode === 'box') {
+            return { type: 'box', center: [...this.center], size: [...this.size] };
+        }
+        if (this.mode === 'sphere') {
+            return { type: 'sphere', center: [...this.center], radius: this.radius };
+        }
+        return null;
+    }
+
+    setMode(mode) {
+        if (!['off', 'box', 'sphere'].includes(mode)) {
+            throw new Error(`Unknown crop mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.drag = null;
+        this.hovered = -1;
+        this.canvas.style.cursor = '';
+        this.notify();
+    }
+
+    setVolume({ center, size, radius }) {
+        if (center) this.center = [...center];
+        if (size) this.size = size.map(s => Math.max(MIN_SIZE, s));
+        if (radius !== undefined) this.radius = Math.max(MIN_SIZE, radius);
+        this.placed = true;
+        this.notify();
+    }
+
+    // Fits the box around { min, max } and the sphere inside it
+    fit({ min, max }) {
+        const size = [0, 1, 2].map(i => (max[i] - min[i]) / 2);
+        this.setVolume({
+            center: [0, 1, 2].map(i => (min[i] + max[i]) / 2),
+            size,
+            radius: Math.max(...size),
+        });
+    }
+
+    notify() {
+        this.onChange?.(this.volume);
+    }
+
+    // Handles of the current mode: the center, then one per axis direction
+    getHandles() {
+        const handles = [{ kind: 'center', position: this.center }];
+        for (let axis = 0; axis < 3; axis++) {
+            for (const sign of [1, -1]) {
+                const position = [...this.center];
+                position[axis] += sign * (this.mode === 'box' ? this.size[axis] : this.radius);
+                handles.push({ kind: 'axis', axis, sign, position });
+            }
+        }
+        return handles;
+    }
+
+    // Scene-space point to CSS pixels on the canvas, or null behind the camera
+    project(point) {
+        const m = this.viewProj;
+        const s = this.uniformScale;
+        const x = point[0] * s, y = point[1] * s, z = point[2] * s;
+        const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+        if (w <= 0) return null;
+        const rect = this.canvas.getBoundingClientRect();
+        return [
+            ((m[0] * x + m[4] * y + m[8] * z + m[12]) / w * 0.5 + 0.5) * rect.width,
+            (0.5 - (m[1] * x + m[5] * y + m[9] * z + m[13]) / w * 0.5) * rect.height,
+        ];
+    }
+
+    pick(e) {
+        if (!this.viewProj) return -1;
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        let closest = -1;
+        let closestDistance = PICK_PIXELS;
+        this.getHandles().forEach((handle, i) => {
+            const screen = this.project(handle.position);
+            if (!screen) return;
+            const distance = Math.hypot(screen[0] - x, screen[1] - y);
+            if (distance < closestDistance) {
+                closest = i;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    // Screen motion, in pixels, of one scene unit along direction at point
+    screenAxis(point, direction) {
+        const a = this.project(point);
+        const b = this.project(point.map((value, i) => value + direction[i]));
+        return a && b ? [b[0] - a[0], b[1] - a[1]] : null;
+    }
+
+    setupPointerEvents() {
+        // Capture phase, so a grabbed handle never also reaches the camera controls
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (this.mode === 'off' || e.button !== 0) return;
+            const index = this.pick(e);
+            if (index < 0) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            this.canvas.setPointerCapture(e.pointerId);
+
+            const handle = this.getHandles()[index];
+            const view = this.viewProj;
+            this.drag = {
+                index,
+                handle,
+                pointerId: e.pointerId,
+                x: e.clientX,
+                y: e.clientY,
+                center: [...this.center],
+                size: [...this.size],
+                radius: this.radius,
+                // Fixed at grab time so the handle tracks the pointer even
+                // if the projection of the axis changes as the volume moves
+                axis: handle.kind === 'axis'
+                    ? this.screenAxis(handle.position, [0, 1, 2].map(i => (i === handle.axis ? 1 : 0)))
+                    : null,
+                // Camera right and up, rows of the view part of viewProj
+                right: this.screenAxis(this.center, normalize([view[0], view[4], view[8]])),
+                up: this.screenAxis(this.center, normalize([view[1], view[5], view[9]])),
+                rightDir: normalize([view[0], view[4], view[8]]),
+                upDir: normalize([view[1], view[5], view[9]]),
+            };
+        }, { capture: true });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.mode === 'off') return;
+            if (!this.drag) {
+                this.hovered = this.pick(e);
+                this.canvas.style.cursor = this.hovered >= 0 ? 'grab' : '';
+                return;
+            }
+            e.stopImmediatePropagation();
+            this.canvas.style.cursor = 'grabbing';
+            this.dragTo(e.clientX - this.drag.x, e.clientY - this.drag.y);
+        }, { capture: true });
+
+        const release = (e) => {
+            if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+            this.canvas.releasePointerCapture(e.pointerId);
+            this.drag = null;
+            this.canvas.style.cursor = this.hovered >= 0 ? 'grab' : '';
+        };
+        this.canvas.addEventListener('pointerup', release, { capture: true });
+        this.canvas.addEventListener('pointercancel', release, { capture: true });
+    }
+
+    // Applies a pointer offset, in pixels from where the drag started
+    dragTo(dx, dy) {
+        const { handle, axis, right, up, rightDir, upDir } = this.drag;
+        const center = [...this.drag.center];
+
+        if (handle.kind === 'center') {
+            if (!right || !up) return;
+            // Solve dx,dy = a * right + b * up for the view-plane offset
+            const det = right[0] * up[1] - right[1] * up[0];
+            if (Math.abs(det) < 1e-9) return;
+            const a = (dx * up[1] - dy * up[0]) / det;
+            const b = (right[0] * dy - right[1] * dx) / det;
+            this.setVolume({ center: center.map((c, i) => c + a * rightDir[i] + b * upDir[i]) });
+            return;
+        }
+
+        const length = axis ? axis[0] * axis[0] + axis[1] * axis[1] : 0;
+        if (length < 1e-6) return; // Axis points at the camera
+        const t = (dx * axis[0] + dy * axis[1]) / length;
+
+        if (this.mode === 'sphere') {
+            this.setVolume({ radius: this.drag.radius + handle.sign * t });
+            return;
+        }
+
+        // Move one face of the box; the opposite face stays put
+        const size = [...this.drag.size];
+        const extent = Math.max(MIN_SIZE, size[handle.axis] + handle.sign * t / 2);
+        center[handle.axis] += handle.sign * (extent - size[handle.axis]);
+        size[handle.axis] = extent;
+        this.setVolume({ center, size });
+    }
+
+    buildLines() {
+        const vertices = [];
+        const line = (a, b, color) => vertices.push(...a, ...color, ...b, ...color);
+        const s = this.uniformScale;
+        const scaled = (p) => p.map(value => value * s);
+        const c = this.center;
+
+        if (this.mode === 'box') {
+            const corner = (i) => [0, 1, 2].map(axis =>
+                c[axis] + ((i >> axis) & 1 ? 1 : -1) * this.size[axis]);
+            for (let i = 0; i < 8; i++) {
+                for (let axis = 0; axis < 3; axis++) {
+                    const j = i | (1 << axis);
+                    if (j !== i) line(scaled(corner(i)), scaled(corner(j)), BOX_COLOR);
+                }
+            }
+        } else {
+            // One circle in each axis plane
+            for (let axis = 0; axis < 3; axis++) {
+                const u = (axis + 1) % 3;
+                const v = (axis + 2) % 3;
+                const point = (k) => {
+                    const angle = (2 * Math.PI * k) / CIRCLE_SEGMENTS;
+                    const p = [...c];
+                    p[u] += Math.cos(angle) * this.radius;
+                    p[v] += Math.sin(angle) * this.radius;
+                    return scaled(p);
+                };
+                for (let k = 0; k < CIRCLE_SEGMENTS; k++) {
+                    line(point(k), point(k + 1), BOX_COLOR);
+                }
+            }
+        }
+
+        // Handles are small cubes, sized by their depth to stay the same on screen
+        const pixelsPerUnit = Math.abs(this.projection[5]) * this.canvas.height / 2;
+        const active = this.drag ? this.drag.index : this.hovered;
+        this.getHandles().forEach((handle, index) => {
+            const p = scaled(handle.position);
+            const m = this.viewProj;
+            const w = m[3] * p[0] + m[7] * p[1] + m[11] * p[2] + m[15];
+            if (w <= 0) return;
+            const half = (HANDLE_PIXELS * w) / pixelsPerUnit;
+            const color = index === active ? ACTIVE_COLOR
+                : handle.kind === 'center' ? CENTER_COLOR : AXIS_COLORS[handle.axis];
+            const corner = (i) => [0, 1, 2].map(axis => p[axis] + ((i >> axis) & 1 ? half : -half));
+            for (let i = 0; i < 8; i++) {
+                for (let axis = 0; axis < 3; axis++) {
+                    const j = i | (1 << axis);
+                    if (j !== i) line(corner(i), corner(j), color);
+                }
+            }
+        });
+
+        return new Float32Array(vertices);
+    }
+
+    draw(projectionMatrix, viewMatrix, viewProj, uniformScale) {
+        this.projection = projectionMatrix;
+        this.viewProj = viewProj;
+        this.uniformScale = uniformScale;
+        if (this.mode === 'off') return;
+
+        this.lines.draw(projectionMatrix, viewMatrix, this.buildLines());
+    }
+}
+
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]) || 1;
+    return v.map(value => value / length);
+}
@@ -0,0 +1,463 @@
+// frameExporter.js
+import { vec3, quat } from 'https://cdn.skypack.dev/gl-matrix';
+import { poseOrientation } from './cameraBookmarks.js';
+
+const DEFAULT_FPS = 30;
+const MAX_SIZE = 8192;
+const KEYFRAME_SECONDS = 2; // Video keyframe interval
+const BITS_PER_PIXEL = 0.15; // Video bitrate per pixel per frame
+const MAX_ENCODE_QUEUE = 8;
+
+// WebCodecs codec strings, best first, with their Matroska codec ids
+const VIDEO_CODECS = [
+    ['vp09.00.51.08', 'V_VP9'],
+    ['vp09.00.41.08', 'V_VP9'],
+    ['vp8', 'V_VP8'],
+];
+
+const isVector = (value) =>
+    Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+// Reads a camera script: { fps, width, height, duration, poses }, where each
+// pose is { time, position, front, up } in seconds and camera space, with
+// optional fx and fy in output pixels. A bare array is taken as the poses.
+// Missing fps, width and height come from defaults; duration defaults to
+// the time of the last pose.
+export function parseCameraScript(text, defaults = {}) {
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    const source = Array.isArray(data) ? { poses: data } : data;
+    if (!source || !Array.isArray(source.poses) || source.poses.length === 0) {
+        throw new Error('A camera script needs a non-empty poses array');
+    }
+
+    const poses = source.poses.map((pose, index) => {
+        if (!Number.isFinite(pose.time) || pose.time < 0) {
+            throw new Error(`Pose ${index} needs a time in seconds`);
+        }
+        if (!isVector(pose.position) || !isVector(pose.front) || !isVector(pose.up)) {
+            throw new Error(`Pose ${index} needs position, front and up vectors`);
+        }
+        return {
+            time: pose.time,
+            position: pose.position,
+            front: pose.front,
+            up: pose.up,
+            fx: Number.isFinite(pose.fx) ? pose.fx : null,
+            fy: Number.isFinite(pose.fy) ? pose.fy : null,
+            rotation: poseOrientation(pose),
+        };
+    }).sort((a, b) => a.time - b.time);
+
+    const fps = source.fps ?? defaults.fps ?? DEFAULT_FPS;
+    const width = source.width ?? defaults.width;
+    const height = source.height ?? defaults.height;
+    const duration = source.duration ?? poses[poses.length - 1].time;
+    if (!(fps > 0)) {
+        throw new Error(`Frame rate must be positive, got ${fps}`);
+    }
+    for (const [name, size] of [['width', width], ['height', height]]) {
+        if (!Number.isInteger(size) || size < 1 || size > MAX_SIZE) {
+            throw new Error(`Output ${name} must be a whole number of pixels up to ${MAX_SIZE}, got ${size}`);
+        }
+    }
+    if (!(duration >= 0)) {
+        throw new Error(`Duration must not be negative, got ${duration}`);
+    }
+
+    // The small epsilon keeps a frame that lands exactly on the end
+    const frameCount = Math.floor(duration * fps + 1e-6) + 1;
+    return { fps, width, height, duration, frameCount, poses };
+}
+
+// Pose at time seconds: positions and focal lengths interpolate linearly
+// between the poses either side, orientations by slerp. Times outside the
+// script hold the first or last pose.
+export function sampleCameraScript(script, time) {
+    const poses = script.poses;
+    let next = poses.findIndex(pose => pose.time > time);
+    if (next === -1) next = poses.length - 1;
+    const previous = Math.max(0, next - 1);
+    const a = poses[previous];
+    const b = poses[next];
+    const span = b.time - a.time;
+    const s = span > 0 ? Math.max(0, Math.min(1, (time - a.time) / span)) : 1;
+
+    const lerp = (from, to) => (from !== null && to !== null ? from + (to - from) * s : (s < 1 ? from : to));
+    const rotation = quat.slerp(quat.create(), a.rotation, b.rotation, s);
+    return {
+        position: vec3.lerp(vec3.create(), a.position, b.position, s),
+        right: vec3.transformQuat(vec3.create(), [1, 0, 0], rotation),
+        up: vec3.transformQuat(vec3.create(), [0, 1, 0], rotation),
+        front: vec3.transformQuat(vec3.create(), [0, 0, -1], rotation),
+        fx: lerp(a.fx, b.fx),
+        fy: lerp(a.fy, b.fy),
+    };
+}
+
+// A camera script that flies a CameraPath once, one pose per frame, so its
+// spline is reproduced exactly rather than re-interpolated
+export function scriptFromCameraPath(path, { fps = DEFAULT_FPS, width, height } = {}) {
+    if (path.keyframes.length < 2) {
+        throw new Error('A camera path needs at least two keyframes');
+    }
+    const frames = Math.floor(path.duration * fps + 1e-6);
+    const poses = [];
+    for (let frame = 0; frame <= frames; frame++) {
+        const time = frame / fps;
+        const { position, front, up } = path.sample(time / path.duration);
+        poses.push({ time, position: Array.from(position), front: Array.from(front), up: Array.from(up) });
+    }
+    return { fps, width, height, duration: path.duration, poses };
+}
+
+// Renders a camera script one frame at a time at a fixed timestep, with the
+// live render loop paused. Each frame waits for its own depth sort, so the
+// output does not depend on how fast the worker or the display runs.
+// Frames come out as a zip of PNGs or as a WebM video.
+export class FrameExporter {
+    constructor(app) {
+        this.app = app;
+        this.running = false;
+        this.cancelled = false;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // Resolves to a Blob; onProgress(frame, frameCount) follows each frame
+    async run(script, { format = 'png', onProgress = () => {} } = {}) {
+        if (this.running) {
+            throw new Error('A frame export is already running');
+        }
+        if (format !== 'png' && format !== 'webm') {
+            throw new Error(`Unknown frame export format: ${format}`);
+        }
+
+        const { fps, width, height, frameCount } = script;
+        const sink = format === 'png'
+            ? new PNGSequenceSink(frameCount)
+            : await WebMSink.create({ width, height, fps });
+
+        this.running = true;
+        this.cancelled = false;
+        try {
+            const app = this.app;
+            // Poses without focal lengths are framed like the live view, as
+            // is every pose of an orthographic view
+            const live = app.viewIntrinsics(width, height);
+            const orthographic = app.camera.orthographic;
+
+            return await app.renderOffline(async (renderFrame) => {
+                for (let frame = 0; frame < frameCount; frame++) {
+                    if (this.cancelled) {
+                        throw new Error('Frame export cancelled');
+                    }
+                    const pose = sampleCameraScript(script, frame / fps);
+                    const capture = await renderFrame({
+                        pose,
+                        width,
+                        height,
+                        intrinsics: orthographic ? live : { ...live, fx: pose.fx ?? live.fx, fy: pose.fy ?? live.fy },
+                        capture: (canvas) => sink.capture(canvas, frame),
+                    });
+                    await sink.add(capture, frame);
+                    onProgress(frame + 1, frameCount);
+                }
+                return sink.finish();
+            });
+        } catch (error) {
+            sink.abort?.();
+            throw error;
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+// Frames as numbered PNG files in an uncompressed zip
+class PNGSequenceSink {
+    constructor(frameCount) {
+        this.zip = new ZipWriter();
+        this.digits = Math.max(5, String(frameCount - 1).length);
+    }
+
+    // toBlob copies the canvas when called, before the browser clears it
+    capture(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode frame as PNG'))),
+                'image/png');
+        });
+    }
+
+    async add(capture, frame) {
+        const name = `frame_${String(frame).padStart(this.digits, '0')}.png`;
+        await this.zip.add(name, await capture);
+    }
+
+    finish() {
+        return this.zip.finish();
+    }
+}
+
+// Frames encoded with WebCodecs and muxed into WebM. Alpha is dropped, so
+// the background comes out black.
+class WebMSink {
+    static async create({ width, height, fps }) {
+        if (typeof VideoEncoder === 'undefined') {
+            throw new Error('WebM export needs WebCodecs; export a PNG sequence instead');
+        }
+        const bitrate = Math.round(width * height * fps * BITS_PER_PIXEL);
+        for (const [codec, codecId] of VIDEO_CODECS) {
+            const config = { codec, width, height, bitrate, framerate: fps };
+            const { supported } = await VideoEncoder.isConfigSupported(config);
+            if (supported) return new WebMSink(config, codecId);
+        }
+        throw new Error(`No VP9 or VP8 encoder for ${width}x${height}`);
+    }
+
+    constructor(config, codecId) {
+        this.fps = config.framerate;
+        this.keyInterval = Math.max(1, Math.round(this.fps * KEYFRAME_SECONDS));
+        this.writer = new WebMWriter({ codecId, width: config.width, height: config.height });
+        this.error = null;
+        this.encoder = new VideoEncoder({
+            output: (chunk) => this.writer.addChunk(chunk),
+            error: (error) => {
+                this.error = error;
+            },
+        });
+        this.encoder.configure(config);
+    }
+
+    // A VideoFrame made from the canvas copies it right away
+    capture(canvas, frame) {
+        return new VideoFrame(canvas, {
+            timestamp: Math.round(frame * 1e6 / this.fps),
+            duration: Math.round(1e6 / this.fps),
+        });
+    }
+
+    async add(videoFrame, frame) {
+        if (this.error) {
+            videoFrame.close();
+            throw this.error;
+        }
+        this.encoder.encode(videoFrame, { keyFrame: frame % this.keyInterval === 0 });
+        videoFrame.close();
+        while (this.encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+            await new Promise(resolve => this.encoder.addEventListener('dequeue', resolve, { once: true }));
+        }
+    }
+
+    async finish() {
+        await this.encoder.flush();
+        if (this.error) throw this.error;
+        this.encoder.close();
+        return this.writer.finish();
+    }
+
+    abort() {
+        if (this.encoder.state !== 'closed') this.encoder.close();
+    }
+}
+
+// Minimal zip archive writer. Entries are stored without compression,
+// which costs nothing for PNGs; frame data stays in Blobs so long
+// sequences need not fit in memory at once.
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        const now = new Date();
+        this.dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        this.dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    }
+
+    async add(name, blob) {
+        const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+        const nameBytes = new TextEncoder().encode(name);
+        const size = blob.size;
+        if (this.offset + size > 0xffffffff || this.entries.length >= 0xffff) {
+            throw new Error('Frame sequence is too large for a zip file; use fewer or smaller frames');
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // Local file header
+        header.setUint16(4, 20, true); // Version needed
+        header.setUint16(8, 0, true); // Stored
+        header.setUint16(10, this.dosTime, true);
+        header.setUint16(12, this.dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, size, true);
+        header.setUint32(22, size, true);
+        header.setUint16(26, nameBytes.length, true);
+
+        this.entries.push({ nameBytes, crc, size, offset: this.offset });
+        this.parts.push(header, nameBytes, blob);
+        this.offset += 30 + nameBytes.length + size;
+    }
+
+    finish() {
+        const directoryStart = this.offset;
+        let directorySize = 0;
+        for (const { nameBytes, crc, size, offset } of this.entries) {
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true); // Central directory header
+            entry.setUint16(4, 20, true); // Version made by
+            entry.setUint16(6, 20, true); // Version needed
+            entry.setUint16(10, 0, true); // Stored
+            entry.setUint16(12, this.dosTime, true);
+            entry.setUint16(14, this.dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, size, true);
+            entry.setUint32(24, size, true);
+            entry.setUint16(28, nameBytes.length, true);
+            entry.setUint32(42, offset, true);
+            this.parts.push(entry, nameBytes);
+            directorySize += 46 + nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, directoryStart, true);
+        this.parts.push(end);
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal WebM (Matroska) muxer for one video track. Every keyframe starts
+// a new cluster, which keeps block timecodes within their 16 bits and
+// lets players seek without a cue index.
+class WebMWriter {
+    constructor({ codecId, width, height }) {
+        this.codecId = codecId;
+        this.width = width;
+        this.height = height;
+        this.clusters = [];
+        this.cluster = null;
+        this.endTime = 0; // Milliseconds
+    }
+
+    addChunk(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        const time = Math.round(chunk.timestamp / 1000);
+        this.endTime = Math.max(this.endTime, time + Math.round((chunk.duration ?? 0) / 1000));
+
+        const key = chunk.type === 'key';
+        if (!this.cluster || key || time - this.cluster.time > 0x7fff) {
+            this.cluster = { time, blocks: [] };
+            this.clusters.push(this.cluster);
+        }
+        const relative = time - this.cluster.time;
+        const header = new Uint8Array([0x81, (relative >> 8) & 0xff, relative & 0xff, key ? 0x80 : 0]);
+        this.cluster.blocks.push(ebml(0xa3, [header, data])); // SimpleBlock
+    }
+
+    finish() {
+        const header = ebml(0x1a45dfa3, [
+            ebml(0x4286, ebmlUint(1)), // EBMLVersion
+            ebml(0x42f7, ebmlUint(1)), // EBMLReadVersion
+            ebml(0x42f2, ebmlUint(4)), // EBMLMaxIDLength
+            ebml(0x42f3, ebmlUint(8)), // EBMLMaxSizeLength
+            ebml(0x4282, ebmlString('webm')), // DocType
+            ebml(0x4287, ebmlUint(4)), // DocTypeVersion
+            ebml(0x4285, ebmlUint(2)), // DocTypeReadVersion
+        ]);
+        const info = ebml(0x1549a966, [
+            ebml(0x2ad7b1, ebmlUint(1000000)), // TimecodeScale: milliseconds
+            ebml(0x4489, ebmlFloat(this.endTime)), // Duration
+            ebml(0x4d80, ebmlString('webgl_base')), // MuxingApp
+            ebml(0x5741, ebmlString('webgl_base')), // WritingApp
+        ]);
+        const tracks = ebml(0x1654ae6b, [
+            ebml(0xae, [ // TrackEntry
+                ebml(0xd7, ebmlUint(1)), // TrackNumber
+                ebml(0x73c5, ebmlUint(1)), // TrackUID
+                ebml(0x83, ebmlUint(1)), // TrackType: video
+                ebml(0x86, ebmlString(this.codecId)), // CodecID
+                ebml(0xe0, [ // Video
+                    ebml(0xb0, ebmlUint(this.width)), // PixelWidth
+                    ebml(0xba, ebmlUint(this.height)), // PixelHeight
+                ]),
+            ]),
+        ]);
+        const clusters = this.clusters.map(({ time, blocks }) =>
+            ebml(0x1f43b675, [ebml(0xe7, ebmlUint(time)), ...blocks])); // Cluster, Timecode
+        const segment = ebml(0x18538067, [info, tracks, ...clusters]);
+        return new Blob([...header, ...segment], { type: 'video/webm' });
+    }
+}
+
+// An EBML element as a flat list of byte arrays. body is a byte array or a
+// list of child elements.
+function ebml(id, body) {
+    const parts = Array.isArray(body) ? body.flat() : [body];
+    const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+    return [ebmlId(id), ebmlSize(size), ...parts];
+}
+
+// Element ids carry their own length marker, so they are written as is
+function ebmlId(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value % 256);
+    }
+    return new Uint8Array(bytes);
+}
+
+// Variable-length size: the leading zero bits give the length
+function ebmlSize(size) {
+    let length = 1;
+    while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1, value = size; i >= 0; i--, value = Math.floor(value / 256)) {
+        bytes[i] = value % 256;
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function ebmlUint(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+}
+
+function ebmlFloat(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+function ebmlString(value) {
+    return new TextEncoder().encode(value);
+}
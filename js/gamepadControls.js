@@ -0,0 +1,135 @@
+// gamepadControls.js
+
+// Where each control sits on a controller. Sticks are [x axis, y axis];
+// triggers and bumpers are { button } or, for pads that report triggers as
+// axes resting at -1, { axis }.
+export const GAMEPAD_PROFILES = {
+    // The W3C standard mapping: Xbox, PlayStation and Switch Pro
+    // controllers in Chromium and Safari, and most pads in Firefox on
+    // Windows and macOS
+    standard: {
+        name: 'Standard',
+        leftStick: [0, 1],
+        rightStick: [2, 3],
+        leftTrigger: { button: 6 },
+        rightTrigger: { button: 7 },
+        leftBumper: { button: 4 },
+        rightBumper: { button: 5 },
+    },
+    // Raw XInput layout, as Firefox on Linux reports Xbox controllers
+    xbox: {
+        name: 'Xbox (unmapped)',
+        match: /xbox|x-box|xinput|045e-/i,
+        leftStick: [0, 1],
+        rightStick: [3, 4],
+        leftTrigger: { axis: 2 },
+        rightTrigger: { axis: 5 },
+        leftBumper: { button: 4 },
+        rightBumper: { button: 5 },
+    },
+    // Raw DualShock 4 / DualSense layout
+    playstation: {
+        name: 'PlayStation (unmapped)',
+        match: /playstation|dualshock|dualsense|wireless controller|054c-/i,
+        leftStick: [0, 1],
+        rightStick: [3, 4],
+        leftTrigger: { axis: 2 },
+        rightTrigger: { axis: 5 },
+        leftBumper: { button: 4 },
+        rightBumper: { button: 5 },
+    },
+};
+
+// Reads the first connected gamepad into normalized camera input. Dead
+// zones and sensitivity are applied here, so Controls only has to turn
+// the result into camera motion.
+export class GamepadControls {
+    constructor({ deadZone = 0.15, moveSensitivity = 1.0, lookSensitivity = 1.0, invertY = false } = {}) {
+        this.deadZone = deadZone; // Stick and trigger travel ignored, 0..1
+        this.moveSensitivity = moveSensitivity;
+        this.lookSensitivity = lookSensitivity;
+        this.invertY = invertY;
+        this.profile = 'auto'; // Or a key of GAMEPAD_PROFILES
+        this.gamepadId = null;
+
+        window.addEventListener('gamepadconnected', (e) => this.onConnectionChanged(e.gamepad, true));
+        window.addEventListener('gamepaddisconnected', (e) => this.onConnectionChanged(e.gamepad, false));
+    }
+
+    onConnectionChanged(gamepad, connected) {
+        window.dispatchEvent(new CustomEvent('gamepadChanged', {
+            detail: {
+                connected,
+                id: gamepad.id,
+                profile: connected ? this.profileFor(gamepad) : null,
+            }
+        }));
+    }
+
+    setProfile(profile) {
+        if (profile !== 'auto' && !GAMEPAD_PROFILES[profile]) {
+            throw new Error(`Unknown gamepad profile: ${profile}`);
+        }
+        this.profile = profile;
+    }
+
+    // The chosen profile, or in auto mode the browser's standard mapping
+    // when it has one and otherwise whichever profile matches the pad's id
+    profileFor(gamepad) {
+        if (this.profile !== 'auto') return this.profile;
+        if (gamepad.mapping === 'standard') return 'standard';
+        const match = Object.keys(GAMEPAD_PROFILES)
+            .find(key => GAMEPAD_PROFILES[key].match?.test(gamepad.id));
+        return match || 'standard';
+    }
+
+    getGamepad() {
+        if (!navigator.getGamepads) return null;
+        return Array.from(navigator.getGamepads()).find(gamepad => gamepad && gamepad.connected) || null;
+    }
+
+    // { move: [right, forward], look: [right, up], vertical, roll }, each
+    // in -1..1 before sensitivity, or null when no gamepad is connected
+    read() {
+        const gamepad = this.getGamepad();
+        this.gamepadId = gamepad?.id ?? null;
+        if (!gamepad) return null;
+
+        const layout = GAMEPAD_PROFILES[this.profileFor(gamepad)];
+        const move = this.readStick(gamepad, layout.leftStick);
+        const look = this.readStick(gamepad, layout.rightStick);
+        const lookY = this.invertY ? look[1] : -look[1];
+
+        return {
+            // Stick y grows downward; pushing forward moves forward
+            move: [move[0] * this.moveSensitivity, -move[1] * this.moveSensitivity],
+            look: [look[0] * this.lookSensitivity, lookY * this.lookSensitivity],
+            vertical: (this.readTrigger(gamepad, layout.rightTrigger) -
+                this.readTrigger(gamepad, layout.leftTrigger)) * this.moveSensitivity,
+            roll: this.readTrigger(gamepad, layout.leftBumper) - this.readTrigger(gamepad, layout.rightBumper),
+        };
+    }
+
+    // Radial dead zone, rescaled so motion starts from zero at its edge
+    readStick(gamepad, [xAxis, yAxis]) {
+        const x = gamepad.axes[xAxis] || 0;
+        const y = gamepad.axes[yAxis] || 0;
+        const length = Math.hypot(x, y);
+        if (length <= this.deadZone) return [0, 0];
+        const scale = Math.min(1, (length - this.deadZone) / (1 - this.deadZone)) / length;
+        return [x * scale, y * scale];
+    }
+
+    readTrigger(gamepad, control) {
+        let value;
+        if (control.button !== undefined) {
+            const button = gamepad.buttons[control.button];
+            value = button ? (typeof button === 'object' ? button.value : button) : 0;
+        } else {
+            // Axis triggers rest at -1 and read 1 fully pressed
+            value = ((gamepad.axes[control.axis] ?? -1) + 1) / 2;
+        }
+        if (value <= this.deadZone) return 0;
+        return Math.min(1, (value - this.deadZone) / (1 - this.deadZone));
+    }
+}
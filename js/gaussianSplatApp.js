@@ -1,10 +1,23 @@
 import { createWorker } from "./splat/worker.js";
-import { vertexShaderSource, fragmentShaderSource } from "./splat/shaderSource.js";
-import { getProjectionMatrix } from "./splat/utils.js";
-import { mat4 } from 'https://cdn.skypack.dev/gl-matrix';
+import { vertexShaderSource, fragmentShaderSource, MAX_SCENES } from "./splat/shaderSource.js";
+import { getOrthographicMatrix, getProjectionMatrix, intrinsicsFromProjection } from "./splat/utils.js";
+import { GPUSorter } from "./splat/gpuSort.js";
+import { PLYLoader } from './ply-loader.js';
+import { mat3, mat4, quat, vec3 } from 'https://cdn.skypack.dev/gl-matrix';
 import { Camera } from './camera.js';
 import { Controls } from './controls.js';
-import { Grid } from './grid.js';
+import { Grid, LineRenderer } from './grid.js';
+import { CropTool } from './cropTool.js';
+import { SelectionTool } from './selectionTool.js';
+import { MeasureTool } from './measureTool.js';
+import { CameraBookmarks } from './cameraBookmarks.js';
+import { CameraPath } from './cameraPath.js';
+import { FrameExporter, parseCameraScript, scriptFromCameraPath } from './frameExporter.js';
+import { ScreenshotRenderer } from './screenshot.js';
+import { TrainingCameras } from './trainingCameras.js';
+import { PhotoComparison } from './photoComparison.js';
+import { CommandHistory } from './commandHistory.js';
+import { XRControls } from './XRControls.js';
 import { ViewerControls } from './viewer-controls.js';
 
 export class GaussianSplatApp {
@@ -17,14 +30,42 @@ export class GaussianSplatApp {
         this.initShader();
         this.setupWorker();
         this.setupWindowEventListeners();
-        this.viewerControls = new ViewerControls(this);
+
+        // Every loaded .ply/.splat is a scene with its own model matrix.
+        // The worker merges them into one buffer and one depth sort.
+        this.scenes = [];
+        this.sceneSlots = []; // Scene ids in the order the worker packed them
+        this.nextSceneId = 1;
+        this.sceneURLs = []; // Every URL a scene was loaded from, to open again
+        this.bookmarks.setSceneKey(this.getBookmarkKey());
 
         this.uniformScale = 1.0;
         this.pointScale = 1.0;
         this.opacity = 1.0;
         this.splatSize = 1.0;
         this.useAlphaBlending = true;
-        
+        this.maxSHDegree = 3; // User cap on the spherical harmonics degree
+        this.sceneSHDegree = 0; // Degree available in the loaded scene
+        this.sortPrecision = 16; // Bits per depth key in the worker's radix sort
+        this.sortStats = null; // Timing of the last worker sort
+        this.useGPUSort = false; // Sort on the GPU instead of in the worker
+        this.gpuSorter = null; // Created the first time the GPU path is used
+        this.splatCount = 0; // Splats in the merged texture, visible or not
+        this.selectionStats = { selected: 0, hidden: 0, deleted: 0 };
+        this.pendingPicks = new Map(); // Surface picks awaiting the worker, by id
+        this.nextPickId = 0;
+        this.pendingBounds = new Map(); // Scene bounds requests awaiting the worker, by id
+        this.nextBoundsId = 0;
+        this.pendingSorts = new Map(); // Awaited worker sorts, by id
+        this.nextSortId = 0;
+        this.offlineRendering = false; // Live loop paused for a frame export
+        this.frameExporter = new FrameExporter(this);
+
+        // After the settings above, which the panels read as they are built
+        this.viewerControls = new ViewerControls(this);
+        this.viewerControls.setXRControls(this.xrControls);
+        this.viewerControls.setMeasureTool(this.measureTool);
+
         // Initialize these values after shader compilation
         this.initializeUniforms();
 
@@ -32,47 +73,38 @@ export class GaussianSplatApp {
             now *= 0.001;
             const deltaTime = now - this.lastFrame;
             this.lastFrame = now;
+            // Immersive sessions draw from their own frame loop
+            if (this.offlineRendering || this.xrControls.xrSession) {
+                requestAnimationFrame(frame);
+                return;
+            }
             
             this.controls.update(deltaTime);
+            this.bookmarks.update(performance.now());
+            this.cameraPath.update(performance.now());
+            this.updateProjection();
             let actualViewMatrix = this.camera.getViewMatrix();
             const viewProj = mat4.create();
             mat4.multiply(viewProj, this.projectionMatrix, actualViewMatrix);
+            this.viewProj = viewProj;
             this.worker.postMessage({ view: viewProj });
+            if (this.useGPUSort) {
+                this.runGPUSort(viewProj);
+            }
 
             //this.grid.draw(this.projectionMatrix, actualViewMatrix);
 
             if (this.vertexCount > 0) {
                 this.draw();
             }
+            this.cropTool.draw(this.projectionMatrix, actualViewMatrix, viewProj, this.uniformScale);
+            this.cameraPath.draw(this.projectionMatrix, actualViewMatrix);
+            this.measureTool.draw(viewProj, this.uniformScale);
             requestAnimationFrame(frame);
         };
 
         frame();
 
-        const isPly = (splatData) =>
-            splatData[0] == 112 &&
-            splatData[1] == 108 &&
-            splatData[2] == 121 &&
-            splatData[3] == 10;
-
-        const selectFile = (file) => {
-            const fr = new FileReader();
-            fr.onload = () => {
-                const splatData = new Uint8Array(fr.result);
-                console.log("Loaded", Math.floor(splatData.length / this.ROW_LENGTH));
-
-                if (isPly(splatData)) {
-                    this.worker.postMessage({ ply: splatData.buffer });
-                } else {
-                    this.worker.postMessage({
-                        buffer: splatData.buffer,
-                        vertexCount: Math.floor(splatData.length / this.ROW_LENGTH),
-                    });
-                }
-            };
-            fr.readAsArrayBuffer(file);
-        };
-
         const preventDefault = (e) => {
             e.preventDefault();
             e.stopPropagation();
@@ -83,10 +115,666 @@ export class GaussianSplatApp {
         document.addEventListener("drop", (e) => {
             e.preventDefault();
             e.stopPropagation();
-            selectFile(e.dataTransfer.files[0]);
+            for (const file of e.dataTransfer.files) {
+                this.addScene(file);
+            }
+        });
+
+        // ?url=<.ply or .splat> streams a scene in on startup
+        const url = new URLSearchParams(window.location.search).get('url');
+        if (url) {
+            this.addSceneFromURL(url);
+        }
+    }
+
+    // Streams a dropped .ply or .splat file into a new scene
+    addScene(file) {
+        const scene = this.createScene(file.name);
+        if (scene) {
+            this.streamScene(scene, file.stream(), file.size);
+        }
+        return scene;
+    }
+
+    // Streams a .ply or .splat from a URL into a new scene
+    async addSceneFromURL(url) {
+        const path = new URL(url, window.location.href).pathname;
+        const scene = this.createScene(decodeURIComponent(path.split('/').pop()) || url);
+        if (!scene) return null;
+        scene.url = url;
+        if (!this.sceneURLs.includes(url)) {
+            this.sceneURLs.push(url);
+        }
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            // Only a hint: with Content-Encoding it is the compressed size
+            const totalBytes = parseInt(response.headers.get('content-length')) || 0;
+            await this.streamScene(scene, response.body, totalBytes);
+        } catch (error) {
+            console.error(`Error loading ${url}:`, error);
+            scene.progress = { ...scene.progress, done: true, error: error.message };
+            this.dispatchSceneListChanged();
+        }
+        return scene;
+    }
+
+    createScene(name) {
+        if (this.scenes.length >= MAX_SCENES) {
+            console.warn(`Cannot load more than ${MAX_SCENES} scenes`);
+            return null;
+        }
+
+        const scene = {
+            id: this.nextSceneId++,
+            name,
+            position: [0, 0, 0],
+            rotation: [0, 0, 0], // Euler angles in degrees
+            scale: 1.0,
+            matrix: mat4.create(),
+            visible: true,
+            vertexCount: 0, // Slots in the merged texture, including ones still loading
+            progress: null,
+        };
+        this.scenes.push(scene);
+        this.history.record(this.createSceneCommand(`Load ${name}`, scene, true));
+        this.dispatchSceneListChanged();
+        return scene;
+    }
+
+    // Undo entry for adding (added = true) or removing a scene. Whichever
+    // side takes the scene out parks it in the worker, so it comes back
+    // without a reload; the worker frees it once the entry is discarded.
+    createSceneCommand(label, scene, added) {
+        const park = () => this.parkScene(scene);
+        const restore = () => this.restoreScene(scene);
+        const isParked = () => !this.scenes.includes(scene);
+        const rowLength = this.ROW_LENGTH;
+        return {
+            label,
+            undo: added ? park : restore,
+            redo: added ? restore : park,
+            // Row data only; SH coefficients can add up to another 1.5x
+            get bytes() {
+                return isParked() ? scene.vertexCount * rowLength : 0;
+            },
+            discard: () => {
+                if (isParked()) this.worker.postMessage({ removeScene: scene.id });
+            },
+        };
+    }
+
+    parkScene(scene) {
+        scene.reader?.cancel();
+        if (scene.progress && !scene.progress.done) {
+            scene.progress.done = true;
+            scene.progress.error = 'Load cancelled';
+        }
+        scene.index = this.scenes.indexOf(scene);
+        this.scenes = this.scenes.filter(other => other !== scene);
+        this.worker.postMessage({ parkScene: scene.id });
+        this.dispatchSceneListChanged();
+    }
+
+    restoreScene(scene) {
+        if (this.scenes.length >= MAX_SCENES) {
+            console.warn(`Cannot restore ${scene.name}: ${MAX_SCENES} scenes are loaded`);
+            return;
+        }
+        this.scenes.splice(Math.min(scene.index, this.scenes.length), 0, scene);
+        this.worker.postMessage({ restoreScene: scene.id });
+        this.dispatchSceneListChanged();
+    }
+
+    undo() {
+        return this.history.undo();
+    }
+
+    redo() {
+        return this.history.redo();
+    }
+
+    // Feeds a ReadableStream to the worker chunk by chunk. The worker converts
+    // complete rows as they arrive, so the scene fills in while it loads.
+    async streamScene(scene, stream, totalBytes) {
+        scene.progress = {
+            bytesLoaded: 0,
+            bytesTotal: totalBytes,
+            splatsLoaded: 0,
+            splatsTotal: 0,
+            done: false,
+        };
+        this.worker.postMessage({ streamStart: { sceneId: scene.id, totalBytes } });
+        this.dispatchSceneListChanged();
+
+        const reader = stream.getReader();
+        scene.reader = reader; // Cancelled if the scene is removed mid-load
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                // Copy out of the stream's buffer so the chunk can be transferred
+                const chunk = value.slice().buffer;
+                scene.progress.bytesLoaded += chunk.byteLength;
+                this.worker.postMessage({ streamChunk: { sceneId: scene.id, chunk } }, [chunk]);
+                this.dispatchSceneLoadProgress(scene);
+            }
+        } catch (error) {
+            console.error(`Error reading ${scene.name}:`, error);
+            scene.progress.error = error.message;
+        } finally {
+            scene.reader = null;
+            this.worker.postMessage({ streamEnd: { sceneId: scene.id } });
+        }
+    }
+
+    dispatchSceneLoadProgress(scene) {
+        window.dispatchEvent(new CustomEvent('sceneLoadProgress', {
+            detail: { scene }
+        }));
+    }
+
+    // Serializes every visible scene, transforms applied, and downloads it.
+    // The worker holds the splat rows, so it encodes everything but PLY,
+    // which is written here with PLYLoader from the rows it hands back.
+    async exportScene(format = 'compressed', options = {}) {
+        if (this.pendingExport) {
+            throw new Error('An export is already running');
+        }
+        const extension = { compressed: 'csplat', ply: 'ply', splat: 'splat' }[format];
+        if (!extension) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const workerFormat = format === 'ply' ? 'rows' : format;
+        const result = await new Promise((resolve, reject) => {
+            this.pendingExport = { resolve, reject };
+            this.worker.postMessage({ exportScene: { format: workerFormat, ...options } });
+        }).finally(() => {
+            this.pendingExport = null;
+        });
+
+        const data = format === 'ply' ? new PLYLoader().writeInriaPLY(result) : result.data;
+
+        const source = this.scenes.find(scene => scene.visible);
+        const baseName = source ? source.name.replace(/\.[^.]+$/, '') : 'scene';
+        this.downloadFile(data, `${baseName}.${extension}`);
+        return { data, count: result.count };
+    }
+
+    downloadFile(data, filename) {
+        const url = URL.createObjectURL(new Blob([data], { type: 'application/octet-stream' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Bookmarks are stored per set of loaded scenes, keyed by their names
+    getBookmarkKey() {
+        return this.scenes.map(scene => scene.name).sort().join('|') || 'default';
+    }
+
+    // File name stem for downloads about the loaded scenes
+    getExportBaseName() {
+        const source = this.scenes[0];
+        return source ? source.name.replace(/\.[^.]+$/, '') : 'scene';
+    }
+
+    exportBookmarks() {
+        this.downloadFile(JSON.stringify(this.bookmarks.toJSON(), null, 2),
+            `${this.getExportBaseName()}-bookmarks.json`);
+    }
+
+    // Adds the bookmarks in a JSON file to the list; resolves to how many
+    async importBookmarks(file) {
+        return this.bookmarks.importJSON(await file.text());
+    }
+
+    // Renders a camera script (see parseCameraScript) frame by frame and
+    // downloads it as a zip of PNGs ('png') or a WebM video ('webm').
+    // Scripts without a size render at the canvas size.
+    async exportFrames(script, { format = 'png', onProgress } = {}) {
+        const parsed = parseCameraScript(script, {
+            width: this.canvas.width,
+            height: this.canvas.height,
+        });
+        const blob = await this.frameExporter.run(parsed, { format, onProgress });
+        const extension = format === 'png' ? 'zip' : 'webm';
+        this.downloadFile(blob, `${this.getExportBaseName()}-frames.${extension}`);
+        return blob;
+    }
+
+    // Renders the current view at width x height, tiled when that is larger
+    // than the GPU can draw at once, and resolves to its ImageData. The
+    // view is framed as viewIntrinsics() describes. supersample draws at
+    // that multiple of the size and averages down; with background [r, g, b]
+    // the image is made opaque over that color.
+    async renderView({ width, height, supersample = 1, background = null }) {
+        if (this.offlineRendering) {
+            throw new Error('Wait for the frame render to finish first');
+        }
+        const fullWidth = width * supersample;
+        const fullHeight = height * supersample;
+        const intrinsics = this.viewIntrinsics(fullWidth, fullHeight);
+        const { fx, fy } = intrinsics;
+        const projection = this.projectionFor(fullWidth, fullHeight, intrinsics);
+        const viewProj = mat4.multiply(mat4.create(), projection, this.camera.getViewMatrix());
+        // Tiles only shift and scale the projected view, so one depth
+        // order serves them all. Drawing starts as soon as it is in place.
+        await this.sortForView(viewProj);
+
+        return this.screenshotRenderer.render({
+            width,
+            height,
+            supersample,
+            background,
+            drawTile: ({ width, height, tile }) => {
+                if (this.vertexCount > 0) {
+                    this.draw({ width, height, projection, fx, fy, tile });
+                }
+            },
+        });
+    }
+
+    // The current view as a PNG Blob; see renderView(). transparent leaves
+    // the background clear instead of the viewer's grey.
+    async captureScreenshot({
+        width = this.canvas.width,
+        height = this.canvas.height,
+        supersample = 1,
+        transparent = false,
+    } = {}) {
+        const gl = this.gl;
+        const background = transparent ? null : Array.from(gl.getParameter(gl.COLOR_CLEAR_VALUE)).slice(0, 3);
+        const image = await this.renderView({ width, height, supersample, background });
+        return this.screenshotRenderer.encode(image);
+    }
+
+    async saveScreenshot(options = {}) {
+        const blob = await this.captureScreenshot(options);
+        const width = options.width ?? this.canvas.width;
+        const height = options.height ?? this.canvas.height;
+        this.downloadFile(blob, `${this.getExportBaseName()}-${width}x${height}.png`);
+        return blob;
+    }
+
+    // Reads training cameras (COLMAP cameras.txt and images.txt, or a 3DGS
+    // cameras.json) for the first loaded scene; resolves to how many
+    async importTrainingCameras(files) {
+        return this.trainingCameras.importFiles(files, this.scenes[0]?.id ?? null);
+    }
+
+    // Moves the view onto a training camera with its exact intrinsics. The
+    // poses are in the frame of the scene they were imported for, so that
+    // scene's transform and the uniform scale apply to them too. imageSize
+    // rescales the intrinsics for a photo stored at another resolution.
+    snapToTrainingCamera(index, imageSize = null) {
+        const source = this.trainingCameras.cameras[index];
+        if (!source) {
+            throw new Error(`No training camera ${index}`);
+        }
+        const scene = this.scenes.find(scene => scene.id === this.trainingCameras.sceneId);
+        const model = scene ? scene.matrix : mat4.create();
+        const rotation = mat3.fromMat4(mat3.create(), model);
+        const direction = (vector) =>
+            vec3.normalize(vec3.create(), vec3.transformMat3(vec3.create(), vector, rotation));
+
+        const camera = this.camera;
+        this.cameraPath.pause();
+        this.bookmarks.flight = null;
+        camera.orthographic = false;
+        camera.position = vec3.scale(vec3.create(),
+            vec3.transformMat4(vec3.create(), source.position, model), this.uniformScale);
+        camera.front = direction(source.front);
+        camera.up = direction(source.up);
+        camera.right = direction(source.right);
+        const { width, height, fx, fy, cx, cy } = source;
+        const scaleX = imageSize ? imageSize.width / width : 1;
+        const scaleY = imageSize ? imageSize.height / height : 1;
+        camera.intrinsics = {
+            width: width * scaleX,
+            height: height * scaleY,
+            fx: fx * scaleX,
+            fy: fy * scaleY,
+            cx: cx * scaleX,
+            cy: cy * scaleY,
+        };
+        this.updateProjection();
+        this.controls.syncToCamera();
+        this.trainingCameras.select(index);
+        this.lensChanged();
+    }
+
+    // Back to a centered lens with the current field of view
+    clearCameraIntrinsics() {
+        this.camera.intrinsics = null;
+        this.updateProjection();
+        this.lensChanged();
+    }
+
+    // The camera path flown once as a camera script
+    getCameraPathScript(options) {
+        return scriptFromCameraPath(this.cameraPath, options);
+    }
+
+    // Pauses the live loop and runs render(renderFrame), where
+    // renderFrame({ pose, width, height, intrinsics, capture }) moves the
+    // camera to pose, waits for the depth sort, draws at width x height with
+    // intrinsics { fx, fy, cx, cy } in pixels and resolves
+    // to capture(canvas), called before the browser can clear the frame.
+    // The camera and canvas size are restored afterwards.
+    async renderOffline(render) {
+        if (this.offlineRendering) {
+            throw new Error('An offline render is already running');
+        }
+        if (this.scenes.some(scene => scene.progress && !scene.progress.done)) {
+            throw new Error('Wait for the scenes to finish loading before rendering');
+        }
+
+        const camera = this.camera;
+        this.cameraPath.pause();
+        this.bookmarks.flight = null;
+        const saved = {
+            position: Array.from(camera.position),
+            front: Array.from(camera.front),
+            up: Array.from(camera.up),
+            right: Array.from(camera.right),
+            fx: camera.fx,
+            fy: camera.fy,
+        };
+
+        const gl = this.gl;
+        const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+        const renderFrame = async ({ pose, width, height, intrinsics, capture }) => {
+            camera.position = pose.position;
+            camera.front = pose.front;
+            camera.up = pose.up;
+            camera.right = pose.right;
+            const { fx, fy } = intrinsics;
+            const projection = this.projectionFor(width, height, intrinsics);
+            const viewProj = mat4.multiply(mat4.create(), projection, camera.getViewMatrix());
+            await this.sortForView(viewProj);
+
+            if (gl.canvas.width !== width || gl.canvas.height !== height) {
+                gl.canvas.width = width;
+                gl.canvas.height = height;
+            }
+            gl.viewport(0, 0, width, height);
+            // Splats blend under what is already drawn, weighted by its
+            // alpha, so each frame starts from transparent black
+            gl.clearColor(0, 0, 0, 0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            if (this.vertexCount > 0) {
+                this.draw({ width, height, projection, fx, fy });
+            }
+            return capture(gl.canvas);
+        };
+
+        this.offlineRendering = true;
+        try {
+            return await render(renderFrame);
+        } finally {
+            gl.clearColor(...clearColor);
+            Object.assign(camera, saved);
+            this.offlineRendering = false;
+            this.resizeCanvas();
+        }
+    }
+
+    // Removes a scene; it stays parked in the worker while the removal can
+    // still be undone
+    removeScene(id) {
+        const scene = this.scenes.find(scene => scene.id === id);
+        if (!scene) return;
+        this.parkScene(scene);
+        this.history.record(this.createSceneCommand(`Remove ${scene.name}`, scene, false));
+    }
+
+    setSceneTransform(id, { position, rotation, scale }) {
+        const scene = this.scenes.find(scene => scene.id === id);
+        if (!scene) return;
+
+        const before = { position: scene.position, rotation: scene.rotation, scale: scene.scale };
+        if (position) scene.position = [...position];
+        if (rotation) scene.rotation = [...rotation];
+        if (scale !== undefined) scene.scale = Math.max(0.001, scale);
+
+        const rotationQuat = quat.create();
+        quat.fromEuler(rotationQuat, scene.rotation[0], scene.rotation[1], scene.rotation[2]);
+        mat4.fromRotationTranslationScale(
+            scene.matrix,
+            rotationQuat,
+            scene.position,
+            [scene.scale, scene.scale, scene.scale],
+        );
+
+        this.worker.postMessage({ sceneTransform: { id, matrix: scene.matrix } });
+        this.updateSceneUniforms();
+
+        const after = { position: scene.position, rotation: scene.rotation, scale: scene.scale };
+        const restore = (transform) => {
+            this.setSceneTransform(id, transform);
+            this.dispatchSceneListChanged();
+        };
+        this.history.record({
+            label: `Transform ${scene.name}`,
+            key: `transform-${id}`,
+            undo: () => restore(before),
+            redo: () => restore(after),
+        });
+    }
+
+    // Crop volume: 'off', 'box' or 'sphere'. Splats outside it are hidden
+    // until commitCrop deletes them. The first time it is switched on the
+    // volume is fitted around the visible scenes.
+    setCropMode(mode) {
+        this.cropTool.setMode(mode);
+        if (mode !== 'off' && !this.cropTool.placed) {
+            this.fitCropToScenes().catch(error => console.warn('Could not fit crop volume:', error));
+        }
+    }
+
+    // Bounds of the visible splats in scene space, or null with none loaded
+    getSceneBounds() {
+        const id = ++this.nextBoundsId;
+        return new Promise((resolve) => {
+            this.pendingBounds.set(id, resolve);
+            this.worker.postMessage({ sceneBounds: { id } });
+        });
+    }
+
+    // The plane under the visible splats, square to the scene's up, in
+    // world space: { normal, height } with the plane at dot(point, normal)
+    // = height; null with nothing loaded
+    async getGroundPlane() {
+        const bounds = await this.getSceneBounds();
+        if (!bounds) return null;
+        const normal = this.controls.sceneUp;
+        return { normal, height: this.lowestPoint(bounds, normal) };
+    }
+
+    // Where the visible splats stand, for placing them in AR: the world
+    // point on their ground plane under the middle of their bounds, and
+    // the bounds' largest side; null with nothing loaded
+    async getSceneBase() {
+        const bounds = await this.getSceneBounds();
+        if (!bounds) return null;
+        const up = this.controls.sceneUp;
+        const center = [0, 1, 2].map(axis => (bounds.min[axis] + bounds.max[axis]) / 2 * this.uniformScale);
+        const drop = vec3.dot(center, up) - this.lowestPoint(bounds, up);
+        return {
+            point: vec3.scaleAndAdd(vec3.create(), center, up, -drop),
+            size: Math.max(...[0, 1, 2].map(axis => bounds.max[axis] - bounds.min[axis])) * this.uniformScale,
+        };
+    }
+
+    // Lowest height along up of the corners of scene-space bounds, in the world
+    lowestPoint(bounds, up) {
+        let height = Infinity;
+        for (let corner = 0; corner < 8; corner++) {
+            const point = [0, 1, 2].map(axis =>
+                ((corner >> axis) & 1 ? bounds.max : bounds.min)[axis] * this.uniformScale);
+            height = Math.min(height, vec3.dot(point, up));
+        }
+        return height;
+    }
+
+    setCropVolume(volume) {
+        this.cropTool.setVolume(volume);
+    }
+
+    async fitCropToScenes() {
+        const bounds = await this.getSceneBounds();
+        if (bounds) {
+            this.cropTool.fit(bounds);
+        }
+        return bounds;
+    }
+
+    onCropChanged(volume) {
+        const gl = this.gl;
+        gl.useProgram(this.program);
+        gl.uniform1i(this.u_cropMode, volume ? (volume.type === 'box' ? 1 : 2) : 0);
+        if (volume) {
+            gl.uniform3fv(this.u_cropCenter, volume.center);
+            gl.uniform3fv(this.u_cropSize, volume.type === 'box' ? volume.size : [volume.radius, 0, 0]);
+        }
+
+        this.worker.postMessage({ crop: volume });
+        window.dispatchEvent(new CustomEvent('cropChanged', {
+            detail: { mode: this.cropTool.mode, volume }
+        }));
+    }
+
+    // Deletes the splats outside the crop volume, so they stay gone in
+    // exports, then switches the crop off. The deletion is an undoable
+    // edit. Resolves to the number removed.
+    async commitCrop() {
+        if (this.cropTool.mode === 'off') {
+            throw new Error('Enable a crop volume first');
+        }
+        if (this.pendingCrop) {
+            throw new Error('A crop is already being committed');
+        }
+
+        const { removed } = await new Promise((resolve, reject) => {
+            this.pendingCrop = { resolve, reject };
+            this.worker.postMessage({ commitCrop: true });
+        }).finally(() => {
+            this.pendingCrop = null;
+        });
+
+        this.setCropMode('off');
+        window.dispatchEvent(new CustomEvent('cropCommitted', { detail: { removed } }));
+        return removed;
+    }
+
+    // Selection mode: 'off', 'rect', 'lasso' or 'brush'
+    setSelectionMode(mode) {
+        this.selectionTool.setMode(mode);
+        window.dispatchEvent(new CustomEvent('selectionModeChanged', {
+            detail: { mode }
+        }));
+    }
+
+    setBrushRadius(radius) {
+        this.selectionTool.setBrushRadius(radius);
+    }
+
+    // Selects the splats whose centers project into a screen-space shape.
+    // The worker projects them with the view it sorts with; the uniform
+    // scale is folded in since the worker never sees it.
+    selectSplats(shape, op = 'replace') {
+        if (!this.viewProj) return;
+        const viewProj = mat4.create();
+        mat4.scale(viewProj, this.viewProj, [this.uniformScale, this.uniformScale, this.uniformScale]);
+        const rect = this.canvas.getBoundingClientRect();
+        this.worker.postMessage({
+            selection: { shape, op, viewProj, width: rect.width, height: rect.height }
+        });
+    }
+
+    // Camera navigation: 'fly' (keyboard) or 'orbit' (mouse, around a pivot)
+    setCameraMode(mode) {
+        this.controls.setMode(mode);
+    }
+
+    // Resolves to the camera-space point on the splats under canvas pixel
+    // (x, y), or null. Picked the same way as selections, then scaled back
+    // into the space the camera moves in.
+    pickSurface(x, y) {
+        if (!this.viewProj) return Promise.resolve(null);
+        const viewProj = mat4.create();
+        mat4.scale(viewProj, this.viewProj, [this.uniformScale, this.uniformScale, this.uniformScale]);
+        const rect = this.canvas.getBoundingClientRect();
+        const id = ++this.nextPickId;
+        return new Promise((resolve) => {
+            this.pendingPicks.set(id, resolve);
+            this.worker.postMessage({
+                pick: { id, x, y, viewProj, width: rect.width, height: rect.height }
+            });
+        }).then(point => point && point.map(value => value * this.uniformScale));
+    }
+
+    // 'delete', 'hide', 'isolate', 'unhideAll', 'selectAll', 'invert' or 'clear'
+    applySelectionAction(action) {
+        this.worker.postMessage({ selectionAction: action });
+    }
+
+    setSceneVisible(id, visible) {
+        const scene = this.scenes.find(scene => scene.id === id);
+        if (!scene) return;
+
+        if (scene.visible === visible) return;
+        scene.visible = visible;
+        this.worker.postMessage({ sceneVisibility: { id, visible } });
+
+        const restore = (value) => {
+            this.setSceneVisible(id, value);
+            this.dispatchSceneListChanged();
+        };
+        this.history.record({
+            label: `${visible ? 'Show' : 'Hide'} ${scene.name}`,
+            undo: () => restore(!visible),
+            redo: () => restore(visible),
         });
     }
 
+    // Per-slot visibility flags in the order the worker packed the scenes
+    getSceneVisibility() {
+        const visible = new Int32Array(MAX_SCENES);
+        this.sceneSlots.forEach((id, slot) => {
+            const scene = this.scenes.find(scene => scene.id === id);
+            visible[slot] = scene && scene.visible ? 1 : 0;
+        });
+        return visible;
+    }
+
+    dispatchSceneListChanged() {
+        this.bookmarks.setSceneKey(this.getBookmarkKey());
+        window.dispatchEvent(new CustomEvent('sceneListChanged', {
+            detail: { scenes: this.scenes }
+        }));
+    }
+
+    // Upload model matrices in the slot order the worker used for the texture
+    updateSceneUniforms() {
+        const gl = this.gl;
+        const models = new Float32Array(16 * MAX_SCENES);
+        this.sceneSlots.forEach((id, slot) => {
+            const scene = this.scenes.find(scene => scene.id === id);
+            if (scene) models.set(scene.matrix, 16 * slot);
+        });
+        this.sceneModels = models;
+        gl.useProgram(this.program);
+        gl.uniformMatrix4fv(this.u_models, false, models);
+    }
+
     initializeWebGL() {
         this.canvas = document.getElementById('glCanvas');
         if (!this.canvas) {
@@ -96,6 +784,7 @@ export class GaussianSplatApp {
 
         this.gl = this.canvas.getContext("webgl2", {
             antialias: false,
+            xrCompatible: true,
         });
 
         const gl = this.gl;
@@ -122,9 +811,66 @@ export class GaussianSplatApp {
         this.camera.up = [-0.04747421839895102, 0.9972110940209488, -0.057586739349882114];
         this.camera.right = [-0.4797239414934443, 0.027805376500959853, 0.8769787916452908];
 
-        this.controls = new Controls(this.camera, this.canvas);
+        // Undo/redo for scene edits and render settings (Ctrl+Z, Ctrl+Shift+Z)
+        this.history = new CommandHistory();
+        this.controls = new Controls(this.camera, this.canvas, this.history, {
+            flipped: true,
+            pickSurface: (x, y) => this.pickSurface(x, y),
+        });
+
+        // Saved viewpoints; flights between them also change the focal length
+        this.bookmarks = new CameraBookmarks(this.camera, {
+            onPoseApplied: (done) => {
+                this.camera.intrinsics = null;
+                this.updateProjection();
+                if (done) {
+                    this.controls.syncToCamera();
+                    this.lensChanged();
+                }
+            },
+        });
+
+        // Keyframed flythroughs
+        this.cameraPath = new CameraPath(this.gl, this.camera, {
+            onPoseApplied: (done) => {
+                if (done) this.controls.syncToCamera();
+            },
+        });
+
+        // Immersive VR and passthrough AR; renderXRFrame draws the
+        // headset's views. Teleports land on the ground under the scene,
+        // and AR stands the scene on a real surface by its base.
+        this.xrControls = new XRControls(this, this.camera, {
+            flipped: true,
+            groundPlane: () => this.getGroundPlane(),
+            sceneBase: () => this.getSceneBase(),
+        });
+        this.xrLines = new LineRenderer(this.gl, 'XR pointer');
+        window.addEventListener('xrsessionend', () => {
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+            this.resizeCanvas();
+            this.controls.syncToCamera();
+        });
+
+        // Cameras of the photos a scene was trained from
+        this.trainingCameras = new TrainingCameras();
+        // Source photos laid over the render they were trained into
+        this.photoComparison = new PhotoComparison(this);
 
         this.grid = new Grid(this.gl);
+        this.screenshotRenderer = new ScreenshotRenderer(this.gl);
+        this.cropTool = new CropTool(this.gl, this.canvas, (volume) => this.onCropChanged(volume));
+        this.selectionTool = new SelectionTool(
+            this.canvas,
+            (shape, op) => this.selectSplats(shape, op),
+            (action) => this.applySelectionAction(action),
+        );
+        // Points snap to the nearest splat and are kept in scene space
+        this.measureTool = new MeasureTool(this.canvas, {
+            pick: (x, y) => this.pickSurface(x, y)
+                .then(point => point && point.map(value => value / this.uniformScale)),
+            up: () => this.controls.sceneUp,
+        });
     }
 
     initShader() {
@@ -154,7 +900,11 @@ export class GaussianSplatApp {
         this.u_projection = gl.getUniformLocation(program, "projection");
         this.u_viewport = gl.getUniformLocation(program, "viewport");
         this.u_focal = gl.getUniformLocation(program, "focal");
+        this.u_orthographic = gl.getUniformLocation(program, "u_orthographic");
+        this.u_tile = gl.getUniformLocation(program, "u_tile");
         this.u_view = gl.getUniformLocation(program, "view");
+        this.u_models = gl.getUniformLocation(program, "u_models");
+        this.u_gpuSorted = gl.getUniformLocation(program, "u_gpuSorted");
 
         // positions
         const triangleVertices = new Float32Array([-2, -2, 2, -2, 2, 2, -2, 2]);
@@ -172,6 +922,20 @@ export class GaussianSplatApp {
         var u_textureLocation = gl.getUniformLocation(program, "u_texture");
         gl.uniform1i(u_textureLocation, 0);
 
+        // Spherical harmonics coefficients live on texture unit 1
+        this.shTexture = gl.createTexture();
+        var u_shTextureLocation = gl.getUniformLocation(program, "u_shTexture");
+        gl.uniform1i(u_shTextureLocation, 1);
+
+        // GPU sort results are read from texture unit 2
+        var u_sortTextureLocation = gl.getUniformLocation(program, "u_sortTexture");
+        gl.uniform1i(u_sortTextureLocation, 2);
+
+        // Selection and hide flags live on texture unit 3
+        this.flagTexture = gl.createTexture();
+        var u_flagTextureLocation = gl.getUniformLocation(program, "u_flagTexture");
+        gl.uniform1i(u_flagTextureLocation, 3);
+
         this.indexBuffer = gl.createBuffer();
         this.a_index = gl.getAttribLocation(program, "index");
         gl.enableVertexAttribArray(this.a_index);
@@ -192,6 +956,11 @@ export class GaussianSplatApp {
         this.u_opacity = gl.getUniformLocation(this.program, "u_opacity");
         this.u_splatSize = gl.getUniformLocation(this.program, "u_splatSize");
         this.u_useAlphaBlending = gl.getUniformLocation(this.program, "u_useAlphaBlending");
+        this.u_shDegree = gl.getUniformLocation(this.program, "u_shDegree");
+        this.u_shTexelsPerSplat = gl.getUniformLocation(this.program, "u_shTexelsPerSplat");
+        this.u_cropMode = gl.getUniformLocation(this.program, "u_cropMode");
+        this.u_cropCenter = gl.getUniformLocation(this.program, "u_cropCenter");
+        this.u_cropSize = gl.getUniformLocation(this.program, "u_cropSize");
         
         // Set initial values
         gl.uniform1f(this.u_splatSize, this.splatSize);
@@ -199,34 +968,208 @@ export class GaussianSplatApp {
         gl.uniform1f(this.u_uniformScale, this.uniformScale);
         gl.uniform1f(this.u_pointScale, this.pointScale);
         gl.uniform1f(this.u_opacity, this.opacity);
+        this.updateSHUniforms();
+    }
+
+    updateSHUniforms() {
+        const gl = this.gl;
+        const degree = Math.min(this.maxSHDegree, this.sceneSHDegree);
+        // Must match shTexelsForDegree in the worker
+        const texelsPerSplat = Math.ceil((((this.sceneSHDegree + 1) ** 2 - 1) * 3) / 8);
+        gl.useProgram(this.program);
+        gl.uniform1i(this.u_shDegree, degree);
+        gl.uniform1i(this.u_shTexelsPerSplat, texelsPerSplat);
     }
 
     // Add setter methods for the controls
     setUniformScale(scale) {
+        const before = this.uniformScale;
         this.uniformScale = Math.max(0.1, scale);
         this.gl.useProgram(this.program);
         this.gl.uniform1f(this.u_uniformScale, this.uniformScale);
+        this.history.recordSetting('Uniform scale', 'uniformScale', before, this.uniformScale,
+            value => this.setUniformScale(value));
     }
 
     setPointScale(scale) {
+        const before = this.pointScale;
         this.pointScale = Math.max(0.1, scale);
         this.gl.useProgram(this.program);
         this.gl.uniform1f(this.u_pointScale, this.pointScale);
+        this.history.recordSetting('Point scale', 'pointScale', before, this.pointScale,
+            value => this.setPointScale(value));
     }
 
     setOpacity(opacity) {
+        const before = this.opacity;
         this.opacity = Math.max(0.0, Math.min(1.0, opacity));
         this.gl.useProgram(this.program);
         this.gl.uniform1f(this.u_opacity, this.opacity);
+        this.history.recordSetting('Opacity', 'opacity', before, this.opacity,
+            value => this.setOpacity(value));
     }
     
     setSplatSize(size) {
+        const before = this.splatSize;
         this.splatSize = Math.max(0.1, size);
         this.gl.useProgram(this.program);
         this.gl.uniform1f(this.u_splatSize, this.splatSize);
+        this.history.recordSetting('Splat size', 'splatSize', before, this.splatSize,
+            value => this.setSplatSize(value));
+    }
+
+    setSHDegree(degree) {
+        const before = this.maxSHDegree;
+        this.maxSHDegree = Math.max(0, Math.min(3, Math.round(degree)));
+        this.updateSHUniforms();
+        this.history.recordSetting('SH degree', 'shDegree', before, this.maxSHDegree,
+            value => this.setSHDegree(value));
+    }
+
+    // Depth key precision of the worker sort: 16, 24 or 32 bits
+    setSortPrecision(bits) {
+        this.sortPrecision = bits;
+        this.worker.postMessage({ sortPrecision: bits });
+    }
+
+    // Switches between the worker sort and the WebGL2 GPU sort. Returns the
+    // mode actually in use, which stays on the worker if the GPU path fails.
+    setGPUSort(enabled) {
+        if (enabled && !this.gpuSorter) {
+            try {
+                if (!GPUSorter.isSupported(this.gl)) {
+                    throw new Error('WebGL2 is not available');
+                }
+                this.gpuSorter = new GPUSorter(this.gl);
+            } catch (error) {
+                console.warn('GPU sort unavailable, using worker sort:', error);
+                enabled = false;
+            }
+        }
+
+        this.useGPUSort = enabled;
+        // Draw nothing until the newly selected path has produced an order
+        this.vertexCount = 0;
+        this.worker.postMessage({ cpuSort: !enabled });
+        window.dispatchEvent(new CustomEvent('sortModeChanged', {
+            detail: { gpu: enabled }
+        }));
+        return enabled;
+    }
+
+    runGPUSort(viewProj) {
+        if (this.splatCount === 0 || !this.sceneModels) {
+            this.vertexCount = 0;
+            return;
+        }
+
+        try {
+            const sceneVisible = this.getSceneVisibility();
+            this.gpuSorter.sort({
+                splatTexture: this.texture,
+                count: this.splatCount,
+                viewProj,
+                models: this.sceneModels,
+                sceneVisible,
+            });
+            // Hidden splats are keyed to the end, so only draw the visible ones
+            this.vertexCount = this.sceneSlots.reduce((count, id, slot) => {
+                const scene = this.scenes.find(scene => scene.id === id);
+                return sceneVisible[slot] ? count + scene.vertexCount : count;
+            }, 0);
+        } catch (error) {
+            console.warn('GPU sort failed, falling back to worker sort:', error);
+            this.setGPUSort(false);
+        }
+    }
+
+    // Resolves once the draw order for viewProj is in place: at once for the
+    // GPU sort, otherwise when the worker has answered with its depth index
+    sortForView(viewProj) {
+        if (this.useGPUSort) {
+            this.runGPUSort(viewProj);
+            return Promise.resolve();
+        }
+        const id = ++this.nextSortId;
+        return new Promise((resolve) => {
+            this.pendingSorts.set(id, resolve);
+            this.worker.postMessage({ sortNow: { id, view: viewProj } });
+        });
+    }
+
+    // Sorts the current scenes from the same set of orbiting views with both
+    // paths and reports the average time of each
+    async runSortBenchmark(iterations = 10) {
+        if (this.splatCount === 0) {
+            throw new Error('Load a scene before running the sort benchmark');
+        }
+
+        const viewMatrix = this.camera.getViewMatrix();
+        const views = [];
+        for (let i = 0; i < iterations; i++) {
+            const viewProj = mat4.create();
+            mat4.fromYRotation(viewProj, (2 * Math.PI * i) / iterations);
+            mat4.multiply(viewProj, viewMatrix, viewProj);
+            mat4.multiply(viewProj, this.projectionMatrix, viewProj);
+            views.push(viewProj);
+        }
+        const average = (times) => times.reduce((sum, t) => sum + t, 0) / times.length;
+
+        // Worker: sort time as measured in the worker, and the round trip
+        // including the transfer of the index buffer
+        const cpuSortTimes = [];
+        const cpuRoundTripTimes = [];
+        for (const viewProj of views) {
+            const start = performance.now();
+            const stats = await new Promise((resolve) => {
+                this.pendingBenchmark = resolve;
+                this.worker.postMessage({ benchmarkView: viewProj });
+            });
+            cpuRoundTripTimes.push(performance.now() - start);
+            cpuSortTimes.push(stats.totalTime);
+        }
+        this.pendingBenchmark = null;
+
+        // GPU: each sort is followed by a one-pixel read back so the
+        // measurement covers the whole pass chain
+        let gpuSortMs = null;
+        try {
+            if (!this.gpuSorter) this.gpuSorter = new GPUSorter(this.gl);
+            const sortOptions = {
+                splatTexture: this.texture,
+                count: this.splatCount,
+                models: this.sceneModels,
+                sceneVisible: this.getSceneVisibility(),
+            };
+            // Warm up so texture allocation is not measured
+            this.gpuSorter.sort({ ...sortOptions, viewProj: views[0] });
+            this.gpuSorter.finish();
+
+            const gpuTimes = [];
+            for (const viewProj of views) {
+                const start = performance.now();
+                this.gpuSorter.sort({ ...sortOptions, viewProj });
+                this.gpuSorter.finish();
+                gpuTimes.push(performance.now() - start);
+            }
+            gpuSortMs = average(gpuTimes);
+        } catch (error) {
+            console.warn('GPU sort benchmark failed:', error);
+        }
+
+        const results = {
+            splats: this.splatCount,
+            iterations,
+            cpuSortMs: average(cpuSortTimes),
+            cpuRoundTripMs: average(cpuRoundTripTimes),
+            gpuSortMs,
+        };
+        window.dispatchEvent(new CustomEvent('sortBenchmarkComplete', { detail: results }));
+        return results;
     }
 
     setAlphaBlending(enabled) {
+        const before = this.useAlphaBlending;
         this.useAlphaBlending = enabled;
         this.gl.useProgram(this.program);
         this.gl.uniform1i(this.u_useAlphaBlending, enabled);
@@ -243,6 +1186,8 @@ export class GaussianSplatApp {
         } else {
             this.gl.disable(this.gl.BLEND);
         }
+        this.history.recordSetting('Alpha blending', 'alphaBlending', before, enabled,
+            value => this.setAlphaBlending(value));
     }
 
     setupWorker() {
@@ -258,10 +1203,97 @@ export class GaussianSplatApp {
         const gl = this.gl;
 
         this.worker.onmessage = (e) => {
-            if (e.data.buffer) {
-                this.splatData = new Uint8Array(e.data.buffer);
+            if (e.data.exportData) {
+                const { exportData, count, shCoefficients, shDegree } = e.data;
+                this.pendingExport?.resolve({ data: exportData, count, shCoefficients, shDegree });
+            } else if (e.data.exportError) {
+                this.pendingExport?.reject(new Error(e.data.exportError));
+            } else if (e.data.editRecorded) {
+                // Selection and crop edits: the worker holds the flag diffs
+                const { id, label, bytes } = e.data.editRecorded;
+                this.history.record({
+                    label,
+                    bytes,
+                    undo: () => this.worker.postMessage({ undoEdit: id }),
+                    redo: () => this.worker.postMessage({ redoEdit: id }),
+                    discard: () => this.worker.postMessage({ discardEdit: id }),
+                });
+            } else if (e.data.cropCommitted) {
+                this.pendingCrop?.resolve(e.data.cropCommitted);
+            } else if (e.data.cropError) {
+                this.pendingCrop?.reject(new Error(e.data.cropError));
+            } else if (e.data.selectionStats) {
+                this.selectionStats = e.data.selectionStats;
+                window.dispatchEvent(new CustomEvent('selectionChanged', {
+                    detail: this.selectionStats
+                }));
+            } else if (e.data.flagTexdata) {
+                const { flagTexdata, flagTexwidth, flagTexheight } = e.data;
+                gl.activeTexture(gl.TEXTURE3);
+                gl.bindTexture(gl.TEXTURE_2D, this.flagTexture);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+                gl.texImage2D(
+                    gl.TEXTURE_2D,
+                    0,
+                    gl.R8UI,
+                    flagTexwidth,
+                    flagTexheight,
+                    0,
+                    gl.RED_INTEGER,
+                    gl.UNSIGNED_BYTE,
+                    flagTexdata,
+                );
+                gl.activeTexture(gl.TEXTURE0);
+            } else if (e.data.boundsResult) {
+                const { id, bounds } = e.data.boundsResult;
+                this.pendingBounds.get(id)?.(bounds);
+                this.pendingBounds.delete(id);
+            } else if (e.data.pickResult) {
+                const { id, point } = e.data.pickResult;
+                this.pendingPicks.get(id)?.(point);
+                this.pendingPicks.delete(id);
+            } else if (e.data.sortComplete !== undefined) {
+                this.pendingSorts.get(e.data.sortComplete)?.();
+                this.pendingSorts.delete(e.data.sortComplete);
+            } else if (e.data.streamProgress) {
+                const { sceneId, loaded, total, done, error } = e.data.streamProgress;
+                const scene = this.scenes.find(scene => scene.id === sceneId);
+                if (!scene || !scene.progress) return;
+                scene.vertexCount = total;
+                scene.progress.splatsLoaded = loaded;
+                scene.progress.splatsTotal = total;
+                if (error) {
+                    scene.progress.error = error;
+                    scene.reader?.cancel();
+                }
+                if (done) {
+                    scene.progress.done = true;
+                    this.dispatchSceneListChanged();
+                } else {
+                    this.dispatchSceneLoadProgress(scene);
+                }
+            } else if (e.data.texdata && e.data.texRowOffset !== undefined) {
+                // Rows written by a streaming load since the last upload
+                const { texdata, texwidth, texRowOffset, texRowCount } = e.data;
+                gl.activeTexture(gl.TEXTURE0);
+                gl.bindTexture(gl.TEXTURE_2D, this.texture);
+                gl.texSubImage2D(
+                    gl.TEXTURE_2D,
+                    0,
+                    0,
+                    texRowOffset,
+                    texwidth,
+                    texRowCount,
+                    gl.RGBA_INTEGER,
+                    gl.UNSIGNED_INT,
+                    texdata,
+                );
             } else if (e.data.texdata) {
-                const { texdata, texwidth, texheight } = e.data;
+                const { texdata, texwidth, texheight, sceneIds } = e.data;
+                this.sceneSlots = sceneIds;
+                this.splatCount = e.data.vertexCount;
+                this.updateSceneUniforms();
                 // console.log("Texture data changed", e.data);
                 gl.bindTexture(gl.TEXTURE_2D, this.texture);
                 gl.texParameteri(
@@ -290,37 +1322,123 @@ export class GaussianSplatApp {
                 );
                 gl.activeTexture(gl.TEXTURE0);
                 gl.bindTexture(gl.TEXTURE_2D, this.texture);
+            } else if (e.data.shTexdata && e.data.shTexRowOffset !== undefined) {
+                const { shTexdata, shTexwidth, shTexRowOffset, shTexRowCount } = e.data;
+                gl.activeTexture(gl.TEXTURE1);
+                gl.bindTexture(gl.TEXTURE_2D, this.shTexture);
+                gl.texSubImage2D(
+                    gl.TEXTURE_2D,
+                    0,
+                    0,
+                    shTexRowOffset,
+                    shTexwidth,
+                    shTexRowCount,
+                    gl.RGBA_INTEGER,
+                    gl.UNSIGNED_INT,
+                    shTexdata,
+                );
+                gl.activeTexture(gl.TEXTURE0);
+            } else if (e.data.shTexdata) {
+                const { shTexdata, shTexwidth, shTexheight, shDegree } = e.data;
+                gl.activeTexture(gl.TEXTURE1);
+                gl.bindTexture(gl.TEXTURE_2D, this.shTexture);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+                gl.texImage2D(
+                    gl.TEXTURE_2D,
+                    0,
+                    gl.RGBA32UI,
+                    shTexwidth,
+                    shTexheight,
+                    0,
+                    gl.RGBA_INTEGER,
+                    gl.UNSIGNED_INT,
+                    shTexdata,
+                );
+                gl.activeTexture(gl.TEXTURE0);
+
+                this.sceneSHDegree = shDegree;
+                this.updateSHUniforms();
             } else if (e.data.depthIndex) {
-                const { depthIndex, viewProj } = e.data;
+                const { depthIndex, viewProj, sortStats } = e.data;
+                if (sortStats && sortStats.benchmark) {
+                    this.pendingBenchmark?.(sortStats);
+                    return;
+                }
                 //console.log("Depth index changed", e.data);
                 gl.bindBuffer(gl.ARRAY_BUFFER, this.indexBuffer);
                 gl.bufferData(gl.ARRAY_BUFFER, depthIndex, gl.DYNAMIC_DRAW);
-                this.vertexCount = e.data.vertexCount;
+                if (!this.useGPUSort) {
+                    this.vertexCount = e.data.vertexCount;
+                }
+
+                if (sortStats) {
+                    this.sortStats = sortStats;
+                    window.dispatchEvent(new CustomEvent('sortStatsUpdated', {
+                        detail: sortStats
+                    }));
+                }
             }
         };
     }
 
-    draw() {
+    // Draws the splats for the current camera. Offline renders pass their
+    // own output size, projection and focal lengths, and XR eyes their own
+    // view as well; the live view uses the window's. A tile [scaleX,
+    // scaleY, offsetX, offsetY] maps the part of the view being drawn onto
+    // the viewport, with width and height the size of that part in pixels.
+    draw({
+        width = innerWidth,
+        height = innerHeight,
+        projection = this.projectionMatrix,
+        view = this.camera.getViewMatrix(),
+        fx = this.focal[0],
+        fy = this.focal[1],
+        orthographic = this.camera.orthographic,
+        tile = [1, 1, 0, 0],
+    } = {}) {
         this.gl.useProgram(this.program);
 
         // Set uniforms
-        this.gl.uniformMatrix4fv(this.u_projection, false, this.projectionMatrix);
-        this.gl.uniform2fv(this.u_viewport, new Float32Array([innerWidth, innerHeight]));
-        this.gl.uniform2fv(this.u_focal, new Float32Array([this.camera.fx, this.camera.fy]));
+        this.gl.uniformMatrix4fv(this.u_projection, false, projection);
+        this.gl.uniform2fv(this.u_viewport, new Float32Array([width, height]));
+        this.gl.uniform2fv(this.u_focal, new Float32Array([fx, fy]));
+        this.gl.uniform1i(this.u_orthographic, orthographic);
+        this.gl.uniform4fv(this.u_tile, new Float32Array(tile));
 
         this.gl.uniform1f(this.u_uniformScale, this.uniformScale);
         this.gl.uniform1f(this.u_pointScale, this.pointScale);
         this.gl.uniform1f(this.u_opacity, this.opacity);
 
-        this.gl.uniformMatrix4fv(this.u_view, false, this.camera.getViewMatrix());
+        this.gl.uniformMatrix4fv(this.u_view, false, view);
+
+        // Bind splat, SH, flag and (when sorting on the GPU) sort textures
+        this.gl.uniform1i(this.u_gpuSorted, this.useGPUSort);
+        if (this.useGPUSort) {
+            this.gl.activeTexture(this.gl.TEXTURE2);
+            this.gl.bindTexture(this.gl.TEXTURE_2D, this.gpuSorter.result);
+        }
+        this.gl.activeTexture(this.gl.TEXTURE3);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.flagTexture);
+        this.gl.activeTexture(this.gl.TEXTURE1);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.shTexture);
+        this.gl.activeTexture(this.gl.TEXTURE0);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
 
         // Set vertices
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
         this.gl.vertexAttribPointer(this.a_position, 2, this.gl.FLOAT, false, 0, 0);
         this.gl.enableVertexAttribArray(this.a_position);
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.indexBuffer);
-        this.gl.vertexAttribIPointer(this.a_index, 1, this.gl.INT, false, 0, 0);
-        this.gl.enableVertexAttribArray(this.a_index);
+        if (this.useGPUSort) {
+            // The shader reads the order from the sort texture by instance id
+            this.gl.disableVertexAttribArray(this.a_index);
+        } else {
+            this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.indexBuffer);
+            this.gl.vertexAttribIPointer(this.a_index, 1, this.gl.INT, false, 0, 0);
+            this.gl.enableVertexAttribArray(this.a_index);
+        }
 
         // Draw
                 this.gl.uniform1f(this.u_uniformScale, this.uniformScale);
@@ -334,30 +1452,224 @@ export class GaussianSplatApp {
         this.gl.disableVertexAttribArray(this.a_index);
     }
 
-    setupWindowEventListeners() {
+    // Focal lengths and principal point, in pixels, for drawing the current
+    // camera into a width x height image. A training camera's image is
+    // fitted inside it, centered; otherwise the window's vertical field of
+    // view is kept, looking through the middle. Orthographic views get
+    // pixels per unit in place of focal lengths, spanning orthoHeight.
+    viewIntrinsics(width, height) {
+        const camera = this.camera;
+        if (camera.orthographic) {
+            const fy = height / camera.orthoHeight;
+            return { fx: fy * camera.fx / camera.fy, fy, cx: width / 2, cy: height / 2 };
+        }
+        const intrinsics = camera.intrinsics;
+        if (intrinsics) {
+            const scale = Math.min(width / intrinsics.width, height / intrinsics.height);
+            return {
+                fx: intrinsics.fx * scale,
+                fy: intrinsics.fy * scale,
+                cx: intrinsics.cx * scale + (width - intrinsics.width * scale) / 2,
+                cy: intrinsics.cy * scale + (height - intrinsics.height * scale) / 2,
+            };
+        }
+        const scale = height / innerHeight;
+        return { fx: this.camera.fx * scale, fy: this.camera.fy * scale, cx: width / 2, cy: height / 2 };
+    }
+
+    projectionFor(width, height, { fx, fy, cx, cy }) {
+        const { znear, zfar, orthographic } = this.camera;
+        const project = orthographic ? getOrthographicMatrix : getProjectionMatrix;
+        return project(fx, fy, width, height, { cx, cy, znear, zfar });
+    }
+
+    // Draws an immersive frame: every view of the viewer pose into its part
+    // of the XR layer, each with its own projection. One depth sort from
+    // the head serves all the eyes.
+    renderXRFrame(pose, layer) {
         const gl = this.gl;
+        const { znear, zfar } = this.camera;
+        // XR eyes look down -z with y up; splat views look down +z with y down
+        const flip = mat4.fromScaling(mat4.create(), [1, -1, -1]);
+        const viewFor = (transform) =>
+            mat4.multiply(mat4.create(), flip, mat4.invert(mat4.create(), this.xrControls.worldPose(transform)));
 
-        const resize = () => {
-            gl.uniform2fv(this.u_focal, new Float32Array([this.camera.fx, this.camera.fy])); // update the focal length in the shader
+        const eyes = pose.views.map((view) => {
+            const viewport = layer.getViewport(view);
+            const { fx, fy, cx, cy } = intrinsicsFromProjection(view.projectionMatrix, viewport.width, viewport.height);
+            return {
+                viewport,
+                fx,
+                fy,
+                projection: getProjectionMatrix(fx, fy, viewport.width, viewport.height, { cx, cy, znear, zfar }),
+                view: viewFor(view.transform),
+            };
+        });
+        if (eyes.length === 0) return;
 
-            this.projectionMatrix = getProjectionMatrix( // update the projection matrix
-                this.camera.fx,
-                this.camera.fy,
-                innerWidth,
-                innerHeight,
-            );
+        const viewProj = mat4.multiply(mat4.create(), eyes[0].projection, viewFor(pose.transform));
+        this.viewProj = viewProj;
+        this.worker.postMessage({ view: viewProj });
+        if (this.useGPUSort) {
+            this.runGPUSort(viewProj);
+        }
 
-            gl.uniform2fv(this.u_viewport, new Float32Array([innerWidth, innerHeight])); // update the viewport size in the shader
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+        // Splats blend under what is drawn, weighted by its alpha. Clearing
+        // to transparent also lets AR passthrough show wherever no splat
+        // covers.
+        const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.clearColor(...clearColor);
+        const lines = this.xrControls.buildLines();
+        for (const { viewport, fx, fy, projection, view } of eyes) {
+            gl.viewport(viewport.x, viewport.y, viewport.width, viewport.height);
+            // AR shows the scene once it is placed on a surface
+            if (this.vertexCount > 0 && this.xrControls.showScene) {
+                this.draw({
+                    width: viewport.width,
+                    height: viewport.height,
+                    projection,
+                    view,
+                    fx,
+                    fy,
+                    orthographic: false,
+                });
+            }
+            this.xrControls.panel?.draw(projection, view, this.xrControls.origin);
+            // The teleport arc and the rays at the panel
+            this.xrLines.draw(projection, view, lines);
+        }
+    }
 
-            gl.canvas.width = Math.round(innerWidth);
-            gl.canvas.height = Math.round(innerHeight);
-            gl.viewport(0, 0, gl.canvas.width, gl.canvas.height); // update the viewport size in the WebGL context
+    // Rebuilds the projection for the window; the frame loop calls it every
+    // frame, as wheel zoom changes orthographic views. The camera's focal
+    // lengths follow a training camera's lens, so the shader and the
+    // controls see the same values.
+    updateProjection() {
+        const intrinsics = this.viewIntrinsics(innerWidth, innerHeight);
+        if (!this.camera.orthographic) {
+            this.camera.fx = intrinsics.fx;
+            this.camera.fy = intrinsics.fy;
+        }
+        this.focal = [intrinsics.fx, intrinsics.fy];
+        this.projectionMatrix = this.projectionFor(innerWidth, innerHeight, intrinsics);
+    }
 
-            gl.uniformMatrix4fv(this.u_projection, false, this.projectionMatrix); // update the projection matrix in the shader
+    // Lens settings in the units the controls show: vertical field of view
+    // in degrees for the window, clip planes and orthographic view height
+    getLens() {
+        const camera = this.camera;
+        return {
+            fov: camera.getFieldOfView(innerHeight),
+            znear: camera.znear,
+            zfar: camera.zfar,
+            orthographic: camera.orthographic,
+            orthoHeight: camera.orthoHeight,
         };
+    }
 
-        window.addEventListener("resize", resize);
-        resize();
+    // Vertical field of view of the window in degrees. This is a lens of
+    // our own, so a training camera's off-center intrinsics are dropped.
+    setFieldOfView(degrees) {
+        if (!(degrees > 0 && degrees < 180)) {
+            throw new Error(`Field of view must be between 0 and 180 degrees, got ${degrees}`);
+        }
+        this.camera.intrinsics = null;
+        this.camera.setFieldOfView(degrees, innerHeight);
+        this.updateProjection();
+        this.lensChanged();
+    }
+
+    setClipPlanes(znear, zfar) {
+        if (!(znear > 0 && zfar > znear)) {
+            throw new Error(`Clip planes need 0 < near < far, got ${znear} and ${zfar}`);
+        }
+        this.camera.znear = znear;
+        this.camera.zfar = zfar;
+        this.updateProjection();
+        this.lensChanged();
+    }
+
+    // Switches between perspective and orthographic projection. Going
+    // orthographic keeps the scene at the pivot (or orbitDistance ahead in
+    // fly mode) the same size on screen.
+    setOrthographic(orthographic) {
+        const camera = this.camera;
+        if (orthographic && !camera.orthographic) {
+            const controls = this.controls;
+            const distance = controls.mode === 'orbit'
+                ? vec3.distance(camera.position, controls.pivot)
+                : controls.orbitDistance;
+            camera.intrinsics = null;
+            camera.orthoHeight = distance * innerHeight / camera.fy;
+        }
+        camera.orthographic = orthographic;
+        this.updateProjection();
+        this.lensChanged();
+    }
+
+    // Orthographic plan ('top', looking down with the current heading at
+    // the top of the screen) or elevation ('elevation', looking level along
+    // the world axis nearest the current heading), centered where the
+    // view is centered now
+    setAxisView(kind) {
+        const controls = this.controls;
+        const up = controls.sceneUp;
+        const view = controls.viewDirection;
+        // Heading: the view direction flattened onto the ground, or the
+        // screen's up direction when looking straight up or down
+        const flatten = (vector) => vec3.scaleAndAdd(vec3.create(), vector, up, -vec3.dot(vector, up));
+        let heading = flatten(view);
+        if (vec3.length(heading) < 1e-3) heading = flatten(controls.screenUp);
+        vec3.normalize(heading, heading);
+
+        this.cameraPath.pause();
+        this.bookmarks.flight = null;
+        if (kind === 'top') {
+            controls.lookAlong(vec3.negate(vec3.create(), up), heading);
+        } else if (kind === 'elevation') {
+            const axes = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]
+                .filter(axis => Math.abs(vec3.dot(axis, up)) < 0.5);
+            const nearest = axes.reduce((best, axis) =>
+                (vec3.dot(axis, heading) > vec3.dot(best, heading) ? axis : best));
+            controls.lookAlong(vec3.fromValues(...nearest), up);
+        } else {
+            throw new Error(`Unknown axis view: ${kind}`);
+        }
+        this.setOrthographic(true);
+    }
+
+    lensChanged() {
+        window.dispatchEvent(new CustomEvent('lensChanged', { detail: this.getLens() }));
+    }
+
+    // Sizes the canvas and projection to the window
+    resizeCanvas() {
+        const gl = this.gl;
+        this.updateProjection(); // update the projection matrix
+        gl.uniform2fv(this.u_focal, new Float32Array(this.focal)); // update the focal length in the shader
+
+        gl.uniform2fv(this.u_viewport, new Float32Array([innerWidth, innerHeight])); // update the viewport size in the shader
+
+        gl.canvas.width = Math.round(innerWidth);
+        gl.canvas.height = Math.round(innerHeight);
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height); // update the viewport size in the WebGL context
+
+        gl.uniformMatrix4fv(this.u_projection, false, this.projectionMatrix); // update the projection matrix in the shader
+    }
+
+    setupWindowEventListeners() {
+        window.addEventListener("resize", () => {
+            // An offline render owns the canvas size until it finishes
+            if (this.offlineRendering) return;
+            this.resizeCanvas();
+            // The focal lengths stay put in pixels, so the field of view
+            // follows the window height
+            this.lensChanged();
+        });
+        this.resizeCanvas();
     }
 
 }
@@ -104,4 +104,85 @@ export class Grid {
         this.gl.disableVertexAttribArray(this.positionAttribute);
         this.gl.disableVertexAttribArray(this.colorAttribute);
     }
-}
\ No newline at end of file
+}
+
+// Draws colored line lists with the grid shader, for overlays such as the
+// crop volume and the camera path. Needs WebGL2: it keeps its attributes in
+// its own VAO so the instanced splat attributes never leak into them.
+export class LineRenderer {
+    constructor(gl, name = 'line') {
+        this.gl = gl;
+        this.name = name; // For error messages
+        this.uploaded = null; // Vertex array last sent to the buffer
+        this.initializeShaders();
+        this.initializeBuffers();
+    }
+
+    initializeShaders() {
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                console.error(`${this.name} shader compilation error:`, gl.getShaderInfoLog(shader));
+            }
+            return shader;
+        };
+
+        this.program = gl.createProgram();
+        gl.attachShader(this.program, compile(gl.VERTEX_SHADER, SHADERS.grid.vertex));
+        gl.attachShader(this.program, compile(gl.FRAGMENT_SHADER, SHADERS.grid.fragment));
+        gl.linkProgram(this.program);
+        if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+            console.error(`Failed to link ${this.name} program:`, gl.getProgramInfoLog(this.program));
+        }
+
+        this.positionAttribute = gl.getAttribLocation(this.program, 'aVertexPosition');
+        this.colorAttribute = gl.getAttribLocation(this.program, 'aVertexColor');
+        this.modelViewUniform = gl.getUniformLocation(this.program, 'uModelViewMatrix');
+        this.projectionUniform = gl.getUniformLocation(this.program, 'uProjectionMatrix');
+    }
+
+    initializeBuffers() {
+        const gl = this.gl;
+        this.vao = gl.createVertexArray();
+        gl.bindVertexArray(this.vao);
+        this.vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        // Interleaved position and color
+        gl.enableVertexAttribArray(this.positionAttribute);
+        gl.vertexAttribPointer(this.positionAttribute, 3, gl.FLOAT, false, 24, 0);
+        gl.enableVertexAttribArray(this.colorAttribute);
+        gl.vertexAttribPointer(this.colorAttribute, 3, gl.FLOAT, false, 24, 12);
+        gl.bindVertexArray(null);
+    }
+
+    // vertices: x, y, z, r, g, b per vertex, two vertices per line. The
+    // same array drawn again is not uploaded again, so callers that cache
+    // their lines must hand over a new array when they change.
+    draw(projectionMatrix, modelViewMatrix, vertices) {
+        if (vertices.length === 0) return;
+        const gl = this.gl;
+
+        gl.useProgram(this.program);
+        gl.uniformMatrix4fv(this.projectionUniform, false, projectionMatrix);
+        gl.uniformMatrix4fv(this.modelViewUniform, false, modelViewMatrix);
+
+        gl.bindVertexArray(this.vao);
+        if (vertices !== this.uploaded) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.DYNAMIC_DRAW);
+            this.uploaded = vertices;
+        }
+
+        // Opaque lines on top of the splats; the splat blend mode would hide
+        // them wherever the splats have already filled in the alpha
+        const blending = gl.isEnabled(gl.BLEND);
+        gl.disable(gl.BLEND);
+        gl.drawArrays(gl.LINES, 0, vertices.length / 6);
+        if (blending) gl.enable(gl.BLEND);
+
+        gl.bindVertexArray(null);
+    }
+}
@@ -0,0 +1,129 @@
+// imageMetrics.js
+// Image quality metrics between a render and a reference photo, both given
+// as RGBA ImageData of the same size. Alpha is ignored.
+
+const SSIM_WINDOW = 11;
+const SSIM_SIGMA = 1.5;
+const SSIM_C1 = 0.01 ** 2;
+const SSIM_C2 = 0.03 ** 2;
+
+function checkSizes(a, b) {
+    if (a.width !== b.width || a.height !== b.height) {
+        throw new Error(`Images differ in size: ${a.width}x${a.height} and ${b.width}x${b.height}`);
+    }
+}
+
+// Peak signal-to-noise ratio over the RGB channels, in dB; Infinity for
+// identical images
+export function computePSNR(a, b) {
+    checkSizes(a, b);
+    const x = a.data;
+    const y = b.data;
+    let sum = 0;
+    for (let i = 0; i < x.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            const d = x[i + c] - y[i + c];
+            sum += d * d;
+        }
+    }
+    const mse = sum / (a.width * a.height * 3) / (255 * 255);
+    return mse === 0 ? Infinity : -10 * Math.log10(mse);
+}
+
+// Structural similarity with an 11x11 Gaussian window (sigma 1.5), per RGB
+// channel and averaged. Borders are zero-padded, as in the 3DGS evaluation
+// code, so the numbers are comparable to its reports.
+export function computeSSIM(a, b) {
+    checkSizes(a, b);
+    const { width, height } = a;
+    const count = width * height;
+    const kernel = gaussianKernel(SSIM_WINDOW, SSIM_SIGMA);
+    const scratch = new Float32Array(count);
+    const x = new Float32Array(count);
+    const y = new Float32Array(count);
+    const products = new Float32Array(count);
+
+    let total = 0;
+    for (let c = 0; c < 3; c++) {
+        for (let i = 0; i < count; i++) {
+            x[i] = a.data[i * 4 + c] / 255;
+            y[i] = b.data[i * 4 + c] / 255;
+        }
+        const blurred = (values) => blur(values, width, height, kernel, scratch);
+        const muX = blurred(x);
+        const muY = blurred(y);
+        const square = (values) => {
+            for (let i = 0; i < count; i++) products[i] = values[i] * values[i];
+            return blurred(products);
+        };
+        const xx = square(x);
+        const yy = square(y);
+        for (let i = 0; i < count; i++) products[i] = x[i] * y[i];
+        const xy = blurred(products);
+
+        for (let i = 0; i < count; i++) {
+            const mx = muX[i];
+            const my = muY[i];
+            const varX = xx[i] - mx * mx;
+            const varY = yy[i] - my * my;
+            const covariance = xy[i] - mx * my;
+            total += ((2 * mx * my + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+                ((mx * mx + my * my + SSIM_C1) * (varX + varY + SSIM_C2));
+        }
+    }
+    return total / (count * 3);
+}
+
+// Absolute per-channel difference, multiplied by gain so small errors show
+export function differenceImage(a, b, gain = 4) {
+    checkSizes(a, b);
+    const out = new ImageData(a.width, a.height);
+    for (let i = 0; i < out.data.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            out.data[i + c] = Math.abs(a.data[i + c] - b.data[i + c]) * gain;
+        }
+        out.data[i + 3] = 255;
+    }
+    return out;
+}
+
+function gaussianKernel(size, sigma) {
+    const half = (size - 1) / 2;
+    const kernel = new Float32Array(size);
+    let sum = 0;
+    for (let i = 0; i < size; i++) {
+        kernel[i] = Math.exp(-((i - half) ** 2) / (2 * sigma * sigma));
+        sum += kernel[i];
+    }
+    return kernel.map(value => value / sum);
+}
+
+// Separable convolution with zero padding; returns a new array
+function blur(values, width, height, kernel, scratch) {
+    const half = (kernel.length - 1) / 2;
+    for (let row = 0; row < height; row++) {
+        const base = row * width;
+        for (let column = 0; column < width; column++) {
+            let sum = 0;
+            const start = Math.max(0, column - half);
+            const end = Math.min(width - 1, column + half);
+            for (let k = start; k <= end; k++) {
+                sum += values[base + k] * kernel[k - column + half];
+            }
+            scratch[base + column] = sum;
+        }
+    }
+    const out = new Float32Array(values.length);
+    for (let row = 0; row < height; row++) {
+        const start = Math.max(0, row - half);
+        const end = Math.min(height - 1, row + half);
+        for (let column = 0; column < width; column++) {
+            let sum = 0;
+            for (let k = start; k <= end; k++) {
+                sum += scratch[k * width + column] * kernel[k - row + half];
+            }
+            out[row * width + column] = sum;
+        }
+    }
+    return out;
+}
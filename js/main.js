@@ -6,6 +6,10 @@ import { PointCloudRenderer } from './pointcloud-renderer.js';
 import { Grid } from './grid.js';
 import { XRControls } from './XRControls.js';
 import { GaussianSplatApp } from './gaussianSplatApp.js';
+import { CommandHistory } from './commandHistory.js';
+import { MeasureTool } from './measureTool.js';
+
+const PICK_MAX_STEPS = 4096; // Radius queries along the pick ray before giving up
 
 class App {
     constructor() {
@@ -66,12 +70,22 @@ class App {
         console.log('Initializing components...');
         try {
             this.camera = new Camera();
+            // Point clouds keep the wider clip range and 45° lens they have
+            // always had
+            this.camera.znear = 0.1;
+            this.camera.zfar = 1000;
+            this.camera.setFieldOfView(45, this.canvas.height);
             console.log('Camera initialized');
 
-            this.controls = new Controls(this.camera, this.canvas);
+            // Undo/redo of render settings (Ctrl+Z, Ctrl+Shift+Z)
+            this.history = new CommandHistory();
+
+            this.controls = new Controls(this.camera, this.canvas, this.history, {
+                pickSurface: (x, y) => Promise.resolve(this.pickSurface(x, y)),
+            });
             console.log('Controls initialized');
 
-            this.pointCloudRenderer = new PointCloudRenderer(this.gl);
+            this.pointCloudRenderer = new PointCloudRenderer(this.gl, this.history);
             console.log('Point cloud renderer initialized');
 
             // Initialize XR controls first
@@ -83,6 +97,12 @@ class App {
             this.viewerControls.setXRControls(this.xrControls);
             console.log('Viewer controls initialized');
 
+            this.measureTool = new MeasureTool(this.canvas, {
+                pick: (x, y) => Promise.resolve(this.pickSurface(x, y)),
+                up: () => this.controls.sceneUp,
+            });
+            this.viewerControls.setMeasureTool(this.measureTool);
+
             this.grid = new Grid(this.gl);
             console.log('Grid initialized');
 
@@ -97,25 +117,6 @@ class App {
                 this.camera.up = cameraSetup.up;
             });
 
-            // Setup XR session end handler
-            window.addEventListener('xrsessionend', () => {
-                const vrButton = document.querySelector('.vr-button');
-                const statusIndicator = document.querySelector('.vr-status');
-                if (vrButton && statusIndicator) {
-                    vrButton.innerHTML = `
-                        <svg class="vr-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                            <path d="M20.5 7H3.5C2.67157 7 2 7.67157 2 8.5V15.5C2 16.3284 2.67157 17 3.5 17H20.5C21.3284 17 22 16.3284 22 15.5V8.5C22 7.67157 21.3284 7 20.5 7Z" stroke="currentColor" stroke-width="2"/>
-                            <circle cx="8" cy="12" r="2" stroke="currentColor" stroke-width="2"/>
-                            <circle cx="16" cy="12" r="2" stroke="currentColor" stroke-width="2"/>
-                        </svg>
-                        Enter VR Mode
-                    `;
-                    statusIndicator.textContent = 'VR Ready';
-                    statusIndicator.classList.remove('active');
-                }
-                document.body.classList.remove('vr-mode');
-            });
-
         } catch (error) {
             console.error('Error initializing components:', error);
             throw error;
@@ -129,6 +130,10 @@ class App {
     resizeCanvas() {
         console.log('Resizing canvas...');
         const { innerWidth, innerHeight } = window;
+        // Focal lengths are in pixels; rescale them to keep the field of view
+        if (this.camera) {
+            this.camera.setFieldOfView(this.camera.getFieldOfView(this.canvas.height), innerHeight);
+        }
         this.canvas.width = innerWidth;
         this.canvas.height = innerHeight;
         this.gl.viewport(0, 0, innerWidth, innerHeight);
@@ -151,6 +156,97 @@ class App {
         }
     }
 
+    // Nearest point whose projection lands within a few pixels of canvas
+    // pixel (x, y), or null
+    pickSurface(x, y, radius = 6) {
+        const { octree } = this.pointCloudRenderer;
+        if (octree && this.viewProj) return this.pickFromOctree(octree, x, y, radius);
+
+        const vertices = this.pointCloudRenderer.originalVertices;
+        if (!vertices || !this.viewProj) return null;
+
+        const m = this.viewProj;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        let best = null;
+        let bestDepth = Infinity;
+        for (let i = 0; i < vertices.length; i += 3) {
+            const px = vertices[i], py = vertices[i + 1], pz = vertices[i + 2];
+            const w = m[3] * px + m[7] * py + m[11] * pz + m[15];
+            // Clip z rather than w, which is 1 everywhere in orthographic views
+            const depth = m[2] * px + m[6] * py + m[10] * pz + m[14];
+            if (w <= 0 || depth >= bestDepth) continue;
+            const sx = ((m[0] * px + m[4] * py + m[8] * pz + m[12]) / w * 0.5 + 0.5) * width;
+            const sy = (0.5 - (m[1] * px + m[5] * py + m[9] * pz + m[13]) / w * 0.5) * height;
+            if (Math.hypot(sx - x, sy - y) > radius) continue;
+            bestDepth = depth;
+            best = [px, py, pz];
+        }
+        return best;
+    }
+
+    // Walks the cone of rays through the pick radius from the camera
+    // outwards with octree radius queries, each sphere as wide as the cone
+    // where it sits, and takes the point nearest the center ray from the
+    // first query that finds any
+    pickFromOctree(octree, x, y, radius) {
+        const inverse = mat4.invert(mat4.create(), this.viewProj);
+        if (!inverse) return null;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        const unproject = (px, py, z) =>
+            vec3.transformMat4(vec3.create(), [px / width * 2 - 1, 1 - py / height * 2, z], inverse);
+        const near = unproject(x, y, -1);
+        const far = unproject(x, y, 1);
+        const nearSpread = vec3.distance(near, unproject(x + radius, y, -1));
+        const farSpread = vec3.distance(far, unproject(x + radius, y, 1));
+        const rayLength = vec3.distance(near, far);
+        const direction = vec3.normalize(vec3.create(), vec3.subtract(vec3.create(), far, near));
+
+        // Only the stretch of the ray inside the octree, widened by the cone
+        const { min, max } = octree.getBounds();
+        let start = 0;
+        let end = 1;
+        ['x', 'y', 'z'].forEach((axis, i) => {
+            const lo = min[axis] - farSpread;
+            const hi = max[axis] + farSpread;
+            const delta = far[i] - near[i];
+            if (Math.abs(delta) < 1e-12) {
+                if (near[i] < lo || near[i] > hi) end = -1;
+                return;
+            }
+            const t0 = (lo - near[i]) / delta;
+            const t1 = (hi - near[i]) / delta;
+            start = Math.max(start, Math.min(t0, t1));
+            end = Math.min(end, Math.max(t0, t1));
+        });
+
+        const center = vec3.create();
+        const offset = vec3.create();
+        let t = start;
+        for (let step = 0; step < PICK_MAX_STEPS && t <= end; step++) {
+            const spread = nearSpread + (farSpread - nearSpread) * t;
+            vec3.lerp(center, near, far, t);
+            const points = octree.queryRadius({ x: center[0], y: center[1], z: center[2] }, spread);
+            if (points.length > 0) {
+                let best = null;
+                let bestDistance = Infinity;
+                for (const point of points) {
+                    vec3.set(offset, point.x - near[0], point.y - near[1], point.z - near[2]);
+                    const along = vec3.dot(offset, direction);
+                    const distance = vec3.squaredLength(offset) - along * along;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = [point.x, point.y, point.z];
+                    }
+                }
+                return best;
+            }
+            t += Math.max(spread, 1e-9) / rayLength;
+        }
+        return null;
+    }
+
     centerCameraOnPointCloud() {
         const { bounds } = this.pointCloudRenderer;
         const center = {
@@ -188,18 +284,28 @@ class App {
             this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
 
             // SMatrix
+            const camera = this.camera;
             const aspect = this.gl.canvas.clientWidth / this.gl.canvas.clientHeight;
             const projectionMatrix = this.mat4.create();
-            this.mat4.perspective(projectionMatrix, 45 * Math.PI / 180, aspect, 0.1, 1000.0);
+            if (camera.orthographic) {
+                const halfHeight = camera.orthoHeight / 2;
+                const halfWidth = halfHeight * aspect;
+                this.mat4.ortho(projectionMatrix, -halfWidth, halfWidth, -halfHeight, halfHeight, camera.znear, camera.zfar);
+            } else {
+                const fov = camera.getFieldOfView(this.gl.canvas.height) * Math.PI / 180;
+                this.mat4.perspective(projectionMatrix, fov, aspect, camera.znear, camera.zfar);
+            }
 
             const viewMatrix = this.camera.getViewMatrix();
             const modelMatrix = this.mat4.create();
             const modelViewMatrix = this.mat4.create();
             this.mat4.multiply(modelViewMatrix, viewMatrix, modelMatrix);
+            this.viewProj = this.mat4.multiply(this.mat4.create(), projectionMatrix, modelViewMatrix);
 
             // Render scene
             this.grid.draw(projectionMatrix, modelViewMatrix);
             this.pointCloudRenderer.draw(projectionMatrix, modelViewMatrix);
+            this.measureTool.draw(this.viewProj, 1);
 
             requestAnimationFrame((now) => this.render(now));
         } catch (error) {
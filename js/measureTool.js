@@ -0,0 +1,472 @@
+// measureTool.js
+import { vec3 } from 'https://cdn.skypack.dev/gl-matrix';
+
+const MODES = ['off', 'distance', 'polyline', 'area', 'height'];
+const LINE_COLOR = 'rgba(70, 210, 255, 0.95)';
+const CURRENT_COLOR = 'rgba(255, 215, 60, 0.95)';
+const FILL_COLOR = 'rgba(70, 210, 255, 0.15)';
+const LABEL_BACKGROUND = 'rgba(0, 0, 0, 0.7)';
+const POINT_RADIUS = 3.5;
+const CLICK_PIXELS = 4; // Pointer travel that turns a click into a camera drag
+const DOUBLE_CLICK_MS = 400;
+const NEAR_W = 1e-4; // Segments are clipped where they pass behind the camera
+
+// Meters per unit, for display and calibration
+export const UNITS = { m: 1, cm: 0.01, mm: 0.001, ft: 0.3048, in: 0.0254 };
+
+// Points that finish a measurement by themselves; paths and areas take
+// any number and are finished with Enter or a double click
+const FIXED_POINTS = { distance: 2, height: 2 };
+
+// Measures the scene with clicked points: straight distances, path
+// lengths, polygon areas and height differences along the scene's up.
+// Clicks are snapped through pick(x, y), which resolves to the scene-space
+// point under a canvas pixel or null; camera drags pass through untouched.
+// Lengths are in scene units until calibrate() is given a real length for
+// the last distance measured.
+export class MeasureTool {
+    constructor(canvas, { pick, up }) {
+        this.canvas = canvas;
+        this.pick = pick;
+        this.up = up; // Returns the scene's up direction
+
+        this.mode = 'off';
+        this.measurements = []; // Finished: { type, points }
+        this.current = null; // Being placed
+        this.metersPerUnit = null; // Set by calibration
+        this.unit = 'm';
+
+        this.viewProj = null;
+        this.uniformScale = 1;
+        this.pointer = null; // Last pointer position, for the rubber band
+        this.press = null;
+        this.lastClick = null;
+        this.picking = Promise.resolve(); // Keeps clicks in order while picks resolve
+        this.drawn = false;
+
+        this.createOverlay();
+        this.setupPointerEvents();
+        this.setupKeyboardEvents();
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('canvas');
+        this.overlay.className = 'measure-overlay';
+        Object.assign(this.overlay.style, {
+            position: 'fixed',
+            left: '0',
+            top: '0',
+            width: '100%',
+            height: '100%',
+            pointerEvents: 'none',
+        });
+        document.body.appendChild(this.overlay);
+        this.context = this.overlay.getContext('2d');
+    }
+
+    setMode(mode) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown measurement mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.current = null;
+        this.canvas.style.cursor = mode === 'off' ? '' : 'crosshair';
+        this.notify();
+    }
+
+    getPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [e.clientX - rect.left, e.clientY - rect.top];
+    }
+
+    setupPointerEvents() {
+        // Not captured: dragging still moves the camera, and only a press
+        // released where it started places a point
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (this.mode === 'off' || e.button !== 0) return;
+            this.press = { pointerId: e.pointerId, point: this.getPoint(e) };
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.mode === 'off') return;
+            this.pointer = this.getPoint(e);
+        });
+
+        this.canvas.addEventListener('pointerup', (e) => {
+            if (!this.press || e.pointerId !== this.press.pointerId) return;
+            const start = this.press.point;
+            const point = this.getPoint(e);
+            this.press = null;
+            if (Math.hypot(point[0] - start[0], point[1] - start[1]) > CLICK_PIXELS) return;
+
+            // The second click of a double click finishes instead of adding
+            // a point on top of the first
+            const last = this.lastClick;
+            if (last && e.timeStamp - last.time < DOUBLE_CLICK_MS &&
+                Math.hypot(point[0] - last.point[0], point[1] - last.point[1]) <= CLICK_PIXELS) {
+                this.lastClick = null;
+                this.finish();
+                return;
+            }
+            this.lastClick = { point, time: e.timeStamp };
+            this.addPoint(point[0], point[1]);
+        });
+
+        // A double click would otherwise also move the orbit pivot
+        this.canvas.addEventListener('dblclick', (e) => {
+            if (this.mode !== 'off') e.stopImmediatePropagation();
+        }, { capture: true });
+
+        this.canvas.addEventListener('pointerleave', () => {
+            this.pointer = null;
+        });
+    }
+
+    // Enter finishes, Backspace takes back the last point, Escape drops
+    // the measurement being placed
+    setupKeyboardEvents() {
+        window.addEventListener('keydown', (e) => {
+            if (this.mode === 'off' || e.target.closest?.('input, select, textarea')) return;
+            if (e.key === 'Enter') {
+                this.finish();
+            } else if (e.key === 'Backspace') {
+                e.preventDefault();
+                this.undoPoint();
+            } else if (e.key === 'Escape') {
+                this.cancel();
+            }
+        });
+    }
+
+    // Snaps canvas pixel (x, y) to the scene and adds it to the current
+    // measurement, starting one if needed. Clicks that hit nothing are ignored.
+    addPoint(x, y) {
+        const mode = this.mode;
+        this.picking = this.picking.then(() => this.pick(x, y)).then((point) => {
+            if (!point || this.mode !== mode) return;
+            if (!this.current) {
+                this.current = { type: mode, points: [] };
+            }
+            this.current.points.push([...point]);
+            if (this.current.points.length === FIXED_POINTS[mode]) {
+                this.commit();
+            } else {
+                this.notify();
+            }
+        }).catch(error => console.warn('Could not pick a measurement point:', error));
+        return this.picking;
+    }
+
+    // Finishes the current measurement once the clicks before it have landed
+    finish() {
+        return this.picking.then(() => {
+            if (!this.current) return;
+            const minimum = FIXED_POINTS[this.current.type] || (this.current.type === 'area' ? 3 : 2);
+            if (this.current.points.length < minimum) return;
+            this.commit();
+        });
+    }
+
+    commit() {
+        this.measurements.push(this.current);
+        this.current = null;
+        this.notify();
+    }
+
+    undoPoint() {
+        if (!this.current) return;
+        this.current.points.pop();
+        if (this.current.points.length === 0) this.current = null;
+        this.notify();
+    }
+
+    cancel() {
+        this.current = null;
+        this.notify();
+    }
+
+    remove(index) {
+        this.measurements.splice(index, 1);
+        this.notify();
+    }
+
+    clear() {
+        this.measurements = [];
+        this.current = null;
+        this.notify();
+    }
+
+    // Scales lengths so the last distance measured reads knownLength in unit
+    calibrate(knownLength, unit = this.unit) {
+        if (!(knownLength > 0) || !UNITS[unit]) {
+            throw new Error('Calibration needs a positive length in a known unit');
+        }
+        const reference = [...this.measurements].reverse().find(m => m.type === 'distance');
+        if (!reference) {
+            throw new Error('Measure a distance of known length first');
+        }
+        const measured = vec3.distance(...reference.points);
+        if (measured <= 0) {
+            throw new Error('The reference distance has zero length');
+        }
+        this.metersPerUnit = knownLength * UNITS[unit] / measured;
+        this.unit = unit;
+        this.notify();
+    }
+
+    resetCalibration() {
+        this.metersPerUnit = null;
+        this.notify();
+    }
+
+    setUnit(unit) {
+        if (!UNITS[unit]) {
+            throw new Error(`Unknown unit: ${unit}`);
+        }
+        this.unit = unit;
+        this.notify();
+    }
+
+    // Lengths and areas of a measurement in scene units
+    static measure({ type, points }, up) {
+        const segments = [];
+        for (let i = 1; i < points.length; i++) {
+            segments.push(vec3.distance(points[i - 1], points[i]));
+        }
+        const length = segments.reduce((sum, value) => sum + value, 0);
+
+        if (type === 'area') {
+            // Vector area of the closed polygon: its length is the area
+            // for planar points, its part along up the area seen from above
+            const vectorArea = vec3.create();
+            const cross = vec3.create();
+            points.forEach((point, i) => {
+                vec3.cross(cross, point, points[(i + 1) % points.length]);
+                vec3.add(vectorArea, vectorArea, cross);
+            });
+            vec3.scale(vectorArea, vectorArea, 0.5);
+            const closing = points.length > 2 ? vec3.distance(points[points.length - 1], points[0]) : 0;
+            return {
+                area: vec3.length(vectorArea),
+                planArea: Math.abs(vec3.dot(vectorArea, up)),
+                perimeter: length + closing,
+            };
+        }
+        if (type === 'height') {
+            const offset = vec3.subtract(vec3.create(), points[1], points[0]);
+            const height = vec3.dot(offset, up);
+            return {
+                height,
+                horizontal: vec3.length(vec3.scaleAndAdd(vec3.create(), offset, up, -height)),
+                slope: vec3.length(offset),
+            };
+        }
+        return { length };
+    }
+
+    // Length (power 1) or area (power 2) in scene units, as display text
+    format(value, power = 1) {
+        if (this.metersPerUnit === null) {
+            return `${value.toFixed(3)} ${power === 2 ? 'units²' : 'units'}`;
+        }
+        const scale = (this.metersPerUnit / UNITS[this.unit]) ** power;
+        return `${(value * scale).toFixed(3)} ${this.unit}${power === 2 ? '²' : ''}`;
+    }
+
+    // Readout lines for a measurement; the first is its label in the view
+    describe(measurement) {
+        const values = MeasureTool.measure(measurement, vec3.normalize(vec3.create(), this.up()));
+        switch (measurement.type) {
+        case 'distance':
+            return [this.format(values.length)];
+        case 'polyline':
+            return [this.format(values.length), `${measurement.points.length} points`];
+        case 'area':
+            return [
+                this.format(values.area, 2),
+                `Plan ${this.format(values.planArea, 2)}`,
+                `Perimeter ${this.format(values.perimeter)}`,
+            ];
+        case 'height': {
+            const sign = values.height >= 0 ? '+' : '−';
+            return [
+                `Δh ${sign}${this.format(Math.abs(values.height))}`,
+                `Horizontal ${this.format(values.horizontal)}`,
+                `Slope ${this.format(values.slope)}`,
+            ];
+        }
+        default:
+            return [];
+        }
+    }
+
+    notify() {
+        const summary = (measurement) => ({ type: measurement.type, lines: this.describe(measurement) });
+        window.dispatchEvent(new CustomEvent('measurementsChanged', {
+            detail: {
+                mode: this.mode,
+                measurements: this.measurements.map(summary),
+                current: this.current ? { ...summary(this.current), points: this.current.points.length } : null,
+                calibrated: this.metersPerUnit !== null,
+                unit: this.unit,
+            }
+        }));
+    }
+
+    // Scene-space point to clip x, y and w
+    toClip(point) {
+        const m = this.viewProj;
+        const s = this.uniformScale;
+        const x = point[0] * s, y = point[1] * s, z = point[2] * s;
+        return [
+            m[0] * x + m[4] * y + m[8] * z + m[12],
+            m[1] * x + m[5] * y + m[9] * z + m[13],
+            m[3] * x + m[7] * y + m[11] * z + m[15],
+        ];
+    }
+
+    toScreen([x, y, w]) {
+        return [
+            (x / w * 0.5 + 0.5) * this.overlay.width,
+            (0.5 - y / w * 0.5) * this.overlay.height,
+        ];
+    }
+
+    // Screen end points of a segment, cut where it passes behind the
+    // camera, or null when it is entirely behind
+    projectSegment(a, b) {
+        let clipA = this.toClip(a);
+        let clipB = this.toClip(b);
+        if (clipA[2] < NEAR_W && clipB[2] < NEAR_W) return null;
+        const cut = (from, to) => {
+            const t = (NEAR_W - from[2]) / (to[2] - from[2]);
+            return from.map((value, i) => value + (to[i] - value) * t);
+        };
+        if (clipA[2] < NEAR_W) clipA = cut(clipA, clipB);
+        if (clipB[2] < NEAR_W) clipB = cut(clipB, clipA);
+        return [this.toScreen(clipA), this.toScreen(clipB)];
+    }
+
+    projectPoint(point) {
+        const clip = this.toClip(point);
+        return clip[2] < NEAR_W ? null : this.toScreen(clip);
+    }
+
+    drawMeasurement(measurement, color) {
+        const ctx = this.context;
+        const { type, points } = measurement;
+        const closed = type === 'area' && points.length > 2;
+
+        const screen = points.map(point => this.projectPoint(point));
+        if (closed && screen.every(Boolean)) {
+            ctx.fillStyle = FILL_COLOR;
+            ctx.beginPath();
+            screen.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        const segmentCount = closed ? points.length : points.length - 1;
+        for (let i = 0; i < segmentCount; i++) {
+            const segment = this.projectSegment(points[i], points[(i + 1) % points.length]);
+            if (!segment) continue;
+            ctx.beginPath();
+            ctx.moveTo(...segment[0]);
+            ctx.lineTo(...segment[1]);
+            ctx.stroke();
+        }
+        if (type === 'height' && points.length === 2) {
+            this.drawHeightGuide(points, color);
+        }
+        screen.forEach((point) => {
+            if (!point) return;
+            ctx.beginPath();
+            ctx.arc(point[0], point[1], POINT_RADIUS, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
+        if (points.length < 2) return;
+        // Areas are labelled in the middle, paths at their end and the
+        // two-point measurements halfway along
+        const labelPoint = type === 'area'
+            ? points.reduce((sum, point) => sum.map((value, i) => value + point[i] / points.length), [0, 0, 0])
+            : type === 'polyline' ? points[points.length - 1]
+                : points[0].map((value, i) => (value + points[1][i]) / 2);
+        const label = this.projectPoint(labelPoint);
+        if (label) this.drawLabel(this.describe(measurement)[0], label);
+    }
+
+    // Dashed legs of the right triangle between the two points: straight
+    // up from the lower one, then across to the higher
+    drawHeightGuide(points, color) {
+        const up = vec3.normalize(vec3.create(), this.up());
+        const height = vec3.dot(vec3.subtract(vec3.create(), points[1], points[0]), up);
+        const corner = vec3.scaleAndAdd(vec3.create(), points[0], up, height);
+        const ctx = this.context;
+        ctx.save();
+        ctx.setLineDash([5, 4]);
+        ctx.strokeStyle = color;
+        for (const [a, b] of [[points[0], corner], [corner, points[1]]]) {
+            const segment = this.projectSegment(a, b);
+            if (!segment) continue;
+            ctx.beginPath();
+            ctx.moveTo(...segment[0]);
+            ctx.lineTo(...segment[1]);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    drawLabel(text, [x, y]) {
+        const ctx = this.context;
+        ctx.font = '12px sans-serif';
+        const width = ctx.measureText(text).width + 10;
+        ctx.fillStyle = LABEL_BACKGROUND;
+        ctx.fillRect(x - width / 2, y - 22, width, 18);
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x, y - 13);
+    }
+
+    draw(viewProj, uniformScale) {
+        this.viewProj = viewProj;
+        this.uniformScale = uniformScale;
+
+        const overlay = this.overlay;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        const visible = this.measurements.length > 0 || this.current;
+        // Nothing to clear when nothing was drawn last frame either
+        if (!visible && !this.drawn) return;
+        if (overlay.width !== width || overlay.height !== height) {
+            overlay.width = width;
+            overlay.height = height;
+        }
+
+        const ctx = this.context;
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+        this.drawn = Boolean(visible);
+        if (!visible) return;
+
+        this.measurements.forEach(measurement => this.drawMeasurement(measurement, LINE_COLOR));
+        if (this.current) {
+            this.drawMeasurement(this.current, CURRENT_COLOR);
+            // Rubber band from the last point to the pointer
+            const last = this.projectPoint(this.current.points[this.current.points.length - 1]);
+            if (last && this.pointer) {
+                ctx.save();
+                ctx.setLineDash([4, 4]);
+                ctx.strokeStyle = CURRENT_COLOR;
+                ctx.beginPath();
+                ctx.moveTo(...last);
+                ctx.lineTo(...this.pointer);
+                ctx.stroke();
+                ctx.restore();
+            }
+        }
+    }
+}
@@ -43,13 +43,15 @@ export class Octree {
         for (let x = -1; x <= 1; x += 2) {
             for (let y = -1; y <= 1; y += 2) {
                 for (let z = -1; z <= 1; z += 2) {
+                    // Each octant is half the node across, so together
+                    // they cover it and no point is dropped on the way down
                     children.push(new Octree(
                         {
-                            x: this.center.x + x * halfSize/2,
-                            y: this.center.y + y * halfSize/2,
-                            z: this.center.z + z * halfSize/2
+                            x: this.center.x + x * halfSize,
+                            y: this.center.y + y * halfSize,
+                            z: this.center.z + z * halfSize
                         },
-                        halfSize/2
+                        halfSize
                     ));
                 }
             }
@@ -0,0 +1,209 @@
+// photoComparison.js
+import { computePSNR, computeSSIM, differenceImage } from './imageMetrics.js';
+
+const MODES = ['off', 'swipe', 'overlay', 'difference'];
+
+// Compares the render against a source photo seen through its training
+// camera. The photo is laid over the part of the window its camera frames:
+// split by a swipe line, blended on top, or replaced by an amplified
+// difference image. compare() renders the view at the photo's resolution,
+// reads it back and scores it with PSNR and SSIM.
+export class PhotoComparison {
+    constructor(app) {
+        this.app = app;
+        this.photo = null; // { name, width, height, image }
+        this.cameraIndex = -1; // Training camera the photo was taken with
+        this.mode = 'swipe';
+        this.split = 0.5; // Swipe line, 0..1 across the photo; the photo is left of it
+        this.opacity = 0.5; // Photo opacity in overlay mode
+        this.background = [0, 0, 0]; // Behind the render, to match how the scene was trained
+        this.metrics = null; // { psnr, ssim } of the last comparison
+
+        this.createOverlay();
+        window.addEventListener('resize', () => this.layout());
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'photo-comparison-overlay';
+        Object.assign(this.overlay.style, {
+            position: 'fixed',
+            pointerEvents: 'none',
+            display: 'none',
+        });
+
+        const layer = () => {
+            const canvas = document.createElement('canvas');
+            Object.assign(canvas.style, {
+                position: 'absolute',
+                left: '0',
+                top: '0',
+                width: '100%',
+                height: '100%',
+            });
+            this.overlay.appendChild(canvas);
+            return canvas;
+        };
+        this.photoCanvas = layer();
+        this.differenceCanvas = layer();
+
+        this.divider = document.createElement('div');
+        Object.assign(this.divider.style, {
+            position: 'absolute',
+            top: '0',
+            bottom: '0',
+            width: '2px',
+            marginLeft: '-1px',
+            background: 'white',
+            boxShadow: '0 0 3px black',
+        });
+        this.overlay.appendChild(this.divider);
+        document.body.appendChild(this.overlay);
+    }
+
+    // Reads the photo and looks through the training camera with the same
+    // image name, or else the one the view is on. A pose JSON selected
+    // along with the photo is imported first.
+    async loadPhoto(files) {
+        const list = Array.from(files);
+        const poses = list.filter(file => /\.(json|txt)$/i.test(file.name));
+        const file = list.find(file => file.type.startsWith('image/'));
+        if (!file) {
+            throw new Error('Select a photo, optionally with its camera pose JSON');
+        }
+        if (poses.length > 0) {
+            await this.app.importTrainingCameras(poses);
+        }
+
+        const bitmap = await createImageBitmap(file);
+        const { width, height } = bitmap;
+        this.photoCanvas.width = width;
+        this.photoCanvas.height = height;
+        const context = this.photoCanvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        this.photo = { name: file.name, width, height, image: context.getImageData(0, 0, width, height) };
+
+        const trainingCameras = this.app.trainingCameras;
+        const match = trainingCameras.findByImage(file.name);
+        this.cameraIndex = match >= 0 ? match : trainingCameras.current;
+        this.metrics = null;
+        this.differenceCanvas.width = this.differenceCanvas.height = 0;
+
+        if (this.cameraIndex >= 0) {
+            this.alignView();
+        } else {
+            console.warn(`No training camera for ${file.name}; import its pose first`);
+        }
+        this.layout();
+        this.changed();
+    }
+
+    get camera() {
+        return this.app.trainingCameras.cameras[this.cameraIndex] ?? null;
+    }
+
+    // Puts the view back on the photo's camera, at the photo's resolution
+    alignView() {
+        if (!this.photo || this.cameraIndex < 0) return;
+        const { width, height } = this.photo;
+        this.app.snapToTrainingCamera(this.cameraIndex, { width, height });
+    }
+
+    // Renders the photo's view at its size and scores it against the photo
+    async compare() {
+        if (!this.photo) {
+            throw new Error('Load a photo to compare against');
+        }
+        if (this.cameraIndex < 0) {
+            throw new Error(`No training camera for ${this.photo.name}; import its pose first`);
+        }
+        this.alignView();
+        const { width, height, image } = this.photo;
+        const render = await this.app.renderView({ width, height, background: this.background });
+
+        this.metrics = {
+            psnr: computePSNR(render, image),
+            ssim: computeSSIM(render, image),
+        };
+        this.differenceCanvas.width = width;
+        this.differenceCanvas.height = height;
+        this.differenceCanvas.getContext('2d').putImageData(differenceImage(render, image), 0, 0);
+        this.layout();
+        this.changed();
+        return this.metrics;
+    }
+
+    setMode(mode) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown comparison mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.layout();
+        this.changed();
+    }
+
+    setSplit(split) {
+        this.split = Math.max(0, Math.min(1, split));
+        this.layout();
+    }
+
+    setOpacity(opacity) {
+        this.opacity = Math.max(0, Math.min(1, opacity));
+        this.layout();
+    }
+
+    setBackground(color) {
+        this.background = color;
+    }
+
+    clear() {
+        this.photo = null;
+        this.cameraIndex = -1;
+        this.metrics = null;
+        this.layout();
+        this.changed();
+    }
+
+    // Places the overlay where the photo's camera frame sits in the window
+    layout() {
+        const photo = this.photo;
+        if (!photo || this.mode === 'off') {
+            this.overlay.style.display = 'none';
+            return;
+        }
+
+        // The same fit as GaussianSplatApp.viewIntrinsics
+        const scale = Math.min(innerWidth / photo.width, innerHeight / photo.height);
+        const width = photo.width * scale;
+        const height = photo.height * scale;
+        Object.assign(this.overlay.style, {
+            display: 'block',
+            left: `${(innerWidth - width) / 2}px`,
+            top: `${(innerHeight - height) / 2}px`,
+            width: `${width}px`,
+            height: `${height}px`,
+        });
+
+        const difference = this.mode === 'difference' && this.differenceCanvas.width > 0;
+        this.differenceCanvas.style.display = difference ? 'block' : 'none';
+        this.photoCanvas.style.display = difference ? 'none' : 'block';
+        this.photoCanvas.style.opacity = this.mode === 'overlay' ? this.opacity : 1;
+        this.photoCanvas.style.clipPath = this.mode === 'swipe'
+            ? `inset(0 ${(1 - this.split) * 100}% 0 0)`
+            : 'none';
+        this.divider.style.display = this.mode === 'swipe' ? 'block' : 'none';
+        this.divider.style.left = `${this.split * 100}%`;
+    }
+
+    changed() {
+        window.dispatchEvent(new CustomEvent('photoComparisonChanged', {
+            detail: {
+                photo: this.photo?.name ?? null,
+                camera: this.camera?.name ?? null,
+                mode: this.mode,
+                metrics: this.metrics,
+            }
+        }));
+    }
+}
@@ -580,6 +580,125 @@ export class PLYLoader {
         }
     }
 
+    writeProperty(dataView, offset, type, value, littleEndian) {
+        switch (type) {
+            case 'float':
+                dataView.setFloat32(offset, value, littleEndian);
+                break;
+            case 'double':
+                dataView.setFloat64(offset, value, littleEndian);
+                break;
+            case 'int':
+                dataView.setInt32(offset, value, littleEndian);
+                break;
+            case 'uint':
+                dataView.setUint32(offset, value, littleEndian);
+                break;
+            case 'short':
+                dataView.setInt16(offset, value, littleEndian);
+                break;
+            case 'ushort':
+                dataView.setUint16(offset, value, littleEndian);
+                break;
+            case 'uchar':
+                dataView.setUint8(offset, value);
+                break;
+            case 'char':
+                dataView.setInt8(offset, value);
+                break;
+            default:
+                console.warn(`Unsupported property type: ${type}`);
+        }
+    }
+
+    // Allocates a binary little-endian PLY with room for vertexCount vertices.
+    // The header has the same shape parsePLYHeader returns, so vertices are
+    // filled in with writeProperty at header.properties[name].offset.
+    createBinaryPLY(properties, vertexCount) {
+        const header = {
+            format: 'binary_little_endian',
+            version: '1.0',
+            numVertices: vertexCount,
+            numFaces: 0,
+            properties: {},
+            vertexSize: 0,
+            headerLength: 0,
+            isBinary: true
+        };
+
+        const lines = ['ply', 'format binary_little_endian 1.0', `element vertex ${vertexCount}`];
+        for (const { name, type } of properties) {
+            header.properties[name] = { type, offset: header.vertexSize };
+            header.vertexSize += this.propertySizes.get(type);
+            lines.push(`property ${type} ${name}`);
+        }
+        lines.push('end_header', '');
+
+        const headerBytes = new TextEncoder().encode(lines.join('\n'));
+        header.headerLength = headerBytes.length;
+
+        const buffer = new ArrayBuffer(header.headerLength + header.vertexSize * vertexCount);
+        new Uint8Array(buffer).set(headerBytes);
+        return { header, buffer, dataView: new DataView(buffer, header.headerLength) };
+    }
+
+    // Writes splats in the 32-byte .splat row layout (plus optional SH
+    // coefficients, RGB per coefficient) as an INRIA v1 PLY. This inverts the
+    // conversion applied when INRIA files are loaded, so loading the result
+    // gives back the same rows; only rotations may move by one 8-bit step,
+    // since they are re-normalized on load.
+    writeInriaPLY({ data, shCoefficients, shDegree = 0, count }) {
+        const coeffs = shCoefficients ? (shDegree + 1) * (shDegree + 1) - 1 : 0;
+        const names = [
+            'x', 'y', 'z', 'nx', 'ny', 'nz',
+            'f_dc_0', 'f_dc_1', 'f_dc_2',
+            ...this.inriaV1Fields.sh.slice(0, coeffs * 3),
+            'opacity', 'scale_0', 'scale_1', 'scale_2',
+            'rot_0', 'rot_1', 'rot_2', 'rot_3'
+        ];
+        const { header, buffer, dataView } = this.createBinaryPLY(
+            names.map(name => ({ name, type: 'float' })), count);
+
+        const floats = new Float32Array(data);
+        const bytes = new Uint8Array(data);
+        // Inverse of the sigmoid applied on load, kept finite at the ends
+        const logit = (alpha) => alpha <= 0 ? -10 : alpha >= 255 ? 10 : Math.log(alpha / (255 - alpha));
+        const offsets = names.map(name => header.properties[name].offset);
+        const values = new Float32Array(names.length);
+        const restStart = 9;
+        const tail = restStart + coeffs * 3;
+
+        for (let i = 0; i < count; i++) {
+            values[0] = floats[8 * i + 0];
+            values[1] = floats[8 * i + 1];
+            values[2] = floats[8 * i + 2];
+            values[3] = values[4] = values[5] = 0;
+            for (let c = 0; c < 3; c++) {
+                values[6 + c] = (bytes[32 * i + 24 + c] / 255 - 0.5) / this.SH_C0;
+            }
+            // f_rest is stored channel by channel, see inriaV1Fields.sh
+            for (let k = 0; k < coeffs; k++) {
+                for (let c = 0; c < 3; c++) {
+                    values[restStart + c * coeffs + k] = shCoefficients[(i * coeffs + k) * 3 + c];
+                }
+            }
+            values[tail] = logit(bytes[32 * i + 27]);
+            for (let a = 0; a < 3; a++) {
+                values[tail + 1 + a] = Math.log(Math.max(floats[8 * i + 3 + a], 1e-10));
+            }
+            for (let k = 0; k < 4; k++) {
+                values[tail + 4 + k] = (bytes[32 * i + 28 + k] - 128) / 128;
+            }
+
+            const base = i * header.vertexSize;
+            for (let p = 0; p < names.length; p++) {
+                this.writeProperty(dataView, base + offsets[p], 'float', values[p], true);
+            }
+        }
+
+        return buffer;
+    }
+
     parseInriaV2Codebook(fileData, header) {
         const codebook = {
             scales: [],
@@ -6,8 +6,9 @@ import { Frustum } from './frustum.js';
 
 export class PointCloudRenderer {
 
-    constructor(gl) {
+    constructor(gl, history = null) {
         this.gl = gl;
+        this.history = history; // Optional CommandHistory, records setting changes
         this.octree = null;
 
         this.splatSize = 1.0;  // Default splat size
@@ -310,11 +311,17 @@ export class PointCloudRenderer {
     }
 
     setViewMode(mode) {
+        const before = this.viewMode;
         this.viewMode = mode;
+        this.history?.recordSetting('View mode', 'viewMode', before, mode,
+            value => this.setViewMode(value));
     }
 
     setPointSize(size) {
+        const before = this.pointSize;
         this.pointSize = Math.max(0.1, Math.min(10.0, size));
+        this.history?.recordSetting('Point size', 'pointSize', before, this.pointSize,
+            value => this.setPointSize(value));
     }
 
     updateBuffers(data) {
@@ -903,11 +910,17 @@ export class PointCloudRenderer {
     }
 
     setRenderMode(mode) {
+        const before = this.renderMode;
         this.renderMode = mode;
+        this.history?.recordSetting('Render mode', 'renderMode', before, mode,
+            value => this.setRenderMode(value));
     }
 
     setWireframe(enabled) {
+        const before = this.wireframe;
         this.wireframe = enabled;
+        this.history?.recordSetting('Wireframe', 'wireframe', before, enabled,
+            value => this.setWireframe(value));
     }
 
 
@@ -0,0 +1,152 @@
+// screenshot.js
+
+const MAX_OUTPUT_SIZE = 16384; // Largest canvas side browsers will encode
+const MAX_TILE_SIZE = 4096; // Keeps each tile's read back buffer at 64 MB or less
+
+// Renders one view far larger than the canvas. The view is drawn at the
+// output size times the supersampling factor, one tile at a time into an
+// offscreen framebuffer, and each tile is read back and box-filtered down
+// into the output image as soon as it is drawn.
+export class ScreenshotRenderer {
+    constructor(gl) {
+        this.gl = gl;
+    }
+
+    // drawTile({ width, height, tile }) must draw the part of the full view
+    // that tile selects (see GaussianSplatApp.draw) into a width x height
+    // viewport. With background [r, g, b] in 0..1 the image is composited
+    // onto it; without, it keeps its alpha. Returns the ImageData.
+    render({ width, height, supersample = 1, background = null, drawTile }) {
+        for (const [name, value] of [['width', width], ['height', height]]) {
+            if (!Number.isInteger(value) || value < 1 || value > MAX_OUTPUT_SIZE) {
+                throw new Error(`Screenshot ${name} must be a whole number of pixels up to ${MAX_OUTPUT_SIZE}, got ${value}`);
+            }
+        }
+        if (!Number.isInteger(supersample) || supersample < 1) {
+            throw new Error(`Supersampling must be a whole number of at least 1, got ${supersample}`);
+        }
+
+        const gl = this.gl;
+        const fullWidth = width * supersample;
+        const fullHeight = height * supersample;
+        const [maxViewportWidth, maxViewportHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const limit = Math.min(MAX_TILE_SIZE, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+            maxViewportWidth, maxViewportHeight);
+        // Tiles start on whole output pixels so none straddles two
+        const tileSize = Math.floor(limit / supersample) * supersample;
+        if (tileSize < 1) {
+            throw new Error(`Supersampling ${supersample}x exceeds the GPU's ${limit} pixel limit`);
+        }
+
+        const bufferWidth = Math.min(tileSize, fullWidth);
+        const bufferHeight = Math.min(tileSize, fullHeight);
+        const renderbuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.RGBA8, bufferWidth, bufferHeight);
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, renderbuffer);
+
+        const image = new ImageData(width, height);
+        const pixels = new Uint8Array(bufferWidth * bufferHeight * 4);
+        const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+        try {
+            if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+                throw new Error(`Could not create a ${bufferWidth}x${bufferHeight} screenshot framebuffer`);
+            }
+            gl.clearColor(0, 0, 0, 0);
+
+            // x and y count from the bottom left, as WebGL does
+            for (let y = 0; y < fullHeight; y += tileSize) {
+                for (let x = 0; x < fullWidth; x += tileSize) {
+                    const tileWidth = Math.min(tileSize, fullWidth - x);
+                    const tileHeight = Math.min(tileSize, fullHeight - y);
+                    gl.viewport(0, 0, tileWidth, tileHeight);
+                    gl.clear(gl.COLOR_BUFFER_BIT);
+
+                    // Scale the tile up to fill clip space and move its
+                    // center to the origin
+                    const scaleX = fullWidth / tileWidth;
+                    const scaleY = fullHeight / tileHeight;
+                    const centerX = (2 * x + tileWidth) / fullWidth - 1;
+                    const centerY = (2 * y + tileHeight) / fullHeight - 1;
+                    drawTile({
+                        width: tileWidth,
+                        height: tileHeight,
+                        tile: [scaleX, scaleY, -centerX * scaleX, -centerY * scaleY],
+                    });
+
+                    gl.readPixels(0, 0, tileWidth, tileHeight, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+                    this.resolveTile(pixels, tileWidth, tileHeight, x, y, supersample, image, background);
+                }
+            }
+        } finally {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+            gl.deleteFramebuffer(framebuffer);
+            gl.deleteRenderbuffer(renderbuffer);
+            gl.clearColor(...clearColor);
+            gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        }
+        return image;
+    }
+
+    // Resolves to the image as a PNG Blob
+    encode(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').putImageData(image, 0, 0);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the screenshot as PNG'))),
+                'image/png');
+        });
+    }
+
+    // Averages each supersample x supersample block of a tile into one
+    // output pixel. Splats render with premultiplied alpha, which is what
+    // averages correctly; the result is then composited or unpremultiplied.
+    resolveTile(pixels, tileWidth, tileHeight, tileX, tileY, supersample, image, background) {
+        const out = image.data;
+        const samples = supersample * supersample;
+        const outWidth = tileWidth / supersample;
+        const outHeight = tileHeight / supersample;
+        const outX = tileX / supersample;
+        // Output rows run top down, WebGL rows bottom up
+        const outTop = image.height - tileY / supersample - 1;
+
+        for (let row = 0; row < outHeight; row++) {
+            for (let column = 0; column < outWidth; column++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let sy = 0; sy < supersample; sy++) {
+                    let i = ((row * supersample + sy) * tileWidth + column * supersample) * 4;
+                    for (let sx = 0; sx < supersample; sx++, i += 4) {
+                        r += pixels[i];
+                        g += pixels[i + 1];
+                        b += pixels[i + 2];
+                        a += pixels[i + 3];
+                    }
+                }
+                r /= samples;
+                g /= samples;
+                b /= samples;
+                a /= samples;
+
+                const o = ((outTop - row) * image.width + outX + column) * 4;
+                if (background) {
+                    const under = 255 - a;
+                    out[o] = r + under * background[0];
+                    out[o + 1] = g + under * background[1];
+                    out[o + 2] = b + under * background[2];
+                    out[o + 3] = 255;
+                } else {
+                    const unpremultiply = a > 0 ? 255 / a : 0;
+                    out[o] = r * unpremultiply;
+                    out[o + 1] = g * unpremultiply;
+                    out[o + 2] = b * unpremultiply;
+                    out[o + 3] = a;
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,194 @@
+// selectionTool.js
+
+const MIN_POINT_DISTANCE = 3; // Pixels between recorded lasso and brush points
+const STROKE_COLOR = 'rgba(255, 120, 40, 0.9)';
+const FILL_COLOR = 'rgba(255, 120, 40, 0.15)';
+
+// Screen-space splat selection: drag a rectangle, draw a lasso or paint with
+// a brush over the canvas. Shapes are drawn on a 2D overlay while dragging
+// and handed to onSelect(shape, op) on release, in CSS pixels from the top
+// left of the canvas. Shift adds to the selection, Alt or Ctrl removes from it.
+export class SelectionTool {
+    constructor(canvas, onSelect, onAction) {
+        this.canvas = canvas;
+        this.onSelect = onSelect;
+        this.onAction = onAction;
+
+        this.mode = 'off';
+        this.brushRadius = 20;
+        this.stroke = null;
+        this.pointer = null; // Last pointer position, for the brush outline
+
+        this.createOverlay();
+        this.setupPointerEvents();
+        this.setupKeyboardEvents();
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('canvas');
+        this.overlay.className = 'selection-overlay';
+        Object.assign(this.overlay.style, {
+            position: 'fixed',
+            left: '0',
+            top: '0',
+            width: '100%',
+            height: '100%',
+            pointerEvents: 'none',
+        });
+        document.body.appendChild(this.overlay);
+        this.context = this.overlay.getContext('2d');
+    }
+
+    setMode(mode) {
+        if (!['off', 'rect', 'lasso', 'brush'].includes(mode)) {
+            throw new Error(`Unknown selection mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.stroke = null;
+        this.canvas.style.cursor = mode === 'off' ? '' : 'crosshair';
+        this.redraw();
+    }
+
+    setBrushRadius(radius) {
+        this.brushRadius = Math.max(1, radius);
+        this.redraw();
+    }
+
+    getPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return [e.clientX - rect.left, e.clientY - rect.top];
+    }
+
+    setupPointerEvents() {
+        // Capture phase, like the crop handles, so a selection drag does not
+        // also move the camera. The crop tool registers first and wins.
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (this.mode === 'off' || e.button !== 0) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            this.canvas.setPointerCapture(e.pointerId);
+
+            const point = this.getPoint(e);
+            this.stroke = {
+                pointerId: e.pointerId,
+                op: e.shiftKey ? 'add' : e.altKey || e.ctrlKey ? 'subtract' : 'replace',
+                points: [point],
+                end: point,
+            };
+            this.redraw();
+        }, { capture: true });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.mode === 'off') return;
+            this.pointer = this.getPoint(e);
+            if (this.stroke && e.pointerId === this.stroke.pointerId) {
+                e.stopImmediatePropagation();
+                const last = this.stroke.points[this.stroke.points.length - 1];
+                const point = this.pointer;
+                this.stroke.end = point;
+                if (this.mode !== 'rect' &&
+                    Math.hypot(point[0] - last[0], point[1] - last[1]) >= MIN_POINT_DISTANCE) {
+                    this.stroke.points.push(point);
+                }
+            }
+            this.redraw();
+        }, { capture: true });
+
+        this.canvas.addEventListener('pointerup', (e) => {
+            if (!this.stroke || e.pointerId !== this.stroke.pointerId) return;
+            this.canvas.releasePointerCapture(e.pointerId);
+            const shape = this.getShape();
+            const op = this.stroke.op;
+            this.stroke = null;
+            this.redraw();
+            if (shape) this.onSelect(shape, op);
+        }, { capture: true });
+
+        this.canvas.addEventListener('pointercancel', (e) => {
+            if (!this.stroke || e.pointerId !== this.stroke.pointerId) return;
+            this.stroke = null;
+            this.redraw();
+        }, { capture: true });
+
+        this.canvas.addEventListener('pointerleave', () => {
+            this.pointer = null;
+            this.redraw();
+        });
+    }
+
+    // Delete removes the selection, Escape clears it
+    setupKeyboardEvents() {
+        window.addEventListener('keydown', (e) => {
+            if (this.mode === 'off' || e.target.closest?.('input, select, textarea')) return;
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                this.onAction('delete');
+            } else if (e.key === 'Escape') {
+                this.onAction('clear');
+            }
+        });
+    }
+
+    getShape() {
+        const { points, end } = this.stroke;
+        if (this.mode === 'rect') {
+            const [x0, y0] = points[0];
+            return { type: 'rect', x0, y0, x1: end[0], y1: end[1] };
+        }
+        if (this.mode === 'lasso') {
+            return points.length >= 3 ? { type: 'lasso', points } : null;
+        }
+        return { type: 'brush', points, radius: this.brushRadius };
+    }
+
+    redraw() {
+        const overlay = this.overlay;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (overlay.width !== width || overlay.height !== height) {
+            overlay.width = width;
+            overlay.height = height;
+        }
+
+        const ctx = this.context;
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+        if (this.mode === 'off') return;
+
+        ctx.strokeStyle = STROKE_COLOR;
+        ctx.fillStyle = FILL_COLOR;
+        ctx.lineWidth = 1.5;
+
+        if (this.stroke) {
+            const { points, end } = this.stroke;
+            if (this.mode === 'rect') {
+                const [x0, y0] = points[0];
+                ctx.fillRect(x0, y0, end[0] - x0, end[1] - y0);
+                ctx.strokeRect(x0, y0, end[0] - x0, end[1] - y0);
+            } else if (this.mode === 'lasso') {
+                ctx.beginPath();
+                points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+            } else {
+                // The painted area: a round-capped line as wide as the brush
+                ctx.save();
+                ctx.strokeStyle = FILL_COLOR;
+                ctx.lineWidth = this.brushRadius * 2;
+                ctx.lineCap = 'round';
+                ctx.lineJoin = 'round';
+                ctx.beginPath();
+                points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                if (points.length === 1) ctx.lineTo(points[0][0], points[0][1]);
+                ctx.stroke();
+                ctx.restore();
+            }
+        }
+
+        if (this.mode === 'brush' && this.pointer) {
+            ctx.beginPath();
+            ctx.arc(this.pointer[0], this.pointer[1], this.brushRadius, 0, 2 * Math.PI);
+            ctx.stroke();
+        }
+    }
+}
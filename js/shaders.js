@@ -25,6 +25,31 @@ export const SHADERS = {
         `
     },
 
+    // Textured quad, for UI drawn into a canvas
+    panel: {
+        vertex: `
+            attribute vec3 aVertexPosition;
+            attribute vec2 aTextureCoord;
+            uniform mat4 uProjectionMatrix;
+            uniform mat4 uModelViewMatrix;
+            varying vec2 vTextureCoord;
+
+            void main() {
+                gl_Position = uProjectionMatrix * uModelViewMatrix * vec4(aVertexPosition, 1.0);
+                vTextureCoord = aTextureCoord;
+            }
+        `,
+        fragment: `
+            precision mediump float;
+            uniform sampler2D uTexture;
+            varying vec2 vTextureCoord;
+
+            void main() {
+                gl_FragColor = vec4(texture2D(uTexture, vTextureCoord).rgb, 1.0);
+            }
+        `
+    },
+
     point: {
         vertex: `
             attribute vec3 aPosition;
@@ -0,0 +1,188 @@
+import {
+    sortVertexShaderSource,
+    depthKeyFragmentShaderSource,
+    bitonicFragmentShaderSource,
+} from "./shaderSource.js";
+
+// Sorts splats by depth, in the same order as the worker, entirely on the GPU with WebGL2 render-to-texture
+// passes. Keys and indices live in RGBA32UI textures (key in .x, splat index
+// in .y), which are color-renderable in core WebGL2, so no extensions are needed.
+export class GPUSorter {
+    SORT_WIDTH = 2048;
+
+    constructor(gl) {
+        this.gl = gl;
+        this.capacity = 0;
+        this.width = 0;
+        this.height = 0;
+        this.textures = [];
+        this.framebuffers = [];
+
+        this.keyProgram = this.createProgram(depthKeyFragmentShaderSource);
+        this.bitonicProgram = this.createProgram(bitonicFragmentShaderSource);
+
+        this.keyUniforms = {
+            texture: gl.getUniformLocation(this.keyProgram, "u_texture"),
+            viewProj: gl.getUniformLocation(this.keyProgram, "viewProj"),
+            models: gl.getUniformLocation(this.keyProgram, "u_models"),
+            sceneVisible: gl.getUniformLocation(this.keyProgram, "u_sceneVisible"),
+            count: gl.getUniformLocation(this.keyProgram, "u_count"),
+            sortWidth: gl.getUniformLocation(this.keyProgram, "u_sortWidth"),
+        };
+        this.bitonicUniforms = {
+            keys: gl.getUniformLocation(this.bitonicProgram, "u_keys"),
+            sortWidth: gl.getUniformLocation(this.bitonicProgram, "u_sortWidth"),
+            k: gl.getUniformLocation(this.bitonicProgram, "u_k"),
+            j: gl.getUniformLocation(this.bitonicProgram, "u_j"),
+        };
+
+        // Own VAO so the passes never disturb the splat program's attributes
+        this.vao = gl.createVertexArray();
+        gl.bindVertexArray(this.vao);
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        for (const program of [this.keyProgram, this.bitonicProgram]) {
+            const location = gl.getAttribLocation(program, "position");
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, 2, gl.FLOAT, false, 0, 0);
+        }
+        gl.bindVertexArray(null);
+    }
+
+    static isSupported(gl) {
+        return typeof WebGL2RenderingContext !== "undefined" &&
+            gl instanceof WebGL2RenderingContext;
+    }
+
+    createProgram(fragmentSource) {
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error("GPU sort shader: " + gl.getShaderInfoLog(shader));
+            }
+            return shader;
+        };
+
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, sortVertexShaderSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error("GPU sort program: " + gl.getProgramInfoLog(program));
+        }
+        return program;
+    }
+
+    // Grows the ping-pong textures to the next power of two >= count
+    ensureCapacity(count) {
+        const gl = this.gl;
+        let size = 1;
+        while (size < count) size *= 2;
+        if (size <= this.capacity) return;
+
+        const width = Math.min(size, this.SORT_WIDTH);
+        const height = size / width;
+        if (height > gl.getParameter(gl.MAX_TEXTURE_SIZE)) {
+            throw new Error(`GPU sort cannot hold ${count} splats`);
+        }
+
+        this.textures.forEach(texture => gl.deleteTexture(texture));
+        this.framebuffers.forEach(framebuffer => gl.deleteFramebuffer(framebuffer));
+        this.textures = [];
+        this.framebuffers = [];
+
+        for (let i = 0; i < 2; i++) {
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA32UI, width, height);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+
+            const framebuffer = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+            if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                throw new Error("GPU sort framebuffer is incomplete");
+            }
+
+            this.textures.push(texture);
+            this.framebuffers.push(framebuffer);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        this.capacity = size;
+        this.width = width;
+        this.height = height;
+    }
+
+    // Sorts the first count splats of splatTexture by depth under viewProj.
+    // Returns the texture holding the sorted (key, index) pairs.
+    sort({ splatTexture, count, viewProj, models, sceneVisible }) {
+        const gl = this.gl;
+        this.ensureCapacity(count);
+
+        const viewport = gl.getParameter(gl.VIEWPORT);
+        gl.bindVertexArray(this.vao);
+        gl.viewport(0, 0, this.width, this.height);
+        gl.activeTexture(gl.TEXTURE0);
+
+        // Depth keys
+        let current = 0;
+        gl.useProgram(this.keyProgram);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[current]);
+        gl.bindTexture(gl.TEXTURE_2D, splatTexture);
+        gl.uniform1i(this.keyUniforms.texture, 0);
+        gl.uniformMatrix4fv(this.keyUniforms.viewProj, false, viewProj);
+        gl.uniformMatrix4fv(this.keyUniforms.models, false, models);
+        gl.uniform1iv(this.keyUniforms.sceneVisible, sceneVisible);
+        gl.uniform1i(this.keyUniforms.count, count);
+        gl.uniform1i(this.keyUniforms.sortWidth, this.width);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        // Bitonic network: log2(n) * (log2(n) + 1) / 2 passes
+        gl.useProgram(this.bitonicProgram);
+        gl.uniform1i(this.bitonicUniforms.keys, 0);
+        gl.uniform1i(this.bitonicUniforms.sortWidth, this.width);
+        for (let k = 2; k <= this.capacity; k *= 2) {
+            gl.uniform1i(this.bitonicUniforms.k, k);
+            for (let j = k / 2; j >= 1; j /= 2) {
+                gl.uniform1i(this.bitonicUniforms.j, j);
+                gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[1 - current]);
+                gl.bindTexture(gl.TEXTURE_2D, this.textures[current]);
+                gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+                current = 1 - current;
+            }
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.bindVertexArray(null);
+        gl.viewport(viewport[0], viewport[1], viewport[2], viewport[3]);
+
+        this.result = this.textures[current];
+        return this.result;
+    }
+
+    // Blocks until the GPU has finished the last sort (used by the benchmark)
+    finish() {
+        const gl = this.gl;
+        const pixel = new Uint32Array(4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[this.textures.indexOf(this.result)]);
+        gl.readPixels(0, 0, 1, 1, gl.RGBA_INTEGER, gl.UNSIGNED_INT, pixel);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    dispose() {
+        const gl = this.gl;
+        this.textures.forEach(texture => gl.deleteTexture(texture));
+        this.framebuffers.forEach(framebuffer => gl.deleteFramebuffer(framebuffer));
+        gl.deleteBuffer(this.quadBuffer);
+        gl.deleteVertexArray(this.vao);
+        gl.deleteProgram(this.keyProgram);
+        gl.deleteProgram(this.bitonicProgram);
+    }
+}
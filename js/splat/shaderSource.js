@@ -1,3 +1,6 @@
+// Size of the model matrix array; the worker stores each splat's slot in the texture
+export const MAX_SCENES = 16;
+
 export const vertexShaderSource = `
 #version 300 es
 precision highp float;
@@ -5,14 +8,26 @@ precision highp int;
 
 // Existing uniforms
 uniform highp usampler2D u_texture;
+uniform highp usampler2D u_shTexture;
 uniform mat4 projection, view;
-uniform vec2 focal;
+uniform mat4 u_models[${MAX_SCENES}];
+uniform vec2 focal;             // Focal lengths in pixels, or pixels per unit when orthographic
+uniform bool u_orthographic;
 uniform vec2 viewport;
+uniform vec4 u_tile;           // Part of the view being drawn: NDC scale in xy, offset in zw
 uniform sampler2D u_depthTexture;
 
 // New uniforms for controls
 uniform float u_uniformScale;  // Controls overall size of splats
 uniform float u_pointScale;    // Multiplier for point size
+uniform int u_shDegree;        // Spherical harmonics degree to evaluate (0-3)
+uniform int u_shTexelsPerSplat; // Texels per splat in u_shTexture
+uniform bool u_gpuSorted;      // Read the draw order from u_sortTexture instead of index
+uniform highp usampler2D u_sortTexture;
+uniform int u_cropMode;        // 0 off, 1 box, 2 sphere
+uniform vec3 u_cropCenter;     // Crop volume in scene space, before u_uniformScale
+uniform vec3 u_cropSize;       // Box half extents, or the sphere radius in .x
+uniform highp usampler2D u_flagTexture; // Edit flags per splat: 1 selected, 2 hidden, 4 deleted
 
 in vec2 position;
 in int index;
@@ -21,35 +36,140 @@ out vec2 vPosition;
 out float vDepth;
 out float vDepthDiff;
 
+const float SH_C1 = 0.4886025119029199;
+const float SH_C2[5] = float[](
+    1.0925484305920792, -1.0925484305920792, 0.31539156525252005,
+    -1.0925484305920792, 0.5462742152960396
+);
+const float SH_C3[7] = float[](
+    -0.5900435899266435, 2.890611442640554, -0.4570457994644658,
+    0.3731763325901154, -0.4570457994644658, 1.445305721320277,
+    -0.5900435899266435
+);
+
+// Splat drawn by this instance, from the worker's index buffer or the GPU sort
+int splatIndex;
+
+// Packed half floats for the current splat, RGB per coefficient
+uint shWords[24];
+
+vec3 shCoeff(int k) {
+    int h = k * 3;
+    float c[3];
+    for (int i = 0; i < 3; i++) {
+        vec2 pair = unpackHalf2x16(shWords[(h + i) >> 1]);
+        c[i] = ((h + i) & 1) == 0 ? pair.x : pair.y;
+    }
+    return vec3(c[0], c[1], c[2]);
+}
+
+// View-dependent color from the higher SH bands; the DC term is baked into the base color
+vec3 evalSH(vec3 dir) {
+    int texels = (((u_shDegree + 1) * (u_shDegree + 1) - 1) * 3 + 7) / 8;
+    int width = textureSize(u_shTexture, 0).x;
+    int base = splatIndex * u_shTexelsPerSplat;
+    for (int t = 0; t < 6; t++) {
+        if (t >= texels) break;
+        uvec4 w = texelFetch(u_shTexture, ivec2((base + t) % width, (base + t) / width), 0);
+        shWords[t * 4 + 0] = w.x;
+        shWords[t * 4 + 1] = w.y;
+        shWords[t * 4 + 2] = w.z;
+        shWords[t * 4 + 3] = w.w;
+    }
+
+    float x = dir.x, y = dir.y, z = dir.z;
+    vec3 result = SH_C1 * (-y * shCoeff(0) + z * shCoeff(1) - x * shCoeff(2));
+    if (u_shDegree > 1) {
+        float xx = x * x, yy = y * y, zz = z * z;
+        result += SH_C2[0] * x * y * shCoeff(3) +
+            SH_C2[1] * y * z * shCoeff(4) +
+            SH_C2[2] * (2.0 * zz - xx - yy) * shCoeff(5) +
+            SH_C2[3] * x * z * shCoeff(6) +
+            SH_C2[4] * (xx - yy) * shCoeff(7);
+        if (u_shDegree > 2) {
+            result += SH_C3[0] * y * (3.0 * xx - yy) * shCoeff(8) +
+                SH_C3[1] * x * y * z * shCoeff(9) +
+                SH_C3[2] * y * (4.0 * zz - xx - yy) * shCoeff(10) +
+                SH_C3[3] * z * (2.0 * zz - 3.0 * xx - 3.0 * yy) * shCoeff(11) +
+                SH_C3[4] * x * (4.0 * zz - xx - yy) * shCoeff(12) +
+                SH_C3[5] * z * (xx - yy) * shCoeff(13) +
+                SH_C3[6] * x * (xx - 3.0 * yy) * shCoeff(14);
+        }
+    }
+    return result;
+}
+
 void main () {
+    if (u_gpuSorted) {
+        int sortWidth = textureSize(u_sortTexture, 0).x;
+        splatIndex = int(texelFetch(u_sortTexture, ivec2(gl_InstanceID % sortWidth, gl_InstanceID / sortWidth), 0).y);
+    } else {
+        splatIndex = index;
+    }
+
+    // Hidden and deleted splats are also left out of the worker sort, but
+    // not out of the GPU sort
+    uint flags = texelFetch(u_flagTexture, ivec2(splatIndex & 0xfff, splatIndex >> 12), 0).r;
+    if ((flags & 6u) != 0u) {
+        gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+        return;
+    }
+
     // Fetch center point data
-    uvec4 cen = texelFetch(u_texture, ivec2((uint(index) & 0x3ffu) << 1, uint(index) >> 10), 0);
+    uvec4 cen = texelFetch(u_texture, ivec2((uint(splatIndex) & 0x3ffu) << 1, uint(splatIndex) >> 10), 0);
     
-    // Apply uniform scale to position
-    vec3 scaledPos = uintBitsToFloat(cen.xyz) * u_uniformScale;
+    mat4 model = u_models[int(cen.w)];
+
+    // Apply the scene transform, then uniform scale to position
+    vec3 worldPos = (model * vec4(uintBitsToFloat(cen.xyz), 1)).xyz;
+
+    // Splats outside the crop volume are culled here as well as in the
+    // worker sort, so the GPU sort path respects the crop too
+    if (u_cropMode > 0) {
+        vec3 d = worldPos - u_cropCenter;
+        bool inside = u_cropMode == 1
+            ? all(lessThanEqual(abs(d), u_cropSize))
+            : dot(d, d) <= u_cropSize.x * u_cropSize.x;
+        if (!inside) {
+            gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+            return;
+        }
+    }
+
+    vec3 scaledPos = worldPos * u_uniformScale;
     vec4 cam = view * vec4(scaledPos, 1);
     
     vec4 pos2d = projection * cam;
     float clip = 1.2 * pos2d.w;
     
-    // Clipping check
+    // Clipping check. Orthographic depth has no divide to throw splats
+    // behind the camera out of range, so those are tested directly.
     vec4 clipBounds = abs(pos2d / pos2d.w);
-    if (max(max(clipBounds.x, clipBounds.y), clipBounds.z) > 1.2) {
+    if (max(max(clipBounds.x, clipBounds.y), clipBounds.z) > 1.2 || (u_orthographic && pos2d.z < 0.0)) {
         gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
         return;
     }
 
     // Covariance matrix calculation
-    uvec4 cov = texelFetch(u_texture, ivec2(((uint(index) & 0x3ffu) << 1) | 1u, uint(index) >> 10), 0);
+    uvec4 cov = texelFetch(u_texture, ivec2(((uint(splatIndex) & 0x3ffu) << 1) | 1u, uint(splatIndex) >> 10), 0);
     vec2 u1 = unpackHalf2x16(cov.x), u2 = unpackHalf2x16(cov.y), u3 = unpackHalf2x16(cov.z);
     mat3 Vrk = mat3(u1.x, u1.y, u2.x, u1.y, u2.y, u3.x, u2.x, u3.x, u3.y);
+    mat3 modelRotScale = mat3(model);
+    Vrk = modelRotScale * Vrk * transpose(modelRotScale);
 
-    // Jacobian calculation
-    mat3 J = mat3(
-        focal.x / cam.z, 0., -(focal.x * cam.x) / (cam.z * cam.z),
-        0., -focal.y / cam.z, (focal.y * cam.y) / (cam.z * cam.z),
-        0., 0., 0.
-    );
+    // Jacobian of the projection at the splat center; orthographic
+    // projection is linear, so it is the same everywhere
+    mat3 J = u_orthographic
+        ? mat3(
+            focal.x, 0., 0.,
+            0., -focal.y, 0.,
+            0., 0., 0.
+        )
+        : mat3(
+            focal.x / cam.z, 0., -(focal.x * cam.x) / (cam.z * cam.z),
+            0., -focal.y / cam.z, (focal.y * cam.y) / (cam.z * cam.z),
+            0., 0., 0.
+        );
     
     mat3 T = transpose(mat3(view)) * J;
     mat3 cov2d = transpose(T) * Vrk * T;
@@ -67,11 +187,26 @@ void main () {
     vec2 minorAxis = min(sqrt(2.0 * lambda2), 1024.0) * vec2(diagonalVector.y, -diagonalVector.x) * u_pointScale;
 
     // Pass color to fragment shader
-    vColor = clamp(pos2d.z/pos2d.w+1.0, 0.0, 1.0) * vec4((cov.w) & 0xffu, (cov.w >> 8) & 0xffu, (cov.w >> 16) & 0xffu, (cov.w >> 24) & 0xffu) / 255.0;
+    vec4 color = vec4((cov.w) & 0xffu, (cov.w >> 8) & 0xffu, (cov.w >> 16) & 0xffu, (cov.w >> 24) & 0xffu) / 255.0;
+    if (u_shDegree > 0) {
+        // Camera position in world space, recovered from the view matrix.
+        // Orthographic views look along one direction, the camera's z axis.
+        vec3 cameraPos = -(transpose(mat3(view)) * view[3].xyz);
+        vec3 viewDir = u_orthographic ? transpose(mat3(view)) * vec3(0, 0, 1) : scaledPos - cameraPos;
+        // SH coefficients are in the scene's local frame
+        vec3 dir = normalize(inverse(modelRotScale) * viewDir);
+        color.rgb = clamp(color.rgb + evalSH(dir), 0.0, 1.0);
+    }
+    // Tint selected splats
+    if ((flags & 1u) != 0u) {
+        color.rgb = mix(color.rgb, vec3(1.0, 0.25, 0.1), 0.6);
+    }
+    vColor = clamp(pos2d.z/pos2d.w+1.0, 0.0, 1.0) * color;
     vPosition = position;
 
-    // Final position calculation
-    vec2 vCenter = vec2(pos2d) / pos2d.w;
+    // Final position calculation. Culling above used the whole view, so
+    // splats just outside a tile still reach into it.
+    vec2 vCenter = vec2(pos2d) / pos2d.w * u_tile.xy + u_tile.zw;
     gl_Position = vec4(
         vCenter
         + position.x * majorAxis / viewport
@@ -102,3 +237,85 @@ void main () {
 }
 
 `.trim();
+
+
+// Full-screen quad shared by the GPU sort passes
+export const sortVertexShaderSource = `
+#version 300 es
+in vec2 position;
+
+void main () {
+    gl_Position = vec4(position, 0.0, 1.0);
+}
+`.trim();
+
+// Writes (depth key, splat index) for every texel of the sort texture.
+// Padding and hidden splats get the largest key so they sort to the end.
+export const depthKeyFragmentShaderSource = `
+#version 300 es
+precision highp float;
+precision highp int;
+
+uniform highp usampler2D u_texture;
+uniform mat4 viewProj;
+uniform mat4 u_models[${MAX_SCENES}];
+uniform int u_sceneVisible[${MAX_SCENES}];
+uniform int u_count;
+uniform int u_sortWidth;
+
+out uvec4 fragKey;
+
+// Maps float bits to an unsigned key with the same ordering
+uint orderableKey(float f) {
+    uint u = floatBitsToUint(f);
+    return (u & 0x80000000u) != 0u ? ~u : u | 0x80000000u;
+}
+
+void main () {
+    ivec2 p = ivec2(gl_FragCoord.xy);
+    int i = p.y * u_sortWidth + p.x;
+    if (i >= u_count) {
+        fragKey = uvec4(0xffffffffu, uint(i), 0u, 0u);
+        return;
+    }
+
+    uvec4 cen = texelFetch(u_texture, ivec2((uint(i) & 0x3ffu) << 1, uint(i) >> 10), 0);
+    int slot = int(cen.w);
+    if (u_sceneVisible[slot] == 0) {
+        fragKey = uvec4(0xffffffffu, uint(i), 0u, 0u);
+        return;
+    }
+
+    vec4 clip = viewProj * u_models[slot] * vec4(uintBitsToFloat(cen.xyz), 1.0);
+    fragKey = uvec4(orderableKey(clip.z), uint(i), 0u, 0u);
+}
+`.trim();
+
+// One compare-exchange step of a bitonic sorting network over the linear
+// texel index: k is the block size being merged, j the partner distance
+export const bitonicFragmentShaderSource = `
+#version 300 es
+precision highp float;
+precision highp int;
+
+uniform highp usampler2D u_keys;
+uniform int u_sortWidth;
+uniform int u_k;
+uniform int u_j;
+
+out uvec4 fragKey;
+
+void main () {
+    ivec2 p = ivec2(gl_FragCoord.xy);
+    int i = p.y * u_sortWidth + p.x;
+    int partner = i ^ u_j;
+
+    uvec4 current = texelFetch(u_keys, p, 0);
+    uvec4 other = texelFetch(u_keys, ivec2(partner % u_sortWidth, partner / u_sortWidth), 0);
+
+    bool ascending = (i & u_k) == 0;
+    bool keepMin = (i < partner) == ascending;
+    bool takeOther = keepMin ? other.x < current.x : other.x > current.x;
+    fragKey = takeOther ? other : current;
+}
+`.trim();
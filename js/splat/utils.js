@@ -1,10 +1,46 @@
-export function getProjectionMatrix(fx, fy, width, height) {
-    const znear = 0.2;
-    const zfar = 200;
+// Projection for pinhole intrinsics in pixels, looking down +z with y
+// pointing down the image, as in COLMAP. The principal point (cx, cy)
+// defaults to the image center.
+export function getProjectionMatrix(fx, fy, width, height, {
+    cx = width / 2,
+    cy = height / 2,
+    znear = 0.2,
+    zfar = 200,
+} = {}) {
     return [
         [(2 * fx) / width, 0, 0, 0],
         [0, -(2 * fy) / height, 0, 0],
-        [0, 0, zfar / (zfar - znear), 1],
+        [(2 * cx) / width - 1, 1 - (2 * cy) / height, zfar / (zfar - znear), 1],
         [0, 0, -(zfar * znear) / (zfar - znear), 0],
     ].flat();
 }
+
+// Orthographic counterpart of getProjectionMatrix: fx and fy are pixels
+// per unit instead of focal lengths. Depth runs 0..1 from znear to zfar,
+// as it does there, so the sort keys order the same way.
+export function getOrthographicMatrix(fx, fy, width, height, {
+    cx = width / 2,
+    cy = height / 2,
+    znear = 0.2,
+    zfar = 200,
+} = {}) {
+    return [
+        [(2 * fx) / width, 0, 0, 0],
+        [0, -(2 * fy) / height, 0, 0],
+        [0, 0, 1 / (zfar - znear), 0],
+        [(2 * cx) / width - 1, 1 - (2 * cy) / height, -znear / (zfar - znear), 1],
+    ].flat();
+}
+
+// Pinhole intrinsics, in the terms getProjectionMatrix takes, of a WebGL
+// projection matrix (as an XRView gives) drawn into a width x height
+// viewport. The matrix looks down -z with y up, which flips the signs of
+// its off-center terms.
+export function intrinsicsFromProjection(matrix, width, height) {
+    return {
+        fx: (matrix[0] * width) / 2,
+        fy: (matrix[5] * height) / 2,
+        cx: ((1 - matrix[8]) * width) / 2,
+        cy: ((1 + matrix[9]) * height) / 2,
+    };
+}
@@ -3,7 +3,35 @@
 export function createWorker(self) {
     let buffer;
     let vertexCount = 0;
+    // Spherical harmonics (degree 1-3), packed as half floats, see writePlyRow
+    let shBuffer;
+    let shDegree = 0;
+    // Loaded scenes in slot order. Each keeps its own rows so the merged
+    // buffer can be rebuilt when a scene is added or removed.
+    let scenes = [];
+    let sceneIndex = new Uint8Array(); // Scene slot of every merged splat
+    let texturesDirty = false;
+    // Splats written by a streaming load since the last texture upload
+    let textureRange = null;
+    // Streaming loads in progress, by scene id
+    const streams = new Map();
+    let sortDirty = false;
     let viewProj;
+    // Crop volume in scene space: { type: "box", center, size } with half
+    // extents, or { type: "sphere", center, radius }. Null when cropping is off.
+    let crop = null;
+    // Per-splat edit flags, kept in scene.flags. Hidden and deleted splats
+    // are left out of the sort and the export.
+    const SELECTED = 1;
+    const HIDDEN = 2;
+    const DELETED = 4;
+    // Flag edits by id, each a list of { scene, indices, before, after }
+    // changes. The main thread's command history decides when they are
+    // undone, redone or discarded.
+    const edits = new Map();
+    let nextEditId = 1;
+    // Scenes taken out by removal or undo, kept until the history lets go
+    const parkedScenes = new Map();
     // 6*4 + 4 + 4 = 8*4
     // XYZ - Position (Float32)
     // XYZ - Scale (Float32)
@@ -14,6 +42,18 @@ export function createWorker(self) {
     let depthIndex = new Uint32Array();
     let lastVertexCount = 0;
 
+    // Persistent sort state. Buffers only grow, so orbiting does not allocate.
+    // sortOrder keeps the previous frame's order as the starting point.
+    let sortPrecision = 16; // Bits per depth key, sorted 8 bits per pass
+    let sortCapacity = 0;
+    let sortedCount = 0; // Entries of sortOrder that are valid; 0 forces a rebuild
+    let depthValues, sortKeys, sortKeysTemp, sortOrder, sortOrderTemp;
+    const radixCounts = new Uint32Array(256);
+    // Off while the main thread sorts on the GPU; textures are still generated
+    let cpuSortEnabled = true;
+    // Try insertion sort when at most this fraction of neighbours are out of order
+    const INCREMENTAL_THRESHOLD = 0.01;
+
     var _floatView = new Float32Array(1);
     var _int32View = new Int32Array(_floatView.buffer);
 
@@ -46,18 +86,35 @@ export function createWorker(self) {
         return (sign << 15) | (newExp << 10) | (frac >> 13);
     }
 
+    function halfToFloat(half) {
+        const sign = half & 0x8000 ? -1 : 1;
+        const exp = (half >> 10) & 0x1f;
+        const frac = half & 0x03ff;
+        if (exp == 0) return sign * frac * 2 ** -24;
+        if (exp == 31) return frac ? NaN : sign * Infinity;
+        return sign * (1 + frac / 1024) * 2 ** (exp - 15);
+    }
+
     function packHalf2x16(x, y) {
         return (floatToHalf(x) | (floatToHalf(y) << 16)) >>> 0;
     }
 
-    function generateTexture() {
+    // Without a range the whole texture is rebuilt. With one, only the texture
+    // rows holding splats start..end-1 are posted, for texSubImage2D.
+    function generateTexture(start, end) {
         if (!buffer) return;
         const f_buffer = new Float32Array(buffer);
         const u_buffer = new Uint8Array(buffer);
+        const partial = start !== undefined;
 
         var texwidth = 1024 * 2; // Set to your desired width
         var texheight = Math.ceil((2 * vertexCount) / texwidth); // Set to your desired height
-        var texdata = new Uint32Array(texwidth * texheight * 4); // 4 components per pixel (RGBA)
+        // Each texture row holds 1024 splats
+        const rowOffset = partial ? Math.floor(start / 1024) : 0;
+        const rowCount = partial ? Math.ceil(end / 1024) - rowOffset : texheight;
+        const first = rowOffset * 1024;
+        const last = Math.min(vertexCount, (rowOffset + rowCount) * 1024);
+        var texdata = new Uint32Array(texwidth * rowCount * 4); // 4 components per pixel (RGBA)
         var texdata_c = new Uint8Array(texdata.buffer);
         var texdata_f = new Float32Array(texdata.buffer);
 
@@ -65,17 +122,21 @@ export function createWorker(self) {
         // With a little bit more foresight perhaps this texture file
         // should have been the native format as it'd be very easy to
         // load it into webgl.
-        for (let i = 0; i < vertexCount; i++) {
+        for (let i = first; i < last; i++) {
+            const t = i - first;
             // x, y, z
-            texdata_f[8 * i + 0] = f_buffer[8 * i + 0];
-            texdata_f[8 * i + 1] = f_buffer[8 * i + 1];
-            texdata_f[8 * i + 2] = f_buffer[8 * i + 2];
+            texdata_f[8 * t + 0] = f_buffer[8 * i + 0];
+            texdata_f[8 * t + 1] = f_buffer[8 * i + 1];
+            texdata_f[8 * t + 2] = f_buffer[8 * i + 2];
+
+            // scene slot, used by the shader to pick the model matrix
+            texdata[8 * t + 3] = sceneIndex[i];
 
             // r, g, b, a
-            texdata_c[4 * (8 * i + 7) + 0] = u_buffer[32 * i + 24 + 0];
-            texdata_c[4 * (8 * i + 7) + 1] = u_buffer[32 * i + 24 + 1];
-            texdata_c[4 * (8 * i + 7) + 2] = u_buffer[32 * i + 24 + 2];
-            texdata_c[4 * (8 * i + 7) + 3] = u_buffer[32 * i + 24 + 3];
+            texdata_c[4 * (8 * t + 7) + 0] = u_buffer[32 * i + 24 + 0];
+            texdata_c[4 * (8 * t + 7) + 1] = u_buffer[32 * i + 24 + 1];
+            texdata_c[4 * (8 * t + 7) + 2] = u_buffer[32 * i + 24 + 2];
+            texdata_c[4 * (8 * t + 7) + 3] = u_buffer[32 * i + 24 + 3];
 
             // quaternions
             let scale = [
@@ -114,18 +175,155 @@ export function createWorker(self) {
                 M[2] * M[2] + M[5] * M[5] + M[8] * M[8],
             ];
 
-            texdata[8 * i + 4] = packHalf2x16(4 * sigma[0], 4 * sigma[1]);
-            texdata[8 * i + 5] = packHalf2x16(4 * sigma[2], 4 * sigma[3]);
-            texdata[8 * i + 6] = packHalf2x16(4 * sigma[4], 4 * sigma[5]);
+            texdata[8 * t + 4] = packHalf2x16(4 * sigma[0], 4 * sigma[1]);
+            texdata[8 * t + 5] = packHalf2x16(4 * sigma[2], 4 * sigma[3]);
+            texdata[8 * t + 6] = packHalf2x16(4 * sigma[4], 4 * sigma[5]);
         }
 
-        self.postMessage({ texdata, texwidth, texheight }, [texdata.buffer]);
+        const sceneIds = scenes.map((scene) => scene.id);
+        if (partial) {
+            self.postMessage(
+                { texdata, texwidth, texheight, texRowOffset: rowOffset, texRowCount: rowCount, sceneIds, vertexCount },
+                [texdata.buffer],
+            );
+        } else {
+            self.postMessage({ texdata, texwidth, texheight, sceneIds, vertexCount }, [
+                texdata.buffer,
+            ]);
+            generateFlagTexture();
+        }
+        generateSHTexture(start, end);
     }
 
-    function runSort(viewProj) {
-        if (!buffer) return;
+    // One byte of edit flags per splat, in merged order. Small enough to
+    // re-upload whole after every selection edit.
+    function generateFlagTexture() {
+        const flagTexwidth = 4096;
+        const flagTexheight = Math.max(1, Math.ceil(vertexCount / flagTexwidth));
+        const flagTexdata = new Uint8Array(flagTexwidth * flagTexheight);
+        for (const scene of scenes) {
+            flagTexdata.set(scene.flags, scene.offset);
+        }
+        self.postMessage({ flagTexdata, flagTexwidth, flagTexheight }, [flagTexdata.buffer]);
+    }
+
+    // Number of RGBA32UI texels one splat occupies in the SH texture. Coefficients
+    // are stored band by band (RGB per coefficient), so lower degrees come first.
+    function shTexelsForDegree(degree) {
+        const coeffs = (degree + 1) * (degree + 1) - 1;
+        return Math.ceil(Math.ceil((coeffs * 3) / 2) / 4);
+    }
+
+    function generateSHTexture(start, end) {
+        if (!shBuffer || shDegree == 0) {
+            if (start !== undefined) return;
+            self.postMessage({
+                shTexdata: new Uint32Array(4),
+                shTexwidth: 1,
+                shTexheight: 1,
+                shDegree: 0,
+            });
+            return;
+        }
+
+        const texelsPerSplat = shTexelsForDegree(shDegree);
+        const shTexwidth = 4096;
+        const shTexheight = Math.ceil((texelsPerSplat * vertexCount) / shTexwidth);
+        if (start !== undefined) {
+            const rowOffset = Math.floor((texelsPerSplat * start) / shTexwidth);
+            const rowCount = Math.ceil((texelsPerSplat * end) / shTexwidth) - rowOffset;
+            const shTexdata = new Uint32Array(shTexwidth * rowCount * 4);
+            const firstWord = rowOffset * shTexwidth * 4;
+            shTexdata.set(
+                shBuffer.subarray(firstWord, Math.min(shBuffer.length, firstWord + shTexdata.length)),
+            );
+            self.postMessage(
+                { shTexdata, shTexwidth, shTexheight, shTexRowOffset: rowOffset, shTexRowCount: rowCount, shDegree },
+                [shTexdata.buffer],
+            );
+            return;
+        }
+        const shTexdata = new Uint32Array(shTexwidth * shTexheight * 4);
+        shTexdata.set(shBuffer.subarray(0, texelsPerSplat * 4 * vertexCount));
+
+        self.postMessage({ shTexdata, shTexwidth, shTexheight, shDegree }, [
+            shTexdata.buffer,
+        ]);
+    }
+
+    function ensureSortCapacity(count) {
+        if (count <= sortCapacity) return;
+        sortCapacity = count;
+        depthValues = new Float32Array(count);
+        sortKeys = new Uint32Array(count);
+        sortKeysTemp = new Uint32Array(count);
+        sortOrder = new Uint32Array(count);
+        sortOrderTemp = new Uint32Array(count);
+        sortedCount = 0;
+    }
+
+    // Sorts sortKeys/sortOrder in place. Gives up (returning false) after
+    // maxMoves shifts, leaving a valid permutation for the radix sort.
+    function insertionSort(count, maxMoves) {
+        let moves = 0;
+        for (let j = 1; j < count; j++) {
+            const key = sortKeys[j];
+            if (key >= sortKeys[j - 1]) continue;
+            const index = sortOrder[j];
+            let k = j - 1;
+            while (k >= 0 && sortKeys[k] > key) {
+                sortKeys[k + 1] = sortKeys[k];
+                sortOrder[k + 1] = sortOrder[k];
+                k--;
+                if (++moves > maxMoves) {
+                    sortKeys[k + 1] = key;
+                    sortOrder[k + 1] = index;
+                    return false;
+                }
+            }
+            sortKeys[k + 1] = key;
+            sortOrder[k + 1] = index;
+        }
+        return true;
+    }
+
+    // Stable LSD radix sort, 8 bits per pass, ping-ponging between buffers
+    function radixSort(count) {
+        const passes = Math.ceil(sortPrecision / 8);
+        for (let pass = 0; pass < passes; pass++) {
+            const shift = pass * 8;
+            radixCounts.fill(0);
+            for (let j = 0; j < count; j++)
+                radixCounts[(sortKeys[j] >>> shift) & 0xff]++;
+            let sum = 0;
+            for (let b = 0; b < 256; b++) {
+                const c = radixCounts[b];
+                radixCounts[b] = sum;
+                sum += c;
+            }
+            for (let j = 0; j < count; j++) {
+                const dest = radixCounts[(sortKeys[j] >>> shift) & 0xff]++;
+                sortKeysTemp[dest] = sortKeys[j];
+                sortOrderTemp[dest] = sortOrder[j];
+            }
+            [sortKeys, sortKeysTemp] = [sortKeysTemp, sortKeys];
+            [sortOrder, sortOrderTemp] = [sortOrderTemp, sortOrder];
+        }
+    }
+
+    function runSort(viewProj, benchmark = false) {
+        if (!viewProj) return;
+        if (!buffer) {
+            texturesDirty = false;
+            if (lastVertexCount > 0) {
+                lastVertexCount = 0;
+                depthIndex = new Uint32Array();
+                self.postMessage({ depthIndex, viewProj, vertexCount: 0 });
+            }
+            return;
+        }
         const f_buffer = new Float32Array(buffer);
-        if (lastVertexCount == vertexCount) {
+        if (!benchmark && !texturesDirty && !sortDirty && lastVertexCount == vertexCount) {
             let dot =
                 lastProj[2] * viewProj[2] +
                 lastProj[6] * viewProj[6] +
@@ -133,194 +331,1371 @@ export function createWorker(self) {
             if (Math.abs(dot - 1) < 0.01) {
                 return;
             }
-        } else {
+        }
+        if (texturesDirty || lastVertexCount != vertexCount) {
             generateTexture();
+            texturesDirty = false;
             lastVertexCount = vertexCount;
+            sortedCount = 0;
+        } else if (textureRange) {
+            generateTexture(textureRange.start, textureRange.end);
         }
+        textureRange = null;
+        sortDirty = false;
+        if (!cpuSortEnabled && !benchmark) return;
+
+        const startTime = performance.now();
+        ensureSortCapacity(vertexCount);
+
+        // Start from the previous order, or from every visible splat after
+        // the scene set, visibility, edit flags or crop changed. Rows a
+        // streaming scene has not received yet are left out.
+        if (sortedCount == 0) {
+            for (let i = 0; i < vertexCount; i++) {
+                const scene = scenes[sceneIndex[i]];
+                if (
+                    scene.visible &&
+                    i - scene.offset < scene.loaded &&
+                    !(scene.flags[i - scene.offset] & (HIDDEN | DELETED)) &&
+                    (!crop || insideCrop(scene.matrix, f_buffer, i))
+                ) {
+                    sortOrder[sortedCount++] = i;
+                }
+            }
+        }
+        const count = sortedCount;
+
+        // Depth row of viewProj * model for each scene, so splats from every
+        // scene land in one ordering
+        const depthRows = scenes.map(({ matrix: m }) => [
+            viewProj[2] * m[0] + viewProj[6] * m[1] + viewProj[10] * m[2],
+            viewProj[2] * m[4] + viewProj[6] * m[5] + viewProj[10] * m[6],
+            viewProj[2] * m[8] + viewProj[6] * m[9] + viewProj[10] * m[10],
+            viewProj[2] * m[12] + viewProj[6] * m[13] + viewProj[10] * m[14] + viewProj[14],
+        ]);
 
-        console.time("sort");
         let maxDepth = -Infinity;
         let minDepth = Infinity;
-        let sizeList = new Int32Array(vertexCount);
-        for (let i = 0; i < vertexCount; i++) {
-            let depth =
-                ((viewProj[2] * f_buffer[8 * i + 0] +
-                    viewProj[6] * f_buffer[8 * i + 1] +
-                    viewProj[10] * f_buffer[8 * i + 2]) *
-                    4096) |
-                0;
-            sizeList[i] = depth;
+        for (let j = 0; j < count; j++) {
+            const i = sortOrder[j];
+            const r = depthRows[sceneIndex[i]];
+            // Rounded to float32 up front so the 32-bit keys cannot overflow
+            const depth = Math.fround(
+                r[0] * f_buffer[8 * i + 0] +
+                    r[1] * f_buffer[8 * i + 1] +
+                    r[2] * f_buffer[8 * i + 2] +
+                    r[3],
+            );
+            depthValues[j] = depth;
             if (depth > maxDepth) maxDepth = depth;
             if (depth < minDepth) minDepth = depth;
         }
 
-        // This is a 16 bit single-pass counting sort
-        let depthInv = (256 * 256) / (maxDepth - minDepth);
-        let counts0 = new Uint32Array(256 * 256);
-        for (let i = 0; i < vertexCount; i++) {
-            sizeList[i] = ((sizeList[i] - minDepth) * depthInv) | 0;
-            counts0[sizeList[i]]++;
+        // Quantize to sortPrecision-bit keys and count how far the previous
+        // order is from sorted
+        const keyScale = (2 ** sortPrecision - 1) / (maxDepth - minDepth || 1);
+        let descents = 0;
+        for (let j = 0; j < count; j++) {
+            sortKeys[j] = ((depthValues[j] - minDepth) * keyScale) >>> 0;
+            if (j > 0 && sortKeys[j] < sortKeys[j - 1]) descents++;
         }
-        let starts0 = new Uint32Array(256 * 256);
-        for (let i = 1; i < 256 * 256; i++)
-            starts0[i] = starts0[i - 1] + counts0[i - 1];
-        depthIndex = new Uint32Array(vertexCount);
-        for (let i = 0; i < vertexCount; i++)
-            depthIndex[starts0[sizeList[i]]++] = i;
+        const keyTime = performance.now();
 
-        console.timeEnd("sort");
+        let method;
+        if (descents == 0) {
+            method = "reuse";
+        } else if (
+            descents <= count * INCREMENTAL_THRESHOLD &&
+            insertionSort(count, Math.max(1024, count >> 3))
+        ) {
+            method = "incremental";
+        } else {
+            radixSort(count);
+            method = "radix";
+        }
+        const endTime = performance.now();
 
-        lastProj = viewProj;
-        self.postMessage({ depthIndex, viewProj, vertexCount }, [
-            depthIndex.buffer,
-        ]);
+        if (benchmark) {
+            // The next regular sort must not reuse the benchmark view's order
+            sortDirty = true;
+        } else {
+            lastProj = viewProj;
+        }
+        depthIndex = sortOrder.slice(0, count);
+        self.postMessage(
+            {
+                depthIndex,
+                viewProj,
+                vertexCount: count,
+                sortStats: {
+                    method,
+                    precision: sortPrecision,
+                    count,
+                    keyTime: keyTime - startTime,
+                    sortTime: endTime - keyTime,
+                    totalTime: endTime - startTime,
+                    benchmark,
+                },
+            },
+            [depthIndex.buffer],
+        );
+    }
+
+    // Concatenate every scene into the buffers the textures and sort read from.
+    // A scene that is still streaming in takes up its full size; rows it has
+    // not received yet stay zero and are kept out of the sort.
+    function mergeScenes() {
+        texturesDirty = true;
+        vertexCount = scenes.reduce((sum, scene) => sum + scene.vertexCount, 0);
+        shDegree = scenes.reduce((max, scene) => Math.max(max, scene.shDegree), 0);
+        if (vertexCount == 0) {
+            buffer = undefined;
+            shBuffer = undefined;
+            sceneIndex = new Uint8Array();
+            return;
+        }
+
+        buffer = new ArrayBuffer(rowLength * vertexCount);
+        const shWords = shTexelsForDegree(shDegree) * 4;
+        shBuffer = shDegree > 0 ? new Uint32Array(shWords * vertexCount) : undefined;
+        sceneIndex = new Uint8Array(vertexCount);
+
+        let offset = 0;
+        scenes.forEach((scene, slot) => {
+            scene.offset = offset;
+            sceneIndex.fill(slot, offset, offset + scene.vertexCount);
+            copySceneRows(scene, 0, scene.loaded);
+            offset += scene.vertexCount;
+        });
+    }
+
+    // Copies rows start..end-1 of a scene into the merged buffers
+    function copySceneRows(scene, start, end) {
+        new Uint8Array(buffer).set(
+            new Uint8Array(scene.buffer, rowLength * start, rowLength * (end - start)),
+            rowLength * (scene.offset + start),
+        );
+        if (shBuffer && scene.sh) {
+            copySH(scene.sh, scene.shDegree, start, shBuffer, shDegree, scene.offset + start, end - start);
+        }
+    }
+
+    // Copies n splats of SH words between buffers of different degrees;
+    // lower-degree sources are zero padded up to the target stride
+    function copySH(source, sourceDegree, sourceStart, target, targetDegree, targetStart, n) {
+        const sourceWords = shTexelsForDegree(sourceDegree) * 4;
+        const targetWords = shTexelsForDegree(targetDegree) * 4;
+        for (let i = 0; i < n; i++) {
+            target.set(
+                source.subarray((sourceStart + i) * sourceWords, (sourceStart + i + 1) * sourceWords),
+                (targetStart + i) * targetWords,
+            );
+        }
+    }
+
+    function addScene(id, data) {
+        const vertexCount = Math.floor(data.buffer.byteLength / rowLength);
+        const scene = {
+            id,
+            buffer: data.buffer,
+            vertexCount,
+            loaded: data.loaded ?? vertexCount,
+            sh: data.sh,
+            shDegree: data.shDegree || 0,
+            matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1],
+            visible: true,
+            flags: new Uint8Array(vertexCount),
+        };
+        scenes.push(scene);
+        mergeScenes();
+        return scene;
+    }
+
+    // Reallocates a scene for count splats, keeping the rows loaded so far
+    function resizeScene(scene, count) {
+        scene.loaded = Math.min(scene.loaded, count);
+        const resized = new Uint8Array(rowLength * count);
+        resized.set(new Uint8Array(scene.buffer, 0, rowLength * scene.loaded));
+        scene.buffer = resized.buffer;
+        if (scene.sh) {
+            const sceneWords = shTexelsForDegree(scene.shDegree) * 4;
+            const sh = new Uint32Array(sceneWords * count);
+            sh.set(scene.sh.subarray(0, sceneWords * scene.loaded));
+            scene.sh = sh;
+        }
+        const flags = new Uint8Array(count);
+        flags.set(scene.flags.subarray(0, scene.loaded));
+        scene.flags = flags;
+        scene.vertexCount = count;
+        mergeScenes();
+    }
+
+    // Whether splat i of a row buffer, moved by the scene matrix m, lies in the crop volume
+    function insideCrop(m, f_buffer, i) {
+        const x = f_buffer[8 * i + 0];
+        const y = f_buffer[8 * i + 1];
+        const z = f_buffer[8 * i + 2];
+        const dx = m[0] * x + m[4] * y + m[8] * z + m[12] - crop.center[0];
+        const dy = m[1] * x + m[5] * y + m[9] * z + m[13] - crop.center[1];
+        const dz = m[2] * x + m[6] * y + m[10] * z + m[14] - crop.center[2];
+        if (crop.type == "sphere") {
+            return dx * dx + dy * dy + dz * dz <= crop.radius * crop.radius;
+        }
+        return (
+            Math.abs(dx) <= crop.size[0] &&
+            Math.abs(dy) <= crop.size[1] &&
+            Math.abs(dz) <= crop.size[2]
+        );
+    }
+
+    // Marks every splat outside the crop volume deleted, as one undoable
+    // edit, so the crop carries over to exports. Returns the number removed.
+    function commitCrop() {
+        if (!crop) return 0;
+        if (streams.size > 0) {
+            throw new Error("Wait for every scene to finish loading before committing a crop");
+        }
+
+        const f_buffers = new Map(scenes.map((scene) => [scene, new Float32Array(scene.buffer)]));
+        let removed = 0;
+        editFlags("Commit crop", (flags, scene, i) => {
+            if (flags & DELETED || insideCrop(scene.matrix, f_buffers.get(scene), i)) return flags;
+            removed++;
+            return (flags | DELETED) & ~SELECTED;
+        });
+        return removed;
+    }
+
+    // Runs update(flags, scene, i) over every loaded splat, stores the new
+    // flags and records the ones that changed as a single undoable edit
+    function editFlags(label, update) {
+        const edit = [];
+        for (const scene of scenes) {
+            const indices = [];
+            const before = [];
+            const after = [];
+            for (let i = 0; i < scene.loaded; i++) {
+                const flags = scene.flags[i];
+                const value = update(flags, scene, i);
+                if (value != flags) {
+                    indices.push(i);
+                    before.push(flags);
+                    after.push(value);
+                    scene.flags[i] = value;
+                }
+            }
+            if (indices.length > 0) {
+                edit.push({
+                    scene,
+                    indices: Uint32Array.from(indices),
+                    before: Uint8Array.from(before),
+                    after: Uint8Array.from(after),
+                });
+            }
+        }
+        if (edit.length == 0) return;
+
+        const id = nextEditId++;
+        edits.set(id, edit);
+        // 4 bytes of index and 2 of flags per changed splat
+        const bytes = edit.reduce((sum, change) => sum + 6 * change.indices.length, 0);
+        self.postMessage({ editRecorded: { id, label, bytes } });
+        flagsChanged();
+    }
+
+    // Writes the before or after flags of an edit back. Parked scenes are
+    // updated too, so they come back in the right state.
+    function restoreEdit(id, key) {
+        const edit = edits.get(id);
+        if (!edit) return;
+        for (const change of edit) {
+            const values = change[key];
+            change.indices.forEach((i, k) => {
+                change.scene.flags[i] = values[k];
+            });
+        }
+        flagsChanged();
+    }
+
+    // Takes a scene out of the merged buffers but keeps its data, so undo
+    // can put it back in the same slot
+    function parkScene(id) {
+        streams.delete(id);
+        const slot = scenes.findIndex((scene) => scene.id === id);
+        if (slot < 0) return;
+        const scene = scenes[slot];
+        // A load cut short keeps only the rows that arrived
+        if (scene.loaded < scene.vertexCount) resizeScene(scene, scene.loaded);
+        scene.slot = slot;
+        parkedScenes.set(id, scene);
+        scenes.splice(slot, 1);
+        mergeScenes();
+        postSelectionStats();
+    }
+
+    function restoreScene(id) {
+        const scene = parkedScenes.get(id);
+        if (!scene) return;
+        parkedScenes.delete(id);
+        scenes.splice(Math.min(scene.slot, scenes.length), 0, scene);
+        mergeScenes();
+        postSelectionStats();
+    }
+
+    function flagsChanged() {
+        if (buffer) generateFlagTexture();
+        sortedCount = 0;
+        sortDirty = true;
+        postSelectionStats();
+    }
+
+    function postSelectionStats() {
+        let selected = 0;
+        let hidden = 0;
+        let deleted = 0;
+        for (const scene of scenes) {
+            for (let i = 0; i < scene.loaded; i++) {
+                const flags = scene.flags[i];
+                if (flags & SELECTED) selected++;
+                if (flags & HIDDEN) hidden++;
+                if (flags & DELETED) deleted++;
+            }
+        }
+        self.postMessage({ selectionStats: { selected, hidden, deleted } });
     }
 
-    function processPlyBuffer(inputBuffer) {
-        const ubuf = new Uint8Array(inputBuffer);
+    // Whether a splat is on screen and so can be selected
+    function selectable(flags, scene, f_buffer, i) {
+        return (
+            scene.visible &&
+            !(flags & (HIDDEN | DELETED)) &&
+            (!crop || insideCrop(scene.matrix, f_buffer, i))
+        );
+    }
+
+    // Screen-space hit test, in pixels from the top left of the viewport
+    function shapeTest(shape) {
+        if (shape.type == "rect") {
+            const x0 = Math.min(shape.x0, shape.x1);
+            const x1 = Math.max(shape.x0, shape.x1);
+            const y0 = Math.min(shape.y0, shape.y1);
+            const y1 = Math.max(shape.y0, shape.y1);
+            return (x, y) => x >= x0 && x <= x1 && y >= y0 && y <= y1;
+        }
+
+        const points = shape.points;
+        const pad = shape.type == "brush" ? shape.radius : 0;
+        const xs = points.map((p) => p[0]);
+        const ys = points.map((p) => p[1]);
+        const minX = Math.min(...xs) - pad;
+        const maxX = Math.max(...xs) + pad;
+        const minY = Math.min(...ys) - pad;
+        const maxY = Math.max(...ys) + pad;
+        const inBounds = (x, y) => x >= minX && x <= maxX && y >= minY && y <= maxY;
+
+        if (shape.type == "lasso") {
+            // Even-odd rule against the closed polygon
+            return (x, y) => {
+                if (!inBounds(x, y)) return false;
+                let inside = false;
+                for (let a = 0, b = points.length - 1; a < points.length; b = a++) {
+                    const [xa, ya] = points[a];
+                    const [xb, yb] = points[b];
+                    if (ya > y != yb > y && x < ((xb - xa) * (y - ya)) / (yb - ya) + xa) {
+                        inside = !inside;
+                    }
+                }
+                return inside;
+            };
+        }
+
+        if (shape.type == "brush") {
+            // Within radius of any segment of the stroke
+            const r2 = shape.radius * shape.radius;
+            return (x, y) => {
+                if (!inBounds(x, y)) return false;
+                for (let k = 0; k < points.length; k++) {
+                    const [xa, ya] = points[k];
+                    const [xb, yb] = points[Math.min(k + 1, points.length - 1)];
+                    const dx = xb - xa;
+                    const dy = yb - ya;
+                    const length2 = dx * dx + dy * dy;
+                    const t = length2 > 0
+                        ? Math.max(0, Math.min(1, ((x - xa) * dx + (y - ya) * dy) / length2))
+                        : 0;
+                    const ex = xa + t * dx - x;
+                    const ey = ya + t * dy - y;
+                    if (ex * ex + ey * ey <= r2) return true;
+                }
+                return false;
+            };
+        }
+        throw new Error(`Unknown selection shape: ${shape.type}`);
+    }
+
+    // Selects the splats whose projected centers fall inside shape.
+    // op is "replace", "add" or "subtract".
+    function selectSplats({ shape, op = "replace", viewProj, width, height }) {
+        const hit = shapeTest(shape);
+        const label = { add: "Add to selection", subtract: "Remove from selection" }[op] || "Select";
+        const projections = new Map(
+            scenes.map((scene) => {
+                const m = scene.matrix;
+                // Rows of viewProj * model that give clip x, y and w
+                const rows = [0, 1, 3].map((r) => [0, 4, 8, 12].map((c) =>
+                    viewProj[r] * m[c] +
+                    viewProj[r + 4] * m[c + 1] +
+                    viewProj[r + 8] * m[c + 2] +
+                    viewProj[r + 12] * m[c + 3],
+                ));
+                return [scene, { rows, f_buffer: new Float32Array(scene.buffer) }];
+            }),
+        );
+
+        editFlags(label, (flags, scene, i) => {
+            const { rows, f_buffer } = projections.get(scene);
+            let inside = false;
+            if (selectable(flags, scene, f_buffer, i)) {
+                const x = f_buffer[8 * i + 0];
+                const y = f_buffer[8 * i + 1];
+                const z = f_buffer[8 * i + 2];
+                const [rx, ry, rw] = rows;
+                const w = rw[0] * x + rw[1] * y + rw[2] * z + rw[3];
+                if (w > 0) {
+                    const sx = ((rx[0] * x + rx[1] * y + rx[2] * z + rx[3]) / w * 0.5 + 0.5) * width;
+                    const sy = (0.5 - (ry[0] * x + ry[1] * y + ry[2] * z + ry[3]) / w * 0.5) * height;
+                    inside = hit(sx, sy);
+                }
+            }
+            if (op == "add") return inside ? flags | SELECTED : flags;
+            if (op == "subtract") return inside ? flags & ~SELECTED : flags;
+            return inside ? flags | SELECTED : flags & ~SELECTED;
+        });
+    }
+
+    function applySelectionAction(action) {
+        const f_buffers = new Map(scenes.map((scene) => [scene, new Float32Array(scene.buffer)]));
+        const canSelect = (flags, scene, i) => selectable(flags, scene, f_buffers.get(scene), i);
+
+        switch (action) {
+            case "delete":
+                editFlags("Delete selection", (flags) =>
+                    flags & SELECTED ? (flags | DELETED) & ~SELECTED : flags,
+                );
+                break;
+            case "hide":
+                editFlags("Hide selection", (flags) =>
+                    flags & SELECTED ? (flags | HIDDEN) & ~SELECTED : flags,
+                );
+                break;
+            case "isolate":
+                // Hide everything on screen that is not selected
+                editFlags("Isolate selection", (flags, scene, i) =>
+                    !(flags & SELECTED) && canSelect(flags, scene, i) ? flags | HIDDEN : flags,
+                );
+                break;
+            case "unhideAll":
+                editFlags("Unhide all", (flags) => flags & ~HIDDEN);
+                break;
+            case "selectAll":
+                editFlags("Select all", (flags, scene, i) =>
+                    canSelect(flags, scene, i) ? flags | SELECTED : flags,
+                );
+                break;
+            case "invert":
+                editFlags("Invert selection", (flags, scene, i) =>
+                    canSelect(flags, scene, i) ? flags ^ SELECTED : flags & ~SELECTED,
+                );
+                break;
+            case "clear":
+                editFlags("Clear selection", (flags) => flags & ~SELECTED);
+                break;
+            default:
+                throw new Error(`Unknown selection action: ${action}`);
+        }
+    }
+
+    // Bounds of the visible splats in scene space. The extreme percentiles
+    // are dropped, so a few stray floaters do not blow up the box.
+    function sceneBounds(percentile = 0.01) {
+        const visible = scenes.filter((scene) => scene.visible && scene.loaded > 0);
+        const total = visible.reduce((sum, scene) => sum + scene.loaded, 0);
+        if (total == 0) return null;
+
+        const step = Math.max(1, Math.floor(total / 65536));
+        const axes = [[], [], []];
+        for (const scene of visible) {
+            const m = scene.matrix;
+            const f_buffer = new Float32Array(scene.buffer);
+            for (let i = 0; i < scene.loaded; i += step) {
+                const x = f_buffer[8 * i + 0];
+                const y = f_buffer[8 * i + 1];
+                const z = f_buffer[8 * i + 2];
+                axes[0].push(m[0] * x + m[4] * y + m[8] * z + m[12]);
+                axes[1].push(m[1] * x + m[5] * y + m[9] * z + m[13]);
+                axes[2].push(m[2] * x + m[6] * y + m[10] * z + m[14]);
+            }
+        }
+
+        const min = [];
+        const max = [];
+        for (const values of axes) {
+            const sorted = Float64Array.from(values).sort();
+            const cut = Math.floor((sorted.length - 1) * percentile);
+            min.push(sorted[cut]);
+            max.push(sorted[sorted.length - 1 - cut]);
+        }
+        return { min, max };
+    }
+
+    // The nearest visible splat whose center projects within radius pixels
+    // of (x, y), skipping faint ones so floaters don't catch the pick.
+    // Returns its scene-space center, or null when nothing is there.
+    function pickSplat({ x: px, y: py, viewProj, width, height, radius = 8, minAlpha = 64 }) {
+        let best = null;
+        let bestDepth = Infinity;
+        for (const scene of scenes) {
+            const m = scene.matrix;
+            const f_buffer = new Float32Array(scene.buffer);
+            const u_buffer = new Uint8Array(scene.buffer);
+            // Rows of viewProj * model that give clip x, y, z and w. Clip z
+            // orders by depth under orthographic views too, where w is 1.
+            const [rx, ry, rz, rw] = [0, 1, 2, 3].map((r) => [0, 4, 8, 12].map((c) =>
+                viewProj[r] * m[c] +
+                viewProj[r + 4] * m[c + 1] +
+                viewProj[r + 8] * m[c + 2] +
+                viewProj[r + 12] * m[c + 3],
+            ));
+            for (let i = 0; i < scene.loaded; i++) {
+                if (u_buffer[32 * i + 24 + 3] < minAlpha) continue;
+                const x = f_buffer[8 * i + 0];
+                const y = f_buffer[8 * i + 1];
+                const z = f_buffer[8 * i + 2];
+                const w = rw[0] * x + rw[1] * y + rw[2] * z + rw[3];
+                const depth = rz[0] * x + rz[1] * y + rz[2] * z + rz[3];
+                if (w <= 0 || depth >= bestDepth) continue;
+                const sx = ((rx[0] * x + rx[1] * y + rx[2] * z + rx[3]) / w * 0.5 + 0.5) * width;
+                const sy = (0.5 - (ry[0] * x + ry[1] * y + ry[2] * z + ry[3]) / w * 0.5) * height;
+                if (Math.hypot(sx - px, sy - py) > radius) continue;
+                if (!selectable(scene.flags[i], scene, f_buffer, i)) continue;
+                bestDepth = depth;
+                best = [
+                    m[0] * x + m[4] * y + m[8] * z + m[12],
+                    m[1] * x + m[5] * y + m[9] * z + m[13],
+                    m[2] * x + m[6] * y + m[10] * z + m[14],
+                ];
+            }
+        }
+        return best;
+    }
+
+    const PLY_TYPES = {
+        double: "getFloat64",
+        int: "getInt32",
+        uint: "getUint32",
+        float: "getFloat32",
+        short: "getInt16",
+        ushort: "getUint16",
+        uchar: "getUint8",
+    };
+
+    // Parses the header at the start of bytes, or returns null if
+    // "end_header" has not arrived yet
+    function parsePlyHeader(bytes) {
         // 10KB ought to be enough for a header...
-        const header = new TextDecoder().decode(ubuf.slice(0, 1024 * 10));
+        const header = new TextDecoder().decode(bytes.subarray(0, 1024 * 10));
         const header_end = "end_header\n";
         const header_end_index = header.indexOf(header_end);
-        if (header_end_index < 0)
-            throw new Error("Unable to read .ply file header");
+        if (header_end_index < 0) return null;
         const vertexCount = parseInt(/element vertex (\d+)\n/.exec(header)[1]);
-        console.log("Vertex Count", vertexCount);
         let row_offset = 0,
             offsets = {},
             types = {};
-        const TYPE_MAP = {
-            double: "getFloat64",
-            int: "getInt32",
-            uint: "getUint32",
-            float: "getFloat32",
-            short: "getInt16",
-            ushort: "getUint16",
-            uchar: "getUint8",
-        };
         for (let prop of header
             .slice(0, header_end_index)
             .split("\n")
             .filter((k) => k.startsWith("property "))) {
             const [p, type, name] = prop.split(" ");
-            const arrayType = TYPE_MAP[type] || "getInt8";
+            const arrayType = PLY_TYPES[type] || "getInt8";
             types[name] = arrayType;
             offsets[name] = row_offset;
             row_offset += parseInt(arrayType.replace(/[^\d]/g, "")) / 8;
         }
-        console.log("Bytes per row", row_offset, types, offsets);
 
-        let dataView = new DataView(
-            inputBuffer,
-            header_end_index + header_end.length,
+        // INRIA stores the higher-order SH coefficients channel by channel:
+        // f_rest_0..n-1 are red, f_rest_n..2n-1 green, f_rest_2n..3n-1 blue.
+        let restCount = 0;
+        while (types["f_rest_" + restCount]) restCount++;
+
+        return {
+            vertexCount,
+            rowLength: row_offset,
+            offsets,
+            types,
+            dataOffset: header_end_index + header_end.length,
+            shDegree: { 9: 1, 24: 2, 45: 3 }[restCount] || 0,
+        };
+    }
+
+    // Converts the PLY row at byte rowStart of dataView into splat j of
+    // buffer, and its SH coefficients into sh_u16 when the file has them
+    function writePlyRow(ply, dataView, rowStart, buffer, sh_u16, j) {
+        const { types, offsets } = ply;
+        const attr = (name) => {
+            if (!types[name]) throw new Error(name + " not found");
+            return dataView[types[name]](rowStart + offsets[name], true);
+        };
+
+        const position = new Float32Array(buffer, j * rowLength, 3);
+        const scales = new Float32Array(buffer, j * rowLength + 4 * 3, 3);
+        const rgba = new Uint8ClampedArray(
+            buffer,
+            j * rowLength + 4 * 3 + 4 * 3,
+            4,
         );
-        let row = 0;
-        const attrs = new Proxy(
-            {},
-            {
-                get(target, prop) {
-                    if (!types[prop]) throw new Error(prop + " not found");
-                    return dataView[types[prop]](
-                        row * row_offset + offsets[prop],
-                        true,
-                    );
-                },
-            },
+        const rot = new Uint8ClampedArray(
+            buffer,
+            j * rowLength + 4 * 3 + 4 * 3 + 4,
+            4,
         );
 
-        console.time("calculate importance");
-        let sizeList = new Float32Array(vertexCount);
-        let sizeIndex = new Uint32Array(vertexCount);
-        for (row = 0; row < vertexCount; row++) {
-            sizeIndex[row] = row;
-            if (!types["scale_0"]) continue;
-            const size =
-                Math.exp(attrs.scale_0) *
-                Math.exp(attrs.scale_1) *
-                Math.exp(attrs.scale_2);
-            const opacity = 1 / (1 + Math.exp(-attrs.opacity));
-            sizeList[row] = size * opacity;
-        }
-        console.timeEnd("calculate importance");
-
-        console.time("sort");
-        sizeIndex.sort((b, a) => sizeList[a] - sizeList[b]);
-        console.timeEnd("sort");
-
-        // 6*4 + 4 + 4 = 8*4
-        // XYZ - Position (Float32)
-        // XYZ - Scale (Float32)
-        // RGBA - colors (uint8)
-        // IJKL - quaternion/rot (uint8)
-        const rowLength = 3 * 4 + 3 * 4 + 4 + 4;
-        const buffer = new ArrayBuffer(rowLength * vertexCount);
-
-        console.time("build buffer");
-        for (let j = 0; j < vertexCount; j++) {
-            row = sizeIndex[j];
-
-            const position = new Float32Array(buffer, j * rowLength, 3);
-            const scales = new Float32Array(buffer, j * rowLength + 4 * 3, 3);
-            const rgba = new Uint8ClampedArray(
-                buffer,
-                j * rowLength + 4 * 3 + 4 * 3,
-                4,
-            );
-            const rot = new Uint8ClampedArray(
-                buffer,
-                j * rowLength + 4 * 3 + 4 * 3 + 4,
-                4,
+        if (types["scale_0"]) {
+            const qlen = Math.sqrt(
+                attr("rot_0") ** 2 +
+                attr("rot_1") ** 2 +
+                attr("rot_2") ** 2 +
+                attr("rot_3") ** 2,
             );
 
-            if (types["scale_0"]) {
-                const qlen = Math.sqrt(
-                    attrs.rot_0 ** 2 +
-                    attrs.rot_1 ** 2 +
-                    attrs.rot_2 ** 2 +
-                    attrs.rot_3 ** 2,
-                );
+            rot[0] = (attr("rot_0") / qlen) * 128 + 128;
+            rot[1] = (attr("rot_1") / qlen) * 128 + 128;
+            rot[2] = (attr("rot_2") / qlen) * 128 + 128;
+            rot[3] = (attr("rot_3") / qlen) * 128 + 128;
+
+            scales[0] = Math.exp(attr("scale_0"));
+            scales[1] = Math.exp(attr("scale_1"));
+            scales[2] = Math.exp(attr("scale_2"));
+        } else {
+            scales[0] = 0.01;
+            scales[1] = 0.01;
+            scales[2] = 0.01;
 
-                rot[0] = (attrs.rot_0 / qlen) * 128 + 128;
-                rot[1] = (attrs.rot_1 / qlen) * 128 + 128;
-                rot[2] = (attrs.rot_2 / qlen) * 128 + 128;
-                rot[3] = (attrs.rot_3 / qlen) * 128 + 128;
+            rot[0] = 255;
+            rot[1] = 0;
+            rot[2] = 0;
+            rot[3] = 0;
+        }
 
-                scales[0] = Math.exp(attrs.scale_0);
-                scales[1] = Math.exp(attrs.scale_1);
-                scales[2] = Math.exp(attrs.scale_2);
-            } else {
-                scales[0] = 0.01;
-                scales[1] = 0.01;
-                scales[2] = 0.01;
+        position[0] = attr("x");
+        position[1] = attr("y");
+        position[2] = attr("z");
 
-                rot[0] = 255;
-                rot[1] = 0;
-                rot[2] = 0;
-                rot[3] = 0;
+        if (types["f_dc_0"]) {
+            const SH_C0 = 0.28209479177387814;
+            rgba[0] = (0.5 + SH_C0 * attr("f_dc_0")) * 255;
+            rgba[1] = (0.5 + SH_C0 * attr("f_dc_1")) * 255;
+            rgba[2] = (0.5 + SH_C0 * attr("f_dc_2")) * 255;
+        } else {
+            rgba[0] = attr("red");
+            rgba[1] = attr("green");
+            rgba[2] = attr("blue");
+        }
+        if (types["opacity"]) {
+            rgba[3] = (1 / (1 + Math.exp(-attr("opacity")))) * 255;
+        } else {
+            rgba[3] = 255;
+        }
+
+        if (sh_u16 && ply.shDegree > 0) {
+            const coeffs = (ply.shDegree + 1) * (ply.shDegree + 1) - 1;
+            const base = j * shTexelsForDegree(ply.shDegree) * 4 * 2;
+            for (let k = 0; k < coeffs; k++) {
+                for (let c = 0; c < 3; c++) {
+                    sh_u16[base + k * 3 + c] = floatToHalf(
+                        attr("f_rest_" + (c * coeffs + k)),
+                    );
+                }
             }
+        }
+    }
+
+    // Streaming loads convert whatever complete rows each chunk brings and
+    // write them straight into a scene allocated at its final size, so the
+    // splats show up while the rest of the file is still arriving. Files that
+    // are neither PLY nor the compressed container are read as raw .splat rows.
+    function startStream(id, totalBytes) {
+        streams.set(id, { id, pending: new Uint8Array(0), totalBytes, format: null, scene: null });
+    }
+
+    function concatBytes(a, b) {
+        const bytes = new Uint8Array(a.length + b.length);
+        bytes.set(a);
+        bytes.set(b, a.length);
+        return bytes;
+    }
 
-            position[0] = attrs.x;
-            position[1] = attrs.y;
-            position[2] = attrs.z;
+    function appendStream(id, chunk) {
+        const stream = streams.get(id);
+        if (!stream) return;
+        let bytes = new Uint8Array(chunk);
+        if (!stream.scene) {
+            bytes = openStream(stream, concatBytes(stream.pending, bytes));
+            if (!bytes) return;
+            stream.pending = new Uint8Array(0);
+        }
+        if (stream.inflater) {
+            // Errors surface when the inflater is closed in endStream
+            stream.inflater.write(bytes).catch(() => {});
+        } else {
+            consumeStream(stream, bytes);
+        }
+    }
+
+    // Reads the file header and allocates the scene. Returns the bytes after
+    // the header, or null (keeping the bytes) while the header is incomplete.
+    function openStream(stream, bytes) {
+        if (bytes.length < 4) {
+            stream.pending = bytes;
+            return null;
+        }
+        const magic = new TextDecoder().decode(bytes.subarray(0, 4));
+        let count;
+        let degree = 0;
+        if (magic == "ply\n") {
+            const ply = parsePlyHeader(bytes);
+            if (!ply) {
+                if (bytes.length > 1024 * 10)
+                    throw new Error("Unable to read .ply file header");
+                stream.pending = bytes;
+                return null;
+            }
+            stream.format = "ply";
+            stream.ply = ply;
+            count = ply.vertexCount;
+            degree = ply.shDegree;
+            bytes = bytes.subarray(ply.dataOffset);
+        } else if (magic == COMPRESSED_MAGIC) {
+            if (bytes.length < COMPRESSED_HEADER_SIZE) {
+                stream.pending = bytes;
+                return null;
+            }
+            const header = readCompressedHeader(bytes);
+            stream.format = "compressed";
+            stream.compressed = header;
+            count = header.count;
+            degree = header.shDegree;
+            bytes = bytes.subarray(COMPRESSED_HEADER_SIZE);
+            if (header.gzip) startInflate(stream);
+        } else {
+            stream.format = "splat";
+            count = Math.floor(stream.totalBytes / rowLength);
+        }
 
-            if (types["f_dc_0"]) {
-                const SH_C0 = 0.28209479177387814;
-                rgba[0] = (0.5 + SH_C0 * attrs.f_dc_0) * 255;
-                rgba[1] = (0.5 + SH_C0 * attrs.f_dc_1) * 255;
-                rgba[2] = (0.5 + SH_C0 * attrs.f_dc_2) * 255;
+        stream.scene = addScene(stream.id, {
+            buffer: new ArrayBuffer(rowLength * count),
+            sh: degree > 0
+                ? new Uint32Array(shTexelsForDegree(degree) * 4 * count)
+                : undefined,
+            shDegree: degree,
+            loaded: 0,
+        });
+        return bytes;
+    }
+
+    // A gzipped container body is inflated as it arrives and fed to
+    // consumeStream in order
+    function startInflate(stream) {
+        const inflate = new DecompressionStream("gzip");
+        stream.inflater = inflate.writable.getWriter();
+        const reader = inflate.readable.getReader();
+        stream.inflated = (async () => {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                if (streams.get(stream.id) !== stream) continue; // Removed mid-load
+                consumeStream(stream, value);
+                throttledSort();
+            }
+        })();
+        stream.inflated.catch(() => {}); // Reported by endStream
+    }
+
+    function consumeStream(stream, bytes) {
+        const scene = stream.scene;
+        const pending = concatBytes(stream.pending, bytes);
+        const start = scene.loaded;
+        let used = 0;
+
+        if (stream.format == "compressed") {
+            used = decodeCompressedChunks(stream.compressed, pending, scene);
+        } else {
+            const inputRowLength = stream.ply ? stream.ply.rowLength : rowLength;
+            let rows = Math.floor(pending.length / inputRowLength);
+            if (!stream.ply && scene.loaded + rows > scene.vertexCount) {
+                // Size unknown up front (no Content-Length), grow geometrically
+                resizeScene(scene, Math.max(scene.vertexCount * 2, scene.loaded + rows, 65536));
+            }
+            rows = Math.min(rows, scene.vertexCount - scene.loaded);
+            if (stream.ply) {
+                const dataView = new DataView(pending.buffer, pending.byteOffset, rows * inputRowLength);
+                const sh_u16 = scene.sh && new Uint16Array(scene.sh.buffer);
+                for (let r = 0; r < rows; r++) {
+                    writePlyRow(stream.ply, dataView, r * inputRowLength, scene.buffer, sh_u16, start + r);
+                }
             } else {
-                rgba[0] = attrs.red;
-                rgba[1] = attrs.green;
-                rgba[2] = attrs.blue;
+                new Uint8Array(scene.buffer).set(pending.subarray(0, rows * rowLength), rowLength * start);
+            }
+            scene.loaded += rows;
+            used = rows * inputRowLength;
+        }
+        stream.pending = pending.slice(used);
+
+        if (scene.loaded > start) {
+            copySceneRows(scene, start, scene.loaded);
+            const first = scene.offset + start;
+            const last = scene.offset + scene.loaded;
+            textureRange = textureRange
+                ? { start: Math.min(textureRange.start, first), end: Math.max(textureRange.end, last) }
+                : { start: first, end: last };
+            sortedCount = 0;
+            sortDirty = true;
+        }
+        postStreamProgress(scene, false);
+    }
+
+    // Keeps whatever arrived; a failed stream passes its error along
+    async function endStream(id, error) {
+        const stream = streams.get(id);
+        if (!stream) return;
+        if (stream.inflater && !error) {
+            try {
+                await stream.inflater.close();
+                await stream.inflated;
+            } catch (inflateError) {
+                error = "Corrupt compressed data: " + inflateError.message;
             }
-            if (types["opacity"]) {
-                rgba[3] = (1 / (1 + Math.exp(-attrs.opacity))) * 255;
+            if (streams.get(id) !== stream) return; // Removed while inflating
+        }
+        streams.delete(id);
+        if (!stream.scene) {
+            self.postMessage({ streamProgress: { sceneId: id, loaded: 0, total: 0, done: true, error } });
+            return;
+        }
+        const scene = stream.scene;
+        // Truncated file, or a .splat that grew past its final size
+        if (scene.loaded < scene.vertexCount) resizeScene(scene, scene.loaded);
+        postStreamProgress(scene, true, error);
+        throttledSort();
+    }
+
+    function postStreamProgress(scene, done, error) {
+        self.postMessage({
+            streamProgress: {
+                sceneId: scene.id,
+                loaded: scene.loaded,
+                total: scene.vertexCount,
+                done,
+                error,
+            },
+        });
+    }
+
+    // Compressed container (.csplat), little endian. A 32-byte header:
+    //    0 "CSPL"                16 u8 scale bits (8 or 16)
+    //    4 u16 version (1)       17 u8 SH bits (8)
+    //    6 u8 flags (1 = gzip)   20 f32 SH range, coefficients span +-range
+    //    7 u8 SH degree          24 reserved
+    //    8 u32 splat count
+    //   12 u32 splats per chunk
+    // The body (gzipped when flagged) holds the splats in Morton order, split
+    // into chunks. Each chunk starts with its bounds (f32 min xyz, max xyz,
+    // min and max log scale), followed by columns: u16 xyz relative to the
+    // bounds, log scales, u8 rgba, u8 rotation and u8 SH coefficients.
+    const COMPRESSED_MAGIC = "CSPL";
+    const COMPRESSED_HEADER_SIZE = 32;
+    const COMPRESSED_CHUNK_SIZE = 256;
+
+    function readCompressedHeader(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, COMPRESSED_HEADER_SIZE);
+        const version = view.getUint16(4, true);
+        if (version != 1)
+            throw new Error("Unsupported compressed splat version " + version);
+        return {
+            gzip: (view.getUint8(6) & 1) != 0,
+            shDegree: view.getUint8(7),
+            count: view.getUint32(8, true),
+            chunkSize: view.getUint32(12, true),
+            scaleBits: view.getUint8(16),
+            shRange: view.getFloat32(20, true),
+        };
+    }
+
+    function compressedChunkSize(header, n) {
+        const coeffs = (header.shDegree + 1) * (header.shDegree + 1) - 1;
+        return 32 + n * (6 + 3 * (header.scaleBits / 8) + 8 + coeffs * 3);
+    }
+
+    // Decodes every complete chunk in bytes into the scene, returning the
+    // number of bytes used
+    function decodeCompressedChunks(header, bytes, scene) {
+        const f_out = new Float32Array(scene.buffer);
+        const u_out = new Uint8Array(scene.buffer);
+        const sh_u16 = scene.sh && new Uint16Array(scene.sh.buffer);
+        const shHalves = shTexelsForDegree(scene.shDegree) * 8;
+        const shValues = ((header.shDegree + 1) * (header.shDegree + 1) - 1) * 3;
+        const maxScale = header.scaleBits == 16 ? 65535 : 255;
+
+        let offset = 0;
+        while (scene.loaded < header.count) {
+            const n = Math.min(header.chunkSize, header.count - scene.loaded);
+            const size = compressedChunkSize(header, n);
+            if (offset + size > bytes.length) break;
+
+            const view = new DataView(bytes.buffer, bytes.byteOffset + offset, size);
+            const bounds = [];
+            for (let k = 0; k < 8; k++) bounds.push(view.getFloat32(4 * k, true));
+            const scaleRange = bounds[7] - bounds[6];
+            const start = scene.loaded;
+            let p = 32;
+
+            for (let t = 0; t < n; t++) {
+                for (let a = 0; a < 3; a++, p += 2) {
+                    f_out[8 * (start + t) + a] =
+                        bounds[a] + (view.getUint16(p, true) / 65535) * (bounds[3 + a] - bounds[a]);
+                }
+            }
+            for (let t = 0; t < n; t++) {
+                for (let a = 0; a < 3; a++) {
+                    let q;
+                    if (header.scaleBits == 16) {
+                        q = view.getUint16(p, true);
+                        p += 2;
+                    } else {
+                        q = view.getUint8(p++);
+                    }
+                    f_out[8 * (start + t) + 3 + a] = Math.exp(bounds[6] + (q / maxScale) * scaleRange);
+                }
+            }
+            for (let t = 0; t < n; t++, p += 4) {
+                u_out.set(bytes.subarray(offset + p, offset + p + 4), rowLength * (start + t) + 24);
+            }
+            for (let t = 0; t < n; t++, p += 4) {
+                u_out.set(bytes.subarray(offset + p, offset + p + 4), rowLength * (start + t) + 28);
+            }
+            if (shValues > 0) {
+                for (let t = 0; t < n; t++) {
+                    for (let m = 0; m < shValues; m++) {
+                        const value = (view.getUint8(p++) / 255) * 2 - 1;
+                        if (sh_u16) sh_u16[(start + t) * shHalves + m] = floatToHalf(value * header.shRange);
+                    }
+                }
+            }
+
+            scene.loaded += n;
+            offset += size;
+        }
+        return offset;
+    }
+
+    // Orders splats along a Z-order curve so every chunk covers a small region
+    // and 16 bits per axis go a long way
+    function mortonOrder(f_buffer, count) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < count; i++) {
+            for (let a = 0; a < 3; a++) {
+                min[a] = Math.min(min[a], f_buffer[8 * i + a]);
+                max[a] = Math.max(max[a], f_buffer[8 * i + a]);
+            }
+        }
+        const spread = (v) => {
+            v = (v | (v << 16)) & 0x030000ff;
+            v = (v | (v << 8)) & 0x0300f00f;
+            v = (v | (v << 4)) & 0x030c30c3;
+            return (v | (v << 2)) & 0x09249249;
+        };
+        const codes = new Uint32Array(count);
+        for (let i = 0; i < count; i++) {
+            let code = 0;
+            for (let a = 0; a < 3; a++) {
+                const q = Math.floor(((f_buffer[8 * i + a] - min[a]) / (max[a] - min[a] || 1)) * 1023);
+                code |= spread(q) << a;
+            }
+            codes[i] = code >>> 0;
+        }
+        const order = new Uint32Array(count);
+        for (let i = 0; i < count; i++) order[i] = i;
+        return order.sort((a, b) => codes[a] - codes[b]);
+    }
+
+    function encodeCompressed({ buffer, sh, shDegree, count }, scaleBits, gzip) {
+        const f_buffer = new Float32Array(buffer);
+        const u_buffer = new Uint8Array(buffer);
+        const sh_u16 = sh && new Uint16Array(sh.buffer);
+        const shHalves = shTexelsForDegree(shDegree) * 8;
+        const shValues = shDegree > 0 ? ((shDegree + 1) * (shDegree + 1) - 1) * 3 : 0;
+        const maxScale = scaleBits == 16 ? 65535 : 255;
+        const chunkSize = COMPRESSED_CHUNK_SIZE;
+
+        let shRange = 0;
+        for (let i = 0; i < count && shValues > 0; i++) {
+            for (let m = 0; m < shValues; m++) {
+                shRange = Math.max(shRange, Math.abs(halfToFloat(sh_u16[i * shHalves + m])));
+            }
+        }
+        shRange = shRange || 1;
+
+        const header = { shDegree, count, chunkSize, scaleBits, shRange };
+        let bodySize = 0;
+        for (let first = 0; first < count; first += chunkSize) {
+            bodySize += compressedChunkSize(header, Math.min(chunkSize, count - first));
+        }
+
+        const headerBytes = new Uint8Array(COMPRESSED_HEADER_SIZE);
+        const headerView = new DataView(headerBytes.buffer);
+        headerBytes.set(new TextEncoder().encode(COMPRESSED_MAGIC));
+        headerView.setUint16(4, 1, true);
+        headerView.setUint8(6, gzip ? 1 : 0);
+        headerView.setUint8(7, shDegree);
+        headerView.setUint32(8, count, true);
+        headerView.setUint32(12, chunkSize, true);
+        headerView.setUint8(16, scaleBits);
+        headerView.setUint8(17, 8);
+        headerView.setFloat32(20, shRange, true);
+
+        const body = new Uint8Array(bodySize);
+        const view = new DataView(body.buffer);
+        const order = mortonOrder(f_buffer, count);
+        let offset = 0;
+        for (let first = 0; first < count; first += chunkSize) {
+            const n = Math.min(chunkSize, count - first);
+            const bounds = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity, Infinity, -Infinity];
+            for (let t = 0; t < n; t++) {
+                const i = order[first + t];
+                for (let a = 0; a < 3; a++) {
+                    const x = f_buffer[8 * i + a];
+                    const logScale = Math.log(Math.max(f_buffer[8 * i + 3 + a], 1e-10));
+                    bounds[a] = Math.min(bounds[a], x);
+                    bounds[3 + a] = Math.max(bounds[3 + a], x);
+                    bounds[6] = Math.min(bounds[6], logScale);
+                    bounds[7] = Math.max(bounds[7], logScale);
+                }
+            }
+            bounds.forEach((value, k) => view.setFloat32(offset + 4 * k, value, true));
+            // Quantize against the float32 bounds the decoder will read
+            for (let k = 0; k < 8; k++) bounds[k] = view.getFloat32(offset + 4 * k, true);
+
+            let p = offset + 32;
+            for (let t = 0; t < n; t++) {
+                const i = order[first + t];
+                for (let a = 0; a < 3; a++, p += 2) {
+                    const extent = bounds[3 + a] - bounds[a];
+                    const q = extent > 0 ? Math.round(((f_buffer[8 * i + a] - bounds[a]) / extent) * 65535) : 0;
+                    view.setUint16(p, Math.min(65535, Math.max(0, q)), true);
+                }
+            }
+            const scaleRange = bounds[7] - bounds[6];
+            for (let t = 0; t < n; t++) {
+                const i = order[first + t];
+                for (let a = 0; a < 3; a++) {
+                    const logScale = Math.log(Math.max(f_buffer[8 * i + 3 + a], 1e-10));
+                    const q = scaleRange > 0
+                        ? Math.min(maxScale, Math.max(0, Math.round(((logScale - bounds[6]) / scaleRange) * maxScale)))
+                        : 0;
+                    if (scaleBits == 16) {
+                        view.setUint16(p, q, true);
+                        p += 2;
+                    } else {
+                        view.setUint8(p++, q);
+                    }
+                }
+            }
+            for (let t = 0; t < n; t++, p += 4) {
+                const i = order[first + t];
+                body.set(u_buffer.subarray(rowLength * i + 24, rowLength * i + 28), p);
+            }
+            for (let t = 0; t < n; t++, p += 4) {
+                const i = order[first + t];
+                body.set(u_buffer.subarray(rowLength * i + 28, rowLength * i + 32), p);
+            }
+            for (let t = 0; t < n && shValues > 0; t++) {
+                const i = order[first + t];
+                for (let m = 0; m < shValues; m++) {
+                    const value = halfToFloat(sh_u16[i * shHalves + m]) / shRange;
+                    view.setUint8(p++, Math.min(255, Math.max(0, Math.round((value * 0.5 + 0.5) * 255))));
+                }
+            }
+            offset = p;
+        }
+
+        return { headerBytes, body };
+    }
+
+    async function exportCompressed(splats, scaleBits) {
+        const gzip = typeof CompressionStream !== "undefined";
+        const { headerBytes, body } = encodeCompressed(splats, scaleBits, gzip);
+        const payload = gzip
+            ? new Uint8Array(
+                await new Response(
+                    new Blob([body]).stream().pipeThrough(new CompressionStream("gzip")),
+                ).arrayBuffer(),
+            )
+            : body;
+        return concatBytes(headerBytes, payload);
+    }
+
+    const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+    // Gathers the loaded rows of every visible scene with its transform
+    // baked in, so an exported file matches what is on screen. Hidden and
+    // deleted splats are skipped; a crop only reaches the export once
+    // commitCrop has deleted the rows outside it.
+    function collectSplats() {
+        const visible = scenes.filter((scene) => scene.visible);
+        const runs = visible.map(keptRuns);
+        const count = runs.flat().reduce((sum, [start, end]) => sum + end - start, 0);
+        const degree = visible.reduce((max, scene) => Math.max(max, scene.shDegree), 0);
+        const out = new ArrayBuffer(rowLength * count);
+        const sh = degree > 0 ? new Uint32Array(shTexelsForDegree(degree) * 4 * count) : undefined;
+
+        let offset = 0;
+        visible.forEach((scene, index) => {
+            const sceneStart = offset;
+            for (const [start, end] of runs[index]) {
+                new Uint8Array(out).set(
+                    new Uint8Array(scene.buffer, rowLength * start, rowLength * (end - start)),
+                    rowLength * offset,
+                );
+                if (sh && scene.sh) {
+                    copySH(scene.sh, scene.shDegree, start, sh, degree, offset, end - start);
+                }
+                offset += end - start;
+            }
+            if (scene.matrix.some((value, k) => value != IDENTITY[k])) {
+                transformRows(out, sh, degree, sceneStart, offset - sceneStart, scene.matrix, scene.shDegree);
+            }
+        });
+        return { buffer: out, sh, shDegree: degree, count };
+    }
+
+    // [start, end) ranges of the loaded rows of a scene that are neither hidden nor deleted
+    function keptRuns(scene) {
+        const runs = [];
+        let start = -1;
+        for (let i = 0; i <= scene.loaded; i++) {
+            const kept = i < scene.loaded && !(scene.flags[i] & (HIDDEN | DELETED));
+            if (kept && start < 0) start = i;
+            if (!kept && start >= 0) {
+                runs.push([start, i]);
+                start = -1;
+            }
+        }
+        return runs;
+    }
+
+    // Applies a rotation / uniform scale / translation matrix to n splats.
+    // SH bands are rotated too, so view-dependent color follows the splats.
+    function transformRows(out, sh, degree, start, n, m, sceneDegree) {
+        const f_out = new Float32Array(out);
+        const rot = new Uint8ClampedArray(out);
+        const s = Math.hypot(m[0], m[1], m[2]);
+        const R = [m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]].map((v) => v / s);
+        const q = quatFromMatrix(R);
+        const bands = [];
+        for (let band = 1; band <= sceneDegree && sh; band++) bands.push(shRotation(R, band));
+        const sh_u16 = sh && new Uint16Array(sh.buffer);
+        const shHalves = shTexelsForDegree(degree) * 8;
+
+        for (let i = start; i < start + n; i++) {
+            const x = f_out[8 * i + 0];
+            const y = f_out[8 * i + 1];
+            const z = f_out[8 * i + 2];
+            f_out[8 * i + 0] = m[0] * x + m[4] * y + m[8] * z + m[12];
+            f_out[8 * i + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+            f_out[8 * i + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+            f_out[8 * i + 3] *= s;
+            f_out[8 * i + 4] *= s;
+            f_out[8 * i + 5] *= s;
+
+            const r = [0, 1, 2, 3].map((k) => (rot[rowLength * i + 28 + k] - 128) / 128);
+            const w = q[0] * r[0] - q[1] * r[1] - q[2] * r[2] - q[3] * r[3];
+            const qx = q[0] * r[1] + q[1] * r[0] + q[2] * r[3] - q[3] * r[2];
+            const qy = q[0] * r[2] - q[1] * r[3] + q[2] * r[0] + q[3] * r[1];
+            const qz = q[0] * r[3] + q[1] * r[2] - q[2] * r[1] + q[3] * r[0];
+            const qlen = Math.hypot(w, qx, qy, qz) || 1;
+            [w, qx, qy, qz].forEach((v, k) => {
+                rot[rowLength * i + 28 + k] = (v / qlen) * 128 + 128;
+            });
+
+            let k0 = 0;
+            bands.forEach((matrix, b) => {
+                const size = 2 * b + 3;
+                for (let c = 0; c < 3; c++) {
+                    const coeffs = [];
+                    for (let k = 0; k < size; k++) {
+                        coeffs.push(halfToFloat(sh_u16[i * shHalves + (k0 + k) * 3 + c]));
+                    }
+                    for (let k = 0; k < size; k++) {
+                        let value = 0;
+                        for (let l = 0; l < size; l++) value += matrix[k * size + l] * coeffs[l];
+                        sh_u16[i * shHalves + (k0 + k) * 3 + c] = floatToHalf(value);
+                    }
+                }
+                k0 += size;
+            });
+        }
+    }
+
+    // Quaternion (w, x, y, z) of a column-major 3x3 rotation
+    function quatFromMatrix(R) {
+        const [m00, m10, m20, m01, m11, m21, m02, m12, m22] = R;
+        const trace = m00 + m11 + m22;
+        if (trace > 0) {
+            const S = Math.sqrt(trace + 1) * 2;
+            return [0.25 * S, (m21 - m12) / S, (m02 - m20) / S, (m10 - m01) / S];
+        } else if (m00 > m11 && m00 > m22) {
+            const S = Math.sqrt(1 + m00 - m11 - m22) * 2;
+            return [(m21 - m12) / S, 0.25 * S, (m01 + m10) / S, (m02 + m20) / S];
+        } else if (m11 > m22) {
+            const S = Math.sqrt(1 + m11 - m00 - m22) * 2;
+            return [(m02 - m20) / S, (m01 + m10) / S, 0.25 * S, (m12 + m21) / S];
+        }
+        const S = Math.sqrt(1 + m22 - m00 - m11) * 2;
+        return [(m10 - m01) / S, (m02 + m20) / S, (m12 + m21) / S, 0.25 * S];
+    }
+
+    // Real SH basis of one band, matching evalSH in the vertex shader
+    function shBasis(band, x, y, z) {
+        const xx = x * x, yy = y * y, zz = z * z;
+        if (band == 1) return [-y, z, -x].map((v) => 0.4886025119029199 * v);
+        if (band == 2) {
+            return [
+                1.0925484305920792 * x * y,
+                -1.0925484305920792 * y * z,
+                0.31539156525252005 * (2 * zz - xx - yy),
+                -1.0925484305920792 * x * z,
+                0.5462742152960396 * (xx - yy),
+            ];
+        }
+        return [
+            -0.5900435899266435 * y * (3 * xx - yy),
+            2.890611442640554 * x * y * z,
+            -0.4570457994644658 * y * (4 * zz - xx - yy),
+            0.3731763325901154 * z * (2 * zz - 3 * xx - 3 * yy),
+            -0.4570457994644658 * x * (4 * zz - xx - yy),
+            1.445305721320277 * z * (xx - yy),
+            -0.5900435899266435 * x * (xx - 3 * yy),
+        ];
+    }
+
+    // Matrix P (row-major) taking a band's coefficients in the scene frame to
+    // the rotated frame: the new coefficients must reproduce the old color at
+    // R^T d for every direction d. Fitted by least squares over directions
+    // spread on the sphere, which is exact because each band is closed under
+    // rotation.
+    function shRotation(R, band) {
+        const size = 2 * band + 1;
+        const samples = 32;
+        const AtA = new Float64Array(size * size);
+        const AtB = new Float64Array(size * size);
+        for (let i = 0; i < samples; i++) {
+            const z = 1 - (2 * i + 1) / samples;
+            const radius = Math.sqrt(1 - z * z);
+            const phi = i * Math.PI * (3 - Math.sqrt(5));
+            const d = [radius * Math.cos(phi), radius * Math.sin(phi), z];
+            const a = shBasis(band, d[0], d[1], d[2]);
+            const b = shBasis(
+                band,
+                R[0] * d[0] + R[1] * d[1] + R[2] * d[2],
+                R[3] * d[0] + R[4] * d[1] + R[5] * d[2],
+                R[6] * d[0] + R[7] * d[1] + R[8] * d[2],
+            );
+            for (let r = 0; r < size; r++) {
+                for (let c = 0; c < size; c++) {
+                    AtA[r * size + c] += a[r] * a[c];
+                    AtB[r * size + c] += a[r] * b[c];
+                }
+            }
+        }
+
+        // Gauss-Jordan solve of AtA * P = AtB
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < size; r++) {
+                if (Math.abs(AtA[r * size + col]) > Math.abs(AtA[pivot * size + col])) pivot = r;
+            }
+            for (let c = 0; c < size; c++) {
+                [AtA[col * size + c], AtA[pivot * size + c]] = [AtA[pivot * size + c], AtA[col * size + c]];
+                [AtB[col * size + c], AtB[pivot * size + c]] = [AtB[pivot * size + c], AtB[col * size + c]];
+            }
+            const inv = 1 / AtA[col * size + col];
+            for (let c = 0; c < size; c++) {
+                AtA[col * size + c] *= inv;
+                AtB[col * size + c] *= inv;
+            }
+            for (let r = 0; r < size; r++) {
+                if (r == col) continue;
+                const f = AtA[r * size + col];
+                for (let c = 0; c < size; c++) {
+                    AtA[r * size + c] -= f * AtA[col * size + c];
+                    AtB[r * size + c] -= f * AtB[col * size + c];
+                }
+            }
+        }
+        return AtB;
+    }
+
+    // SH coefficients as float32, RGB per coefficient, for writers that do
+    // not know the packed texture layout
+    function unpackSH({ sh, shDegree, count }) {
+        if (!sh) return undefined;
+        const values = ((shDegree + 1) * (shDegree + 1) - 1) * 3;
+        const shHalves = shTexelsForDegree(shDegree) * 8;
+        const sh_u16 = new Uint16Array(sh.buffer);
+        const coefficients = new Float32Array(values * count);
+        for (let i = 0; i < count; i++) {
+            for (let m = 0; m < values; m++) {
+                coefficients[i * values + m] = halfToFloat(sh_u16[i * shHalves + m]);
+            }
+        }
+        return coefficients;
+    }
+
+    // "splat" is the row buffer as is. "rows" hands the rows and unpacked SH
+    // to the main thread, which writes the PLY with PLYLoader.
+    async function exportScene({ format, scaleBits = 8 }) {
+        try {
+            const splats = collectSplats();
+            if (format == "rows") {
+                const shCoefficients = unpackSH(splats);
+                const transfer = [splats.buffer];
+                if (shCoefficients) transfer.push(shCoefficients.buffer);
+                self.postMessage(
+                    {
+                        exportData: splats.buffer,
+                        shCoefficients,
+                        shDegree: shCoefficients ? splats.shDegree : 0,
+                        format,
+                        count: splats.count,
+                    },
+                    transfer,
+                );
+                return;
+            }
+
+            let data;
+            if (format == "compressed") {
+                data = await exportCompressed(splats, scaleBits);
+            } else if (format == "splat") {
+                data = new Uint8Array(splats.buffer);
             } else {
-                rgba[3] = 255;
+                throw new Error("Unknown export format " + format);
             }
+            self.postMessage({ exportData: data.buffer, format, count: splats.count }, [data.buffer]);
+        } catch (error) {
+            console.error("Export failed", error);
+            self.postMessage({ exportError: error.message, format });
         }
-        console.timeEnd("build buffer");
-        return buffer;
     }
 
     const throttledSort = () => {
@@ -330,7 +1705,8 @@ export function createWorker(self) {
             runSort(lastView);
             setTimeout(() => {
                 sortRunning = false;
-                if (lastView !== viewProj) {
+                // Nothing can be sorted before the first view arrives
+                if (viewProj && (lastView !== viewProj || sortDirty || texturesDirty)) {
                     throttledSort();
                 }
             }, 0);
@@ -339,17 +1715,101 @@ export function createWorker(self) {
 
     let sortRunning;
     self.onmessage = (e) => {
-        if (e.data.ply) {
-            vertexCount = 0;
+        if (e.data.streamStart) {
+            startStream(e.data.streamStart.sceneId, e.data.streamStart.totalBytes || 0);
+        } else if (e.data.streamChunk) {
+            const { sceneId, chunk } = e.data.streamChunk;
+            try {
+                appendStream(sceneId, chunk);
+            } catch (error) {
+                console.error("Error streaming scene", sceneId, error);
+                endStream(sceneId, error.message);
+            }
+            throttledSort();
+        } else if (e.data.streamEnd) {
+            endStream(e.data.streamEnd.sceneId);
+            throttledSort();
+        } else if (e.data.exportScene) {
+            exportScene(e.data.exportScene);
+        } else if (e.data.removeScene !== undefined) {
+            streams.delete(e.data.removeScene);
+            parkedScenes.delete(e.data.removeScene);
+            scenes = scenes.filter((scene) => scene.id !== e.data.removeScene);
+            mergeScenes();
+            throttledSort();
+        } else if (e.data.sceneTransform) {
+            const { id, matrix } = e.data.sceneTransform;
+            const scene = scenes.find((scene) => scene.id === id);
+            if (scene) scene.matrix = Array.from(matrix);
+            // Moving a scene moves its splats in or out of the crop
+            if (crop) sortedCount = 0;
+            sortDirty = true;
+            throttledSort();
+        } else if (e.data.sceneVisibility) {
+            const { id, visible } = e.data.sceneVisibility;
+            const scene = scenes.find((scene) => scene.id === id);
+            if (scene) scene.visible = visible;
+            sortedCount = 0;
+            sortDirty = true;
+            throttledSort();
+        } else if (e.data.crop !== undefined) {
+            crop = e.data.crop;
+            sortedCount = 0;
+            sortDirty = true;
+            throttledSort();
+        } else if (e.data.commitCrop) {
+            try {
+                self.postMessage({ cropCommitted: { removed: commitCrop() } });
+            } catch (error) {
+                self.postMessage({ cropError: error.message });
+            }
+            throttledSort();
+        } else if (e.data.selection) {
+            selectSplats(e.data.selection);
+            throttledSort();
+        } else if (e.data.selectionAction) {
+            applySelectionAction(e.data.selectionAction);
+            throttledSort();
+        } else if (e.data.undoEdit) {
+            restoreEdit(e.data.undoEdit, "before");
+            throttledSort();
+        } else if (e.data.redoEdit) {
+            restoreEdit(e.data.redoEdit, "after");
+            throttledSort();
+        } else if (e.data.discardEdit) {
+            edits.delete(e.data.discardEdit);
+        } else if (e.data.parkScene !== undefined) {
+            parkScene(e.data.parkScene);
+            throttledSort();
+        } else if (e.data.restoreScene !== undefined) {
+            restoreScene(e.data.restoreScene);
+            throttledSort();
+        } else if (e.data.sceneBounds) {
+            self.postMessage({ boundsResult: { id: e.data.sceneBounds.id, bounds: sceneBounds() } });
+        } else if (e.data.pick) {
+            self.postMessage({ pickResult: { id: e.data.pick.id, point: pickSplat(e.data.pick) } });
+        } else if (e.data.sortPrecision) {
+            sortPrecision = Math.max(8, Math.min(32, e.data.sortPrecision));
+            sortDirty = true;
+            throttledSort();
+        } else if (e.data.cpuSort !== undefined) {
+            cpuSortEnabled = e.data.cpuSort;
+            sortDirty = true;
+            throttledSort();
+        } else if (e.data.benchmarkView) {
+            // Start from an unsorted order so every run measures a full sort
+            sortedCount = 0;
+            runSort(e.data.benchmarkView, true);
+        } else if (e.data.sortNow) {
+            // A full sort for exactly this view, answered after its depth
+            // index so the sender knows the order is in place. Starting
+            // unsorted keeps the order of equal depths independent of
+            // earlier views.
+            viewProj = e.data.sortNow.view;
+            sortDirty = true;
+            sortedCount = 0;
             runSort(viewProj);
-            buffer = processPlyBuffer(e.data.ply);
-            vertexCount = Math.floor(buffer.byteLength / rowLength);
-            postMessage({ buffer: buffer });
-        } else if (e.data.buffer) {
-            buffer = e.data.buffer;
-            vertexCount = e.data.vertexCount;
-        } else if (e.data.vertexCount) {
-            vertexCount = e.data.vertexCount;
+            self.postMessage({ sortComplete: e.data.sortNow.id });
         } else if (e.data.view) {
             viewProj = e.data.view;
             throttledSort();
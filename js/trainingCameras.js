@@ -0,0 +1,177 @@
+// trainingCameras.js
+
+// COLMAP camera models whose parameters start with one shared focal length;
+// every other model starts fx, fy, cx, cy
+const SINGLE_FOCAL_MODELS = ['SIMPLE_PINHOLE', 'SIMPLE_RADIAL', 'RADIAL', 'SIMPLE_RADIAL_FISHEYE', 'RADIAL_FISHEYE'];
+const PINHOLE_MODELS = ['SIMPLE_PINHOLE', 'PINHOLE'];
+
+const dataLines = (text) => text.split(/\r?\n/).filter(line => !line.startsWith('#'));
+
+// COLMAP cameras.txt: CAMERA_ID MODEL WIDTH HEIGHT PARAMS[]. Returns the
+// intrinsics by camera id. Distortion parameters are not modelled by the
+// renderer and are dropped.
+export function parseColmapCameras(text) {
+    const cameras = new Map();
+    for (const line of dataLines(text)) {
+        const fields = line.trim().split(/\s+/);
+        if (fields.length < 5) continue;
+        const [id, model, width, height, ...params] = fields;
+        const values = params.map(Number);
+        const single = SINGLE_FOCAL_MODELS.includes(model);
+        const [fx, fy, cx, cy] = single ? [values[0], values[0], values[1], values[2]] : values;
+        if (![width, height].map(Number).every(Number.isFinite) || ![fx, fy, cx, cy].every(Number.isFinite)) {
+            throw new Error(`Malformed COLMAP camera line: ${line}`);
+        }
+        cameras.set(id, {
+            model,
+            width: Number(width),
+            height: Number(height),
+            fx, fy, cx, cy,
+            distorted: !PINHOLE_MODELS.includes(model),
+        });
+    }
+    return cameras;
+}
+
+// COLMAP images.txt: each image is a line IMAGE_ID QW QX QY QZ TX TY TZ
+// CAMERA_ID NAME followed by a line of 2D points, which may be empty. The
+// rotation and translation take world points into the camera.
+export function parseColmapImages(text, cameras) {
+    const lines = dataLines(text);
+    const images = [];
+    for (let i = 0; i < lines.length; i += 2) {
+        const fields = lines[i].trim().split(/\s+/);
+        if (fields.length < 10) continue;
+        const [id, qw, qx, qy, qz, tx, ty, tz, cameraId, ...name] = fields;
+        const intrinsics = cameras.get(cameraId);
+        if (!intrinsics) {
+            throw new Error(`Image ${id} uses camera ${cameraId}, which is not in cameras.txt`);
+        }
+        const rotation = quaternionToRows([qw, qx, qy, qz].map(Number));
+        const t = [tx, ty, tz].map(Number);
+        images.push(createTrainingCamera(name.join(' '), intrinsics, rotation, t));
+    }
+    return images;
+}
+
+// 3DGS cameras.json: { img_name, width, height, position, rotation, fx, fy }
+// per image, where rotation is camera-to-world with the camera axes as
+// columns. The principal point is the image center. A file holding one
+// such object, say the pose of a single photo, is read the same way.
+export function parseCamerasJSON(text) {
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    const entries = Array.isArray(data) ? data : [data];
+    if (!entries.every(entry => entry && typeof entry === 'object')) {
+        throw new Error('Not a cameras.json file: expected camera objects');
+    }
+    return entries.map((entry, index) => {
+        const { img_name: name, width, height, position, rotation, fx, fy } = entry;
+        if (!Array.isArray(position) || !Array.isArray(rotation) || !Number.isFinite(fx) || !Number.isFinite(fy)) {
+            throw new Error(`Camera ${index} in cameras.json is missing its pose or focal lengths`);
+        }
+        // World-to-camera rotation rows are the camera-to-world columns
+        const rows = [0, 1, 2].map(column => [0, 1, 2].map(row => rotation[row][column]));
+        const t = rows.map(row => -(row[0] * position[0] + row[1] * position[1] + row[2] * position[2]));
+        return createTrainingCamera(String(name ?? entry.id ?? index), {
+            model: 'PINHOLE',
+            width, height, fx, fy,
+            cx: width / 2,
+            cy: height / 2,
+            distorted: false,
+        }, rows, t);
+    });
+}
+
+// Rows of the rotation matrix for a unit quaternion (w, x, y, z)
+function quaternionToRows([w, x, y, z]) {
+    return [
+        [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+        [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+        [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)],
+    ];
+}
+
+// A camera from its world-to-camera rotation rows and translation. The
+// camera sits at -R^T t. Its x, y and z rows are the image's right, down
+// and viewing directions, which the splat view calls right, up and -front.
+function createTrainingCamera(name, intrinsics, rows, t) {
+    const position = [0, 1, 2].map(axis => -(rows[0][axis] * t[0] + rows[1][axis] * t[1] + rows[2][axis] * t[2]));
+    return {
+        name,
+        ...intrinsics,
+        position,
+        right: rows[0],
+        up: rows[1],
+        front: rows[2].map(value => -value),
+    };
+}
+
+// The cameras a scene was trained from, imported from COLMAP text files or
+// a 3DGS cameras.json, sorted by image name
+export class TrainingCameras {
+    constructor() {
+        this.cameras = [];
+        this.current = -1; // Index of the camera the view was last snapped to
+        this.sceneId = null; // Scene whose frame the poses are in
+    }
+
+    // Takes cameras.txt and images.txt together, or one cameras.json;
+    // resolves to the number of cameras read
+    async importFiles(files, sceneId = null) {
+        const list = Array.from(files);
+        const find = (pattern) => list.find(file => pattern.test(file.name));
+        const json = find(/\.json$/i);
+        let cameras;
+        if (json) {
+            cameras = parseCamerasJSON(await json.text());
+        } else {
+            const camerasFile = find(/cameras\.txt$/i);
+            const imagesFile = find(/images\.txt$/i);
+            if (!camerasFile || !imagesFile) {
+                throw new Error('Select COLMAP cameras.txt and images.txt together, or a 3DGS cameras.json');
+            }
+            cameras = parseColmapImages(await imagesFile.text(), parseColmapCameras(await camerasFile.text()));
+        }
+        if (cameras.length === 0) {
+            throw new Error('No cameras found in the selected files');
+        }
+
+        const distorted = new Set(cameras.filter(camera => camera.distorted).map(camera => camera.model));
+        if (distorted.size > 0) {
+            console.warn(`Lens distortion of ${[...distorted].join(', ')} cameras is ignored; ` +
+                'renders of them will not line up exactly with the photos');
+        }
+
+        this.cameras = cameras.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        this.current = -1;
+        this.sceneId = sceneId;
+        this.changed();
+        return cameras.length;
+    }
+
+    // Index of the camera whose image has the given file name, ignoring
+    // folders, extension and case; -1 if none does
+    findByImage(fileName) {
+        const stem = (name) => name.split(/[\\/]/).pop().replace(/\.[^.]*$/, '').toLowerCase();
+        const target = stem(fileName);
+        return this.cameras.findIndex(camera => stem(camera.name) === target);
+    }
+
+    select(index) {
+        this.current = index;
+        this.changed();
+    }
+
+    clear() {
+        this.cameras = [];
+        this.current = -1;
+        this.sceneId = null;
+        this.changed();
+    }
+
+    changed() {
+        window.dispatchEvent(new CustomEvent('trainingCamerasChanged', {
+            detail: { cameras: this.cameras, current: this.current }
+        }));
+    }
+}
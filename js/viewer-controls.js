@@ -1,3 +1,7 @@
+import { GAMEPAD_PROFILES } from './gamepadControls.js';
+import { XRPanel } from './xrPanel.js';
+import { UNITS } from './measureTool.js';
+
 export class ViewerControls {
     constructor(renderer) {
         if (!renderer) {
@@ -51,10 +55,54 @@ export class ViewerControls {
 
         // File loader
         scrollWrapper.appendChild(this.createFileLoader());
+        // Scene list (Gaussian splat app only)
+        if (this.renderer.scenes) {
+            scrollWrapper.appendChild(this.createSceneListControls());
+        }
+        // Crop volume (Gaussian splat app only)
+        if (this.renderer.setCropMode) {
+            scrollWrapper.appendChild(this.createCropControls());
+        }
+        // Splat selection (Gaussian splat app only)
+        if (this.renderer.setSelectionMode) {
+            scrollWrapper.appendChild(this.createSelectionControls());
+        }
         // Octree Controls
         scrollWrapper.appendChild(this.createOctreeControls());
         // Camera controls info
         scrollWrapper.appendChild(this.createCameraInfo());
+        // Field of view, clip planes and projection (Gaussian splat app only)
+        if (this.renderer.setFieldOfView) {
+            scrollWrapper.appendChild(this.createLensControls());
+        }
+        // Saved viewpoints (Gaussian splat app only)
+        if (this.renderer.bookmarks) {
+            scrollWrapper.appendChild(this.createBookmarkControls());
+        }
+        // Cameras from a COLMAP or 3DGS capture (Gaussian splat app only)
+        if (this.renderer.trainingCameras) {
+            scrollWrapper.appendChild(this.createTrainingCameraControls());
+        }
+        // Source photo against the render (Gaussian splat app only)
+        if (this.renderer.photoComparison) {
+            scrollWrapper.appendChild(this.createPhotoComparisonControls());
+        }
+        // Keyframed flythroughs (Gaussian splat app only)
+        if (this.renderer.cameraPath) {
+            scrollWrapper.appendChild(this.createCameraPathControls());
+        }
+        // Offline video and image sequence rendering (Gaussian splat app only)
+        if (this.renderer.exportFrames) {
+            scrollWrapper.appendChild(this.createFrameExportControls());
+        }
+        // High-resolution stills (Gaussian splat app only)
+        if (this.renderer.saveScreenshot) {
+            scrollWrapper.appendChild(this.createScreenshotControls());
+        }
+        // Gamepad settings, where Controls reads a gamepad
+        if (this.renderer.controls?.gamepad) {
+            scrollWrapper.appendChild(this.createGamepadControls(this.renderer.controls.gamepad));
+        }
 
         // View mode selector
         scrollWrapper.appendChild(this.createViewModeControl());
@@ -83,160 +131,1868 @@ export class ViewerControls {
         const controls = document.querySelector('.viewer-controls');
         if (!controls) return;
 
-        // Get viewport dimensions
-        const vh = Math.max(document.documentElement.clientHeight || 0, window.innerHeight || 0);
+        // Get viewport dimensions
+        const vh = Math.max(document.documentElement.clientHeight || 0, window.innerHeight || 0);
+
+        // Calculate maximum height for the scrollable area
+        const maxHeight = Math.max(vh * 0.8, 400); // At least 400px or 80% of viewport height
+        controls.style.maxHeight = `${maxHeight}px`;
+    }
+
+
+    // Add this to your ViewerControls class
+    createFileLoader() {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const label = document.createElement('label');
+        label.textContent = 'Load PLY File';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.ply';  // Only accept PLY files for now
+        fileInput.style.display = 'none';
+
+        const button = document.createElement('button');
+        button.textContent = 'Choose PLY File';
+        button.className = 'file-button';
+
+        const fileInfo = document.createElement('div');
+        fileInfo.className = 'file-info';
+        fileInfo.textContent = 'Select a PLY file to load';
+
+        button.addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            if (!file.name.toLowerCase().endsWith('.ply')) {
+                fileInfo.textContent = 'Please select a PLY file';
+                return;
+            }
+
+            fileInfo.textContent = `Loading: ${file.name}`;
+            button.disabled = true;
+
+            try {
+                const reader = new FileReader();
+                reader.onload = async (event) => {
+                    try {
+                        // Create a URL for the file
+                        const url = URL.createObjectURL(new Blob([event.target.result]));
+
+                        // Load the PLY file
+                        await this.renderer.loadPLY(url);
+
+                        fileInfo.textContent = `Loaded: ${file.name}`;
+
+                        // Clean up the URL
+                        URL.revokeObjectURL(url);
+                    } catch (error) {
+                        console.error('Error loading PLY:', error);
+                        fileInfo.textContent = `Error: ${error.message}`;
+                    } finally {
+                        button.disabled = false;
+                    }
+                };
+
+                reader.onerror = () => {
+                    fileInfo.textContent = 'Error reading file';
+                    button.disabled = false;
+                };
+
+                // Read as ArrayBuffer
+                reader.readAsArrayBuffer(file);
+
+            } catch (error) {
+                console.error('Error processing file:', error);
+                fileInfo.textContent = `Error: ${error.message}`;
+                button.disabled = false;
+            }
+        });
+
+        group.appendChild(label);
+        group.appendChild(button);
+        group.appendChild(fileInfo);
+        group.appendChild(fileInput);
+
+        return group;
+    }
+
+    createSceneListControls() {
+        const group = document.createElement('div');
+        group.className = 'control-group scene-list-controls';
+
+        const label = document.createElement('label');
+        label.textContent = 'Scenes';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.ply,.splat,.csplat';
+        fileInput.multiple = true;
+        fileInput.style.display = 'none';
+
+        const button = document.createElement('button');
+        button.textContent = 'Add Scene';
+        button.className = 'file-button';
+
+        const list = document.createElement('div');
+        list.className = 'scene-list';
+
+        button.addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', (e) => {
+            for (const file of e.target.files) {
+                this.renderer.addScene(file);
+            }
+            fileInput.value = '';
+        });
+
+        const urlRow = document.createElement('div');
+        urlRow.className = 'scene-url-row';
+
+        const urlInput = document.createElement('input');
+        urlInput.type = 'url';
+        urlInput.placeholder = 'https://.../scene.ply';
+
+        const urlButton = document.createElement('button');
+        urlButton.textContent = 'Load URL';
+        urlButton.className = 'file-button';
+
+        const loadURL = () => {
+            const url = urlInput.value.trim();
+            if (!url) return;
+            this.renderer.addSceneFromURL(url);
+            urlInput.value = '';
+        };
+        urlButton.addEventListener('click', loadURL);
+        urlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') loadURL();
+        });
+
+        urlRow.appendChild(urlInput);
+        urlRow.appendChild(urlButton);
+
+        const formatBytes = (bytes) => {
+            if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+            if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+            return `${Math.round(bytes / 1024)} KB`;
+        };
+
+        // Save the visible scenes, with their transforms baked in
+        const exportRow = document.createElement('div');
+        exportRow.className = 'scene-url-row';
+
+        const exportFormats = [
+            { label: 'Compressed (.csplat)', format: 'compressed', options: {} },
+            { label: 'Compressed, 16-bit scales', format: 'compressed', options: { scaleBits: 16 } },
+            { label: 'INRIA PLY (.ply)', format: 'ply', options: {} },
+            { label: 'Splat (.splat)', format: 'splat', options: {} },
+        ];
+
+        const exportSelect = document.createElement('select');
+        exportSelect.className = 'control-select';
+        exportFormats.forEach(({ label }, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = label;
+            exportSelect.appendChild(option);
+        });
+
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Save As';
+        exportButton.className = 'file-button';
+
+        const exportStatus = document.createElement('div');
+        exportStatus.className = 'file-info';
+
+        exportButton.addEventListener('click', async () => {
+            const { format, options } = exportFormats[exportSelect.value];
+            exportButton.disabled = true;
+            exportStatus.textContent = 'Exporting...';
+            try {
+                const { data, count } = await this.renderer.exportScene(format, options);
+                exportStatus.textContent =
+                    `Saved ${count.toLocaleString()} splats (${formatBytes(data.byteLength)})`;
+            } catch (error) {
+                console.error('Export failed:', error);
+                exportStatus.textContent = `Export failed: ${error.message}`;
+            } finally {
+                exportButton.disabled = false;
+            }
+        });
+
+        exportRow.appendChild(exportSelect);
+        exportRow.appendChild(exportButton);
+
+        // Progress bars of scenes still loading, updated in place so typing
+        // in the transform inputs is not interrupted
+        const progressViews = new Map();
+
+        const updateProgress = (scene) => {
+            const view = progressViews.get(scene.id);
+            if (!view) return;
+            const { bytesLoaded, bytesTotal, splatsLoaded, splatsTotal, error } = scene.progress;
+
+            const fraction = splatsTotal > 0
+                ? splatsLoaded / splatsTotal
+                : bytesTotal > 0 ? bytesLoaded / bytesTotal : 0;
+            view.bar.style.width = `${Math.min(100, fraction * 100)}%`;
+
+            const bytes = bytesTotal > 0
+                ? `${formatBytes(bytesLoaded)} / ${formatBytes(bytesTotal)}`
+                : formatBytes(bytesLoaded);
+            const splats = splatsTotal > 0
+                ? `${splatsLoaded.toLocaleString()} / ${splatsTotal.toLocaleString()} splats`
+                : `${splatsLoaded.toLocaleString()} splats`;
+            view.text.textContent = error ? `Error: ${error}` : `${bytes} · ${splats}`;
+            view.container.classList.toggle('error', !!error);
+        };
+
+        window.addEventListener('sceneLoadProgress', (e) => updateProgress(e.detail.scene));
+
+        // Helper to create a row of numeric inputs bound to one transform field
+        const createVectorInput = (title, values, step, onChange) => {
+            const row = document.createElement('div');
+            row.className = 'scene-transform-row';
+
+            const rowLabel = document.createElement('span');
+            rowLabel.className = 'control-label';
+            rowLabel.textContent = title;
+            row.appendChild(rowLabel);
+
+            const inputs = values.map(value => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = step;
+                input.value = value;
+                input.addEventListener('input', () => {
+                    const parsed = inputs.map(i => parseFloat(i.value));
+                    if (parsed.every(v => !isNaN(v))) {
+                        onChange(parsed);
+                    }
+                });
+                row.appendChild(input);
+                return input;
+            });
+
+            return row;
+        };
+
+        const renderList = (scenes) => {
+            list.innerHTML = '';
+            progressViews.clear();
+
+            if (scenes.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'file-info';
+                empty.textContent = 'Drop or add .ply/.splat files';
+                list.appendChild(empty);
+                return;
+            }
+
+            scenes.forEach(scene => {
+                const item = document.createElement('div');
+                item.className = 'scene-item';
+
+                const header = document.createElement('div');
+                header.className = 'scene-item-header';
+
+                const visibility = document.createElement('input');
+                visibility.type = 'checkbox';
+                visibility.checked = scene.visible;
+                visibility.title = 'Toggle visibility';
+                visibility.addEventListener('change', (e) => {
+                    this.renderer.setSceneVisible(scene.id, e.target.checked);
+                });
+
+                const name = document.createElement('span');
+                name.className = 'scene-name';
+                name.textContent = scene.name;
+                name.title = `${scene.vertexCount.toLocaleString()} splats`;
+
+                const removeButton = document.createElement('button');
+                removeButton.className = 'scene-remove';
+                removeButton.textContent = '×';
+                removeButton.title = 'Remove scene';
+                removeButton.addEventListener('click', () => {
+                    this.renderer.removeScene(scene.id);
+                });
+
+                header.appendChild(visibility);
+                header.appendChild(name);
+                header.appendChild(removeButton);
+                item.appendChild(header);
+
+                if (scene.progress && (!scene.progress.done || scene.progress.error)) {
+                    const container = document.createElement('div');
+                    container.className = 'scene-progress';
+                    const track = document.createElement('div');
+                    track.className = 'scene-progress-track';
+                    const bar = document.createElement('div');
+                    bar.className = 'scene-progress-bar';
+                    const text = document.createElement('div');
+                    text.className = 'scene-progress-text';
+
+                    track.appendChild(bar);
+                    container.appendChild(track);
+                    container.appendChild(text);
+                    item.appendChild(container);
+
+                    progressViews.set(scene.id, { container, bar, text });
+                    updateProgress(scene);
+                }
+
+                item.appendChild(createVectorInput('Position', scene.position, 0.1,
+                    position => this.renderer.setSceneTransform(scene.id, { position })));
+                item.appendChild(createVectorInput('Rotation', scene.rotation, 1,
+                    rotation => this.renderer.setSceneTransform(scene.id, { rotation })));
+                item.appendChild(createVectorInput('Scale', [scene.scale], 0.1,
+                    ([scale]) => this.renderer.setSceneTransform(scene.id, { scale })));
+
+                list.appendChild(item);
+            });
+        };
+
+        window.addEventListener('sceneListChanged', (e) => renderList(e.detail.scenes));
+        renderList(this.renderer.scenes);
+
+        group.appendChild(label);
+        group.appendChild(button);
+        group.appendChild(urlRow);
+        group.appendChild(list);
+        group.appendChild(exportRow);
+        group.appendChild(exportStatus);
+        group.appendChild(fileInput);
+
+        this.addSceneListStyles();
+
+        return group;
+    }
+
+    createCropControls() {
+        const group = document.createElement('div');
+        group.className = 'control-group crop-controls';
+
+        const label = document.createElement('label');
+        label.textContent = 'Crop';
+
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'control-select';
+        [
+            { name: 'Off', value: 'off' },
+            { name: 'Box', value: 'box' },
+            { name: 'Sphere', value: 'sphere' }
+        ].forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.value;
+            option.textContent = mode.name;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.addEventListener('change', (e) => {
+            this.renderer.setCropMode(e.target.value);
+        });
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'scene-url-row';
+
+        const fitButton = document.createElement('button');
+        fitButton.textContent = 'Fit to Scenes';
+        fitButton.className = 'file-button';
+        fitButton.title = 'Place the crop volume around the visible scenes';
+        fitButton.addEventListener('click', () => {
+            this.renderer.fitCropToScenes();
+        });
+
+        const commitButton = document.createElement('button');
+        commitButton.textContent = 'Commit Crop';
+        commitButton.className = 'file-button';
+        commitButton.title = 'Delete the splats outside the volume, so exports leave them out too';
+
+        const status = document.createElement('div');
+        status.className = 'file-info';
+        status.textContent = 'Drag the handles to resize, the center to move';
+
+        commitButton.addEventListener('click', async () => {
+            commitButton.disabled = true;
+            try {
+                const removed = await this.renderer.commitCrop();
+                status.textContent = `Removed ${removed.toLocaleString()} splats`;
+            } catch (error) {
+                console.error('Crop failed:', error);
+                status.textContent = `Crop failed: ${error.message}`;
+            } finally {
+                commitButton.disabled = modeSelect.value === 'off';
+            }
+        });
+
+        const format = (values) => values.map(v => v.toFixed(2)).join(', ');
+
+        window.addEventListener('cropChanged', (e) => {
+            const { mode, volume } = e.detail;
+            modeSelect.value = mode;
+            fitButton.disabled = !volume;
+            commitButton.disabled = !volume;
+            if (!volume) return;
+            status.textContent = volume.type === 'box'
+                ? `Center ${format(volume.center)} · Size ${format(volume.size.map(s => s * 2))}`
+                : `Center ${format(volume.center)} · Radius ${volume.radius.toFixed(2)}`;
+        });
+        fitButton.disabled = true;
+        commitButton.disabled = true;
+
+        buttonRow.appendChild(fitButton);
+        buttonRow.appendChild(commitButton);
+
+        group.appendChild(label);
+        group.appendChild(modeSelect);
+        group.appendChild(buttonRow);
+        group.appendChild(status);
+
+        return group;
+    }
+
+    // A row of buttons; returns the row and the buttons in order
+    createButtonRow(buttons) {
+        const row = document.createElement('div');
+        row.className = 'scene-url-row';
+        const elements = buttons.map(({ text, title, onClick }) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.title = title;
+            button.className = 'file-button';
+            button.addEventListener('click', onClick);
+            row.appendChild(button);
+            return button;
+        });
+        return { row, elements };
+    }
+
+    createSelectionControls() {
+        const group = document.createElement('div');
+        group.className = 'control-group selection-controls';
+
+        const label = document.createElement('label');
+        label.textContent = 'Selection';
+
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'control-select';
+        [
+            { name: 'Off', value: 'off' },
+            { name: 'Rectangle', value: 'rect' },
+            { name: 'Lasso', value: 'lasso' },
+            { name: 'Brush', value: 'brush' }
+        ].forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.value;
+            option.textContent = mode.name;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.addEventListener('change', (e) => {
+            this.renderer.setSelectionMode(e.target.value);
+        });
+
+        const brushControl = document.createElement('div');
+        brushControl.className = 'scene-transform-row';
+        brushControl.style.display = 'none';
+
+        const brushLabel = document.createElement('span');
+        brushLabel.className = 'control-label';
+        brushLabel.textContent = 'Brush';
+
+        const brushSlider = document.createElement('input');
+        brushSlider.type = 'range';
+        brushSlider.className = 'control-slider';
+        brushSlider.min = 2;
+        brushSlider.max = 100;
+        brushSlider.value = this.renderer.selectionTool.brushRadius;
+        brushSlider.addEventListener('input', (e) => {
+            this.renderer.setBrushRadius(parseFloat(e.target.value));
+        });
+
+        brushControl.appendChild(brushLabel);
+        brushControl.appendChild(brushSlider);
+
+        const actions = this.createButtonRow([
+            { text: 'Delete', title: 'Delete the selected splats (Delete key)',
+                onClick: () => this.renderer.applySelectionAction('delete') },
+            { text: 'Hide', title: 'Hide the selected splats',
+                onClick: () => this.renderer.applySelectionAction('hide') },
+            { text: 'Isolate', title: 'Hide everything but the selected splats',
+                onClick: () => this.renderer.applySelectionAction('isolate') },
+        ]);
+        const [deleteButton, hideButton, isolateButton] = actions.elements;
+
+        const more = this.createButtonRow([
+            { text: 'Unhide All', title: 'Show every hidden splat again',
+                onClick: () => this.renderer.applySelectionAction('unhideAll') },
+            { text: 'Invert', title: 'Invert the selection',
+                onClick: () => this.renderer.applySelectionAction('invert') },
+            { text: 'Clear', title: 'Deselect everything (Escape)',
+                onClick: () => this.renderer.applySelectionAction('clear') },
+        ]);
+        const [unhideButton] = more.elements;
+
+        const history = this.createButtonRow([
+            { text: 'Undo', title: 'Undo (Ctrl+Z)',
+                onClick: () => this.renderer.undo() },
+            { text: 'Redo', title: 'Redo (Ctrl+Shift+Z)',
+                onClick: () => this.renderer.redo() },
+        ]);
+        const [undoButton, redoButton] = history.elements;
+        undoButton.disabled = redoButton.disabled = true;
+
+        window.addEventListener('historyChanged', (e) => {
+            const { canUndo, canRedo, undoLabel, redoLabel } = e.detail;
+            undoButton.disabled = !canUndo;
+            redoButton.disabled = !canRedo;
+            undoButton.title = canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+            redoButton.title = canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+        });
+
+        const status = document.createElement('div');
+        status.className = 'file-info';
+
+        const updateStatus = ({ selected, hidden, deleted }) => {
+            status.textContent = [
+                `${selected.toLocaleString()} selected`,
+                `${hidden.toLocaleString()} hidden`,
+                `${deleted.toLocaleString()} deleted`,
+            ].join(' · ');
+            deleteButton.disabled = hideButton.disabled = isolateButton.disabled = selected === 0;
+            unhideButton.disabled = hidden === 0;
+        };
+        updateStatus(this.renderer.selectionStats);
+
+        window.addEventListener('selectionChanged', (e) => updateStatus(e.detail));
+        window.addEventListener('selectionModeChanged', (e) => {
+            modeSelect.value = e.detail.mode;
+            brushControl.style.display = e.detail.mode === 'brush' ? 'flex' : 'none';
+        });
+
+        const hint = document.createElement('div');
+        hint.className = 'file-info';
+        hint.textContent = 'Shift adds to the selection, Alt removes from it';
+
+        group.appendChild(label);
+        group.appendChild(modeSelect);
+        group.appendChild(brushControl);
+        group.appendChild(hint);
+        group.appendChild(actions.row);
+        group.appendChild(more.row);
+        group.appendChild(history.row);
+        group.appendChild(status);
+
+        return group;
+    }
+
+    addSceneListStyles() {
+        const styleId = 'scene-list-styles';
+        if (document.getElementById(styleId)) return;
+
+        const style = document.createElement('style');
+        style.id = styleId;
+        style.textContent = `
+            .scene-list {
+                margin-top: 12px;
+            }
+
+            .scene-item {
+                padding: 8px;
+                margin-bottom: 8px;
+                background: rgba(255, 255, 255, 0.05);
+                border-radius: 6px;
+            }
+
+            .scene-item-header {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 6px;
+            }
+
+            .scene-name {
+                flex: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+                color: #4CAF50;
+            }
+
+            .bookmark-name {
+                cursor: pointer;
+            }
+
+            .scene-remove {
+                background: none;
+                border: none;
+                color: #F44336;
+                font-size: 18px;
+                cursor: pointer;
+            }
+
+            .scene-url-row {
+                display: flex;
+                gap: 6px;
+                margin-top: 8px;
+            }
+
+            .scene-url-row input {
+                flex: 1;
+                min-width: 0;
+                padding: 4px;
+                background: #444;
+                border: 1px solid #666;
+                border-radius: 4px;
+                color: white;
+            }
+
+            .scene-progress {
+                margin-bottom: 6px;
+            }
+
+            .scene-progress-track {
+                height: 4px;
+                background: #444;
+                border-radius: 2px;
+                overflow: hidden;
+            }
+
+            .scene-progress-bar {
+                width: 0;
+                height: 100%;
+                background: #4CAF50;
+                transition: width 0.1s linear;
+            }
+
+            .scene-progress-text {
+                margin-top: 2px;
+                font-size: 11px;
+                color: #aaa;
+            }
+
+            .scene-progress.error .scene-progress-text {
+                color: #F44336;
+            }
+
+            .scene-transform-row {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                margin-bottom: 4px;
+            }
+
+            .scene-transform-row .control-label {
+                width: 64px;
+                font-size: 12px;
+            }
+
+            .scene-transform-row input {
+                width: 100%;
+                min-width: 0;
+                padding: 4px;
+                background: #444;
+                border: 1px solid #666;
+                border-radius: 4px;
+                color: white;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    createCameraInfo() {
+        const group = document.createElement('div');
+        group.className = 'control-group camera-info';
+
+        const label = document.createElement('label');
+        label.textContent = 'Camera Controls';
+
+        const controls = document.createElement('div');
+        controls.className = 'camera-controls-info';
+        controls.innerHTML = `
+            <div class="control-info">
+                <strong>Movement:</strong> WASD Keys
+            </div>
+            <div class="control-info">
+                <strong>Up/Down:</strong> Q/E Keys
+            </div>
+            <div class="control-info">
+                <strong>Look Around:</strong> IJKL Keys
+                <div class="sub-info">
+                    I: Look Up | K: Look Down
+                    J: Look Left | L: Look Right
+                </div>
+            </div>
+            <div class="control-info">
+                <strong>Point Select:</strong> Left Mouse Click
+            </div>
+            <div class="control-info">
+                <strong>Reset Camera:</strong> F Key
+            </div>
+            <div class="control-info">
+                <strong>Touch:</strong> Drag to Look Around
+                <div class="sub-info">
+                    Pinch: Zoom | Two-Finger Drag: Pan
+                    Double Tap: Focus
+                </div>
+            </div>
+        `;
+
+        if (this.renderer.setCameraMode) {
+            controls.insertAdjacentHTML('beforeend', `
+                <div class="control-info">
+                    <strong>Orbit Mode:</strong> Mouse
+                    <div class="sub-info">
+                        Left Drag: Orbit | Right Drag: Pan
+                        Wheel: Dolly | Double Click: Set Pivot
+                    </div>
+                </div>
+            `);
+        }
+
+        // Add additional styles for the sub-info
+        const style = document.createElement('style');
+        style.textContent = `
+            .sub-info {
+                margin-left: 15px;
+                font-size: 0.9em;
+                color: #aaa;
+            }
+            
+            .control-info {
+                margin-bottom: 8px;
+            }
+            
+            .control-info:last-child {
+                margin-bottom: 0;
+            }
+            
+            .control-info strong {
+                color: #4CAF50;
+            }
+            
+            .camera-controls-info {
+                line-height: 1.6;
+                padding: 8px;
+                background: rgba(0, 0, 0, 0.2);
+                border-radius: 8px;
+            }
+        `;
+        document.head.appendChild(style);
+
+        group.appendChild(label);
+        if (this.renderer.setCameraMode) {
+            group.appendChild(this.createCameraModeSelect());
+        }
+        group.appendChild(controls);
+        return group;
+    }
+
+    // Fly moves with the keyboard; orbit turns around a pivot with the mouse
+    createCameraModeSelect() {
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'control-select';
+        modeSelect.title = 'Switching keeps the current view';
+        [
+            { name: 'Fly', value: 'fly' },
+            { name: 'Orbit', value: 'orbit' }
+        ].forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.value;
+            option.textContent = mode.name;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.addEventListener('change', (e) => {
+            this.renderer.setCameraMode(e.target.value);
+        });
+        window.addEventListener('cameraModeChanged', (e) => {
+            modeSelect.value = e.detail.mode;
+        });
+        return modeSelect;
+    }
+
+    createLensControls() {
+        const group = document.createElement('div');
+        group.className = 'control-group lens-controls';
+
+        const label = document.createElement('label');
+        label.textContent = 'Lens';
+
+        const lens = this.renderer.getLens();
+        const projectionSelect = document.createElement('select');
+        projectionSelect.className = 'control-select';
+        projectionSelect.title = 'Orthographic views keep sizes the same at every depth';
+        [
+            { name: 'Perspective', value: 'perspective' },
+            { name: 'Orthographic', value: 'orthographic' }
+        ].forEach(projection => {
+            const option = document.createElement('option');
+            option.value = projection.value;
+            option.textContent = projection.name;
+            projectionSelect.appendChild(option);
+        });
+        projectionSelect.addEventListener('change', (e) => {
+            this.renderer.setOrthographic(e.target.value === 'orthographic');
+        });
+
+        const fov = this.createNumberRow('FOV °', lens.fov.toFixed(1), { min: 1, max: 170, step: 1 });
+        fov.input.title = 'Vertical field of view of the window';
+        const near = this.createNumberRow('Near', lens.znear, { min: 0.001, max: 1000, step: 0.1 });
+        const far = this.createNumberRow('Far', lens.zfar, { min: 0.01, max: 100000, step: 10 });
+
+        const status = document.createElement('div');
+        status.className = 'file-info';
+
+        const apply = (change) => {
+            try {
+                change();
+                status.textContent = '';
+            } catch (error) {
+                console.error('Lens change failed:', error);
+                status.textContent = error.message;
+                render(this.renderer.getLens());
+            }
+        };
+        fov.input.addEventListener('change', () =>
+            apply(() => this.renderer.setFieldOfView(parseFloat(fov.input.value))));
+        const setClipPlanes = () =>
+            apply(() => this.renderer.setClipPlanes(parseFloat(near.input.value), parseFloat(far.input.value)));
+        near.input.addEventListener('change', setClipPlanes);
+        far.input.addEventListener('change', setClipPlanes);
+
+        const buttons = this.createButtonRow([
+            { text: 'Top', title: 'Orthographic view straight down on the middle of the view',
+                onClick: () => this.renderer.setAxisView('top') },
+            { text: 'Elevation', title: 'Orthographic level view along the axis nearest the current heading',
+                onClick: () => this.renderer.setAxisView('elevation') },
+        ]);
+
+        const render = ({ fov: degrees, znear, zfar, orthographic }) => {
+            projectionSelect.value = orthographic ? 'orthographic' : 'perspective';
+            // Orthographic views have no field of view to set
+            fov.input.disabled = orthographic;
+            if (document.activeElement !== fov.input) fov.input.value = degrees.toFixed(1);
+            near.input.value = znear;
+            far.input.value = zfar;
+        };
+        render(lens);
+        window.addEventListener('lensChanged', (e) => render(e.detail));
+
+        group.appendChild(label);
+        group.appendChild(projectionSelect);
+        group.appendChild(fov.row);
+        group.appendChild(near.row);
+        group.appendChild(far.row);
+        group.appendChild(buttons.row);
+        group.appendChild(status);
+        return group;
+    }
+
+    createBookmarkControls() {
+        const bookmarks = this.renderer.bookmarks;
+        const group = document.createElement('div');
+        group.className = 'control-group bookmark-controls';
+
+        const label = document.createElement('label');
+        label.textContent = 'Bookmarks';
+
+        const saveRow = document.createElement('div');
+        saveRow.className = 'scene-url-row';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.placeholder = 'View name';
+
+        const saveButton = document.createElement('button');
+        saveButton.textContent = 'Save View';
+        saveButton.className = 'file-button';
+        saveButton.title = 'Bookmark the current camera position, direction and focal length';
+
+        const save = () => {
+            bookmarks.add(nameInput.value.trim());
+            nameInput.value = '';
+        };
+        saveButton.addEventListener('click', save);
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') save();
+        });
+
+        saveRow.appendChild(nameInput);
+        saveRow.appendChild(saveButton);
+
+        const list = document.createElement('div');
+        list.className = 'scene-list';
+
+        const renderList = (entries) => {
+            list.innerHTML = '';
+            if (entries.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'file-info';
+                empty.textContent = 'No saved views for these scenes';
+                list.appendChild(empty);
+                return;
+            }
+
+            entries.forEach(bookmark => {
+                const item = document.createElement('div');
+                item.className = 'scene-item';
+
+                const header = document.createElement('div');
+                header.className = 'scene-item-header';
+
+                const name = document.createElement('span');
+                name.className = 'scene-name bookmark-name';
+                name.textContent = bookmark.name;
+                name.title = 'Fly to this view. Double-click to rename';
+                name.addEventListener('click', () => bookmarks.flyTo(bookmark.id));
+                name.addEventListener('dblclick', () => {
+                    const renamed = prompt('Rename view', bookmark.name);
+                    if (renamed) bookmarks.rename(bookmark.id, renamed.trim());
+                });
+
+                const removeButton = document.createElement('button');
+                removeButton.className = 'scene-remove';
+                removeButton.textContent = '×';
+                removeButton.title = 'Delete bookmark';
+                removeButton.addEventListener('click', () => bookmarks.remove(bookmark.id));
+
+                header.appendChild(name);
+                header.appendChild(removeButton);
+                item.appendChild(header);
+                list.appendChild(item);
+            });
+        };
+
+        window.addEventListener('bookmarksChanged', (e) => renderList(e.detail.bookmarks));
+        renderList(bookmarks.bookmarks);
+
+        // Share lists between machines as JSON files
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+
+        const status = document.createElement('div');
+        status.className = 'file-info';
+
+        const fileRow = document.createElement('div');
+        fileRow.className = 'scene-url-row';
+
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export';
+        exportButton.className = 'file-button';
+        exportButton.title = 'Download these bookmarks as JSON';
+        exportButton.addEventListener('click', () => this.renderer.exportBookmarks());
+
+        const importButton = document.createElement('button');
+        importButton.textContent = 'Import';
+        importButton.className = 'file-button';
+        importButton.title = 'Add the bookmarks from a JSON file';
+        importButton.addEventListener('click', () => fileInput.click());
+
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const count = await this.renderer.importBookmarks(file);
+                status.textContent = `Imported ${count} ${count === 1 ? 'view' : 'views'}`;
+            } catch (error) {
+                console.error('Bookmark import failed:', error);
+                status.textContent = `Import failed: ${error.message}`;
+            }
+        });
+
+        fileRow.appendChild(exportButton);
+        fileRow.appendChild(importButton);
+
+        group.appendChild(label);
+        group.appendChild(saveRow);
+        group.appendChild(list);
+        group.appendChild(fileRow);
+        group.appendChild(status);
+        group.appendChild(fileInput);
+
+        this.addSceneListStyles();
+        return group;
+    }
+
+    createTrainingCameraControls() {
+        const trainingCameras = this.renderer.trainingCameras;
+        const group = document.createElement('div');
+        group.className = 'control-group training-camera-controls';
+
+        const label = document.createElement('label');
+        label.textContent = 'Training Cameras';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.txt,.json,application/json,text/plain';
+        fileInput.multiple = true;
+        fileInput.style.display = 'none';
+
+        const status = document.createElement('div');
+        status.className = 'file-info';
+
+        const step = (offset) => {
+            const count = trainingCameras.cameras.length;
+            if (count === 0) return;
+            const current = trainingCameras.current < 0 && offset < 0 ? 0 : trainingCameras.current;
+            this.renderer.snapToTrainingCamera((current + offset + count) % count);
+        };
+
+        const buttons = this.createButtonRow([
+            { text: 'Import', title: 'Load COLMAP cameras.txt and images.txt together, or a 3DGS cameras.json',
+                onClick: () => fileInput.click() },
+            { text: '◀', title: 'Previous camera', onClick: () => step(-1) },
+            { text: '▶', title: 'Next camera', onClick: () => step(1) },
+            { text: 'Free Lens', title: 'Drop the training camera\'s intrinsics and look through the middle again',
+                onClick: () => {
+                    this.renderer.clearCameraIntrinsics();
+                    freeButton.disabled = true;
+                } },
+        ]);
+        const [, previousButton, nextButton, freeButton] = buttons.elements;
+
+        const list = document.createElement('div');
+        list.className = 'training-camera-list';
+
+        const render = ({ cameras, current }) => {
+            list.innerHTML = '';
+            cameras.forEach((camera, index) => {
+                const item = document.createElement('div');
+                item.className = 'training-camera-item';
+                item.classList.toggle('selected', index === current);
+                item.textContent = camera.name;
+                item.title = `${camera.width}×${camera.height}, fx ${camera.fx.toFixed(1)}, fy ${camera.fy.toFixed(1)}` +
+                    (camera.distorted ? ` (${camera.model}; distortion ignored)` : '');
+                item.addEventListener('click', () => this.renderer.snapToTrainingCamera(index));
+                list.appendChild(item);
+            });
+            list.querySelector('.selected')?.scrollIntoView({ block: 'nearest' });
+
+            previousButton.disabled = nextButton.disabled = cameras.length === 0;
+            freeButton.disabled = !this.renderer.camera.intrinsics;
+            if (cameras.length === 0) {
+                status.textContent = 'Import cameras to view the scene through the source photos';
+            } else if (current >= 0) {
+                const camera = cameras[current];
+                status.textContent = `${camera.name}: ${camera.width}×${camera.height}, ` +
+                    `fx ${camera.fx.toFixed(1)}, fy ${camera.fy.toFixed(1)}`;
+            } else {
+                status.textContent = `${cameras.length} cameras. Click one to look through it`;
+            }
+        };
+        render({ cameras: [], current: -1 });
+        window.addEventListener('trainingCamerasChanged', (e) => render(e.detail));
+
+        fileInput.addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files);
+            fileInput.value = '';
+            if (files.length === 0) return;
+            try {
+                await this.renderer.importTrainingCameras(files);
+            } catch (error) {
+                console.error('Training camera import failed:', error);
+                status.textContent = `Import failed: ${error.message}`;
+            }
+        });
+
+        const styleId = 'training-camera-styles';
+        if (!document.getElementById(styleId)) {
+            const style = document.createElement('style');
+            style.id = styleId;
+            style.textContent = `
+                .training-camera-list {
+                    max-height: 160px;
+                    overflow-y: auto;
+                    margin-top: 8px;
+                }
+
+                .training-camera-item {
+                    padding: 2px 6px;
+                    font-size: 12px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                }
+
+                .training-camera-item:hover {
+                    background: rgba(255, 255, 255, 0.1);
+                }
+
+                .training-camera-item.selected {
+                    background: #c9a227;
+                    color: black;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+
+        group.appendChild(label);
+        group.appendChild(buttons.row);
+        group.appendChild(list);
+        group.appendChild(status);
+        group.appendChild(fileInput);
+        return group;
+    }
+
+    createPhotoComparisonControls() {
+        const comparison = this.renderer.photoComparison;
+        const group = document.createElement('div');
+        group.className = 'control-group photo-comparison-controls';
+
+        const label = document.createElement('label');
+        label.textContent = 'Photo Comparison';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'image/*,.json,application/json';
+        fileInput.multiple = true;
+        fileInput.style.display = 'none';
+
+        const status = document.createElement('div');
+        status.className = 'file-info';
+
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'control-select';
+        modeSelect.title = 'How the photo is shown over the render';
+        [
+            { name: 'Swipe', value: 'swipe' },
+            { name: 'Overlay', value: 'overlay' },
+            { name: 'Difference', value: 'difference' },
+            { name: 'Hidden', value: 'off' }
+        ].forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.value;
+            option.textContent = mode.name;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.value = comparison.mode;
+        modeSelect.addEventListener('change', (e) => comparison.setMode(e.target.value));
+
+        // One slider: the swipe line in swipe mode, photo opacity in overlay
+        const sliderRow = document.createElement('div');
+        sliderRow.className = 'scene-transform-row';
+        const sliderLabel = document.createElement('span');
+        sliderLabel.className = 'control-label';
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'control-slider';
+        slider.min = 0;
+        slider.max = 1;
+        slider.step = 0.01;
+        slider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (comparison.mode === 'overlay') {
+                comparison.setOpacity(value);
+            } else {
+                comparison.setSplit(value);
+            }
+        });
+        sliderRow.appendChild(sliderLabel);
+        sliderRow.appendChild(slider);
+
+        const backgroundSelect = document.createElement('select');
+        backgroundSelect.className = 'control-select';
+        backgroundSelect.title = 'Background the render is scored on; use the one the scene was trained with';
+        [
+            { name: 'Black background', value: '0' },
+            { name: 'White background', value: '1' }
+        ].forEach(background => {
+            const option = document.createElement('option');
+            option.value = background.value;
+            option.textContent = background.name;
+            backgroundSelect.appendChild(option);
+        });
+        backgroundSelect.addEventListener('change', (e) => {
+            const level = Number(e.target.value);
+            comparison.setBackground([level, level, level]);
+        });
+
+        const metrics = document.createElement('div');
+        metrics.className = 'file-info';
+
+        const buttons = this.createButtonRow([
+            { text: 'Load Photo', title: 'Pick a source photo, with its camera pose JSON unless its training camera is imported',
+                onClick: () => fileInput.click() },
+            { text: 'Align', title: 'Look through the photo\'s camera again',
+                onClick: () => comparison.alignView() },
+            { text: 'Compare', title: 'Render the photo\'s view at its resolution and score it with PSNR and SSIM',
+                onClick: async () => {
+                    compareButton.disabled = true;
+                    metrics.textContent = 'Rendering…';
+                    try {
+                        await comparison.compare();
+                    } catch (error) {
+                        console.error('Photo comparison failed:', error);
+                        metrics.textContent = `Comparison failed: ${error.message}`;
+                    } finally {
+                        compareButton.disabled = !comparison.photo;
+                    }
+                } },
+        ]);
+        const [, alignButton, compareButton] = buttons.elements;
+
+        const render = ({ photo, camera, mode, metrics: scores }) => {
+            alignButton.disabled = compareButton.disabled = !photo;
+            modeSelect.value = mode;
+            sliderRow.style.display = mode === 'swipe' || mode === 'overlay' ? 'flex' : 'none';
+            sliderLabel.textContent = mode === 'overlay' ? 'Opacity' : 'Split';
+            slider.value = mode === 'overlay' ? comparison.opacity : comparison.split;
+
+            if (!photo) {
+                status.textContent = 'Load a photo to check the render against it';
+            } else if (!camera) {
+                status.textContent = `${photo}: no camera pose. Load its JSON or import training cameras`;
+            } else {
+                status.textContent = `${photo} through ${camera}`;
+            }
+            if (scores) {
+                const psnr = Number.isFinite(scores.psnr) ? `${scores.psnr.toFixed(2)} dB` : '∞';
+                metrics.textContent = `PSNR ${psnr}, SSIM ${scores.ssim.toFixed(4)}`;
+            } else if (mode === 'difference' && photo) {
+                metrics.textContent = 'Compare to see the difference image';
+            } else {
+                metrics.textContent = '';
+            }
+        };
+        render({ photo: null, camera: null, mode: comparison.mode, metrics: null });
+        window.addEventListener('photoComparisonChanged', (e) => render(e.detail));
+
+        fileInput.addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files);
+            fileInput.value = '';
+            if (files.length === 0) return;
+            try {
+                await comparison.loadPhoto(files);
+            } catch (error) {
+                console.error('Photo load failed:', error);
+                status.textContent = `Load failed: ${error.message}`;
+            }
+        });
+
+        group.appendChild(label);
+        group.appendChild(buttons.row);
+        group.appendChild(modeSelect);
+        group.appendChild(sliderRow);
+        group.appendChild(backgroundSelect);
+        group.appendChild(status);
+        group.appendChild(metrics);
+        group.appendChild(fileInput);
+        return group;
+    }
+
+    createCameraPathControls() {
+        const path = this.renderer.cameraPath;
+        const group = document.createElement('div');
+        group.className = 'control-group camera-path-controls';
+
+        const label = document.createElement('label');
+        label.textContent = 'Camera Path';
+
+        const status = document.createElement('div');
+        status.className = 'file-info';
+
+        const editRow = this.createButtonRow([
+            { text: 'Add Key', title: 'Add the current view as a keyframe after the selected one',
+                onClick: () => path.addKeyframe() },
+            { text: 'Update', title: 'Replace the selected keyframe with the current view',
+                onClick: () => path.updateKeyframe() },
+            { text: 'Delete', title: 'Delete the selected keyframe',
+                onClick: () => path.removeKeyframe() },
+            { text: 'Clear', title: 'Delete every keyframe',
+                onClick: () => path.clear() },
+        ]);
+        const [, updateButton, deleteButton, clearButton] = editRow.elements;
+
+        // One button per keyframe; clicking jumps the camera there
+        const keyList = document.createElement('div');
+        keyList.className = 'camera-path-keys';
+
+        const timeline = document.createElement('input');
+        timeline.type = 'range';
+        timeline.className = 'control-slider';
+        timeline.min = 0;
+        timeline.max = 1;
+        timeline.step = 0.001;
+        timeline.value = 0;
+        timeline.title = 'Scrub along the path';
+        timeline.addEventListener('input', (e) => path.seek(parseFloat(e.target.value)));
+
+        const settingsRow = document.createElement('div');
+        settingsRow.className = 'scene-transform-row';
+
+        const durationLabel = document.createElement('span');
+        durationLabel.className = 'control-label';
+        durationLabel.textContent = 'Seconds';
+
+        const durationInput = document.createElement('input');
+        durationInput.type = 'number';
+        durationInput.min = 0.5;
+        durationInput.step = 0.5;
+        durationInput.value = path.duration;
+        durationInput.addEventListener('input', () => {
+            const seconds = parseFloat(durationInput.value);
+            if (seconds > 0) path.setDuration(seconds);
+        });
+
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'control-select';
+        [
+            { name: 'Once', value: 'once' },
+            { name: 'Loop', value: 'loop' },
+            { name: 'Ping-pong', value: 'pingpong' }
+        ].forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.value;
+            option.textContent = mode.name;
+            modeSelect.appendChild(option);
+        });
+        modeSelect.value = path.mode;
+        modeSelect.addEventListener('change', (e) => path.setMode(e.target.value));
+
+        settingsRow.appendChild(durationLabel);
+        settingsRow.appendChild(durationInput);
+        settingsRow.appendChild(modeSelect);
+
+        const playRow = this.createButtonRow([
+            { text: 'Play', title: 'Fly the path',
+                onClick: () => (path.playing ? path.pause() : path.play()) },
+            { text: 'Stop', title: 'Stop and rewind to the start',
+                onClick: () => path.stop() },
+        ]);
+        const [playButton, stopButton] = playRow.elements;
+
+        const showRow = document.createElement('div');
+        showRow.className = 'scene-transform-row';
+        const showLabel = document.createElement('span');
+        showLabel.className = 'control-label';
+        showLabel.textContent = 'Show Path';
+        const showToggle = document.createElement('input');
+        showToggle.type = 'checkbox';
+        showToggle.checked = path.visible;
+        showToggle.addEventListener('change', (e) => {
+            path.visible = e.target.checked;
+        });
+        showRow.appendChild(showLabel);
+        showRow.appendChild(showToggle);
+
+        const render = ({ keyframes, selected }) => {
+            keyList.innerHTML = '';
+            for (let i = 0; i < keyframes; i++) {
+                const key = document.createElement('button');
+                key.className = 'file-button camera-path-key';
+                key.classList.toggle('selected', i === selected);
+                key.textContent = i + 1;
+                key.title = `Keyframe ${i + 1} at ${(keyframes > 1 ? i / (keyframes - 1) * path.duration : 0).toFixed(1)}s. Click to go there`;
+                key.addEventListener('click', () => path.selectKeyframe(i));
+                keyList.appendChild(key);
+            }
+            updateButton.disabled = deleteButton.disabled = selected < 0;
+            clearButton.disabled = keyframes === 0;
+            playButton.disabled = keyframes < 2;
+            status.textContent = keyframes < 2
+                ? 'Add at least two keyframes, then press Play'
+                : `${keyframes} keyframes over ${path.duration}s`;
+        };
+        render({ keyframes: 0, selected: -1 });
+
+        window.addEventListener('cameraPathChanged', (e) => render(e.detail));
+        window.addEventListener('cameraPathTime', (e) => {
+            timeline.value = e.detail.time;
+            playButton.textContent = e.detail.playing ? 'Pause' : 'Play';
+            stopButton.disabled = !e.detail.playing && e.detail.time === 0;
+        });
+
+        const styleId = 'camera-path-styles';
+        if (!document.getElementById(styleId)) {
+            const style = document.createElement('style');
+            style.id = styleId;
+            style.textContent = `
+                .camera-path-keys {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 4px;
+                    margin-top: 8px;
+                }
+
+                .camera-path-key {
+                    min-width: 28px;
+                    padding: 2px 6px;
+                }
 
-        // Calculate maximum height for the scrollable area
-        const maxHeight = Math.max(vh * 0.8, 400); // At least 400px or 80% of viewport height
-        controls.style.maxHeight = `${maxHeight}px`;
+                .camera-path-key.selected {
+                    background: #c9a227;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+
+        group.appendChild(label);
+        group.appendChild(editRow.row);
+        group.appendChild(keyList);
+        group.appendChild(timeline);
+        group.appendChild(settingsRow);
+        group.appendChild(playRow.row);
+        group.appendChild(showRow);
+        group.appendChild(status);
+        return group;
     }
 
+    // A labelled number input in a settings row
+    createNumberRow(text, value, { min, max, step }) {
+        const row = document.createElement('div');
+        row.className = 'scene-transform-row';
+        const rowLabel = document.createElement('span');
+        rowLabel.className = 'control-label';
+        rowLabel.textContent = text;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.value = value;
+        row.appendChild(rowLabel);
+        row.appendChild(input);
+        return { row, input };
+    }
 
-    // Add this to your ViewerControls class
-    createFileLoader() {
+    createFrameExportControls() {
         const group = document.createElement('div');
-        group.className = 'control-group';
+        group.className = 'control-group frame-export-controls';
 
         const label = document.createElement('label');
-        label.textContent = 'Load PLY File';
+        label.textContent = 'Render Frames';
+
+        // Output settings; camera scripts may override them
+        const fps = this.createNumberRow('FPS', 30, { min: 1, max: 120, step: 1 });
+        const width = this.createNumberRow('Width', 1920, { min: 16, max: 8192, step: 2 });
+        const height = this.createNumberRow('Height', 1080, { min: 16, max: 8192, step: 2 });
+        const settings = () => ({
+            fps: parseFloat(fps.input.value),
+            width: parseInt(width.input.value),
+            height: parseInt(height.input.value),
+        });
+
+        const formatSelect = document.createElement('select');
+        formatSelect.className = 'control-select';
+        [
+            { name: 'PNG sequence (.zip)', value: 'png' },
+            { name: 'WebM video', value: 'webm' }
+        ].forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.value;
+            option.textContent = format.name;
+            formatSelect.appendChild(option);
+        });
+
+        const status = document.createElement('div');
+        status.className = 'file-info';
+        status.textContent = 'Render the camera path, or a JSON script of timed poses';
 
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
-        fileInput.accept = '.ply';  // Only accept PLY files for now
+        fileInput.accept = '.json,application/json';
         fileInput.style.display = 'none';
 
-        const button = document.createElement('button');
-        button.textContent = 'Choose PLY File';
-        button.className = 'file-button';
-
-        const fileInfo = document.createElement('div');
-        fileInfo.className = 'file-info';
-        fileInfo.textContent = 'Select a PLY file to load';
-
-        button.addEventListener('click', () => {
-            fileInput.click();
-        });
+        const buttons = this.createButtonRow([
+            { text: 'Render Path', title: 'Render one pass of the camera path',
+                onClick: () => render(() => this.renderer.getCameraPathScript(settings())) },
+            { text: 'Render Script', title: 'Render a JSON file of { time, position, front, up } poses',
+                onClick: () => fileInput.click() },
+            { text: 'Cancel', title: 'Stop rendering',
+                onClick: () => this.renderer.frameExporter.cancel() },
+        ]);
+        const [pathButton, scriptButton, cancelButton] = buttons.elements;
+        cancelButton.disabled = true;
+
+        const render = async (getScript) => {
+            pathButton.disabled = scriptButton.disabled = true;
+            cancelButton.disabled = false;
+            try {
+                await this.renderer.exportFrames(await getScript(), {
+                    format: formatSelect.value,
+                    onProgress: (frame, count) => {
+                        status.textContent = `Rendered frame ${frame} of ${count}`;
+                    },
+                });
+                status.textContent = 'Render complete';
+            } catch (error) {
+                console.error('Frame export failed:', error);
+                status.textContent = `Render failed: ${error.message}`;
+            } finally {
+                pathButton.disabled = scriptButton.disabled = false;
+                cancelButton.disabled = true;
+            }
+        };
 
-        fileInput.addEventListener('change', async (e) => {
+        // Settings fill in whatever the script leaves out
+        fileInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
+            fileInput.value = '';
             if (!file) return;
+            render(async () => {
+                const data = JSON.parse(await file.text());
+                return Array.isArray(data) ? { ...settings(), poses: data } : { ...settings(), ...data };
+            });
+        });
 
-            if (!file.name.toLowerCase().endsWith('.ply')) {
-                fileInfo.textContent = 'Please select a PLY file';
-                return;
-            }
+        group.appendChild(label);
+        group.appendChild(fps.row);
+        group.appendChild(width.row);
+        group.appendChild(height.row);
+        group.appendChild(formatSelect);
+        group.appendChild(buttons.row);
+        group.appendChild(status);
+        group.appendChild(fileInput);
+        return group;
+    }
 
-            fileInfo.textContent = `Loading: ${file.name}`;
-            button.disabled = true;
+    createScreenshotControls() {
+        const group = document.createElement('div');
+        group.className = 'control-group screenshot-controls';
 
-            try {
-                const reader = new FileReader();
-                reader.onload = async (event) => {
-                    try {
-                        // Create a URL for the file
-                        const url = URL.createObjectURL(new Blob([event.target.result]));
+        const label = document.createElement('label');
+        label.textContent = 'Screenshot';
 
-                        // Load the PLY file
-                        await this.renderer.loadPLY(url);
+        const width = this.createNumberRow('Width', Math.round(innerWidth), { min: 1, max: 16384, step: 1 });
+        const height = this.createNumberRow('Height', Math.round(innerHeight), { min: 1, max: 16384, step: 1 });
 
-                        fileInfo.textContent = `Loaded: ${file.name}`;
+        const presetSelect = document.createElement('select');
+        presetSelect.className = 'control-select';
+        presetSelect.title = 'Fill in a common size';
+        [
+            { name: 'Size preset…', value: '' },
+            { name: 'Window', value: 'window' },
+            { name: '1080p (1920×1080)', value: '1920x1080' },
+            { name: '4K (3840×2160)', value: '3840x2160' },
+            { name: '8K (7680×4320)', value: '7680x4320' }
+        ].forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.value;
+            option.textContent = preset.name;
+            presetSelect.appendChild(option);
+        });
+        presetSelect.addEventListener('change', (e) => {
+            const [w, h] = e.target.value === 'window'
+                ? [innerWidth, innerHeight].map(Math.round)
+                : e.target.value.split('x').map(Number);
+            if (w && h) {
+                width.input.value = w;
+                height.input.value = h;
+            }
+            presetSelect.value = '';
+        });
 
-                        // Clean up the URL
-                        URL.revokeObjectURL(url);
+        const supersampleSelect = document.createElement('select');
+        supersampleSelect.className = 'control-select';
+        supersampleSelect.title = 'Render at a multiple of the size and average down for smoother edges';
+        [1, 2, 3, 4].forEach(factor => {
+            const option = document.createElement('option');
+            option.value = factor;
+            option.textContent = factor === 1 ? 'No supersampling' : `${factor}× supersampling`;
+            supersampleSelect.appendChild(option);
+        });
+
+        const transparentRow = document.createElement('div');
+        transparentRow.className = 'scene-transform-row';
+        const transparentLabel = document.createElement('span');
+        transparentLabel.className = 'control-label';
+        transparentLabel.textContent = 'Transparent';
+        const transparent = document.createElement('input');
+        transparent.type = 'checkbox';
+        transparent.title = 'Leave the background transparent instead of grey';
+        transparentRow.appendChild(transparentLabel);
+        transparentRow.appendChild(transparent);
+
+        const status = document.createElement('div');
+        status.className = 'file-info';
+
+        const buttons = this.createButtonRow([
+            { text: 'Take Screenshot', title: 'Render the current view and download it as PNG',
+                onClick: async () => {
+                    captureButton.disabled = true;
+                    status.textContent = 'Rendering…';
+                    try {
+                        const blob = await this.renderer.saveScreenshot({
+                            width: parseInt(width.input.value),
+                            height: parseInt(height.input.value),
+                            supersample: parseInt(supersampleSelect.value),
+                            transparent: transparent.checked,
+                        });
+                        status.textContent = `Saved ${(blob.size / (1024 * 1024)).toFixed(1)} MB PNG`;
                     } catch (error) {
-                        console.error('Error loading PLY:', error);
-                        fileInfo.textContent = `Error: ${error.message}`;
+                        console.error('Screenshot failed:', error);
+                        status.textContent = `Screenshot failed: ${error.message}`;
                     } finally {
-                        button.disabled = false;
+                        captureButton.disabled = false;
                     }
-                };
+                } },
+        ]);
+        const [captureButton] = buttons.elements;
 
-                reader.onerror = () => {
-                    fileInfo.textContent = 'Error reading file';
-                    button.disabled = false;
-                };
+        group.appendChild(label);
+        group.appendChild(width.row);
+        group.appendChild(height.row);
+        group.appendChild(presetSelect);
+        group.appendChild(supersampleSelect);
+        group.appendChild(transparentRow);
+        group.appendChild(buttons.row);
+        group.appendChild(status);
+        return group;
+    }
 
-                // Read as ArrayBuffer
-                reader.readAsArrayBuffer(file);
+    createMeasureControls(tool) {
+        const group = document.createElement('div');
+        group.className = 'control-group measure-controls';
 
-            } catch (error) {
-                console.error('Error processing file:', error);
-                fileInfo.textContent = `Error: ${error.message}`;
-                button.disabled = false;
-            }
+        const label = document.createElement('label');
+        label.textContent = 'Measure';
+
+        const unitOptions = (select) => {
+            Object.keys(UNITS).forEach(unit => {
+                const option = document.createElement('option');
+                option.value = unit;
+                option.textContent = unit;
+                select.appendChild(option);
+            });
+            select.value = tool.unit;
+        };
+
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'control-select';
+        [
+            { name: 'Off', value: 'off' },
+            { name: 'Distance', value: 'distance' },
+            { name: 'Path Length', value: 'polyline' },
+            { name: 'Area', value: 'area' },
+            { name: 'Height Difference', value: 'height' }
+        ].forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.value;
+            option.textContent = mode.name;
+            modeSelect.appendChild(option);
         });
+        modeSelect.addEventListener('change', (e) => tool.setMode(e.target.value));
+
+        const editRow = this.createButtonRow([
+            { text: 'Finish', title: 'Finish the path or area (Enter or double click)',
+                onClick: () => tool.finish() },
+            { text: 'Undo Point', title: 'Take back the last point (Backspace)',
+                onClick: () => tool.undoPoint() },
+            { text: 'Clear', title: 'Delete every measurement',
+                onClick: () => tool.clear() },
+        ]);
+        const [finishButton, undoButton, clearButton] = editRow.elements;
+
+        const list = document.createElement('div');
+        list.className = 'measure-list';
+
+        // Display unit, once lengths are calibrated
+        const unitRow = document.createElement('div');
+        unitRow.className = 'scene-transform-row';
+        const unitLabel = document.createElement('span');
+        unitLabel.className = 'control-label';
+        unitLabel.textContent = 'Units';
+        const unitSelect = document.createElement('select');
+        unitSelect.className = 'control-select';
+        unitOptions(unitSelect);
+        unitSelect.addEventListener('change', (e) => tool.setUnit(e.target.value));
+        unitRow.appendChild(unitLabel);
+        unitRow.appendChild(unitSelect);
+
+        // Calibration: the real length of the last distance measured
+        const known = this.createNumberRow('Known', 1, { min: 0, max: 100000, step: 0.01 });
+        const knownUnit = document.createElement('select');
+        knownUnit.className = 'control-select';
+        unitOptions(knownUnit);
+        known.row.appendChild(knownUnit);
+
+        const status = document.createElement('div');
+        status.className = 'file-info';
+
+        const calibrateRow = this.createButtonRow([
+            { text: 'Calibrate', title: 'Scale lengths so the last distance measured has the known length',
+                onClick: () => {
+                    try {
+                        tool.calibrate(parseFloat(known.input.value), knownUnit.value);
+                    } catch (error) {
+                        status.textContent = error.message;
+                    }
+                } },
+            { text: 'Reset Scale', title: 'Show lengths in scene units again',
+                onClick: () => tool.resetCalibration() },
+        ]);
+        const [, resetButton] = calibrateRow.elements;
+
+        const render = ({ mode, measurements, current, calibrated, unit }) => {
+            modeSelect.value = mode;
+            unitSelect.value = unit;
+            unitSelect.disabled = !calibrated;
+            resetButton.disabled = !calibrated;
+            finishButton.disabled = !current;
+            undoButton.disabled = !current;
+            clearButton.disabled = measurements.length === 0 && !current;
+
+            list.innerHTML = '';
+            measurements.forEach(({ lines }, index) => {
+                const row = document.createElement('div');
+                row.className = 'measure-item';
+                const text = document.createElement('span');
+                text.textContent = lines.join(' · ');
+                const remove = document.createElement('button');
+                remove.className = 'file-button';
+                remove.textContent = '×';
+                remove.title = 'Delete this measurement';
+                remove.addEventListener('click', () => tool.remove(index));
+                row.appendChild(text);
+                row.appendChild(remove);
+                list.appendChild(row);
+            });
 
-        group.appendChild(label);
-        group.appendChild(button);
-        group.appendChild(fileInfo);
-        group.appendChild(fileInput);
+            const scale = calibrated ? '' : ' Lengths are in scene units until calibrated.';
+            if (current) {
+                status.textContent = `${current.points} point${current.points === 1 ? '' : 's'} placed: ${current.lines.join(' · ')}`;
+            } else if (mode === 'off') {
+                status.textContent = `Pick a tool, then click points on the scene.${scale}`;
+            } else {
+                status.textContent = mode === 'polyline' || mode === 'area'
+                    ? `Click points; Enter or double click finishes.${scale}`
+                    : `Click two points.${scale}`;
+            }
+        };
+        render({ mode: tool.mode, measurements: [], current: null, calibrated: false, unit: tool.unit });
+        window.addEventListener('measurementsChanged', (e) => render(e.detail));
+
+        const styleId = 'measure-styles';
+        if (!document.getElementById(styleId)) {
+            const style = document.createElement('style');
+            style.id = styleId;
+            style.textContent = `
+                .measure-list {
+                    margin-top: 8px;
+                    font-size: 12px;
+                }
+
+                .measure-item {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 6px;
+                    margin-bottom: 4px;
+                }
+
+                .measure-item .file-button {
+                    padding: 0 6px;
+                }
+            `;
+            document.head.appendChild(style);
+        }
 
+        group.appendChild(label);
+        group.appendChild(modeSelect);
+        group.appendChild(editRow.row);
+        group.appendChild(list);
+        group.appendChild(unitRow);
+        group.appendChild(known.row);
+        group.appendChild(calibrateRow.row);
+        group.appendChild(status);
         return group;
     }
 
-    createCameraInfo() {
+    createGamepadControls(gamepad) {
         const group = document.createElement('div');
-        group.className = 'control-group camera-info';
+        group.className = 'control-group gamepad-controls';
 
         const label = document.createElement('label');
-        label.textContent = 'Camera Controls';
+        label.textContent = 'Gamepad';
+
+        const status = document.createElement('div');
+        status.className = 'file-info';
+        status.textContent = 'No gamepad connected. Press a button on one to start.';
+        window.addEventListener('gamepadChanged', (e) => {
+            const { connected, id, profile } = e.detail;
+            status.textContent = connected
+                ? `${id} (${GAMEPAD_PROFILES[profile].name})`
+                : 'No gamepad connected. Press a button on one to start.';
+        });
 
-        const controls = document.createElement('div');
-        controls.className = 'camera-controls-info';
-        controls.innerHTML = `
-            <div class="control-info">
-                <strong>Movement:</strong> WASD Keys
-            </div>
-            <div class="control-info">
-                <strong>Up/Down:</strong> Q/E Keys
-            </div>
-            <div class="control-info">
-                <strong>Look Around:</strong> IJKL Keys
-                <div class="sub-info">
-                    I: Look Up | K: Look Down
-                    J: Look Left | L: Look Right
-                </div>
-            </div>
-            <div class="control-info">
-                <strong>Point Select:</strong> Left Mouse Click
-            </div>
-            <div class="control-info">
-                <strong>Reset Camera:</strong> F Key or Double Click
-            </div>
-        `;
+        const profileSelect = document.createElement('select');
+        profileSelect.className = 'control-select';
+        profileSelect.title = 'Button and axis layout. Auto uses the browser mapping when there is one';
+        [['auto', 'Auto-detect'], ...Object.entries(GAMEPAD_PROFILES).map(([key, profile]) => [key, profile.name])]
+            .forEach(([value, name]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = name;
+                profileSelect.appendChild(option);
+            });
+        profileSelect.value = gamepad.profile;
+        profileSelect.addEventListener('change', (e) => gamepad.setProfile(e.target.value));
 
-        // Add additional styles for the sub-info
-        const style = document.createElement('style');
-        style.textContent = `
-            .sub-info {
-                margin-left: 15px;
-                font-size: 0.9em;
-                color: #aaa;
-            }
-            
-            .control-info {
-                margin-bottom: 8px;
-            }
-            
-            .control-info:last-child {
-                margin-bottom: 0;
-            }
-            
-            .control-info strong {
-                color: #4CAF50;
-            }
-            
-            .camera-controls-info {
-                line-height: 1.6;
-                padding: 8px;
-                background: rgba(0, 0, 0, 0.2);
-                border-radius: 8px;
-            }
-        `;
-        document.head.appendChild(style);
+        const createSetting = (text, key, min, max, step, title) => {
+            const row = document.createElement('div');
+            row.className = 'scene-transform-row';
+            row.title = title;
+
+            const rowLabel = document.createElement('span');
+            rowLabel.className = 'control-label';
+            rowLabel.textContent = text;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'control-slider';
+            slider.min = min;
+            slider.max = max;
+            slider.step = step;
+            slider.value = gamepad[key];
+            slider.addEventListener('input', (e) => {
+                gamepad[key] = parseFloat(e.target.value);
+            });
+
+            row.appendChild(rowLabel);
+            row.appendChild(slider);
+            return row;
+        };
+
+        const invertRow = document.createElement('div');
+        invertRow.className = 'scene-transform-row';
+        const invertLabel = document.createElement('span');
+        invertLabel.className = 'control-label';
+        invertLabel.textContent = 'Invert Look Y';
+        const invert = document.createElement('input');
+        invert.type = 'checkbox';
+        invert.checked = gamepad.invertY;
+        invert.addEventListener('change', (e) => {
+            gamepad.invertY = e.target.checked;
+        });
+        invertRow.appendChild(invertLabel);
+        invertRow.appendChild(invert);
+
+        const hint = document.createElement('div');
+        hint.className = 'file-info';
+        hint.textContent = 'Left stick moves, right stick looks, triggers rise and sink, bumpers roll';
 
         group.appendChild(label);
-        group.appendChild(controls);
+        group.appendChild(status);
+        group.appendChild(profileSelect);
+        group.appendChild(createSetting('Dead Zone', 'deadZone', 0, 0.5, 0.01,
+            'Stick and trigger travel to ignore, for pads that drift'));
+        group.appendChild(createSetting('Move Speed', 'moveSensitivity', 0.1, 3, 0.1,
+            'Movement speed at full stick'));
+        group.appendChild(createSetting('Look Speed', 'lookSensitivity', 0.1, 3, 0.1,
+            'Turn rate at full stick'));
+        group.appendChild(invertRow);
+        group.appendChild(hint);
         return group;
     }
 
@@ -359,12 +2115,32 @@ export class ViewerControls {
 
         renderModeSelect.addEventListener('change', (e) => {
             const mode = e.target.value;
-            if (mode === 'wireframe') {
-                this.renderer.setWireframe(true);
-                this.renderer.setRenderMode('mesh');
+            const apply = () => {
+                if (mode === 'wireframe') {
+                    this.renderer.setWireframe(true);
+                    this.renderer.setRenderMode('mesh');
+                } else {
+                    this.renderer.setWireframe(false);
+                    this.renderer.setRenderMode(mode);
+                }
+            };
+            // Wireframe is two settings; undo them as one step
+            if (this.renderer.history) {
+                this.renderer.history.group('Render mode', apply);
             } else {
-                this.renderer.setWireframe(false);
-                this.renderer.setRenderMode(mode);
+                apply();
+            }
+        });
+
+        // Follow undo/redo
+        window.addEventListener('settingRestored', (e) => {
+            const { key, value } = e.detail;
+            if (key === 'viewMode') {
+                viewModeSelect.value = value;
+                colorProfileSection.style.display = value === 1 ? 'block' : 'none';
+            } else if (key === 'renderMode' || key === 'wireframe') {
+                const { renderMode, wireframe } = this.renderer;
+                renderModeSelect.value = wireframe && renderMode === 'mesh' ? 'wireframe' : renderMode;
             }
         });
 
@@ -449,6 +2225,13 @@ export class ViewerControls {
             }
         });
 
+        // Follow undo/redo
+        window.addEventListener('settingRestored', (e) => {
+            if (e.detail.key !== 'pointSize') return;
+            slider.value = e.detail.value;
+            value.textContent = e.detail.value.toFixed(1);
+        });
+
         pointSizeContainer.appendChild(slider);
         pointSizeContainer.appendChild(value);
 
@@ -788,11 +2571,24 @@ export class ViewerControls {
             }
         }
     }
+    // DOM controls vanish inside an immersive session, so the headset gets
+    // a panel of its own with the same main settings
     setXRControls(xrControls) {
         this.xrControls = xrControls;
+        if (this.renderer.gl && xrControls.setPanel) {
+            xrControls.setPanel(new XRPanel(this.renderer.gl, this.renderer, { viewModes: this.viewModes }));
+        }
         this.checkVRSupport();
     }
 
+    // Both apps measure, each snapping points its own way, so the tool is
+    // handed in rather than looked up on the renderer
+    setMeasureTool(tool) {
+        const scroll = document.querySelector('.viewer-controls-scroll');
+        if (!scroll) return;
+        scroll.insertBefore(this.createMeasureControls(tool), scroll.querySelector('.camera-info'));
+    }
+
 
     async checkVRSupport() {
         if (!('xr' in navigator)) {
@@ -800,20 +2596,24 @@ export class ViewerControls {
             return;
         }
 
+        // Passthrough AR gets a button next to VR where the browser has it
+        const arSupported = await navigator.xr.isSessionSupported('immersive-ar').catch(() => false);
+
         try {
             const isSupported = await navigator.xr.isSessionSupported('immersive-vr');
             if (isSupported) {
-                this.addVRButton();
+                this.addVRButton(arSupported);
+                return;
             }
         } catch (error) {
             console.error('Error checking VR support:', error);
         }
 
         // Add VR button anyway to show unsupported state
-        this.addVRButton();
+        this.addVRButton(arSupported);
     }
 
-    addVRButton() {
+    addVRButton(withAR = false) {
         const container = document.querySelector('.viewer-controls');
         if (!container) return;
 
@@ -824,16 +2624,23 @@ export class ViewerControls {
         const label = document.createElement('label');
         label.textContent = 'Virtual Reality';
 
-        const vrButton = document.createElement('button');
-        vrButton.className = 'vr-button';
-        vrButton.innerHTML = `
+        const enterLabel = (name) => `
             <svg class="vr-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                 <path d="M20.5 7H3.5C2.67157 7 2 7.67157 2 8.5V15.5C2 16.3284 2.67157 17 3.5 17H20.5C21.3284 17 22 16.3284 22 15.5V8.5C22 7.67157 21.3284 7 20.5 7Z" stroke="currentColor" stroke-width="2"/>
                 <circle cx="8" cy="12" r="2" stroke="currentColor" stroke-width="2"/>
                 <circle cx="16" cy="12" r="2" stroke="currentColor" stroke-width="2"/>
             </svg>
-            Enter VR Mode
+            Enter ${name} Mode
         `;
+        const vrButton = document.createElement('button');
+        vrButton.className = 'vr-button';
+        vrButton.innerHTML = enterLabel('VR');
+
+        // Passthrough, with the scene placed on a real surface
+        const arButton = document.createElement('button');
+        arButton.className = 'vr-button';
+        arButton.innerHTML = enterLabel('AR');
+        arButton.style.display = withAR ? '' : 'none';
 
         // Add status indicator
         const statusIndicator = document.createElement('div');
@@ -841,9 +2648,19 @@ export class ViewerControls {
         statusIndicator.textContent = 'VR Ready';
 
         vrButton.addEventListener('click', () => this.handleVRButtonClick(vrButton, statusIndicator));
+        arButton.addEventListener('click', () => this.handleVRButtonClick(arButton, statusIndicator, 'immersive-ar'));
+        // Sessions also end from the headset
+        window.addEventListener('xrsessionend', () => {
+            vrButton.innerHTML = enterLabel('VR');
+            arButton.innerHTML = enterLabel('AR');
+            statusIndicator.textContent = 'VR Ready';
+            statusIndicator.classList.remove('active');
+            document.body.classList.remove('vr-mode');
+        });
 
         group.appendChild(label);
         group.appendChild(vrButton);
+        group.appendChild(arButton);
         group.appendChild(statusIndicator);
         container.appendChild(group);
 
@@ -851,23 +2668,25 @@ export class ViewerControls {
         this.addVRButtonStyles();
     }
 
-    async handleVRButtonClick(button, statusIndicator) {
+    // mode: 'immersive-vr', or 'immersive-ar' for passthrough
+    async handleVRButtonClick(button, statusIndicator, mode = 'immersive-vr') {
         if (!this.xrControls) return;
+        const name = mode === 'immersive-ar' ? 'AR' : 'VR';
 
         try {
             if (!this.xrControls.xrSession) {
                 button.disabled = true;
-                statusIndicator.textContent = 'Starting VR...';
+                statusIndicator.textContent = `Starting ${name}...`;
 
-                await this.xrControls.startXRSession();
+                await this.xrControls.startXRSession(mode);
 
                 button.innerHTML = `
                     <svg class="vr-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                         <path d="M19 6.41L17.59 5L12 10.59L6.41 5L5 6.41L10.59 12L5 17.59L6.41 19L12 13.41L17.59 19L19 17.59L13.41 12L19 6.41Z" fill="currentColor"/>
                     </svg>
-                    Exit VR Mode
+                    Exit ${name} Mode
                 `;
-                statusIndicator.textContent = 'VR Active';
+                statusIndicator.textContent = `${name} Active`;
                 statusIndicator.classList.add('active');
                 document.body.classList.add('vr-mode');
 
@@ -876,8 +2695,8 @@ export class ViewerControls {
             }
             button.disabled = false;
         } catch (error) {
-            console.error('Error handling VR mode:', error);
-            statusIndicator.textContent = 'VR Error';
+            console.error(`Error handling ${name} mode:`, error);
+            statusIndicator.textContent = `${name} Error`;
             statusIndicator.classList.add('error');
             button.disabled = false;
             setTimeout(() => {
@@ -1006,7 +2825,7 @@ export class ViewerControls {
         };
 
         // Helper function to create slider controls
-        const createSliderControl = (label, min, max, defaultVal, step, callback, tooltip) => {
+        const createSliderControl = (label, min, max, defaultVal, step, callback, tooltip, setting) => {
             const control = document.createElement('div');
             control.className = 'slider-control';
             control.setAttribute('title', tooltip);
@@ -1036,6 +2855,13 @@ export class ViewerControls {
                 callback(value);
             });
 
+            // Follow undo/redo of the renderer setting
+            window.addEventListener('settingRestored', (e) => {
+                if (!setting || e.detail.key !== setting) return;
+                slider.value = e.detail.value;
+                valueDisplay.textContent = e.detail.value.toFixed(2);
+            });
+
             labelContainer.appendChild(labelText);
             labelContainer.appendChild(valueDisplay);
             control.appendChild(labelContainer);
@@ -1048,13 +2874,13 @@ export class ViewerControls {
         const sizeScaleControls = [
             createSliderControl('Splat Size', 0.1, 5.0, 1.0, 0.1, 
                 value => this.renderer.setSplatSize(value),
-                'Controls the base size of all gaussian splats'),
+                'Controls the base size of all gaussian splats', 'splatSize'),
             createSliderControl('Uniform Scale', 0.1, 5.0, 1.0, 0.1, 
                 value => this.renderer.setUniformScale(value),
-                'Scales all splats uniformly while maintaining relative sizes'),
+                'Scales all splats uniformly while maintaining relative sizes', 'uniformScale'),
             createSliderControl('Point Scale', 0.1, 5.0, 1.0, 0.1, 
                 value => this.renderer.setPointScale(value),
-                'Adjusts the scale of individual points')
+                'Adjusts the scale of individual points', 'pointScale')
         ];
 
         // Alpha Blending Controls Section
@@ -1079,6 +2905,9 @@ export class ViewerControls {
         toggle.addEventListener('change', (e) => {
             this.renderer.setAlphaBlending(e.target.checked);
         });
+        window.addEventListener('settingRestored', (e) => {
+            if (e.detail.key === 'alphaBlending') toggle.checked = e.detail.value;
+        });
 
         toggleWrapper.appendChild(toggle);
         toggleWrapper.appendChild(toggleSlider);
@@ -1088,11 +2917,149 @@ export class ViewerControls {
         // Opacity Control Section
         const opacityControl = createSliderControl('Opacity', 0, 1, 1, 0.01, 
             value => this.renderer.setOpacity(value),
-            'Controls the global opacity of all splats');
+            'Controls the global opacity of all splats', 'opacity');
+
+        // Spherical Harmonics Control Section
+        const shControl = document.createElement('div');
+        shControl.className = 'slider-control';
+        shControl.setAttribute('title', 'Caps the spherical harmonics degree used for view-dependent color. Lower it on slower devices');
+
+        const shLabel = document.createElement('span');
+        shLabel.className = 'control-label';
+        shLabel.textContent = 'SH Degree';
+
+        const shSelect = document.createElement('select');
+        shSelect.className = 'control-select';
+        [
+            { name: '0 (Flat color)', value: 0 },
+            { name: '1', value: 1 },
+            { name: '2', value: 2 },
+            { name: '3 (Full)', value: 3 }
+        ].forEach(degree => {
+            const option = document.createElement('option');
+            option.value = degree.value;
+            option.textContent = degree.name;
+            shSelect.appendChild(option);
+        });
+        shSelect.value = 3;
+
+        shSelect.addEventListener('change', (e) => {
+            this.renderer.setSHDegree(parseInt(e.target.value));
+        });
+        window.addEventListener('settingRestored', (e) => {
+            if (e.detail.key === 'shDegree') shSelect.value = e.detail.value;
+        });
+
+        shControl.appendChild(shLabel);
+        shControl.appendChild(shSelect);
+
+        // Depth Sorting Control Section
+        const sortControl = document.createElement('div');
+        sortControl.className = 'slider-control';
+        sortControl.setAttribute('title', 'Depth key precision of the radix sort. Higher precision fixes ordering artifacts in deep scenes but takes more passes');
+
+        const sortLabel = document.createElement('span');
+        sortLabel.className = 'control-label';
+        sortLabel.textContent = 'Key Precision';
+
+        const sortSelect = document.createElement('select');
+        sortSelect.className = 'control-select';
+        [16, 24, 32].forEach(bits => {
+            const option = document.createElement('option');
+            option.value = bits;
+            option.textContent = `${bits}-bit (${bits / 8} passes)`;
+            sortSelect.appendChild(option);
+        });
+        sortSelect.value = this.renderer.sortPrecision ?? 16;
+
+        sortSelect.addEventListener('change', (e) => {
+            this.renderer.setSortPrecision(parseInt(e.target.value));
+        });
+
+        const sortStats = document.createElement('div');
+        sortStats.className = 'sort-stats';
+        sortStats.textContent = 'No scene sorted yet';
+
+        window.addEventListener('sortStatsUpdated', (e) => {
+            const { method, count, totalTime } = e.detail;
+            sortStats.textContent = `${count.toLocaleString()} splats, ${method}, ${totalTime.toFixed(1)} ms`;
+        });
+
+        sortControl.appendChild(sortLabel);
+        sortControl.appendChild(sortSelect);
+        sortControl.appendChild(sortStats);
+
+        // GPU sort toggle, same switch style as alpha blending
+        const gpuSortControl = document.createElement('div');
+        gpuSortControl.className = 'blending-control';
+        gpuSortControl.setAttribute('title', 'Sort splats on the GPU with WebGL2 instead of in the worker. Falls back to the worker if unsupported');
+
+        const gpuSortLabel = document.createElement('span');
+        gpuSortLabel.className = 'control-label';
+        gpuSortLabel.textContent = 'GPU Sort';
+
+        const gpuToggleWrapper = document.createElement('label');
+        gpuToggleWrapper.className = 'toggle-switch';
+
+        const gpuToggle = document.createElement('input');
+        gpuToggle.type = 'checkbox';
+        gpuToggle.checked = !!this.renderer.useGPUSort;
+
+        const gpuToggleSlider = document.createElement('span');
+        gpuToggleSlider.className = 'toggle-slider';
+
+        gpuToggle.addEventListener('change', (e) => {
+            e.target.checked = this.renderer.setGPUSort(e.target.checked);
+        });
+
+        // Keep the switch in sync when the renderer falls back on its own
+        window.addEventListener('sortModeChanged', (e) => {
+            gpuToggle.checked = e.detail.gpu;
+            sortSelect.disabled = e.detail.gpu;
+        });
+
+        gpuToggleWrapper.appendChild(gpuToggle);
+        gpuToggleWrapper.appendChild(gpuToggleSlider);
+        gpuSortControl.appendChild(gpuSortLabel);
+        gpuSortControl.appendChild(gpuToggleWrapper);
+
+        // Benchmark comparing the worker and GPU sort on the loaded scenes
+        const benchmarkControl = document.createElement('div');
+        benchmarkControl.className = 'slider-control';
+
+        const benchmarkButton = document.createElement('button');
+        benchmarkButton.className = 'file-button';
+        benchmarkButton.textContent = 'Run Sort Benchmark';
+
+        const benchmarkResult = document.createElement('div');
+        benchmarkResult.className = 'sort-stats';
+
+        benchmarkButton.addEventListener('click', async () => {
+            benchmarkButton.disabled = true;
+            benchmarkResult.textContent = 'Benchmarking...';
+            try {
+                const { splats, iterations, cpuSortMs, cpuRoundTripMs, gpuSortMs } = await this.renderer.runSortBenchmark();
+                benchmarkResult.innerHTML = `
+                    ${splats.toLocaleString()} splats, average of ${iterations} views<br>
+                    Worker: ${cpuSortMs.toFixed(1)} ms (${cpuRoundTripMs.toFixed(1)} ms round trip)<br>
+                    GPU: ${gpuSortMs === null ? 'unavailable' : gpuSortMs.toFixed(1) + ' ms'}
+                `;
+            } catch (error) {
+                console.error('Error running sort benchmark:', error);
+                benchmarkResult.textContent = `Error: ${error.message}`;
+            } finally {
+                benchmarkButton.disabled = false;
+            }
+        });
+
+        benchmarkControl.appendChild(benchmarkButton);
+        benchmarkControl.appendChild(benchmarkResult);
 
         // Add sections to group
         group.appendChild(createControlSection('Size & Scale', sizeScaleControls));
         group.appendChild(createControlSection('Transparency', [blendingControl, opacityControl]));
+        group.appendChild(createControlSection('View-Dependent Color', [shControl]));
+        group.appendChild(createControlSection('Depth Sorting', [sortControl, gpuSortControl, benchmarkControl]));
 
         // Add styles
         this.addGaussianSplatStyles();
@@ -1201,6 +3168,13 @@ export class ViewerControls {
                 margin-bottom: 16px;
             }
 
+            .sort-stats {
+                margin-top: 8px;
+                color: #888;
+                font-family: monospace;
+                font-size: 12px;
+            }
+
             .toggle-switch {
                 position: relative;
                 display: inline-block;
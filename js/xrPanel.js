@@ -0,0 +1,469 @@
+// xrPanel.js
+import { mat4, vec3 } from 'https://cdn.skypack.dev/gl-matrix';
+import { SHADERS } from './shaders.js';
+
+const CANVAS_WIDTH = 512;
+const CANVAS_HEIGHT = 896;
+const PIXELS_PER_METER = 1280; // A 0.4 x 0.7 m panel
+const WIDTH = CANVAS_WIDTH / PIXELS_PER_METER;
+const HEIGHT = CANVAS_HEIGHT / PIXELS_PER_METER;
+const DISTANCE = 0.6; // From the head when placed in front of it
+const DROP = 0.25; // Below eye level
+const TEXTURE_UNIT = 4; // Clear of the units the splat shader samples
+
+const PADDING = 24;
+const ROW = 52;
+const SLIDER_ROW = 84;
+const COLORS = {
+    background: '#202226',
+    text: '#f0f0f0',
+    dim: '#9a9ea6',
+    button: '#3a3d44',
+    hover: '#4c5058',
+    selected: '#2f7fd0',
+    track: '#55585f',
+};
+
+// The 2D panel's main settings on a panel floating in the room during an
+// immersive session: opacity, splat size and scale, the view mode, and
+// which scenes are shown or loaded. The controls are drawn into a canvas
+// shown on a textured quad and re-read from the app every frame, so both
+// panels always agree.
+//
+// Pointers are rays in the reference space. Pressing one over a button
+// clicks it; holding it on a slider drags the slider. The panel sits in the
+// reference space too, so it stays at hand while the world is moved, turned
+// and scaled around it.
+export class XRPanel {
+    constructor(gl, app, { viewModes = [] } = {}) {
+        this.gl = gl;
+        this.app = app;
+        this.viewModes = viewModes;
+        this.visible = true;
+        this.pose = null; // mat4 from the panel to the reference space
+        this.headTransform = null;
+        this.widgets = [];
+        this.hits = new Map(); // Where each pointer's ray meets the panel, by pointer id
+        this.active = new Map(); // Widget each pressed pointer is holding
+        this.pressed = new Set();
+        this.drawnState = null; // What the texture shows, to skip redraws
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = CANVAS_WIDTH;
+        this.canvas.height = CANVAS_HEIGHT;
+        this.context = this.canvas.getContext('2d');
+
+        this.initializeShaders();
+        this.initializeBuffers();
+    }
+
+    initializeShaders() {
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                console.error('XR panel shader compilation error:', gl.getShaderInfoLog(shader));
+            }
+            return shader;
+        };
+
+        this.program = gl.createProgram();
+        gl.attachShader(this.program, compile(gl.VERTEX_SHADER, SHADERS.panel.vertex));
+        gl.attachShader(this.program, compile(gl.FRAGMENT_SHADER, SHADERS.panel.fragment));
+        gl.linkProgram(this.program);
+        if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+            console.error('Failed to link XR panel program:', gl.getProgramInfoLog(this.program));
+        }
+
+        this.positionAttribute = gl.getAttribLocation(this.program, 'aVertexPosition');
+        this.textureCoordAttribute = gl.getAttribLocation(this.program, 'aTextureCoord');
+        this.modelViewUniform = gl.getUniformLocation(this.program, 'uModelViewMatrix');
+        this.projectionUniform = gl.getUniformLocation(this.program, 'uProjectionMatrix');
+        this.textureUniform = gl.getUniformLocation(this.program, 'uTexture');
+    }
+
+    initializeBuffers() {
+        const gl = this.gl;
+        const x = WIDTH / 2;
+        const y = HEIGHT / 2;
+        // Triangle strip facing +z; the canvas's top row is at v = 0
+        const vertices = new Float32Array([
+            -x, -y, 0, 0, 1,
+            x, -y, 0, 1, 1,
+            -x, y, 0, 0, 0,
+            x, y, 0, 1, 0,
+        ]);
+
+        this.vao = gl.createVertexArray();
+        gl.bindVertexArray(this.vao);
+        this.vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(this.positionAttribute);
+        gl.vertexAttribPointer(this.positionAttribute, 3, gl.FLOAT, false, 20, 0);
+        gl.enableVertexAttribArray(this.textureCoordAttribute);
+        gl.vertexAttribPointer(this.textureCoordAttribute, 2, gl.FLOAT, false, 20, 12);
+        gl.bindVertexArray(null);
+
+        this.texture = gl.createTexture();
+        gl.activeTexture(gl.TEXTURE0 + TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    // Stands the panel upright a little below eye level in front of the
+    // head, facing it
+    placeInFront(headTransform) {
+        const head = headTransform.matrix;
+        const up = vec3.fromValues(0, 1, 0);
+        const forward = vec3.fromValues(-head[8], 0, -head[10]);
+        if (vec3.length(forward) < 1e-6) vec3.set(forward, 0, 0, -1);
+        vec3.normalize(forward, forward);
+        const right = vec3.cross(vec3.create(), forward, up);
+        const center = vec3.fromValues(head[12], head[13] - DROP, head[14]);
+        vec3.scaleAndAdd(center, center, forward, DISTANCE);
+
+        this.pose = mat4.fromValues(
+            right[0], right[1], right[2], 0,
+            0, 1, 0, 0,
+            -forward[0], -forward[1], -forward[2], 0,
+            center[0], center[1], center[2], 1,
+        );
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.hits.clear();
+        this.active.clear();
+    }
+
+    // Whether the pointer is on the panel or holding one of its controls;
+    // its presses are the panel's then
+    isPointing(id) {
+        return this.hits.has(id) || this.active.has(id);
+    }
+
+    // pointers: { id, origin, direction, pressed } per ray in the reference
+    // space, every frame, with the head's pose to recenter on
+    update(pointers, headTransform) {
+        this.headTransform = headTransform;
+        this.widgets = this.layout();
+        const seen = new Set();
+        for (const { id, origin, direction, pressed } of pointers) {
+            seen.add(id);
+            const hit = this.visible && this.pose ? this.intersect(origin, direction) : null;
+            if (hit) {
+                this.hits.set(id, { from: vec3.clone(origin), ...hit });
+            } else {
+                this.hits.delete(id);
+            }
+
+            if (pressed && !this.pressed.has(id)) {
+                this.pressed.add(id);
+                const widget = hit && this.widgetAt(hit.x, hit.y);
+                if (widget) {
+                    this.active.set(id, widget);
+                    if (widget.kind === 'slider') {
+                        this.drag(widget, hit.x);
+                    } else {
+                        widget.action();
+                    }
+                }
+            } else if (pressed) {
+                const widget = this.active.get(id);
+                if (widget?.kind === 'slider' && hit) {
+                    this.drag(widget, hit.x);
+                }
+            } else {
+                this.pressed.delete(id);
+                this.active.delete(id);
+            }
+        }
+
+        for (const id of [...this.pressed, ...this.hits.keys()]) {
+            if (!seen.has(id)) {
+                this.pressed.delete(id);
+                this.active.delete(id);
+                this.hits.delete(id);
+            }
+        }
+    }
+
+    // Canvas pixel and reference-space point where the ray meets the front
+    // of the panel, or null
+    intersect(origin, direction) {
+        const inverse = mat4.invert(mat4.create(), this.pose);
+        const start = vec3.transformMat4(vec3.create(), origin, inverse);
+        const end = vec3.transformMat4(vec3.create(), vec3.add(vec3.create(), origin, direction), inverse);
+        const along = vec3.subtract(end, end, start);
+        if (along[2] >= 0) return null;
+        const t = -start[2] / along[2];
+        if (t < 0) return null;
+
+        const x = (start[0] + along[0] * t) / WIDTH + 0.5;
+        const y = 0.5 - (start[1] + along[1] * t) / HEIGHT;
+        if (x < 0 || x > 1 || y < 0 || y > 1) return null;
+        return {
+            x: x * CANVAS_WIDTH,
+            y: y * CANVAS_HEIGHT,
+            point: vec3.scaleAndAdd(vec3.create(), origin, direction, t),
+        };
+    }
+
+    widgetAt(x, y) {
+        return this.widgets.find(({ kind, rect: [left, top, width, height] }) =>
+            kind !== 'label' && x >= left && x <= left + width && y >= top && y <= top + height) ?? null;
+    }
+
+    drag(widget, x) {
+        const [left, , width] = widget.rect;
+        const fraction = Math.max(0, Math.min(1, (x - left) / width));
+        const steps = Math.round((fraction * (widget.max - widget.min)) / widget.step);
+        const value = Number((widget.min + steps * widget.step).toFixed(4));
+        if (value !== widget.value) {
+            widget.value = value;
+            this.setSetting(widget.key, value, widget.set);
+        }
+    }
+
+    // The 2D panel's controls follow settingRestored, which undo and redo
+    // send; sending it here keeps them on what the panel set
+    setSetting(key, value, apply) {
+        apply(value);
+        window.dispatchEvent(new CustomEvent('settingRestored', {
+            detail: { key, value: this.app[key] ?? value }
+        }));
+    }
+
+    // The controls for the app as it is now, top to bottom, each with its
+    // rect [x, y, width, height] on the canvas
+    layout() {
+        const app = this.app;
+        const widgets = [];
+        const inner = CANVAS_WIDTH - 2 * PADDING;
+        let y = 16;
+
+        widgets.push({ kind: 'label', text: 'Splat Viewer', title: true, rect: [PADDING, y, inner, 44] });
+        widgets.push({
+            kind: 'button',
+            text: 'Recenter',
+            rect: [CANVAS_WIDTH - PADDING - 140, y, 140, 44],
+            action: () => this.placeInFront(this.headTransform),
+        });
+        y += 64;
+
+        const slider = (label, key, min, max, step, set) => {
+            if (!set) return;
+            widgets.push({ kind: 'slider', label, key, value: app[key], min, max, step, set, rect: [PADDING, y, inner, SLIDER_ROW - 8] });
+            y += SLIDER_ROW;
+        };
+        slider('Opacity', 'opacity', 0, 1, 0.01, app.setOpacity && (value => app.setOpacity(value)));
+        slider('Splat Size', 'splatSize', 0.1, 5, 0.1, app.setSplatSize && (value => app.setSplatSize(value)));
+        slider('Scale', 'uniformScale', 0.1, 5, 0.1, app.setUniformScale && (value => app.setUniformScale(value)));
+
+        if (app.setViewMode && this.viewModes.length > 0) {
+            widgets.push({ kind: 'label', text: 'View Mode', rect: [PADDING, y, inner, 36] });
+            y += 40;
+            const gap = 6;
+            const width = (inner - gap * (this.viewModes.length - 1)) / this.viewModes.length;
+            this.viewModes.forEach((mode, index) => {
+                widgets.push({
+                    kind: 'button',
+                    text: mode.name,
+                    small: true,
+                    selected: (app.viewMode ?? 0) === mode.value,
+                    rect: [PADDING + index * (width + gap), y, width, ROW - 8],
+                    action: () => this.setSetting('viewMode', mode.value, value => app.setViewMode(value)),
+                });
+            });
+            y += ROW + 8;
+        }
+
+        if (!app.scenes) return widgets;
+
+        // Scenes loaded from a URL this session and since removed can be
+        // opened again
+        const loaded = new Set(app.scenes.map(scene => scene.url));
+        const closed = (app.sceneURLs ?? []).filter(url => !loaded.has(url));
+        const openRows = Math.min(closed.length, 3);
+        const openHeight = openRows > 0 ? 40 + openRows * ROW : 0;
+
+        widgets.push({ kind: 'label', text: 'Scenes', rect: [PADDING, y, inner, 36] });
+        y += 40;
+        const sceneRows = Math.max(0, Math.floor((CANVAS_HEIGHT - PADDING - openHeight - y) / ROW));
+        if (app.scenes.length === 0) {
+            widgets.push({ kind: 'label', text: 'No scenes loaded', dim: true, rect: [PADDING, y, inner, ROW - 8] });
+            y += ROW;
+        }
+        const shown = app.scenes.length > sceneRows ? sceneRows - 1 : sceneRows;
+        for (const scene of app.scenes.slice(0, shown)) {
+            const height = ROW - 8;
+            widgets.push({
+                kind: 'button',
+                text: scene.visible ? '✓' : '',
+                selected: scene.visible,
+                rect: [PADDING, y, height, height],
+                action: () => this.setSceneVisibility(scene.name, [scene], !scene.visible),
+            });
+            widgets.push({
+                kind: 'button',
+                text: scene.name,
+                align: 'left',
+                rect: [PADDING + height + 8, y, inner - 2 * (height + 8), height],
+                // Shows this scene alone
+                action: () => this.setSceneVisibility(`Show only ${scene.name}`, app.scenes,
+                    (other) => other === scene),
+            });
+            widgets.push({
+                kind: 'button',
+                text: '×',
+                rect: [PADDING + inner - height, y, height, height],
+                action: () => app.removeScene(scene.id),
+            });
+            y += ROW;
+        }
+        if (app.scenes.length > shown) {
+            widgets.push({ kind: 'label', text: `+${app.scenes.length - shown} more`, dim: true, rect: [PADDING, y, inner, ROW - 8] });
+            y += ROW;
+        }
+
+        if (openRows > 0) {
+            widgets.push({ kind: 'label', text: 'Open', rect: [PADDING, y, inner, 36] });
+            y += 40;
+            for (const url of closed.slice(-openRows)) {
+                widgets.push({
+                    kind: 'button',
+                    text: decodeURIComponent(url.split('/').pop()) || url,
+                    align: 'left',
+                    rect: [PADDING, y, inner, ROW - 8],
+                    action: () => app.addSceneFromURL(url),
+                });
+                y += ROW;
+            }
+        }
+        return widgets;
+    }
+
+    // visible: a flag for all the scenes, or a function of each
+    setSceneVisibility(label, scenes, visible) {
+        const app = this.app;
+        const apply = () => scenes.forEach(scene =>
+            app.setSceneVisible(scene.id, typeof visible === 'function' ? visible(scene) : visible));
+        if (app.history) {
+            app.history.group(label, apply);
+        } else {
+            apply();
+        }
+        app.dispatchSceneListChanged?.();
+    }
+
+    // Redraws the canvas into the texture when something on it changed
+    refresh() {
+        const hovered = new Set([...this.hits.values()].map(hit => this.widgetAt(hit.x, hit.y)));
+        const state = JSON.stringify(this.widgets.map(widget => [
+            widget.kind, widget.text, widget.label, widget.value, widget.selected, hovered.has(widget),
+        ]));
+        if (state === this.drawnState) return;
+        this.drawnState = state;
+
+        const context = this.context;
+        context.fillStyle = COLORS.background;
+        context.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        context.textBaseline = 'middle';
+        for (const widget of this.widgets) {
+            this.drawWidget(widget, hovered.has(widget));
+        }
+
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.canvas);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    drawWidget(widget, hovered) {
+        const context = this.context;
+        const [x, y, width, height] = widget.rect;
+
+        if (widget.kind === 'label') {
+            context.fillStyle = widget.dim ? COLORS.dim : COLORS.text;
+            context.font = widget.title ? 'bold 30px sans-serif' : '24px sans-serif';
+            context.textAlign = 'left';
+            context.fillText(widget.text, x, y + height / 2);
+        } else if (widget.kind === 'button') {
+            context.fillStyle = widget.selected ? COLORS.selected : hovered ? COLORS.hover : COLORS.button;
+            context.fillRect(x, y, width, height);
+            if (hovered && widget.selected) {
+                context.strokeStyle = COLORS.text;
+                context.lineWidth = 2;
+                context.strokeRect(x + 1, y + 1, width - 2, height - 2);
+            }
+            context.fillStyle = COLORS.text;
+            context.font = widget.small ? '18px sans-serif' : '22px sans-serif';
+            context.textAlign = widget.align ?? 'center';
+            const textX = widget.align === 'left' ? x + 12 : x + width / 2;
+            context.fillText(this.fitText(widget.text, width - 16), textX, y + height / 2);
+        } else if (widget.kind === 'slider') {
+            context.font = '22px sans-serif';
+            context.fillStyle = COLORS.text;
+            context.textAlign = 'left';
+            context.fillText(widget.label, x, y + 16);
+            context.textAlign = 'right';
+            context.fillText(widget.value.toFixed(2), x + width, y + 16);
+
+            const trackY = y + 52;
+            const fraction = (widget.value - widget.min) / (widget.max - widget.min);
+            context.fillStyle = COLORS.track;
+            context.fillRect(x, trackY - 4, width, 8);
+            context.fillStyle = COLORS.selected;
+            context.fillRect(x, trackY - 4, width * fraction, 8);
+            context.beginPath();
+            context.arc(x + width * fraction, trackY, hovered ? 16 : 13, 0, Math.PI * 2);
+            context.fillStyle = COLORS.text;
+            context.fill();
+        }
+    }
+
+    // Shortens text with an ellipsis until it fits the width
+    fitText(text, width) {
+        const context = this.context;
+        if (context.measureText(text).width <= width) return text;
+        let end = text.length;
+        while (end > 0 && context.measureText(`${text.slice(0, end)}…`).width > width) end--;
+        return `${text.slice(0, end)}…`;
+    }
+
+    // Draws the panel for one eye. origin places the reference space in
+    // the world the view looks at.
+    draw(projectionMatrix, viewMatrix, origin) {
+        if (!this.visible || !this.pose) return;
+        this.refresh();
+
+        const gl = this.gl;
+        const modelView = mat4.multiply(mat4.create(), viewMatrix, origin);
+        mat4.multiply(modelView, modelView, this.pose);
+
+        gl.useProgram(this.program);
+        gl.uniformMatrix4fv(this.projectionUniform, false, projectionMatrix);
+        gl.uniformMatrix4fv(this.modelViewUniform, false, modelView);
+        gl.activeTexture(gl.TEXTURE0 + TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.uniform1i(this.textureUniform, TEXTURE_UNIT);
+
+        // Opaque, like the other overlays drawn over the splats
+        const blending = gl.isEnabled(gl.BLEND);
+        gl.disable(gl.BLEND);
+        gl.bindVertexArray(this.vao);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        gl.bindVertexArray(null);
+        if (blending) gl.enable(gl.BLEND);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+}